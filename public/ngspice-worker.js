@@ -1,11 +1,18 @@
 // ngspice-worker.js
+//
+// Hosts one persistent ngspice instance. The page sends `init` (spinit text)
+// and then any number of `run` jobs. Jobs execute one at a time; every reply
+// echoes the jobId it belongs to so results can never be confused.
 
 let outputBuffer = '';
 let stderrBuffer = '';
 let isInitialized = false;
-let pendingNetlist = null;
-let pendingSpinit = null;
+let isRunning = false;
+let currentJobId = null;
+let spinitText = null;
+let completedRuns = 0;
 let codeModelLoadPromise = Promise.resolve();
+const jobQueue = [];
 
 const CODE_MODEL_DIR = '/usr/local/lib/ngspice';
 const CODE_MODEL_FILES = [
@@ -18,11 +25,18 @@ const CODE_MODEL_FILES = [
   'xtraevt.cm'
 ];
 
+// Files a job may leave behind; removed before every run
+const SCRATCH_FILES = ['/circuit.cir', '/output.raw', '/partial.raw', '/digital.vcd'];
+
+// Streaming transient netlists echo this after writing /partial.raw
+// (see NetlistGenerator._streamingRunCommands)
+const PARTIAL_RESULTS_MARKER = 'spicepad-partial';
+
 async function loadCodeModels() {
   try {
     FS.createPath('/', 'usr/local/lib/ngspice', true, true);
   } catch (err) {
-    self.postMessage({ type: 'stderr', text: 'Could not create code model directory: ' + err.message });
+    self.postMessage({ type: 'stderr', jobId: null, text: 'Could not create code model directory: ' + err.message });
     return;
   }
 
@@ -34,7 +48,7 @@ async function loadCodeModels() {
         const buffer = new Uint8Array(await response.arrayBuffer());
         FS.writeFile(`${CODE_MODEL_DIR}/${file}`, buffer);
       } catch (err) {
-        self.postMessage({ type: 'stderr', text: `Failed to load code model ${file}: ${err.message}` });
+        self.postMessage({ type: 'stderr', jobId: null, text: `Failed to load code model ${file}: ${err.message}` });
       }
     })
   );
@@ -44,89 +58,150 @@ async function loadCodeModels() {
 var Module = {
   noInitialRun: true,
   print: (text) => {
+    if (text.trim() === PARTIAL_RESULTS_MARKER) {
+      postPartialResults();
+      return;
+    }
     outputBuffer += text + '\n';
-    self.postMessage({ type: 'stdout', text });
+    self.postMessage({ type: 'stdout', jobId: currentJobId, text });
   },
   printErr: (text) => {
     stderrBuffer += text + '\n';
-    self.postMessage({ type: 'stderr', text });
+    self.postMessage({ type: 'stderr', jobId: currentJobId, text });
   },
   onRuntimeInitialized: () => {
     isInitialized = true;
     codeModelLoadPromise = loadCodeModels();
-    self.postMessage({ type: 'initialized' });
-    
-    // If we had a pending simulation, run it now
-    if (pendingNetlist) {
-      runSimulation(pendingNetlist, pendingSpinit);
-      pendingNetlist = null;
-      pendingSpinit = null;
-    }
+    codeModelLoadPromise.then(() => {
+      writeSpinit();
+      self.postMessage({ type: 'ready' });
+      drainQueue();
+    });
   }
 };
 
 // Load once at worker startup
 importScripts('ngspice.js');
 
-async function runSimulation(netlist, spinit) {
+/**
+ * Write the spinit file ngspice reads at the start of every callMain.
+ * Code models register devices globally and stay loaded for the lifetime of
+ * the instance, so after the first run the codemodel lines are dropped to
+ * avoid registering the same devices twice.
+ */
+function writeSpinit() {
+  if (!isInitialized || !spinitText) return;
+  const text = completedRuns > 0
+    ? spinitText.split('\n').filter(line => !/^\s*codemodel\b/i.test(line)).join('\n')
+    : spinitText;
+  try {
+    FS.createPath('/', 'usr/local/share/ngspice/scripts', true, true);
+    FS.writeFile('/usr/local/share/ngspice/scripts/spinit', text);
+    FS.writeFile('/spinit', text);
+  } catch (err) {
+    self.postMessage({ type: 'stderr', jobId: currentJobId, text: 'Could not write spinit: ' + err.message });
+  }
+}
+
+/**
+ * Send the data written so far. This runs inside callMain (from the print
+ * hook), which is the only point where the worker regains control mid-run;
+ * postMessage still reaches the page while ngspice keeps computing.
+ */
+function postPartialResults() {
+  let rawData;
+  try {
+    rawData = FS.readFile('/partial.raw');
+  } catch (e) {
+    return;
+  }
+  self.postMessage({ type: 'partial', jobId: currentJobId, rawData }, [rawData.buffer]);
+}
+
+function resetWorkspace() {
   outputBuffer = '';
   stderrBuffer = '';
-  
+  for (const path of SCRATCH_FILES) {
+    try { FS.unlink(path); } catch (e) {}
+  }
+}
+
+async function runJob(jobId, netlist) {
+  currentJobId = jobId;
+  resetWorkspace();
+
   try {
     await codeModelLoadPromise;
+    writeSpinit();
 
-    if (spinit) {
-      try {
-        FS.createPath('/', 'usr/local/share/ngspice/scripts', true, true);
-        FS.writeFile('/usr/local/share/ngspice/scripts/spinit', spinit);
-        FS.writeFile('/spinit', spinit);
-      } catch (err) {
-        self.postMessage({ type: 'stderr', text: 'Could not write spinit: ' + err.message });
-      }
-    }
-    
     FS.writeFile('/circuit.cir', netlist);
-    try { FS.unlink('/output.txt'); } catch(e) {}
-    
-    self.postMessage({ type: 'status', text: 'Running simulation...' });
-    
+
+    self.postMessage({ type: 'status', jobId, text: 'Running simulation...' });
+
     callMain(['-b', '/circuit.cir']);
-    
-    let outputData = null;
+    completedRuns++;
+
+    // Rawfile from the control block's `write` (binary); absent if the run failed
+    let rawData = null;
     try {
-      outputData = FS.readFile('/output.txt', { encoding: 'utf8' });
+      rawData = FS.readFile('/output.raw');
     } catch (e) {}
-    
-    self.postMessage({ 
-      type: 'complete', 
-      outputData,
+
+    // Digital probe histories from `eprvcd` (text); only transient runs with digital probes write it
+    let vcdData = null;
+    try {
+      vcdData = FS.readFile('/digital.vcd', { encoding: 'utf8' });
+    } catch (e) {}
+
+    self.postMessage({
+      type: 'complete',
+      jobId,
+      rawData,
+      vcdData,
       stdout: outputBuffer,
       stderr: stderrBuffer
-    });
-    
+    }, rawData ? [rawData.buffer] : []);
   } catch (err) {
-    self.postMessage({ 
-      type: 'error', 
+    // callMain only throws when the runtime aborted; the instance is unusable
+    self.postMessage({
+      type: 'error',
+      jobId,
+      fatal: true,
       message: err.message,
       stack: err.stack
     });
+  } finally {
+    resetWorkspace();
+    currentJobId = null;
   }
 }
 
-self.onmessage = function(e) {
-  const { type, netlist, spinit } = e.data;
-  
-  if (type === 'run') {
-    if (isInitialized) {
-      runSimulation(netlist, spinit).catch(err => {
-        self.postMessage({ type: 'error', message: err.message, stack: err.stack });
-      });
-    } else {
-      // Queue it for when initialization completes
-      pendingNetlist = netlist;
-      pendingSpinit = spinit;
+async function drainQueue() {
+  if (isRunning || !isInitialized) return;
+  isRunning = true;
+  try {
+    while (jobQueue.length > 0) {
+      const { jobId, netlist } = jobQueue.shift();
+      await runJob(jobId, netlist);
     }
+  } finally {
+    isRunning = false;
   }
-};
+}
 
-self.postMessage({ type: 'ready' });
\ No newline at end of file
+self.onmessage = function(e) {
+  const { type, jobId, netlist, spinit } = e.data;
+
+  switch (type) {
+    case 'init':
+      spinitText = spinit || null;
+      writeSpinit();
+      break;
+    case 'run':
+      jobQueue.push({ jobId, netlist });
+      drainQueue();
+      break;
+    default:
+      break;
+  }
+};
@@ -49,6 +49,7 @@ export class CanvasViewport {
         this.onMouseDown = null;   // (worldX, worldY, event) => void
         this.onMouseUp = null;     // (worldX, worldY, event) => void
         this.onClick = null;       // (worldX, worldY, event) => void
+        this.onContextMenu = null; // (worldX, worldY, event) => void
         this.onZoomChange = null;  // (zoom) => void
         this.onRender = null;      // (ctx, viewport) => void - called during render for custom drawing
         
@@ -114,7 +115,7 @@ export class CanvasViewport {
         this.canvas.addEventListener('mouseenter', this._onMouseEnter.bind(this));
         this.canvas.addEventListener('mouseleave', this._onMouseLeave.bind(this));
         this.canvas.addEventListener('click', this._onClick.bind(this));
-        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        this.canvas.addEventListener('contextmenu', this._onContextMenu.bind(this));
     }
     
     // ==================== Coordinate Transforms ====================
@@ -278,6 +279,15 @@ export class CanvasViewport {
         this.onClick?.(world.x, world.y, event);
     }
     
+    _onContextMenu(event) {
+        event.preventDefault();
+        
+        const rect = this.canvas.getBoundingClientRect();
+        const world = this.screenToWorld(event.clientX - rect.left, event.clientY - rect.top);
+        
+        this.onContextMenu?.(world.x, world.y, event);
+    }
+    
     _onMouseEnter(event) {
         this.showCrosshair = true;
         this.render();
@@ -1,12 +1,15 @@
 /**
  * ComponentManager - Manages component instances, rendering, and dragging.
+ *
+ * Without a viewport it only keeps the component model (instances and pin
+ * registration), which is all netlisting needs; see src/cli.
  */
 
 import { createBasicSquareComponent } from './Component.js';
 
 export class ComponentManager {
 	/**
-	 * @param {import('./CanvasViewport.js').CanvasViewport} viewport
+	 * @param {import('./CanvasViewport.js').CanvasViewport | null} viewport - null for headless use
 	 * @param {import('./WireGraph.js').WireGraph} wireGraph
 	 */
 	constructor(viewport, wireGraph) {
@@ -44,8 +47,10 @@ export class ComponentManager {
 		// Callbacks
 		this.onComponentDragEnd = null; // (component) => void - called when component drag ends
         
-		this._setupEventHandlers();
-		this._setupRendering();
+		if (this.viewport) {
+			this._setupEventHandlers();
+			this._setupRendering();
+		}
 	}
     
 	// ==================== Public API ====================
@@ -57,7 +62,7 @@ export class ComponentManager {
 	addComponent(component) {
 		this.components.push(component);
 		this._registerComponentPins(component);
-		this.viewport.render();
+		this.viewport?.render();
 	}
 	
 	/**
@@ -192,7 +197,7 @@ export class ComponentManager {
 				x: targetX - component.x,
 				y: targetY - component.y
 			});
-			this.viewport.render();
+			this.viewport?.render();
 			return true;
 		}
 
@@ -209,7 +214,7 @@ export class ComponentManager {
 		}
 
 		if (prevHoverLabel !== this.hoverLabelHit || prevHoverComponent !== this.hoverComponent) {
-			this.viewport.render();
+			this.viewport?.render();
 		}
 		if (!this.isDragging || !this.dragComponent) return false;
 		const snapped = this.viewport.snapToGrid(worldX, worldY);
@@ -221,7 +226,7 @@ export class ComponentManager {
 		this.dragComponent.y = this.dragStartPos.y + dy;
         
 		this._syncComponentPins(this.dragComponent);
-		this.viewport.render();
+		this.viewport?.render();
 		return true;
 	}
     
@@ -249,7 +254,7 @@ export class ComponentManager {
 			this.onComponentDragEnd(draggedComponent);
 		}
         
-		this.viewport.render();
+		this.viewport?.render();
 		return true;
 	}
     
@@ -431,7 +436,7 @@ export class ComponentManager {
 		entry.image.onload = () => {
 			entry.ready = true;
 			URL.revokeObjectURL(url);
-			this.viewport.render();
+			this.viewport?.render();
 		};
 		entry.image.onerror = () => {
 			URL.revokeObjectURL(url);
@@ -783,7 +788,7 @@ export class ComponentManager {
 
 	setSelectedComponents(componentIds) {
 		this.selectedComponentIds = componentIds ? new Set(componentIds) : new Set();
-		this.viewport.render();
+		this.viewport?.render();
 	}
 
 	syncComponentPins(component) {
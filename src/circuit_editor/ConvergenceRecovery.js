@@ -0,0 +1,61 @@
+/**
+ * ConvergenceRecovery - Retry strategies for operating point and transient runs that fail to converge
+ *
+ * When ngspice gives up ("timestep too small", "no convergence", iteration
+ * limits), the editor reruns the analysis with extra cards, one strategy at a
+ * time. Gmin and source stepping only change how the operating point is
+ * found; the later strategies change the solution's accuracy, so they are
+ * tried last and build on each other.
+ */
+
+// ngspice output that means the analysis stopped without a usable result.
+// "gmin stepping failed" alone is not one: ngspice falls back to source stepping.
+const FAILURE_PATTERNS = [
+    { pattern: /timestep too small/i, kind: 'timestep' },
+    { pattern: /no convergence/i, kind: 'convergence' },
+    { pattern: /iteration limit reached/i, kind: 'convergence' }
+];
+
+const STRATEGIES = [
+    { id: 'gmin', label: 'gmin stepping', analyses: ['op', 'tran'], cards: ['.options noopiter gminsteps=100'], cumulative: false },
+    { id: 'source', label: 'source stepping', analyses: ['op', 'tran'], cards: ['.options noopiter gminsteps=0 srcsteps=100'], cumulative: false },
+    { id: 'gear', label: 'METHOD=GEAR', analyses: ['tran'], cards: ['.options method=gear'], cumulative: true },
+    { id: 'reltol', label: 'relaxed RELTOL', analyses: ['op', 'tran'], cards: ['.options reltol=0.01 itl1=500 itl4=100'], cumulative: true },
+    { id: 'nodeset', label: '.nodeset all=0', analyses: ['op', 'tran'], cards: ['.nodeset all=0'], cumulative: true }
+];
+
+/**
+ * @typedef {Object} RecoveryStrategy
+ * @property {string} id
+ * @property {string} label - What was changed, e.g. "METHOD=GEAR + relaxed RELTOL"
+ * @property {string[]} cards - Netlist cards to add to the analysis
+ */
+
+/**
+ * Find a convergence failure in a run's console output
+ * @param {string} output - ngspice stdout and stderr
+ * @returns {'timestep' | 'convergence' | null}
+ */
+export function detectConvergenceFailure(output) {
+    const text = String(output ?? '');
+    return FAILURE_PATTERNS.find(entry => entry.pattern.test(text))?.kind ?? null;
+}
+
+/**
+ * Strategies to try, in order, for an analysis
+ * @param {string} analysisType
+ * @returns {RecoveryStrategy[]} Empty for analyses that are not retried
+ */
+export function getRecoveryStrategies(analysisType) {
+    const kept = [];
+    return STRATEGIES.filter(strategy => strategy.analyses.includes(analysisType)).map(strategy => {
+        const previous = kept.slice();
+        if (strategy.cumulative) kept.push(strategy);
+        const applied = [...previous, strategy];
+        return {
+            id: strategy.id,
+            label: applied.map(entry => entry.label).join(' + '),
+            cards: applied.flatMap(entry => entry.cards)
+        };
+    });
+}
@@ -0,0 +1,109 @@
+/**
+ * DeviceParameters - Internal device quantities a device-parameter probe can read
+ *
+ * ngspice exposes instance quantities as @<device>[<param>] vectors (e.g.
+ * @q1[ic], @m1[gm]). They are only kept when saved before the run, which the
+ * netlist's control block does for every probed one. Lists are keyed by the
+ * spiceType NetlistGenerator resolves for a component.
+ */
+
+/**
+ * @typedef {Object} DeviceParameter
+ * @property {string} name - ngspice instance parameter, e.g. "ic"
+ * @property {string} label - Shown in the probe dialog
+ * @property {string} unit
+ */
+
+/** @type {Record<string, DeviceParameter[]>} */
+export const DEVICE_PARAMETERS = {
+    resistor: [
+        { name: 'i', label: 'Current', unit: 'A' },
+        { name: 'p', label: 'Power', unit: 'W' }
+    ],
+    capacitor: [
+        { name: 'i', label: 'Current', unit: 'A' },
+        { name: 'p', label: 'Power', unit: 'W' }
+    ],
+    inductor: [
+        { name: 'i', label: 'Current', unit: 'A' },
+        { name: 'flux', label: 'Flux', unit: 'Wb' },
+        { name: 'p', label: 'Power', unit: 'W' }
+    ],
+    voltage: [
+        { name: 'i', label: 'Current', unit: 'A' },
+        { name: 'p', label: 'Power', unit: 'W' }
+    ],
+    current: [
+        { name: 'current', label: 'Current', unit: 'A' },
+        { name: 'v', label: 'Voltage', unit: 'V' },
+        { name: 'p', label: 'Power', unit: 'W' }
+    ],
+    diode: [
+        { name: 'id', label: 'Diode current', unit: 'A' },
+        { name: 'gd', label: 'Conductance', unit: 'S' },
+        { name: 'cd', label: 'Capacitance', unit: 'F' },
+        { name: 'p', label: 'Power', unit: 'W' }
+    ],
+    bjt: [
+        { name: 'ic', label: 'Collector current', unit: 'A' },
+        { name: 'ib', label: 'Base current', unit: 'A' },
+        { name: 'ie', label: 'Emitter current', unit: 'A' },
+        { name: 'vbe', label: 'Base-emitter voltage', unit: 'V' },
+        { name: 'vbc', label: 'Base-collector voltage', unit: 'V' },
+        { name: 'gm', label: 'Transconductance', unit: 'S' },
+        { name: 'gpi', label: 'Input conductance', unit: 'S' },
+        { name: 'go', label: 'Output conductance', unit: 'S' },
+        { name: 'cpi', label: 'Base-emitter capacitance', unit: 'F' },
+        { name: 'cmu', label: 'Base-collector capacitance', unit: 'F' },
+        { name: 'p', label: 'Power', unit: 'W' }
+    ],
+    mosfet: [
+        { name: 'id', label: 'Drain current', unit: 'A' },
+        { name: 'vgs', label: 'Gate-source voltage', unit: 'V' },
+        { name: 'vds', label: 'Drain-source voltage', unit: 'V' },
+        { name: 'gm', label: 'Transconductance', unit: 'S' },
+        { name: 'gds', label: 'Output conductance', unit: 'S' },
+        { name: 'vdsat', label: 'Saturation voltage', unit: 'V' },
+        { name: 'cgs', label: 'Gate-source capacitance', unit: 'F' },
+        { name: 'cgd', label: 'Gate-drain capacitance', unit: 'F' }
+    ],
+    jfet: [
+        { name: 'id', label: 'Drain current', unit: 'A' },
+        { name: 'igs', label: 'Gate-source current', unit: 'A' },
+        { name: 'igd', label: 'Gate-drain current', unit: 'A' },
+        { name: 'vgs', label: 'Gate-source voltage', unit: 'V' },
+        { name: 'gm', label: 'Transconductance', unit: 'S' },
+        { name: 'gds', label: 'Output conductance', unit: 'S' },
+        { name: 'p', label: 'Power', unit: 'W' }
+    ]
+};
+
+/**
+ * Parameters a component of this type can be probed for
+ * @param {string} spiceType
+ * @returns {DeviceParameter[]} Empty for subcircuits, XSPICE parts and unknown types
+ */
+export function getDeviceParameters(spiceType) {
+    return DEVICE_PARAMETERS[spiceType] ?? [];
+}
+
+/**
+ * Look up a parameter, falling back to the type's first one
+ * @param {string} spiceType
+ * @param {string | null} name
+ * @returns {DeviceParameter | null}
+ */
+export function resolveDeviceParameter(spiceType, name) {
+    const params = getDeviceParameters(spiceType);
+    return params.find(param => param.name === String(name ?? '').toLowerCase()) ?? params[0] ?? null;
+}
+
+/**
+ * ngspice vector for a device quantity
+ * @param {string} designator - e.g. "Q1"
+ * @param {string} param - e.g. "ic"
+ * @returns {string} e.g. "@q1[ic]"
+ */
+export function deviceParameterVector(designator, param) {
+    return `@${designator.toLowerCase()}[${param.toLowerCase()}]`;
+}
@@ -0,0 +1,179 @@
+/**
+ * DiagnosticsOverlay - Highlights components and wires named in ngspice errors
+ *
+ * Diagnostics come from NgspiceDiagnostics; their designators and net names are
+ * resolved back to schematic objects through the netMap that NetlistGenerator
+ * produced for the same run.
+ */
+
+export class DiagnosticsOverlay {
+    /**
+     * @param {import('./CanvasViewport.js').CanvasViewport} viewport
+     * @param {import('./WireGraph.js').WireGraph} wireGraph
+     * @param {import('./ComponentManager.js').ComponentManager} componentManager
+     */
+    constructor(viewport, wireGraph, componentManager) {
+        this.viewport = viewport;
+        this.wireGraph = wireGraph;
+        this.componentManager = componentManager;
+
+        /** @type {Array<Object>} Diagnostics with resolved targets */
+        this.diagnostics = [];
+        this.activeDiagnostic = null;
+
+        this.colors = {
+            error: { stroke: '#dc2626', wash: 'rgba(220, 38, 38, 0.25)' },
+            warning: { stroke: '#d97706', wash: 'rgba(217, 119, 6, 0.25)' }
+        };
+
+        this._setupRendering();
+    }
+
+    /**
+     * Resolve and add diagnostics from one simulation job
+     * @param {import('./NgspiceDiagnostics.js').NgspiceDiagnostic[]} diagnostics
+     * @param {Map<number, string>} netMap - nodeId -> net name used in that job's netlist
+     * @returns {Array<Object>} The diagnostics with `targets` and `targetLabels` filled in
+     */
+    addDiagnostics(diagnostics, netMap) {
+        const resolved = diagnostics.map(diag => ({ ...diag, ...this._resolveTargets(diag, netMap) }));
+        this.diagnostics.push(...resolved);
+        return resolved;
+    }
+
+    clear() {
+        this.diagnostics = [];
+        this.activeDiagnostic = null;
+    }
+
+    hasDiagnostics() {
+        return this.diagnostics.length > 0;
+    }
+
+    /**
+     * World-space box around everything a diagnostic points at
+     * @param {Object} diagnostic
+     * @returns {{x: number, y: number, width: number, height: number} | null}
+     */
+    getFocusBounds(diagnostic) {
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        const include = (x, y) => {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        };
+
+        for (const component of this._getComponents(diagnostic)) {
+            const b = component.getBounds();
+            include(b.x, b.y);
+            include(b.x + b.width, b.y + b.height);
+        }
+        for (const nodeId of diagnostic.targets.nodeIds) {
+            const node = this.wireGraph.getNode(nodeId);
+            if (node) include(node.x, node.y);
+        }
+
+        if (!Number.isFinite(minX)) return null;
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * Map designators and net names to component IDs, wire nodes and segments
+     */
+    _resolveTargets(diag, netMap) {
+        const byDesignator = new Map();
+        for (const component of this.componentManager.components) {
+            const designator = component.meta?.designatorText || component.name || component.id;
+            if (designator) byDesignator.set(designator.toLowerCase(), component);
+        }
+
+        // The parser's designators, plus the instance a subcircuit-internal node (x1.3) belongs to
+        const designators = new Set(diag.designators);
+        diag.nets.forEach(net => {
+            if (net.includes('.')) designators.add(net.split('.')[0].toLowerCase());
+        });
+
+        const componentIds = [];
+        const labels = [];
+        designators.forEach(designator => {
+            const component = byDesignator.get(designator);
+            if (component && !componentIds.includes(component.id)) {
+                componentIds.push(component.id);
+                labels.push(component.meta?.designatorText || component.name || component.id);
+            }
+        });
+
+        const wantedNets = new Set(diag.nets.map(net => net.toLowerCase()));
+        const nodeIds = [];
+        netMap?.forEach((net, nodeId) => {
+            if (wantedNets.has(String(net).toLowerCase())) nodeIds.push(nodeId);
+        });
+        const nodeSet = new Set(nodeIds);
+        const segmentIds = this.wireGraph.getAllSegments()
+            .filter(seg => nodeSet.has(seg.nodeId1) && nodeSet.has(seg.nodeId2))
+            .map(seg => seg.id);
+        diag.nets.forEach(net => labels.push(`net ${net}`));
+
+        return {
+            targets: { componentIds, nodeIds, segmentIds },
+            targetLabels: labels
+        };
+    }
+
+    _getComponents(diagnostic) {
+        return diagnostic.targets.componentIds
+            .map(id => this.componentManager.components.find(c => c.id === id))
+            .filter(Boolean);
+    }
+
+    // ==================== Rendering ====================
+
+    _setupRendering() {
+        const originalOnRender = this.viewport.onRender;
+        this.viewport.onRender = (ctx, viewport) => {
+            originalOnRender?.(ctx, viewport);
+            this._render(ctx, viewport);
+        };
+    }
+
+    _render(ctx, viewport) {
+        if (!this.hasDiagnostics()) return;
+
+        // Draw warnings first so errors sit on top
+        const ordered = [...this.diagnostics].sort((a, b) => (a.severity === 'error') - (b.severity === 'error'));
+        for (const diag of ordered) {
+            const color = this.colors[diag.severity] ?? this.colors.error;
+            const emphasis = diag === this.activeDiagnostic ? 2 : 1;
+
+            for (const segmentId of diag.targets.segmentIds) {
+                const seg = this.wireGraph.getSegment(segmentId);
+                const n1 = seg && this.wireGraph.getNode(seg.nodeId1);
+                const n2 = seg && this.wireGraph.getNode(seg.nodeId2);
+                if (!n1 || !n2) continue;
+                viewport.drawLine(n1.x, n1.y, n2.x, n2.y, color.wash, 8 * emphasis);
+            }
+
+            for (const nodeId of diag.targets.nodeIds) {
+                const node = this.wireGraph.getNode(nodeId);
+                if (!node?.isComponentPin) continue;
+                viewport.drawCircle(node.x, node.y, 4, color.wash, color.stroke, 1);
+            }
+
+            for (const component of this._getComponents(diag)) {
+                const b = component.getBounds();
+                const topLeft = viewport.worldToScreen(b.x - 4, b.y - 4);
+                const pad = 8 * viewport.zoom;
+                ctx.save();
+                ctx.strokeStyle = color.stroke;
+                ctx.lineWidth = 1.5 * emphasis;
+                ctx.setLineDash([5, 3]);
+                ctx.strokeRect(topLeft.x, topLeft.y, b.width * viewport.zoom + pad, b.height * viewport.zoom + pad);
+                ctx.restore();
+            }
+        }
+    }
+}
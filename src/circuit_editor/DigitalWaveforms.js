@@ -0,0 +1,97 @@
+/**
+ * DigitalWaveforms - Reads XSPICE digital node histories for the timing diagram
+ *
+ * ngspice keeps event-driven (digital) nodes out of the analog plot, so the
+ * netlist's control block dumps the probed ones with `eprvcd` as a Value Change
+ * Dump. Each node becomes a list of state changes; states are '0', '1', 'x'
+ * (unknown) or 'z' (high impedance).
+ */
+
+const TIME_UNITS = { s: 1, ms: 1e-3, us: 1e-6, ns: 1e-9, ps: 1e-12, fs: 1e-15 };
+
+/**
+ * @typedef {Object} DigitalSignal
+ * @property {string} name - Node name as ngspice wrote it
+ * @property {Array<{time: number, value: string}>} changes - In time order, seconds
+ */
+
+/**
+ * Parse the VCD text written by `eprvcd`
+ * @param {string} text
+ * @returns {{signals: DigitalSignal[], endTime: number}} endTime is the last timestamp, in seconds
+ * @throws {Error} When the text has no variable definitions
+ */
+export function parseVcd(text) {
+    const tokens = String(text ?? '').split(/\s+/).filter(Boolean);
+    const signals = [];
+    const byId = new Map();
+    let timescale = 1;
+    let time = 0;
+    let endTime = 0;
+
+    const record = (id, value) => {
+        for (const signal of byId.get(id) ?? []) {
+            const last = signal.changes[signal.changes.length - 1];
+            if (last && last.time === time) last.value = value;
+            else if (!last || last.value !== value) signal.changes.push({ time, value });
+        }
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token === '$timescale') {
+            const words = [];
+            while (i + 1 < tokens.length && tokens[++i] !== '$end') words.push(tokens[i]);
+            const match = words.join('').match(/^(\d*\.?\d+)([a-z]+)$/i);
+            if (match && TIME_UNITS[match[2].toLowerCase()]) {
+                timescale = Number(match[1]) * TIME_UNITS[match[2].toLowerCase()];
+            }
+        } else if (token === '$var') {
+            // $var <type> <size> <id> <name> [range] $end
+            const id = tokens[i + 3];
+            const signal = { name: tokens[i + 4], changes: [] };
+            signals.push(signal);
+            if (!byId.has(id)) byId.set(id, []);
+            byId.get(id).push(signal);
+            while (i + 1 < tokens.length && tokens[++i] !== '$end');
+        } else if (['$comment', '$date', '$version', '$scope'].includes(token)) {
+            while (i + 1 < tokens.length && tokens[++i] !== '$end');
+        } else if (token.startsWith('#')) {
+            time = Number(token.slice(1)) * timescale;
+            if (Number.isFinite(time)) endTime = Math.max(endTime, time);
+        } else if (/^[bBrR]/.test(token)) {
+            // Vector and real values name their variable in the next token
+            record(tokens[++i], token.slice(1).toLowerCase());
+        } else if (/^[01xXzZuU]./.test(token)) {
+            const state = token[0].toLowerCase();
+            record(token.slice(1), state === 'u' ? 'x' : state);
+        }
+    }
+
+    if (signals.length === 0) {
+        throw new Error('No signals in VCD output');
+    }
+    return { signals, endTime };
+}
+
+/**
+ * Find the signal ngspice wrote for a node (node names are case-insensitive)
+ * @param {DigitalSignal[]} signals
+ * @param {string} node
+ * @returns {DigitalSignal | null}
+ */
+export function findDigitalSignal(signals, node) {
+    const wanted = String(node ?? '').toLowerCase();
+    return signals.find(signal => signal.name.toLowerCase() === wanted) ?? null;
+}
+
+/**
+ * Height of a state within its lane: 0 low, 1 high, halfway when unknown
+ * @param {string} value
+ * @returns {number}
+ */
+export function logicLevel(value) {
+    if (value === '1') return 1;
+    if (value === '0') return 0;
+    return 0.5;
+}
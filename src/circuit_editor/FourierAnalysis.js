@@ -0,0 +1,94 @@
+/**
+ * FourierAnalysis - Reads the harmonic tables ngspice's `fourier` command prints
+ *
+ * ngspice writes one block per analysed vector:
+ *
+ *   Fourier analysis for v(out):
+ *     No. Harmonics: 10, THD: 0.0316 %, Gridsize: 200, Interpolation Degree: 1
+ *
+ *   Harmonic Frequency   Magnitude   Phase       Norm. Mag   Norm. Phase
+ *   -------- ---------   ---------   -----       ---------   -----------
+ *    0       0           1.2e-06     0           1.2e-06     0
+ *    1       1000        1           -0.0001     1           0
+ *
+ * Harmonic 0 is the DC component; harmonic 1 is the fundamental.
+ */
+
+/**
+ * @typedef {Object} FourierHarmonic
+ * @property {number} index - 0 for DC, 1 for the fundamental
+ * @property {number} frequency - Hz
+ * @property {number} magnitude
+ * @property {number} phase - Degrees
+ * @property {number} normMagnitude - Magnitude relative to the fundamental
+ * @property {number} normPhase - Phase relative to the fundamental, degrees
+ */
+
+/**
+ * @typedef {Object} FourierResult
+ * @property {string} vector - Vector name as ngspice printed it, e.g. "v(out)"
+ * @property {number} thd - Total harmonic distortion in percent
+ * @property {FourierHarmonic[]} harmonics
+ */
+
+const HEADER_PATTERN = /fourier analysis for\s+(.+?):\s*$/i;
+const THD_PATTERN = /THD:\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*%/i;
+const ROW_PATTERN = /^\s*(\d+)\s+(\S+)\s+(\S+)\s+(\S+)\s+(\S+)\s+(\S+)\s*$/;
+
+/**
+ * Parse every Fourier table in ngspice's console output
+ * @param {string} output - stdout of one simulation job
+ * @returns {FourierResult[]}
+ */
+export function parseFourierOutput(output) {
+    if (!output) return [];
+
+    const results = [];
+    let current = null;
+
+    for (const line of output.split('\n')) {
+        const header = line.match(HEADER_PATTERN);
+        if (header) {
+            current = { vector: header[1].trim(), thd: NaN, harmonics: [] };
+            results.push(current);
+            continue;
+        }
+        if (!current) continue;
+
+        const thd = line.match(THD_PATTERN);
+        if (thd) {
+            current.thd = Number(thd[1]);
+            continue;
+        }
+
+        const row = line.match(ROW_PATTERN);
+        if (row) {
+            const [index, frequency, magnitude, phase, normMagnitude, normPhase] = row.slice(1).map(Number);
+            if ([frequency, magnitude, phase, normMagnitude, normPhase].every(Number.isFinite)) {
+                current.harmonics.push({ index, frequency, magnitude, phase, normMagnitude, normPhase });
+            }
+        } else if (!line.trim() && current.harmonics.length > 0) {
+            // A blank line after the rows ends the table
+            current = null;
+        }
+    }
+
+    results.forEach(result => {
+        if (!Number.isFinite(result.thd)) result.thd = computeThd(result.harmonics);
+    });
+    return results.filter(result => result.harmonics.length > 0);
+}
+
+/**
+ * THD in percent from harmonic magnitudes: rms of harmonics 2..N over the fundamental
+ * @param {FourierHarmonic[]} harmonics
+ * @returns {number} NaN when the fundamental is missing or zero
+ */
+export function computeThd(harmonics) {
+    const fundamental = harmonics.find(h => h.index === 1)?.magnitude;
+    if (!fundamental) return NaN;
+    const sumSquares = harmonics
+        .filter(h => h.index >= 2)
+        .reduce((sum, h) => sum + h.magnitude ** 2, 0);
+    return 100 * Math.sqrt(sumSquares) / Math.abs(fundamental);
+}
@@ -0,0 +1,218 @@
+/**
+ * InitialConditionManager - Net initial voltages (.ic) and nodesets (.nodeset) set on the schematic
+ *
+ * Each entry is pinned to a point on a wire, the way a probe tip is, so it
+ * stays with its net when the circuit is saved or the nets are renumbered;
+ * NetlistGenerator resolves it to the generated net name. Capacitor and
+ * inductor initial conditions belong to the component (meta.initialCondition)
+ * and are written as IC= on its line instead. Without a viewport only the
+ * model is kept.
+ */
+
+/** .ic holds a net during the initial solution; .nodeset only seeds it */
+export const INITIAL_CONDITION_KINDS = ['ic', 'nodeset'];
+
+export class InitialConditionManager {
+    /**
+     * @param {import('./CanvasViewport.js').CanvasViewport | null} viewport - null for headless use
+     * @param {import('./WireGraph.js').WireGraph} wireGraph
+     * @param {import('./ComponentManager.js').ComponentManager} [componentManager] - Only used to tag components that have an IC=
+     */
+    constructor(viewport, wireGraph, componentManager = null) {
+        this.viewport = viewport;
+        this.wireGraph = wireGraph;
+        this.componentManager = componentManager;
+
+        /** @type {Array<InitialCondition>} */
+        this.entries = [];
+
+        this.hitTolerance = 8;
+        this._counter = 1;
+
+        this.styles = {
+            ic: { text: '#6d28d9', border: '#c4b5fd', fill: 'rgba(245, 243, 255, 0.92)' },
+            nodeset: { text: '#0f766e', border: '#99f6e4', fill: 'rgba(240, 253, 250, 0.92)' },
+            component: { text: '#b45309', border: '#fcd34d', fill: 'rgba(255, 251, 235, 0.92)' }
+        };
+
+        if (this.viewport) this._setupRendering();
+    }
+
+    // ==================== Public API ====================
+
+    /**
+     * Set the initial condition at a point on a wire, replacing one already there
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {string} value - Voltage as SPICE number text, e.g. "2.5" or "500m"
+     * @param {'ic' | 'nodeset'} [kind='ic']
+     * @returns {InitialCondition}
+     */
+    set(x, y, value, kind = 'ic') {
+        let entry = this.getAt(x, y);
+        if (!entry) {
+            entry = { id: `ic-${Date.now()}-${this._counter++}`, x, y, value, kind };
+            this.entries.push(entry);
+        }
+        entry.value = value;
+        entry.kind = INITIAL_CONDITION_KINDS.includes(kind) ? kind : 'ic';
+        this.viewport?.render();
+        return entry;
+    }
+
+    /**
+     * @param {string} id
+     */
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.viewport?.render();
+    }
+
+    /**
+     * Entry whose marker is at a position
+     * @param {number} worldX
+     * @param {number} worldY
+     * @returns {InitialCondition | null}
+     */
+    getAt(worldX, worldY) {
+        return this.entries.find(entry => Math.hypot(worldX - entry.x, worldY - entry.y) <= this.hitTolerance) ?? null;
+    }
+
+    /**
+     * Wire node at a point, or a node of the wire segment under it
+     * @param {number} worldX
+     * @param {number} worldY
+     * @returns {number | null}
+     */
+    getNodeIdAt(worldX, worldY) {
+        const node = this.wireGraph.getNodeAt(worldX, worldY, this.hitTolerance);
+        if (node) return node.id;
+        const segmentResult = this.wireGraph.getSegmentAt(worldX, worldY, this.hitTolerance);
+        return segmentResult ? segmentResult.segment.nodeId1 : null;
+    }
+
+    /**
+     * Net of every entry. Entries off a wire or on ground are dropped; when a
+     * net has several of one kind, the last one set wins.
+     * @param {Map<number, string>} netMap - nodeId -> net name, from NetlistGenerator
+     * @returns {Array<{id: string, net: string, value: string, kind: 'ic' | 'nodeset'}>}
+     */
+    resolve(netMap) {
+        const byNet = new Map();
+        for (const entry of this.entries) {
+            const nodeId = this.getNodeIdAt(entry.x, entry.y);
+            const net = nodeId !== null ? netMap.get(nodeId) : null;
+            if (!net || net === '0' || !String(entry.value ?? '').trim()) continue;
+            byNet.set(`${entry.kind}:${net}`, { id: entry.id, net, value: String(entry.value).trim(), kind: entry.kind });
+        }
+        return Array.from(byNet.values());
+    }
+
+    clear() {
+        this.entries = [];
+        this._counter = 1;
+        this.viewport?.render();
+    }
+
+    /**
+     * Serialize for save/load
+     * @returns {Array}
+     */
+    toJSON() {
+        return this.entries.map(({ id, x, y, value, kind }) => ({ id, x, y, value, kind }));
+    }
+
+    /**
+     * Restore from serialized data
+     * @param {Array} data
+     */
+    fromJSON(data) {
+        this.entries = [];
+        if (!Array.isArray(data)) return;
+        for (const item of data) {
+            if (!Number.isFinite(item?.x) || !Number.isFinite(item?.y)) continue;
+            this.entries.push({
+                id: item.id || `ic-${Date.now()}-${this._counter}`,
+                x: item.x,
+                y: item.y,
+                value: String(item.value ?? ''),
+                kind: INITIAL_CONDITION_KINDS.includes(item.kind) ? item.kind : 'ic'
+            });
+            this._counter++;
+        }
+    }
+
+    // ==================== Rendering ====================
+
+    _setupRendering() {
+        const originalOnRender = this.viewport.onRender;
+        this.viewport.onRender = (ctx, viewport) => {
+            originalOnRender?.(ctx, viewport);
+            this._render(ctx, viewport);
+        };
+    }
+
+    _render(ctx, viewport) {
+        for (const entry of this.entries) {
+            const style = this.styles[entry.kind] ?? this.styles.ic;
+            const connected = this.getNodeIdAt(entry.x, entry.y) !== null;
+            const pos = viewport.worldToScreen(entry.x, entry.y);
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 3 * viewport.zoom, 0, Math.PI * 2);
+            ctx.fillStyle = connected ? style.text : '#9ca3af';
+            ctx.fill();
+            ctx.restore();
+
+            const text = `${entry.kind === 'ic' ? '.ic' : '.nodeset'} ${entry.value} V`;
+            this._drawTag(ctx, viewport, entry.x + 4, entry.y + 8, text, style);
+        }
+
+        for (const component of this.componentManager?.components ?? []) {
+            const value = component.meta?.initialCondition;
+            if (!value) continue;
+            const bounds = component.getBounds();
+            this._drawTag(ctx, viewport, bounds.x + bounds.width + 4, bounds.y + 6, `IC=${value}`, this.styles.component);
+        }
+    }
+
+    _drawTag(ctx, viewport, worldX, worldY, text, style) {
+        const pos = viewport.worldToScreen(worldX, worldY);
+        const fontSize = Math.max(8, 10 * viewport.zoom);
+        const padX = 3 * viewport.zoom;
+        const height = fontSize + 4 * viewport.zoom;
+
+        ctx.save();
+        ctx.font = `600 ${fontSize}px -apple-system, BlinkMacSystemFont, Segoe UI, sans-serif`;
+        const width = ctx.measureText(text).width + padX * 2;
+        const y = pos.y - height / 2;
+
+        ctx.fillStyle = style.fill;
+        ctx.strokeStyle = style.border;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        if (ctx.roundRect) {
+            ctx.roundRect(pos.x, y, width, height, 3);
+        } else {
+            ctx.rect(pos.x, y, width, height);
+        }
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.fillStyle = style.text;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, pos.x + padX, pos.y);
+        ctx.restore();
+    }
+}
+
+/**
+ * @typedef {Object} InitialCondition
+ * @property {string} id
+ * @property {number} x - World X of the marker, on a wire
+ * @property {number} y - World Y of the marker
+ * @property {string} value - Voltage as SPICE number text
+ * @property {'ic' | 'nodeset'} kind
+ */
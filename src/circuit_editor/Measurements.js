@@ -0,0 +1,176 @@
+/**
+ * Measurements - Builds .meas statements and reads their results back
+ *
+ * A measurement names probes rather than nets, so it keeps working when the
+ * schematic is rewired; NetlistGenerator resolves the probes to vectors when
+ * it writes the netlist. ngspice evaluates every .meas card after the run and
+ * prints one "name = value ..." line per measurement.
+ */
+
+/** Measurement types offered by the builder, in menu order */
+export const MEASUREMENT_TYPES = [
+    { value: 'trig_targ', label: 'Delay / rise time (TRIG … TARG)' },
+    { value: 'find_when', label: 'Value when another signal crosses (FIND … WHEN)' },
+    { value: 'find_at', label: 'Value at a point (FIND … AT)' },
+    { value: 'when', label: 'Point where a signal crosses (WHEN)' },
+    { value: 'avg', label: 'Average (AVG)' },
+    { value: 'rms', label: 'RMS' },
+    { value: 'pp', label: 'Peak-to-peak (PP)' },
+    { value: 'max', label: 'Maximum (MAX)' },
+    { value: 'min', label: 'Minimum (MIN)' },
+    { value: 'integ', label: 'Integral (INTEG)' },
+    { value: 'deriv', label: 'Derivative (DERIV … AT)' }
+];
+
+export const MEASUREMENT_ANALYSES = ['tran', 'ac', 'dc'];
+
+const SCALE_UNITS = { tran: 's', ac: 'Hz', dc: '' };
+const AC_QUANTITY_UNITS = { db: 'dB', mag: null, phase: 'rad', real: null };
+const AC_QUANTITY_SUFFIX = { db: 'db', mag: 'm', phase: 'p', real: '' };
+
+/**
+ * @typedef {Object} Measurement
+ * @property {string} name - Result name, a SPICE identifier
+ * @property {'tran' | 'ac' | 'dc'} analysis
+ * @property {string} type - One of MEASUREMENT_TYPES
+ * @property {string} probe - Probe label of the measured (or trigger) signal
+ * @property {'db' | 'mag' | 'phase' | 'real'} [quantity] - How AC signals are read
+ * @property {string} [val] - Threshold for TRIG / WHEN on `probe`
+ * @property {'rise' | 'fall' | 'cross'} [edge]
+ * @property {string} [edgeCount] - Which crossing, 1 by default
+ * @property {string} [probe2] - TARG signal (trig_targ) or WHEN signal (find_when)
+ * @property {string} [val2]
+ * @property {'rise' | 'fall' | 'cross'} [edge2]
+ * @property {string} [edgeCount2]
+ * @property {string} [at] - Scale point for FIND AT / DERIV
+ * @property {string} [from] - Optional window start for AVG/RMS/PP/MAX/MIN/INTEG
+ * @property {string} [to] - Optional window end
+ */
+
+/**
+ * @typedef {Object} MeasurementResult
+ * @property {string} name
+ * @property {number} value - NaN when ngspice reported the measurement as failed
+ * @property {boolean} failed
+ * @property {string} detail - Whatever ngspice printed after the value (targ=, at=, from= ...)
+ */
+
+/**
+ * Check a measurement before it is stored
+ * @param {Measurement} measurement
+ * @param {string[]} [existingNames] - Names already in use
+ * @returns {string | null} Problem description, or null when it is usable
+ */
+export function validateMeasurement(measurement, existingNames = []) {
+    const { name, type, probe } = measurement;
+    if (!/^[a-z][a-z0-9_]*$/i.test(name || '')) {
+        return 'Measurement names start with a letter and use only letters, digits and _';
+    }
+    if (existingNames.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+        return `A measurement named "${name}" already exists`;
+    }
+    if (!MEASUREMENT_TYPES.some(entry => entry.value === type)) return `Unknown measurement type "${type}"`;
+    if (!MEASUREMENT_ANALYSES.includes(measurement.analysis)) return `Unknown analysis "${measurement.analysis}"`;
+    if (!probe) return 'Choose the probe to measure';
+
+    if ((type === 'trig_targ' || type === 'when') && !measurement.val) return 'Enter the threshold value';
+    if (type === 'trig_targ' || type === 'find_when') {
+        if (!measurement.probe2) return 'Choose the second probe';
+        if (!measurement.val2) return 'Enter the second threshold value';
+    }
+    if ((type === 'find_at' || type === 'deriv') && !measurement.at) return 'Enter the point to measure at';
+    return null;
+}
+
+/**
+ * Build the .meas card for one measurement
+ * @param {Measurement} measurement
+ * @param {(probeLabel: string) => string} resolveVector - Probe label -> vector such as "v(out)"
+ * @returns {string}
+ */
+export function buildMeasureStatement(measurement, resolveVector) {
+    const { name, analysis, type } = measurement;
+    const signal = (label) => applyQuantity(resolveVector(label), analysis, measurement.quantity);
+    const crossing = (edge, count) => `${(edge || 'cross').toUpperCase()}=${count || 1}`;
+    const condition = (label, val, edge, count) => `${signal(label)} VAL=${val} ${crossing(edge, count)}`;
+    const range = [
+        measurement.from ? `FROM=${measurement.from}` : '',
+        measurement.to ? `TO=${measurement.to}` : ''
+    ].filter(Boolean).join(' ');
+
+    let body;
+    switch (type) {
+        case 'trig_targ':
+            body = `TRIG ${condition(measurement.probe, measurement.val, measurement.edge, measurement.edgeCount)}`
+                + ` TARG ${condition(measurement.probe2, measurement.val2, measurement.edge2, measurement.edgeCount2)}`;
+            break;
+        case 'find_when':
+            body = `FIND ${signal(measurement.probe)} WHEN ${signal(measurement.probe2)}=${measurement.val2}`
+                + ` ${crossing(measurement.edge2, measurement.edgeCount2)}`;
+            break;
+        case 'find_at':
+            body = `FIND ${signal(measurement.probe)} AT=${measurement.at}`;
+            break;
+        case 'when':
+            body = `WHEN ${signal(measurement.probe)}=${measurement.val} ${crossing(measurement.edge, measurement.edgeCount)}`;
+            break;
+        case 'deriv':
+            body = `DERIV ${signal(measurement.probe)} AT=${measurement.at}`;
+            break;
+        default:
+            body = `${type.toUpperCase()} ${signal(measurement.probe)}${range ? ` ${range}` : ''}`;
+    }
+    return `.meas ${analysis} ${name} ${body}`;
+}
+
+/**
+ * Unit of a measurement's result
+ * @param {Measurement} measurement
+ * @param {'voltage' | 'current'} signalKind - What the measured probe reads
+ * @returns {string}
+ */
+export function getMeasurementUnit(measurement, signalKind = 'voltage') {
+    const scaleUnit = SCALE_UNITS[measurement.analysis] ?? '';
+    const baseUnit = signalKind === 'current' ? 'A' : 'V';
+    const signalUnit = measurement.analysis === 'ac'
+        ? (AC_QUANTITY_UNITS[measurement.quantity] ?? baseUnit)
+        : baseUnit;
+
+    switch (measurement.type) {
+        case 'trig_targ':
+        case 'when':
+            return scaleUnit;
+        case 'integ':
+            return scaleUnit ? `${signalUnit}·${scaleUnit}` : signalUnit;
+        case 'deriv':
+            return scaleUnit ? `${signalUnit}/${scaleUnit}` : signalUnit;
+        default:
+            return signalUnit;
+    }
+}
+
+/**
+ * Pick the measurement lines out of ngspice's console output
+ * @param {string} output - stdout of one simulation job
+ * @param {string[]} names - Measurement names that were in the netlist
+ * @returns {MeasurementResult[]} One entry per name, in the order given
+ */
+export function parseMeasureOutput(output, names) {
+    const lines = String(output ?? '').split('\n');
+    return names.map(name => {
+        const lower = name.toLowerCase();
+        const valuePattern = new RegExp(`^\\s*${lower}\\s*=\\s*([-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[-+]?\\d+)?)(.*)$`, 'i');
+        for (const line of lines) {
+            const match = line.match(valuePattern);
+            if (match) return { name, value: Number(match[1]), failed: false, detail: match[2].trim() };
+        }
+        const failedLine = lines.find(line => new RegExp(`\\b${lower}\\b`, 'i').test(line) && /fail/i.test(line));
+        return { name, value: NaN, failed: true, detail: failedLine?.trim() ?? 'not reported' };
+    });
+}
+
+// "v(out)" -> "vdb(out)" for AC magnitude in dB, and likewise for currents
+function applyQuantity(vector, analysis, quantity) {
+    if (analysis !== 'ac' || !quantity || quantity === 'real') return vector;
+    return vector.replace(/^([vi])\(/i, (_, kind) => `${kind}${AC_QUANTITY_SUFFIX[quantity]}(`);
+}
@@ -0,0 +1,199 @@
+/**
+ * MonteCarlo - Randomised component values and per-run measurements
+ *
+ * Components opt in through `meta.tolerance` ({percent, distribution}).
+ * Every run draws a new value for each toleranced component from a seeded
+ * generator, so a run set can be reproduced exactly from its seed. Gaussian
+ * tolerances treat the percentage as 3 sigma, the usual datasheet reading.
+ */
+
+import { parseSpiceNumber, formatSpiceNumber } from './ParameterSweep.js';
+import { findVector, realValues } from './RawfileParser.js';
+
+/** Most runs one analysis may ask for; plenty for a smooth histogram */
+export const MAX_MONTE_CARLO_RUNS = 500;
+
+export const TOLERANCE_DISTRIBUTIONS = ['uniform', 'gaussian'];
+
+/**
+ * @typedef {Object} Tolerance
+ * @property {number} percent - e.g. 5 for ±5 %
+ * @property {'uniform' | 'gaussian'} distribution
+ */
+
+/**
+ * @typedef {Object} Measurement
+ * @property {'at' | 'max' | 'min' | 'pp' | 'cutoff'} type
+ * @property {string} probe - Probe label the measurement is taken on
+ * @property {string} [at] - Scale value for 'at' (time, sweep value or frequency)
+ */
+
+/**
+ * Check a requested run count
+ * @param {number} runs
+ * @returns {string | null} Problem description, or null when it is usable
+ */
+export function validateRunCount(runs) {
+    if (!Number.isInteger(runs) || runs < 1 || runs > MAX_MONTE_CARLO_RUNS) {
+        return `Runs must be a whole number between 1 and ${MAX_MONTE_CARLO_RUNS}`;
+    }
+    return null;
+}
+
+/**
+ * Small seeded PRNG (mulberry32); returns floats in [0, 1)
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Normalise a tolerance entry from component meta
+ * @param {*} tolerance
+ * @returns {Tolerance | null} null when the component has no usable tolerance
+ */
+export function normalizeTolerance(tolerance) {
+    const percent = Number(tolerance?.percent);
+    if (!Number.isFinite(percent) || percent <= 0) return null;
+    const distribution = TOLERANCE_DISTRIBUTIONS.includes(tolerance.distribution) ? tolerance.distribution : 'uniform';
+    return { percent, distribution };
+}
+
+/**
+ * Draw a randomised value for a component value text.
+ * Plain numbers ("4.7k") and DC source values ("DC 5") are supported;
+ * anything else (waveforms, expressions) returns null.
+ * @param {string} valueText
+ * @param {Tolerance} tolerance
+ * @param {() => number} random
+ * @returns {string | null}
+ */
+export function randomizeValue(valueText, tolerance, random) {
+    const match = String(valueText ?? '').trim().match(/^(dc\s+)?(\S+)$/i);
+    if (!match) return null;
+    const nominal = parseSpiceNumber(match[2]);
+    if (!Number.isFinite(nominal)) return null;
+
+    const fraction = tolerance.percent / 100;
+    let deviation;
+    if (tolerance.distribution === 'gaussian') {
+        // Box-Muller; 1 - random() keeps the log argument away from zero
+        const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        deviation = (fraction / 3) * z;
+    } else {
+        deviation = fraction * (2 * random() - 1);
+    }
+    return `${match[1] ?? ''}${formatSpiceNumber(nominal * (1 + deviation), 6)}`;
+}
+
+/**
+ * Measure one probe in a finished run
+ * @param {import('./RawfileParser.js').RawPlot} plot
+ * @param {string | null} vectorName - Vector the probe reads (null for ground)
+ * @param {Measurement} measurement
+ * @returns {number} NaN when the measurement is undefined for this run
+ */
+export function measure(plot, vectorName, measurement) {
+    const scale = realValues(plot.vectors[0]);
+    let values;
+    if (vectorName === null) {
+        values = new Float64Array(plot.numPoints);
+    } else {
+        const vector = findVector(plot, vectorName);
+        if (!vector) return NaN;
+        values = vector.complex ? magnitude(vector) : vector.values;
+    }
+    if (values.length === 0) return NaN;
+
+    switch (measurement.type) {
+        case 'at':
+            return values.length === 1 ? values[0] : interpolate(scale, values, parseSpiceNumber(measurement.at));
+        case 'max':
+            return extent(values).max;
+        case 'min':
+            return extent(values).min;
+        case 'pp': {
+            const { min, max } = extent(values);
+            return max - min;
+        }
+        case 'cutoff':
+            return cutoffFrequency(scale, values);
+        default:
+            return NaN;
+    }
+}
+
+/**
+ * Mean, standard deviation and extremes of the finite values
+ * @param {number[]} values
+ * @returns {{count: number, mean: number, std: number, min: number, max: number}}
+ */
+export function summarize(values) {
+    const finite = values.filter(Number.isFinite);
+    const count = finite.length;
+    if (count === 0) return { count, mean: NaN, std: NaN, min: NaN, max: NaN };
+    const mean = finite.reduce((sum, v) => sum + v, 0) / count;
+    const variance = count > 1 ? finite.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (count - 1) : 0;
+    return { count, mean, std: Math.sqrt(variance), ...extent(finite) };
+}
+
+// Spreading long transients into Math.max() can exceed the argument limit
+function extent(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of values) {
+        if (v < min) min = v;
+        if (v > max) max = v;
+    }
+    return { min, max };
+}
+
+function magnitude(vector) {
+    const out = new Float64Array(vector.real.length);
+    for (let i = 0; i < out.length; i++) {
+        out[i] = Math.hypot(vector.real[i], vector.imag[i]);
+    }
+    return out;
+}
+
+function interpolate(xs, ys, x) {
+    if (!Number.isFinite(x) || xs.length === 0) return NaN;
+    const ascending = xs[xs.length - 1] >= xs[0];
+    for (let i = 1; i < xs.length; i++) {
+        const x0 = xs[i - 1];
+        const x1 = xs[i];
+        const inside = ascending ? (x >= x0 && x <= x1) : (x <= x0 && x >= x1);
+        if (inside) {
+            return x1 === x0 ? ys[i] : ys[i - 1] + (ys[i] - ys[i - 1]) * (x - x0) / (x1 - x0);
+        }
+    }
+    return NaN;
+}
+
+/**
+ * First frequency where the magnitude falls 3 dB below its first point
+ * (log-interpolated between the bracketing points)
+ */
+function cutoffFrequency(freq, mag) {
+    const threshold = mag[0] / Math.SQRT2;
+    for (let i = 1; i < mag.length; i++) {
+        if (mag[i] <= threshold) {
+            const f0 = Math.log10(freq[i - 1]);
+            const f1 = Math.log10(freq[i]);
+            const m0 = mag[i - 1];
+            const m1 = mag[i];
+            const t = m0 === m1 ? 0 : (m0 - threshold) / (m0 - m1);
+            return Math.pow(10, f0 + (f1 - f0) * t);
+        }
+    }
+    return NaN;
+}
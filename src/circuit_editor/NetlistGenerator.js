@@ -2,16 +2,39 @@
  * NetlistGenerator - Generates ngspice netlist from circuit components and wires
  */
 
+import { buildMeasureStatement, getMeasurementUnit } from './Measurements.js';
+import { parseSpiceNumber } from './ParameterSweep.js';
+import { powerVectors } from './PowerProbes.js';
+import { deviceParameterVector, resolveDeviceParameter } from './DeviceParameters.js';
+import { buildOptionsCard } from './SimulatorOptions.js';
+
+// Echoed after each partial write; ngspice-worker.js watches stdout for it
+const PARTIAL_RESULTS_MARKER = 'spicepad-partial';
+
+const GENERATED_STAMP = '* Generated: ';
+
+/**
+ * A generated netlist without its timestamp line, for telling whether two
+ * netlists would simulate the same
+ * @param {string} netlist
+ * @returns {string}
+ */
+export function netlistBody(netlist) {
+    return netlist.split('\n').filter(line => !line.startsWith(GENERATED_STAMP)).join('\n');
+}
+
 export class NetlistGenerator {
     /**
      * @param {import('./ComponentManager.js').ComponentManager} componentManager
      * @param {import('./WireGraph.js').WireGraph} wireGraph
      * @param {import('./ProbeManager.js').ProbeManager} [probeManager]
+     * @param {import('./InitialConditions.js').InitialConditionManager} [initialConditions]
      */
-    constructor(componentManager, wireGraph, probeManager = null) {
+    constructor(componentManager, wireGraph, probeManager = null, initialConditions = null) {
         this.componentManager = componentManager;
         this.wireGraph = wireGraph;
         this.probeManager = probeManager;
+        this.initialConditions = initialConditions;
         this.simulationDirectives = []; // Will be set by the app
     }
 
@@ -23,12 +46,27 @@ export class NetlistGenerator {
         this.probeManager = probeManager;
     }
 
+    /**
+     * Set the net initial conditions (.ic / .nodeset) to write
+     * @param {import('./InitialConditions.js').InitialConditionManager} initialConditions
+     */
+    setInitialConditions(initialConditions) {
+        this.initialConditions = initialConditions;
+    }
+
     /**
      * Generate a complete ngspice netlist
      * @param {Array} [customDirectives] - Optional simulation directives to use
      * @param {Object} [options]
-     * @param {boolean} [options.includeControlBlock=false] - Append a .control block with run/wrdata
-     * @param {string[]} [options.controlSignals] - Explicit list of signals to pass to wrdata
+     * @param {boolean} [options.includeControlBlock=false] - Append a .control block that runs and writes a rawfile
+     * @param {string[]} [options.controlSignals] - Explicit list of vectors to write
+     * @param {Map<string, string>} [options.valueOverrides] - componentId -> value text used instead of the component's own
+     * @param {Array<{name: string, value: string}>} [options.params] - Extra .param definitions
+     * @param {Array<import('./Measurements.js').Measurement>} [options.measurements] - .meas cards; only those for the run's analysis are written
+     * @param {string | number | null} [options.temperature] - Circuit temperature in °C (.temp); ngspice's 27 °C default when unset
+     * @param {Record<string, string> | null} [options.simulatorOptions] - .options values (reltol, method, ...); blank ones keep ngspice's defaults
+     * @param {string[]} [options.extraCards] - Cards written after the user's options, e.g. convergence retries' .options and .nodeset
+     * @param {number} [options.streamSnapshots=0] - Pause a transient run this many times to write the data so far (needs the control block)
      * @returns {string} The netlist text
      */
     generate(customDirectives = null, options = {}) {
@@ -39,16 +77,26 @@ export class NetlistGenerator {
      * Generate netlist and return accompanying metadata
      * @param {Array} [customDirectives]
      * @param {Object} [options]
-     * @returns {{ netlist: string, netMap: Map<number, string>, netNames: string[], probeInfo: Array<{label: string, node?: string, sourceName?: string, type: string}>, analysisType: string }}
+     * @returns {{ netlist: string, netMap: Map<number, string>, netNames: string[], probeInfo: Array<{label: string, node?: string, sourceName?: string, type: string, vector: string | null}>, deviceCurrents: Array<{componentId: string, designator: string, vector: string}>, analysisType: string, fourier: {probe: string, vector: string, fundamental: string, harmonics: number} | null, measurements: Array<{name: string, unit: string}>, stream: {tstop: number} | null, digitalNets: string[] }}
      */
     generateWithMetadata(customDirectives = null, options = {}) {
-        const { includeControlBlock = false, controlSignals = null } = options;
+        const {
+            includeControlBlock = false,
+            controlSignals = null,
+            valueOverrides = null,
+            params = [],
+            measurements = [],
+            temperature = null,
+            simulatorOptions = null,
+            extraCards = [],
+            streamSnapshots = 0
+        } = options;
 
         const lines = [];
         
         // Title line
         lines.push('* SpicePad Circuit');
-        lines.push('* Generated: ' + new Date().toISOString());
+        lines.push(GENERATED_STAMP + new Date().toISOString());
         lines.push('');
 
         // Refresh probe connections before using their node assignments
@@ -62,8 +110,14 @@ export class NetlistGenerator {
         // Insert virtual elements for current probes and split nets accordingly
         const { currentProbeLines, currentProbeMeta } = this._processCurrentProbes(netMap);
 
+        // Components without a device current vector get sense sources on their pins
+        const { powerProbeLines, powerProbeMeta, pinNetOverrides } = this._processPowerProbes(netMap);
+
         // Recompute net names after any probe-induced splits
         const netNames = Array.from(new Set(netMap.values())).filter(name => name !== '0');
+        // Event-driven (XSPICE digital) nets have no v() vector
+        const digitalNets = this._collectDigitalNets(netMap);
+        const analogNetNames = netNames.filter(name => !digitalNets.has(name));
 
         // Inline subcircuit definitions so instances resolve
         const subcircuitBlocks = this._collectSubcircuits();
@@ -78,9 +132,15 @@ export class NetlistGenerator {
             lines.push('');
         }
 
+        if (params.length > 0) {
+            lines.push('* Parameters');
+            params.forEach(({ name, value }) => lines.push(`.param ${name}=${value}`));
+            lines.push('');
+        }
+
         // Generate component lines
-        const componentLines = this._generateComponentLines(netMap);
-        if (componentLines.length > 0 || currentProbeLines.length > 0) {
+        const componentLines = this._generateComponentLines(netMap, valueOverrides, pinNetOverrides);
+        if (componentLines.length > 0 || currentProbeLines.length > 0 || powerProbeLines.length > 0) {
             lines.push('* Components');
             if (componentLines.length > 0) {
                 lines.push(...componentLines);
@@ -90,6 +150,11 @@ export class NetlistGenerator {
                 lines.push('* Current probes (virtual 0V sources for measurement)');
                 lines.push(...currentProbeLines);
             }
+            if (powerProbeLines.length > 0) {
+                lines.push('');
+                lines.push('* Power probes (virtual 0V sources for pin currents)');
+                lines.push(...powerProbeLines);
+            }
             lines.push('');
         }
 
@@ -101,37 +166,122 @@ export class NetlistGenerator {
             lines.push('');
         }
 
+        // Build probe info and the vectors written to the rawfile
+        const probeInfo = this._buildProbeInfo(netMap, currentProbeMeta, digitalNets, powerProbeMeta);
+        const deviceCurrents = this._buildDeviceCurrents();
+
         // Add simulation commands and detect analysis type
         const directives = customDirectives || this.simulationDirectives;
         let analysisType = 'op'; // default
+        let fourier = null;
+        let tstop = NaN;
+        const hasTemperature = temperature !== null && temperature !== undefined && String(temperature).trim() !== '';
+        const optionsCard = buildOptionsCard(simulatorOptions);
+        const initialConditionCards = this._buildInitialConditionCards(netMap, digitalNets);
         if (directives && directives.length > 0) {
             lines.push('* Simulation');
+            if (optionsCard) lines.push(optionsCard);
+            lines.push(...extraCards);
+            if (hasTemperature) lines.push(`.temp ${String(temperature).trim()}`);
+            lines.push(...initialConditionCards);
             directives.forEach(dir => {
-                const text = dir.text || dir;
+                let text = dir.text || dir;
+                if (dir.type === 'noise') text = this._buildNoiseDirective(dir, probeInfo);
+                else if (dir.type === 'pz') text = this._buildPoleZeroDirective(dir, probeInfo);
                 lines.push(text);
+                if (dir.type === 'tran' && dir.params?.fourier) {
+                    fourier = this._resolveFourier(dir.params.fourier, probeInfo);
+                    // The control block runs `fourier` itself; plain netlists keep the card
+                    if (!includeControlBlock) lines.push(`.four ${fourier.fundamental} ${fourier.vector}`);
+                }
                 // Detect analysis type from directive
                 if (text.toLowerCase().startsWith('.ac')) analysisType = 'ac';
-                else if (text.toLowerCase().startsWith('.tran')) analysisType = 'tran';
+                else if (text.toLowerCase().startsWith('.tran')) {
+                    analysisType = 'tran';
+                    tstop = this._transientStopTime(text);
+                }
                 else if (text.toLowerCase().startsWith('.dc')) analysisType = 'dc';
                 else if (text.toLowerCase().startsWith('.op')) analysisType = 'op';
+                else if (text.toLowerCase().startsWith('.noise')) analysisType = 'noise';
+                else if (text.toLowerCase().startsWith('.pz')) analysisType = 'pz';
             });
         } else {
             // Default to operating point if no directives specified
             lines.push('* Simulation');
+            if (optionsCard) lines.push(optionsCard);
+            lines.push(...extraCards);
+            if (hasTemperature) lines.push(`.temp ${String(temperature).trim()}`);
+            lines.push(...initialConditionCards);
             lines.push('.op');
         }
 
-        // Build probe info and signals for wrdata
-        const probeInfo = this._buildProbeInfo(netMap, currentProbeMeta);
+        // ngspice warns about .meas cards for analyses that did not run, so skip them
+        const includedMeasurements = measurements.filter(m => m.analysis === analysisType);
+        if (includedMeasurements.length > 0) {
+            lines.push('');
+            lines.push('* Measurements');
+            includedMeasurements.forEach(m => lines.push(buildMeasureStatement(m, label => this._probeVector(label, probeInfo))));
+        }
         
+        let stream = null;
+        // Logic levels are recorded over time, so only transient runs have a timing diagram
+        const digitalNodes = analysisType === 'tran'
+            ? [...new Set(probeInfo.filter(p => p.type === 'digital').map(p => p.node))]
+            : [];
         if (includeControlBlock) {
-            const signals = this._resolveControlSignals(controlSignals, netNames, probeInfo);
+            let signals = this._resolveControlSignals(controlSignals, analogNetNames, probeInfo);
             lines.push('.control');
-            lines.push('set filetype=ascii');
-            lines.push('run');
-            if (signals.length > 0) {
-                lines.push(`wrdata output.txt ${signals.join(' ')}`);
+            lines.push('set filetype=binary');
+            // Device parameters (@r1[i]) are only kept when saved before the run
+            const deviceParams = new Set(signals.filter(v => v.startsWith('@')));
+            if (analysisType === 'op' && !controlSignals) {
+                // Operating point results are back-annotated, so write every node and device current
+                deviceCurrents.map(d => d.vector).filter(v => v.startsWith('@')).forEach(v => deviceParams.add(v));
+                signals = [...new Set([
+                    ...signals,
+                    ...analogNetNames.map(name => `v(${name})`),
+                    ...deviceCurrents.map(d => d.vector)
+                ])];
+            }
+            if (deviceParams.size > 0) {
+                lines.push(`save all ${[...deviceParams].join(' ')}`);
+            }
+            if (analysisType === 'tran' && streamSnapshots > 0 && Number.isFinite(tstop) && tstop > 0 && signals.length > 0) {
+                stream = { tstop };
+                lines.push(...this._streamingRunCommands(tstop, streamSnapshots, signals));
+            } else {
+                lines.push('run');
+            }
+            if (analysisType === 'noise') {
+                // .noise leaves two plots: integrated totals (current) and the spectra before it.
+                // Noise vectors have their own names, so write both plots whole.
+                lines.push('write output.raw all');
+                lines.push('set appendwrite');
+                lines.push('setplot previous');
+                lines.push('write output.raw all');
+                lines.push('unset appendwrite');
+            } else if (analysisType === 'pz') {
+                // Roots are vectors named pole(n)/zero(n), not node voltages
+                lines.push('write output.raw all');
+            } else if (signals.length > 0) {
+                lines.push(`write output.raw ${signals.join(' ')}`);
+            } else if (digitalNodes.length > 0) {
+                // Only digital probes: the rawfile still carries the time axis
+                lines.push('write output.raw time');
+            }
+            if (digitalNodes.length > 0) {
+                // Event nodes are not in the analog plot; eprvcd dumps their history as VCD
+                lines.push(`eprvcd ${digitalNodes.join(' ')} > digital.vcd`);
             }
+            if (fourier) {
+                // After the write: newer ngspice leaves a fourier plot current.
+                // nfreqs counts the DC term as well as the harmonics.
+                lines.push(`set nfreqs=${fourier.harmonics + 1}`);
+                lines.push(`fourier ${fourier.fundamental} ${fourier.vector}`);
+            }
+            // The worker keeps ngspice alive between jobs; drop plots and circuits
+            lines.push('destroy all');
+            lines.push('remcirc');
             lines.push('quit');
             lines.push('.endc');
         }
@@ -143,17 +293,190 @@ export class NetlistGenerator {
             netMap,
             netNames,
             probeInfo,
-            analysisType
+            deviceCurrents,
+            analysisType,
+            fourier,
+            measurements: includedMeasurements.map(m => ({
+                name: m.name,
+                unit: getMeasurementUnit(m, probeInfo.find(p => p.label === m.probe)?.type)
+            })),
+            stream,
+            digitalNets: Array.from(digitalNets)
+        };
+    }
+
+    /**
+     * tstop of a .tran card (".tran tstep tstop [tstart [tmax]] [uic]")
+     * @param {string} text
+     * @returns {number} NaN when the card has no readable stop time
+     */
+    _transientStopTime(text) {
+        const fields = text.trim().split(/\s+/);
+        return parseSpiceNumber(fields[2]);
+    }
+
+    /**
+     * Control commands that run a transient in slices. A `stop when time gt t`
+     * breakpoint pauses the run, the data so far is written to partial.raw
+     * and announced on stdout, and `resume` carries on from the same point.
+     * @param {number} tstop
+     * @param {number} snapshots - Pauses spread evenly over 0..tstop
+     * @param {string[]} signals - Vectors to write at each pause
+     * @returns {string[]}
+     */
+    _streamingRunCommands(tstop, snapshots, signals) {
+        const breakpoints = Array.from({ length: snapshots - 1 }, (_, i) => Number((tstop * (i + 1) / snapshots).toPrecision(6)));
+        if (breakpoints.length === 0) return ['run'];
+
+        // `gt` rather than `>`, which the control language reads as output redirection
+        const commands = [`stop when time gt ${breakpoints[0]}`, 'run'];
+        breakpoints.forEach((_, i) => {
+            commands.push(`write partial.raw ${signals.join(' ')}`);
+            commands.push(`echo ${PARTIAL_RESULTS_MARKER}`);
+            // A `when` breakpoint stays true once passed, so replace it rather than add to it
+            commands.push('delete all');
+            if (i + 1 < breakpoints.length) commands.push(`stop when time gt ${breakpoints[i + 1]}`);
+            commands.push('resume');
+        });
+        return commands;
+    }
+
+    /**
+     * Resolve a transient directive's Fourier settings to the probed vector
+     * @param {{probe: string, fundamental: string, harmonics: number | string}} settings
+     * @param {Array<Object>} probeInfo
+     * @returns {{probe: string, vector: string, fundamental: string, harmonics: number}}
+     */
+    _resolveFourier(settings, probeInfo) {
+        const probe = probeInfo.find(p => p.label === settings.probe);
+        if (!probe?.vector) {
+            throw new Error(`Fourier probe "${settings.probe}" is not connected to a net`);
+        }
+        return {
+            probe: settings.probe,
+            vector: probe.vector,
+            fundamental: settings.fundamental,
+            harmonics: Math.max(1, Math.round(Number(settings.harmonics) || 9))
+        };
+    }
+
+    /**
+     * Build a .noise line from the builder's settings. The output is stored as a
+     * probe label and resolved here, so it follows net renames.
+     * @param {{text: string, params: Object}} directive
+     * @param {Array<Object>} probeInfo
+     * @returns {string}
+     */
+    _buildNoiseDirective(directive, probeInfo) {
+        const { outputProbe, refProbe, source, variation, points, fstart, fstop, summary } = directive.params || {};
+        if (!outputProbe) return directive.text;
+
+        const outputNet = this._probeNet(outputProbe, probeInfo, 'Noise output');
+        const output = refProbe ? `v(${outputNet},${this._probeNet(refProbe, probeInfo, 'Noise reference')})` : `v(${outputNet})`;
+        let text = `.noise ${output} ${source} ${variation} ${points} ${fstart} ${fstop}`;
+        // A summary interval makes ngspice keep per-device contributions
+        if (summary) text += ' 1';
+        return text;
+    }
+
+    /**
+     * Build a .pz line from the builder's settings; node pairs are probe labels
+     * ('' for ground) resolved to nets here.
+     * @param {{text: string, params: Object}} directive
+     * @param {Array<Object>} probeInfo
+     * @returns {string}
+     */
+    _buildPoleZeroDirective(directive, probeInfo) {
+        const { inputPos, inputNeg, outputPos, outputNeg, transfer, kind } = directive.params || {};
+        if (inputPos === undefined) return directive.text;
+
+        const nodes = [
+            this._probeNet(inputPos, probeInfo, 'Pole-zero input'),
+            this._probeNet(inputNeg, probeInfo, 'Pole-zero input reference'),
+            this._probeNet(outputPos, probeInfo, 'Pole-zero output'),
+            this._probeNet(outputNeg, probeInfo, 'Pole-zero output reference')
+        ];
+        return `.pz ${nodes.join(' ')} ${transfer} ${kind}`;
+    }
+
+    /**
+     * Vector a probe reads, for cards that take any signal (.meas)
+     * @param {string} label
+     * @param {Array<Object>} probeInfo
+     * @returns {string}
+     */
+    _probeVector(label, probeInfo) {
+        const probe = probeInfo.find(p => p.label === label);
+        if (!probe) throw new Error(`Measurement probe "${label}" does not exist`);
+        if (probe.type === 'digital') throw new Error(`Measurement probe "${label}" is on a digital net`);
+        if (!probe.vector) throw new Error(`Measurement probe "${label}" is on ground or not connected`);
+        return probe.vector;
+    }
+
+    /**
+     * Net under a voltage probe; an empty label means ground
+     * @param {string} label
+     * @param {Array<Object>} probeInfo
+     * @param {string} role - Used in the error message, e.g. "Noise output"
+     * @returns {string}
+     */
+    _probeNet(label, probeInfo, role) {
+        if (!label) return '0';
+        const probe = probeInfo.find(p => p.label === label && p.type === 'voltage');
+        if (!probe?.node) throw new Error(`${role} probe "${label}" is not connected to a net`);
+        return probe.node;
+    }
+
+    /**
+     * Map each component to the ngspice vector holding its current.
+     * Sources and inductors have branch currents; other devices expose an
+     * instance parameter that has to be saved explicitly.
+     * @returns {Array<{componentId: string, designator: string, vector: string}>}
+     */
+    _buildDeviceCurrents() {
+        const paramByType = {
+            resistor: 'i',
+            capacitor: 'i',
+            current: 'current',
+            diode: 'id',
+            bjt: 'ic',
+            mosfet: 'id',
+            jfet: 'id'
         };
+        const currents = [];
+
+        for (const component of this.componentManager.components) {
+            if (component.meta?.isGround || component.meta?.isNetLabel) continue;
+            const definition = component.meta?.definition;
+            if (definition?.componentType === 'subcircuit') continue;
+            // Only components that made it into the netlist have vectors
+            if (!this.componentManager.pinNodeIdsByComponent.get(component.id)) continue;
+
+            const designator = component.meta?.designatorText || component.name || component.id;
+            const spiceType = definition?.spiceType || this._guessSpiceType(designator);
+            let vector = null;
+            if (spiceType === 'voltage' || spiceType === 'inductor') {
+                vector = `i(${designator})`;
+            } else if (paramByType[spiceType]) {
+                vector = `@${designator.toLowerCase()}[${paramByType[spiceType]}]`;
+            }
+            if (vector) {
+                currents.push({ componentId: component.id, designator, vector });
+            }
+        }
+
+        return currents;
     }
 
     /**
      * Build probe information array mapping probe labels to net names or current sources
      * @param {Map<number, string>} netMap
      * @param {Map<string, {sourceName: string, positiveNet: string, senseNet: string}>} [currentProbeMeta]
-     * @returns {Array<{label: string, node?: string, nodeId?: number, color: string, type: string, sourceName?: string, isGround?: boolean}>}
+     * @param {Set<string>} [digitalNets] - Nets driven by XSPICE digital ports
+     * @param {Map<string, {componentId: string, designator: string, terms: Array<import('./PowerProbes.js').PowerTerm>}>} [powerProbeMeta]
+     * @returns {Array<{label: string, node?: string, refNode?: string | null, nodeId?: number, color: string, type: string, vector: string | null, sourceName?: string, isGround?: boolean, designator?: string, param?: string, unit?: string, terms?: Array<import('./PowerProbes.js').PowerTerm>}>}
      */
-    _buildProbeInfo(netMap, currentProbeMeta = new Map()) {
+    _buildProbeInfo(netMap, currentProbeMeta = new Map(), digitalNets = new Set(), powerProbeMeta = new Map()) {
         if (!this.probeManager) return [];
         
         const probeData = this.probeManager.getProbeData();
@@ -161,6 +484,20 @@ export class NetlistGenerator {
         
         for (const probe of probeData) {
             const type = probe.type || 'voltage';
+            if (type === 'power') {
+                const meta = powerProbeMeta.get(probe.id);
+                if (!meta) continue;
+                probeInfo.push({
+                    label: probe.label,
+                    type: 'power',
+                    componentId: meta.componentId,
+                    designator: meta.designator,
+                    terms: meta.terms,
+                    vector: null,
+                    color: probe.color || '#3b82f6'
+                });
+                continue;
+            }
             if (type === 'current') {
                 const meta = currentProbeMeta.get(probe.id);
                 if (!meta) continue;
@@ -170,14 +507,35 @@ export class NetlistGenerator {
                     nodeId: probe.nodeId,
                     type: 'current',
                     sourceName: meta.sourceName,
+                    vector: `i(${meta.sourceName})`,
                     color: probe.color || '#3b82f6'
                 });
                 continue;
             }
+            if (type === 'differential') {
+                const info = this._buildDifferentialProbeInfo(probe, netMap, digitalNets);
+                if (info) probeInfo.push(info);
+                continue;
+            }
+            if (type === 'device') {
+                const info = this._buildDeviceProbeInfo(probe);
+                if (info) probeInfo.push(info);
+                continue;
+            }
 
             if (probe.nodeId !== null) {
                 const netName = netMap.get(probe.nodeId);
-                if (netName) {
+                if (netName && digitalNets.has(netName)) {
+                    // Voltage and digital probes both read a logic state on digital nets
+                    probeInfo.push({
+                        label: probe.label,
+                        node: netName,
+                        nodeId: probe.nodeId,
+                        type: 'digital',
+                        vector: null,
+                        color: probe.color || '#3b82f6'
+                    });
+                } else if (netName) {
                     // Include all probes, even ground (will show 0V)
                     probeInfo.push({
                         label: probe.label,
@@ -185,6 +543,7 @@ export class NetlistGenerator {
                         nodeId: probe.nodeId,
                         isGround: netName === '0',
                         type: 'voltage',
+                        vector: netName === '0' ? null : `v(${netName})`,
                         color: probe.color || '#3b82f6'
                     });
                 }
@@ -194,6 +553,66 @@ export class NetlistGenerator {
         return probeInfo;
     }
 
+    /**
+     * Probe info for a differential probe: v(plus,minus), or v(plus) while the
+     * - tip is unplaced or on ground. ngspice cannot name ground in v(a,b), so a
+     * probe with only its + tip on ground has no vector.
+     * @param {{label: string, nodeId: number | null, refNodeId: number | null, color?: string}} probe
+     * @param {Map<number, string>} netMap
+     * @param {Set<string>} digitalNets
+     * @returns {Object | null} null when the + tip is unconnected or either tip is on a digital net
+     */
+    _buildDifferentialProbeInfo(probe, netMap, digitalNets) {
+        const plus = probe.nodeId !== null ? netMap.get(probe.nodeId) : null;
+        if (!plus) return null;
+        const minus = (probe.refNodeId ?? null) !== null ? (netMap.get(probe.refNodeId) ?? null) : null;
+        if (digitalNets.has(plus) || (minus && digitalNets.has(minus))) return null;
+
+        const reference = minus ?? '0';
+        // Both tips on one net read a flat 0 V, like a voltage probe on ground
+        const isZero = plus === reference;
+        let vector = null;
+        if (!isZero && plus !== '0') vector = reference === '0' ? `v(${plus})` : `v(${plus},${reference})`;
+
+        return {
+            label: probe.label,
+            node: plus,
+            refNode: minus,
+            nodeId: probe.nodeId,
+            isGround: isZero,
+            type: 'differential',
+            vector,
+            color: probe.color || '#3b82f6'
+        };
+    }
+
+    /**
+     * Probe info for a device-parameter probe: the @device[param] vector of the
+     * component it is attached to
+     * @param {{label: string, componentId: string | null, param: string | null, color?: string}} probe
+     * @returns {Object | null} null when the component is not in the netlist or has no probeable parameters
+     */
+    _buildDeviceProbeInfo(probe) {
+        const component = this.componentManager.components.find(comp => comp.id === probe.componentId);
+        if (!component || component.meta?.isGround || component.meta?.isNetLabel) return null;
+        if (!this.componentManager.pinNodeIdsByComponent.get(component.id)) return null;
+
+        const designator = component.meta?.designatorText || component.name || component.id;
+        const param = resolveDeviceParameter(this.getSpiceType(component), probe.param);
+        if (!param) return null;
+
+        return {
+            label: probe.label,
+            type: 'device',
+            componentId: component.id,
+            designator,
+            param: param.name,
+            unit: param.unit,
+            vector: deviceParameterVector(designator, param.name),
+            color: probe.color || '#3b82f6'
+        };
+    }
+
     /**
      * Split nets and create virtual voltage sources for current probes
      * @param {Map<number, string>} netMap
@@ -210,11 +629,13 @@ export class NetlistGenerator {
         const probeData = this.probeManager.getProbeData();
         if (!Array.isArray(probeData) || probeData.length === 0) return result;
 
-        const existingNetNames = new Set(netMap.values());
+        // Lower case: ngspice folds the case of names
+        const existingNetNames = new Set(Array.from(netMap.values(), name => name.toLowerCase()));
         const existingDesignators = new Set(
             this.componentManager.components
                 .map(comp => comp?.meta?.designatorText || comp?.name || comp?.id)
                 .filter(Boolean)
+                .map(name => name.toLowerCase())
         );
 
         let counter = 1;
@@ -254,6 +675,104 @@ export class NetlistGenerator {
         return result;
     }
 
+    /**
+     * Describe each power probe's component as current × voltage terms.
+     * Two-terminal parts and transistors use their own current vectors
+     * (terminals in netlist order, e.g. C B E); anything else, such as a
+     * subcircuit, gets a 0V sense source on every pin but the last, which
+     * is the voltage reference.
+     * @param {Map<number, string>} netMap
+     * @returns {{ powerProbeLines: string[], powerProbeMeta: Map<string, {componentId: string, designator: string, terms: Array<import('./PowerProbes.js').PowerTerm>}>, pinNetOverrides: Map<string, Map<string, string>> }}
+     */
+    _processPowerProbes(netMap) {
+        const result = {
+            powerProbeLines: [],
+            powerProbeMeta: new Map(),
+            pinNetOverrides: new Map()
+        };
+        if (!this.probeManager) return result;
+
+        const probes = this.probeManager.getProbeData().filter(probe => probe.type === 'power' && probe.componentId);
+        if (probes.length === 0) return result;
+
+        // Lower case: ngspice folds the case of names
+        const existingNetNames = new Set(Array.from(netMap.values(), name => name.toLowerCase()));
+        const existingDesignators = new Set(
+            this.componentManager.components
+                .map(comp => comp?.meta?.designatorText || comp?.name || comp?.id)
+                .filter(Boolean)
+                .map(name => name.toLowerCase())
+        );
+        const voltage = (net) => (net === '0' ? null : `v(${net})`);
+        let counter = 1;
+
+        for (const probe of probes) {
+            const component = this.componentManager.components.find(comp => comp.id === probe.componentId);
+            const pinMap = component && this.componentManager.pinNodeIdsByComponent.get(component.id);
+            if (!pinMap || component.meta?.isGround || component.meta?.isNetLabel || pinMap.size < 2) continue;
+
+            const designator = component.meta?.designatorText || component.name || component.id;
+            const device = designator.toLowerCase();
+            const spiceType = this.getSpiceType(component);
+            if (spiceType === 'xspice') continue;
+
+            const pinIds = Array.from(pinMap.keys());
+            const nets = pinIds.map(pinId => result.pinNetOverrides.get(component.id)?.get(pinId)
+                ?? netMap.get(pinMap.get(pinId)) ?? '0');
+            const across = (current, plus, minus) => ({ current, plus: voltage(nets[plus]), minus: voltage(nets[minus]) });
+
+            let terms;
+            switch (spiceType) {
+                case 'resistor':
+                case 'capacitor':
+                    terms = [across(`@${device}[i]`, 0, 1)];
+                    break;
+                case 'voltage':
+                case 'inductor':
+                    terms = [across(`i(${designator})`, 0, 1)];
+                    break;
+                case 'current':
+                    terms = [across(`@${device}[current]`, 0, 1)];
+                    break;
+                case 'diode':
+                    terms = [across(`@${device}[id]`, 0, 1)];
+                    break;
+                case 'bjt':
+                    terms = [across(`@${device}[ic]`, 0, 2), across(`@${device}[ib]`, 1, 2)];
+                    break;
+                case 'mosfet':
+                case 'jfet':
+                    terms = [across(`@${device}[id]`, 0, 2)];
+                    break;
+                default: {
+                    // Sense every pin but the last; their currents sum to minus the last pin's
+                    const overrides = result.pinNetOverrides.get(component.id) ?? new Map();
+                    terms = [];
+                    pinIds.slice(0, -1).forEach((pinId, index) => {
+                        const net = nets[index];
+                        const sourceName = this._makeUniqueName(
+                            this._sanitizeIdentifier(`V_PPROBE_${designator}_${pinId}`, `V_PPROBE_${counter}`),
+                            existingDesignators
+                        );
+                        const senseNet = this._makeUniqueName(
+                            this._sanitizeIdentifier(`${net}_PP${counter}`, `${net}_PP`, { allowLeadingDigit: true }),
+                            existingNetNames
+                        );
+                        overrides.set(pinId, senseNet);
+                        result.powerProbeLines.push(`${sourceName} ${net} ${senseNet} 0`);
+                        terms.push({ current: `i(${sourceName})`, plus: voltage(net), minus: voltage(nets[nets.length - 1]) });
+                        counter++;
+                    });
+                    result.pinNetOverrides.set(component.id, overrides);
+                }
+            }
+
+            result.powerProbeMeta.set(probe.id, { componentId: component.id, designator, terms });
+        }
+
+        return result;
+    }
+
     /**
      * Decide which side of a probed net should be moved to the sense node
      * @param {{ nodeId: number, segmentId?: string | null }} probe
@@ -393,60 +912,117 @@ export class NetlistGenerator {
     }
 
     _isDriverComponent(component) {
-        const definition = component.meta?.definition;
-        const designator = component.meta?.designatorText || component.name || component.id;
-        const spiceType = definition?.spiceType || this._guessSpiceType(designator);
+        const spiceType = this.getSpiceType(component);
         return spiceType === 'voltage' || spiceType === 'current';
     }
 
     /**
      * Build a map from wire node IDs to net names
-     * Groups connected nodes into nets and assigns net numbers
+     * Groups connected nodes into nets. A net touching a ground symbol is 0; a
+     * net with a net label takes the label's text (labels with the same text,
+     * in any case, join their nets); any other net is named after its first component pin,
+     * e.g. R1_A, so names do not change when unrelated parts are added.
      * @returns {Map<number, string>} Map of nodeId -> net name
      */
     _buildNetMap() {
         const netMap = new Map();
         const visited = new Set();
-        let netNumber = 1;
 
         // Get all nodes including component pins
         const allNodeIds = new Set(this.wireGraph.getAllNodes().map(n => n.id));
-        
-        // Add component pin node IDs
+
+        // Component pins by node, for naming
+        const pinsByNode = new Map();
         for (const component of this.componentManager.components) {
             const pinMap = this.componentManager.pinNodeIdsByComponent.get(component.id);
-            if (pinMap) {
-                for (const nodeId of pinMap.values()) {
-                    allNodeIds.add(nodeId);
-                }
+            if (!pinMap) continue;
+            for (const [pinId, nodeId] of pinMap.entries()) {
+                allNodeIds.add(nodeId);
+                if (!pinsByNode.has(nodeId)) pinsByNode.set(nodeId, []);
+                pinsByNode.get(nodeId).push({ component, pinId });
             }
         }
 
         // Flood fill to find connected nets
+        const groups = [];
         for (const nodeId of allNodeIds) {
             if (visited.has(nodeId)) continue;
 
-            const connectedNodes = this._getConnectedNodes(nodeId, visited);
-            
-            // Check if this net contains a ground component
-            let netName = null;
-            for (const id of connectedNodes) {
-                const component = this._findComponentByPinNode(id);
-                if (component?.meta?.isGround) {
-                    netName = '0'; // Ground net
-                    break;
+            const nodes = this._getConnectedNodes(nodeId, visited);
+            const pins = Array.from(nodes).flatMap(id => pinsByNode.get(id) ?? []);
+            groups.push({ nodes, pins });
+        }
+
+        // Groups that share a label, compared without case as ngspice does, are one net
+        const parent = groups.map((_, index) => index);
+        const find = (index) => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
+            }
+            return index;
+        };
+        const groupByLabel = new Map();
+        const labelsByGroup = groups.map((group, index) => {
+            const labels = group.pins
+                .filter(({ component }) => component.meta?.isNetLabel)
+                .map(({ component }) => this._sanitizeIdentifier(component.meta?.designatorText, '', { allowLeadingDigit: true }))
+                .filter(Boolean);
+            labels.forEach(label => {
+                const key = label.toLowerCase();
+                if (groupByLabel.has(key)) {
+                    parent[find(index)] = find(groupByLabel.get(key));
+                } else {
+                    groupByLabel.set(key, index);
                 }
+            });
+            return labels;
+        });
+
+        const nets = new Map();
+        groups.forEach((group, index) => {
+            const root = find(index);
+            if (!nets.has(root)) nets.set(root, { nodes: new Set(), pins: [], labels: [], name: null });
+            const net = nets.get(root);
+            group.nodes.forEach(id => net.nodes.add(id));
+            net.pins.push(...group.pins);
+            net.labels.push(...labelsByGroup[index]);
+        });
+
+        // Labelled nets first, so a derived name never takes a label's
+        const used = new Set(['0']);
+        const named = Array.from(nets.values());
+        for (const net of named) {
+            const labels = net.labels.slice().sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+            // ngspice treats a node called gnd as ground too
+            if (net.pins.some(({ component }) => component.meta?.isGround) || labels.some(label => label.toLowerCase() === 'gnd')) {
+                net.name = '0';
+            } else if (labels.length > 0) {
+                net.name = labels[0];
+                used.add(net.name.toLowerCase());
             }
+        }
 
-            // Otherwise assign a numbered net
-            if (!netName) {
-                netName = `${netNumber}`;
-                netNumber++;
+        const compare = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+        for (const entry of named) {
+            if (!entry.name) {
+                const pinNames = entry.pins
+                    .filter(({ component }) => !component.meta?.isNetLabel)
+                    .map(({ component, pinId }) => {
+                        const designator = component.meta?.designatorText || component.name || component.id;
+                        const pin = component.pins.find(candidate => candidate.id === pinId);
+                        return this._sanitizeIdentifier(`${designator}_${pin?.name || pinId}`, '', { allowLeadingDigit: true });
+                    })
+                    .filter(Boolean)
+                    .sort(compare);
+                // Wire-only nets have no pins; their lowest node ID is the next steadiest thing
+                const base = pinNames[0] ?? `N${Math.min(...entry.nodes)}`;
+                entry.name = this._makeUniqueName(base, used);
             }
 
             // Assign the net name to all nodes in this connected group
-            for (const id of connectedNodes) {
-                netMap.set(id, netName);
+            for (const id of entry.nodes) {
+                netMap.set(id, entry.name);
             }
         }
 
@@ -483,38 +1059,21 @@ export class NetlistGenerator {
         return connected;
     }
 
-    /**
-     * Find a component that has a pin connected to the given node ID
-     * @param {number} nodeId
-     * @returns {import('./Component.js').Component | null}
-     */
-    _findComponentByPinNode(nodeId) {
-        for (const component of this.componentManager.components) {
-            const pinMap = this.componentManager.pinNodeIdsByComponent.get(component.id);
-            if (pinMap) {
-                for (const pinNodeId of pinMap.values()) {
-                    if (pinNodeId === nodeId) {
-                        return component;
-                    }
-                }
-            }
-        }
-        return null;
-    }
-
     /**
      * Generate SPICE lines for each component
      * @param {Map<number, string>} netMap
+     * @param {Map<string, string>} [valueOverrides] - componentId -> value text
+     * @param {Map<string, Map<string, string>>} [pinNetOverrides] - componentId -> pin id -> net (power probe sense nets)
      * @returns {string[]}
      */
-    _generateComponentLines(netMap) {
+    _generateComponentLines(netMap, valueOverrides = null, pinNetOverrides = null) {
         const lines = [];
 
         for (const component of this.componentManager.components) {
-            // Skip ground symbols
-            if (component.meta?.isGround) continue;
+            // Skip ground symbols and net labels; they only name nets
+            if (component.meta?.isGround || component.meta?.isNetLabel) continue;
 
-            const line = this._generateComponentLine(component, netMap);
+            const line = this._generateComponentLine(component, netMap, valueOverrides?.get(component.id), pinNetOverrides?.get(component.id));
             if (line) {
                 lines.push(line);
             }
@@ -523,17 +1082,36 @@ export class NetlistGenerator {
         return lines;
     }
 
+    /**
+     * .ic and .nodeset cards for the nets given initial conditions on the schematic
+     * @param {Map<number, string>} netMap
+     * @param {Set<string>} digitalNets - Skipped: their values are logic states, not node voltages
+     * @returns {string[]}
+     */
+    _buildInitialConditionCards(netMap, digitalNets) {
+        if (!this.initialConditions) return [];
+        const entries = this.initialConditions.resolve(netMap).filter(entry => !digitalNets.has(entry.net));
+        const cards = [];
+        for (const kind of ['ic', 'nodeset']) {
+            const settings = entries.filter(entry => entry.kind === kind).map(entry => `v(${entry.net})=${entry.value}`);
+            if (settings.length > 0) cards.push(`.${kind} ${settings.join(' ')}`);
+        }
+        return cards;
+    }
+
     /**
      * Generate a single SPICE line for a component
      * @param {import('./Component.js').Component} component
      * @param {Map<number, string>} netMap
+     * @param {string} [valueOverride] - Value text to use instead of the component's (parameter sweeps)
+     * @param {Map<string, string>} [pinNets] - Pin id -> net to use instead of the wired one
      * @returns {string | null}
      */
-    _generateComponentLine(component, netMap) {
+    _generateComponentLine(component, netMap, valueOverride = undefined, pinNets = null) {
         const definition = component.meta?.definition;
         const designator = component.meta?.designatorText || component.name || component.id;
         const isSubcircuit = definition?.componentType === 'subcircuit';
-        const value = isSubcircuit ? '' : (component.meta?.valueText || definition?.defaultValue || '');
+        const value = isSubcircuit ? '' : (valueOverride ?? (component.meta?.valueText || definition?.defaultValue || ''));
 
         // Get pin connections
         const pinMap = this.componentManager.pinNodeIdsByComponent.get(component.id);
@@ -541,6 +1119,7 @@ export class NetlistGenerator {
 
         const pinIds = Array.from(pinMap.keys());
         const netNames = pinIds.map(pinId => {
+            if (pinNets?.has(pinId)) return pinNets.get(pinId);
             const nodeId = pinMap.get(pinId);
             return netMap.get(nodeId) || '0';
         });
@@ -554,10 +1133,13 @@ export class NetlistGenerator {
         const modelInfo = spiceType === 'subcircuit' ? null : this._resolveModelInfo(component);
 
         // Format: [designator] [node1] [node2] ... [value/model]
-        let line = `${designator} ${netNames.join(' ')}`;
+        const connections = spiceType === 'xspice'
+            ? this._buildXspiceConnections(component, pinMap, netMap)
+            : netNames.join(' ');
+        let line = `${designator} ${connections}`;
 
-        // Inline overrides take precedence over defaults
-        if (modelInfo?.inlineOverride) {
+        // Inline overrides take precedence over defaults, but not over a swept value
+        if (modelInfo?.inlineOverride && valueOverride === undefined) {
             line += ` ${modelInfo.inlineOverride}`;
             return line;
         }
@@ -585,18 +1167,25 @@ export class NetlistGenerator {
             case 'diode':
             case 'bjt':
             case 'mosfet':
-            case 'jfet': {
-                // Semiconductor devices need model names
+            case 'jfet':
+            case 'xspice': {
+                // Semiconductor devices and code models need model names
                 const modelName = modelInfo.modelName || value || `${designator}_MODEL`;
                 line += ` ${modelName}`;
                 break;
             }
             case 'resistor':
-            case 'capacitor':
-            case 'inductor':
                 // Passive components just need value
                 line += value ? ` ${value}` : ' 1k';
                 break;
+            case 'capacitor':
+            case 'inductor': {
+                line += value ? ` ${value}` : ' 1k';
+                // Initial voltage (capacitor) or current (inductor); used by .tran ... uic
+                const initialCondition = String(component.meta?.initialCondition ?? '').trim();
+                if (initialCondition) line += ` IC=${initialCondition}`;
+                break;
+            }
             default:
                 line += value ? ` ${value}` : '';
         }
@@ -604,6 +1193,19 @@ export class NetlistGenerator {
         return line;
     }
 
+    /**
+     * SPICE element type of a component ('resistor', 'voltage', 'subcircuit', ...)
+     * @param {import('./Component.js').Component} component
+     * @returns {string | null}
+     */
+    getSpiceType(component) {
+        if (component.meta?.isNetLabel) return null;
+        const definition = component.meta?.definition;
+        if (definition?.spiceType) return definition.spiceType;
+        if (definition?.componentType === 'subcircuit') return 'subcircuit';
+        return this._guessSpiceType(component.meta?.designatorText || component.name || component.id);
+    }
+
     /**
      * Guess SPICE component type from designator prefix
      * @param {string} designator
@@ -621,11 +1223,62 @@ export class NetlistGenerator {
             'Q': 'bjt',
             'M': 'mosfet',
             'J': 'jfet',
+            'A': 'xspice',
             'X': 'subcircuit'
         };
         return typeMap[prefix] || null;
     }
 
+    /**
+     * Port list of an XSPICE code model instance. The definition's
+     * `xspice.ports` lists pin ids in the model's port order; nested arrays
+     * are vector ports (written in brackets) and null is an unused port (NULL).
+     * XSPICE rejects an analog node on a digital port, so a digital pin
+     * without a net is written NULL when the definition marks it `optional`,
+     * and is an error otherwise. A net with one connection is fine: an output
+     * may go only to a probe or a net label.
+     * @param {import('./Component.js').Component} component
+     * @param {Map<string, number>} pinMap - Pin id -> wire node id
+     * @param {Map<number, string>} netMap
+     * @returns {string}
+     */
+    _buildXspiceConnections(component, pinMap, netMap) {
+        const definition = component.meta?.definition;
+        const net = (pinId) => {
+            const name = netMap.get(pinMap.get(pinId));
+            const pin = definition?.pins?.find(candidate => candidate.id === pinId);
+            if (name || !pin?.digital) return name || '0';
+            if (pin.optional) return 'NULL';
+            const designator = component.meta?.designatorText || component.name || component.id;
+            throw new Error(`${designator}: digital pin ${pin.name || pinId} is not connected`);
+        };
+        const ports = definition?.xspice?.ports ?? Array.from(pinMap.keys());
+        return ports.map(port => {
+            if (port === null) return 'NULL';
+            if (Array.isArray(port)) return `[${port.map(net).join(' ')}]`;
+            return net(port);
+        }).join(' ');
+    }
+
+    /**
+     * Nets attached to pins the component library marks `digital`
+     * @param {Map<number, string>} netMap
+     * @returns {Set<string>}
+     */
+    _collectDigitalNets(netMap) {
+        const nets = new Set();
+        for (const component of this.componentManager.components) {
+            const pins = component.meta?.definition?.pins;
+            const pinMap = this.componentManager.pinNodeIdsByComponent.get(component.id);
+            if (!Array.isArray(pins) || !pinMap) continue;
+            pins.filter(pin => pin.digital).forEach(pin => {
+                const netName = netMap.get(pinMap.get(pin.id));
+                if (netName && netName !== '0') nets.add(netName);
+            });
+        }
+        return nets;
+    }
+
     _resolveModelInfo(component) {
         const definitionModels = Array.isArray(component.meta?.definition?.models) ? component.meta.definition.models : [];
         const normalizedModels = definitionModels
@@ -744,12 +1397,12 @@ export class NetlistGenerator {
     }
 
     /**
-     * Resolve control signals for wrdata command
+     * Resolve the vectors for the rawfile write command
      * Prioritizes probe-specified nodes, falls back to all nets if no probes
      * Excludes ground (node 0) since v(0) is not a valid SPICE vector
      * @param {string[] | null} controlSignals - Explicit signals if provided
      * @param {string[]} netNames - All available net names
-     * @param {Array<{label: string, node: string, isGround?: boolean}>} probeInfo - Probe information
+     * @param {Array<{label: string, vector: string | null, type: string}>} probeInfo - Probe information; power probes add the vectors of their terms
      * @returns {string[]}
      */
     _resolveControlSignals(controlSignals, netNames, probeInfo = []) {
@@ -762,15 +1415,9 @@ export class NetlistGenerator {
 
         // If probes are placed, only output probed nodes (excluding ground)
         if (probeInfo && probeInfo.length > 0) {
-            return probeInfo
-                .map(probe => {
-                    if (probe.type === 'current' && probe.sourceName) {
-                        return `i(${probe.sourceName})`;
-                    }
-                    if (!probe.node || probe.isGround || probe.node === '0') return null;
-                    return `v(${probe.node})`;
-                })
-                .filter(Boolean);
+            return [...new Set(probeInfo.flatMap(probe => (
+                probe.type === 'power' ? powerVectors(probe.terms) : [probe.vector]
+            )).filter(Boolean))];
         }
 
         // Fall back to all nets if no probes (excluding ground)
@@ -791,14 +1438,20 @@ export class NetlistGenerator {
         return base;
     }
 
+    /**
+     * A name not yet in usedSet, compared without case as ngspice does
+     * @param {string} base
+     * @param {Set<string>} usedSet - Lower-case names; the result is added
+     * @returns {string}
+     */
     _makeUniqueName(base, usedSet) {
         let candidate = base;
         let suffix = 1;
-        while (usedSet.has(candidate)) {
+        while (usedSet.has(candidate.toLowerCase())) {
             candidate = `${base}_${suffix}`;
             suffix++;
         }
-        usedSet.add(candidate);
+        usedSet.add(candidate.toLowerCase());
         return candidate;
     }
 }
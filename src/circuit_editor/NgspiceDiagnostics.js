@@ -0,0 +1,171 @@
+/**
+ * NgspiceDiagnostics - Extracts errors and warnings from ngspice console output
+ *
+ * Recognises the messages users hit most often (unknown models or subcircuits,
+ * singular matrices, timestep failures, floating/undefined nodes) and pulls
+ * out the designators and net names they mention, so the editor can point at
+ * the offending parts of the schematic.
+ */
+
+/**
+ * @typedef {Object} NgspiceDiagnostic
+ * @property {'error' | 'warning'} severity
+ * @property {string} message - Human-readable summary
+ * @property {string[]} designators - Instance names mentioned (lowercase, as ngspice prints them)
+ * @property {string[]} nets - Net names mentioned
+ * @property {string | null} card - Offending netlist line, when ngspice echoed it
+ */
+
+// Output that contains "error"/"warning" but is not a problem with the circuit
+const IGNORED_PATTERNS = [
+    /^\s*\*/,
+    /no compatibility mode selected/i,
+    /^\s*warning:\s*can't find the initialization file/i
+];
+
+const LINE_RULES = [
+    {
+        pattern: /unable to find definition of model\s+(\S+)/i,
+        severity: 'error',
+        message: m => `Unknown model "${m[1]}"`
+    },
+    {
+        pattern: /could not find a valid modelname/i,
+        severity: 'error',
+        message: () => 'Missing or invalid model name'
+    },
+    {
+        pattern: /unknown subckt:\s*(\S+)(.*)$/i,
+        severity: 'error',
+        message: m => `Unknown subcircuit for ${m[1]}`,
+        designators: m => [m[1]]
+    },
+    {
+        pattern: /singular matrix:?\s*check nodes?\s+"?([^\s"]+)"?(?:\s+and\s+"?([^\s"]+)"?)?/i,
+        severity: 'error',
+        message: m => `Singular matrix at ${m[2] && m[2] !== m[1] ? `nodes ${m[1]} and ${m[2]}` : `node ${m[1]}`} (floating node or loop of voltage sources/inductors?)`,
+        nets: m => [m[1], m[2]].filter(Boolean)
+    },
+    {
+        pattern: /trouble with node\s+"?([^\s"]+)"?/i,
+        severity: 'error',
+        message: m => `Convergence trouble at node ${m[1]}`,
+        nets: m => [m[1]]
+    },
+    {
+        pattern: /trouble with\s+(\S+)-instance\s+(\S+)/i,
+        severity: 'error',
+        message: m => `Convergence trouble in ${m[1]} ${m[2]}`,
+        designators: m => [m[2]]
+    },
+    {
+        pattern: /timestep too small/i,
+        severity: 'error',
+        message: () => 'Timestep too small - the transient analysis could not converge'
+    },
+    {
+        pattern: /(gmin|source) stepping failed/i,
+        severity: 'warning',
+        message: m => `${m[1].toLowerCase() === 'gmin' ? 'Gmin' : 'Source'} stepping failed while solving the operating point`
+    },
+    {
+        pattern: /no such vector\s+(\S+)/i,
+        severity: 'error',
+        message: m => `No such vector ${m[1]}`,
+        nets: m => {
+            const node = m[1].match(/^v\(([^),]+)\)$/i);
+            return node ? [node[1]] : [];
+        },
+        designators: m => {
+            const branch = m[1].match(/^i\(([^)]+)\)$/i) || m[1].match(/^@([^[]+)\[/);
+            return branch ? [branch[1]] : [];
+        }
+    },
+    {
+        pattern: /node\s+"?([^\s"]+)"?\s+(?:is floating|has no dc path to ground)/i,
+        severity: 'warning',
+        message: m => `Node ${m[1]} has no DC path to ground`,
+        nets: m => [m[1]]
+    }
+];
+
+/**
+ * Parse ngspice stdout/stderr into diagnostics
+ * @param {string} output - Console text from one simulation job
+ * @returns {NgspiceDiagnostic[]}
+ */
+export function parseNgspiceDiagnostics(output) {
+    if (!output) return [];
+
+    const lines = output.split('\n');
+    const diagnostics = [];
+    const seen = new Set();
+    let pendingCard = null;
+
+    const push = (diagnostic) => {
+        const key = `${diagnostic.severity}|${diagnostic.message}|${diagnostic.card ?? ''}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        diagnostics.push(diagnostic);
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].replace(/^\[stderr\]\s*/, '').trim();
+        if (!line || IGNORED_PATTERNS.some(p => p.test(line))) continue;
+
+        // "Error on line 5 or its substitute:" is followed by the offending card
+        const lineError = line.match(/error on line\s+\d+/i);
+        if (lineError) {
+            pendingCard = (lines[i + 1] || '').trim() || null;
+            i++;
+            // Use the next line as the reason if it isn't one of the known messages
+            const reason = (lines[i + 1] || '').trim();
+            const rule = LINE_RULES.find(r => r.pattern.test(reason));
+            if (!rule && reason) {
+                push(makeDiagnostic('error', reason, [], [], pendingCard));
+                i++;
+                pendingCard = null;
+            }
+            continue;
+        }
+
+        // One line can carry several causes: "Timestep too small; ...: trouble with node out"
+        const rules = LINE_RULES.filter(r => r.pattern.test(line));
+        if (rules.length > 0) {
+            rules.forEach(rule => {
+                const m = line.match(rule.pattern);
+                push(makeDiagnostic(
+                    rule.severity,
+                    rule.message(m),
+                    rule.designators?.(m) ?? [],
+                    rule.nets?.(m) ?? [],
+                    pendingCard
+                ));
+            });
+            pendingCard = null;
+            continue;
+        }
+
+        const generic = line.match(/^(error|warning|fatal)\b[\s:]*(.*)$/i);
+        if (generic) {
+            const severity = generic[1].toLowerCase() === 'warning' ? 'warning' : 'error';
+            // Messages about one instance lead with its name: "v1: no DC value"
+            const instance = generic[2].match(/^([a-z]\w*):/i);
+            push(makeDiagnostic(severity, generic[2] || line, instance ? [instance[1]] : [], [], pendingCard));
+            pendingCard = null;
+        }
+    }
+
+    return diagnostics;
+}
+
+function makeDiagnostic(severity, message, designators, nets, card) {
+    const cardDesignator = card && /^[a-z]/i.test(card) && !card.startsWith('.') ? card.split(/\s+/)[0] : null;
+    return {
+        severity,
+        message,
+        designators: [...new Set([...designators, cardDesignator].filter(Boolean).map(d => d.toLowerCase()))],
+        nets: [...new Set(nets)],
+        card
+    };
+}
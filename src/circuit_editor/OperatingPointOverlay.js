@@ -0,0 +1,212 @@
+/**
+ * OperatingPointOverlay - Back-annotates .op results onto the schematic
+ *
+ * Node voltages are tagged next to each net and branch currents next to each
+ * component. Positions are looked up from the wire graph on every render, so
+ * tags follow components and wires as they are moved.
+ */
+
+const SI_PREFIXES = [
+    { exp: 12, symbol: 'T' },
+    { exp: 9, symbol: 'G' },
+    { exp: 6, symbol: 'M' },
+    { exp: 3, symbol: 'k' },
+    { exp: 0, symbol: '' },
+    { exp: -3, symbol: 'm' },
+    { exp: -6, symbol: 'µ' },
+    { exp: -9, symbol: 'n' },
+    { exp: -12, symbol: 'p' },
+    { exp: -15, symbol: 'f' }
+];
+
+/**
+ * Format a value with an SI prefix, e.g. 0.00123 A -> "1.23 mA"
+ * @param {number} value
+ * @param {string} [unit]
+ * @param {number} [digits=3] - Significant digits
+ * @returns {string}
+ */
+export function formatEngineering(value, unit = '', digits = 3) {
+    if (!Number.isFinite(value)) return `${value} ${unit}`.trim();
+    if (value === 0) return `0 ${unit}`.trim();
+
+    const exp = Math.floor(Math.log10(Math.abs(value)));
+    const prefix = SI_PREFIXES.find(p => exp >= p.exp) ?? SI_PREFIXES[SI_PREFIXES.length - 1];
+    const scaled = value / Math.pow(10, prefix.exp);
+    return `${Number(scaled.toPrecision(digits))} ${prefix.symbol}${unit}`.trim();
+}
+
+export class OperatingPointOverlay {
+    /**
+     * @param {import('./CanvasViewport.js').CanvasViewport} viewport
+     * @param {import('./WireGraph.js').WireGraph} wireGraph
+     * @param {import('./ComponentManager.js').ComponentManager} componentManager
+     */
+    constructor(viewport, wireGraph, componentManager) {
+        this.viewport = viewport;
+        this.wireGraph = wireGraph;
+        this.componentManager = componentManager;
+
+        this.visible = true;
+
+        /** @type {Array<{net: string, value: number, nodeIds: number[], probeLabels: string[]}>} */
+        this.nodeVoltages = [];
+        /** @type {Array<{componentId: string, designator: string, value: number}>} */
+        this.componentCurrents = [];
+
+        this.voltageStyle = { text: '#1d4ed8', border: '#93c5fd', fill: 'rgba(239, 246, 255, 0.92)' };
+        this.currentStyle = { text: '#b45309', border: '#fcd34d', fill: 'rgba(255, 251, 235, 0.92)' };
+
+        this._setupRendering();
+    }
+
+    /**
+     * Replace the annotated results
+     * @param {Object} results
+     * @param {Map<number, string>} results.netMap - nodeId -> net name, from NetlistGenerator
+     * @param {Map<string, number>} results.nodeVoltages - net name -> volts
+     * @param {Array<{componentId: string, designator: string, value: number}>} results.componentCurrents
+     * @param {Array<{label: string, node?: string, type: string}>} [results.probeInfo]
+     */
+    setResults({ netMap, nodeVoltages, componentCurrents, probeInfo = [] }) {
+        const nodeIdsByNet = new Map();
+        netMap.forEach((net, nodeId) => {
+            if (!nodeIdsByNet.has(net)) nodeIdsByNet.set(net, []);
+            nodeIdsByNet.get(net).push(nodeId);
+        });
+
+        this.nodeVoltages = Array.from(nodeVoltages.entries()).map(([net, value]) => ({
+            net,
+            value,
+            nodeIds: nodeIdsByNet.get(net) ?? [],
+            probeLabels: probeInfo
+                .filter(probe => probe.type === 'voltage' && probe.node === net)
+                .map(probe => probe.label)
+        }));
+        this.componentCurrents = componentCurrents.slice();
+    }
+
+    clear() {
+        this.nodeVoltages = [];
+        this.componentCurrents = [];
+    }
+
+    hasResults() {
+        return this.nodeVoltages.length > 0 || this.componentCurrents.length > 0;
+    }
+
+    /**
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        this.visible = Boolean(visible);
+    }
+
+    /**
+     * Flat list of results for tabular display
+     * @returns {Array<{name: string, kind: 'voltage' | 'current', value: number, unit: string}>}
+     */
+    getRows() {
+        const voltageRows = this.nodeVoltages.map(entry => ({
+            name: entry.probeLabels.length > 0
+                ? `V(${entry.net}) · ${entry.probeLabels.join(', ')}`
+                : `V(${entry.net})`,
+            kind: 'voltage',
+            value: entry.value,
+            unit: 'V'
+        }));
+        const currentRows = this.componentCurrents.map(entry => ({
+            name: `I(${entry.designator})`,
+            kind: 'current',
+            value: entry.value,
+            unit: 'A'
+        }));
+        return [...voltageRows, ...currentRows];
+    }
+
+    // ==================== Rendering ====================
+
+    _setupRendering() {
+        const originalOnRender = this.viewport.onRender;
+        this.viewport.onRender = (ctx, viewport) => {
+            originalOnRender?.(ctx, viewport);
+            this._render(ctx, viewport);
+        };
+    }
+
+    _render(ctx, viewport) {
+        if (!this.visible || !this.hasResults()) return;
+
+        for (const entry of this.nodeVoltages) {
+            const anchor = this._getNetAnchor(entry.nodeIds);
+            if (!anchor) continue;
+            this._drawTag(ctx, viewport, anchor.x + 4, anchor.y - 4, formatEngineering(entry.value, 'V'), this.voltageStyle, 'left');
+        }
+
+        for (const entry of this.componentCurrents) {
+            const component = this.componentManager.components.find(c => c.id === entry.componentId);
+            if (!component) continue;
+            const bounds = component.getBounds();
+            this._drawTag(
+                ctx,
+                viewport,
+                bounds.x + bounds.width + 4,
+                bounds.y + bounds.height / 2,
+                formatEngineering(entry.value, 'A'),
+                this.currentStyle,
+                'left'
+            );
+        }
+    }
+
+    /**
+     * Pick where to label a net: the best-connected wire node, falling back to a pin
+     * @param {number[]} nodeIds
+     * @returns {{x: number, y: number} | null}
+     */
+    _getNetAnchor(nodeIds) {
+        let best = null;
+        let bestScore = -Infinity;
+        for (const nodeId of nodeIds) {
+            const node = this.wireGraph.getNode(nodeId);
+            if (!node) continue;
+            const score = (node.isComponentPin ? 0 : 100) + this.wireGraph.getConnectionCount(nodeId);
+            if (score > bestScore || (score === bestScore && (node.y < best.y || (node.y === best.y && node.x < best.x)))) {
+                best = node;
+                bestScore = score;
+            }
+        }
+        return best ? { x: best.x, y: best.y } : null;
+    }
+
+    _drawTag(ctx, viewport, worldX, worldY, text, style, align = 'left') {
+        const pos = viewport.worldToScreen(worldX, worldY);
+        const fontSize = Math.max(8, 10 * viewport.zoom);
+        const padX = 3 * viewport.zoom;
+        const height = fontSize + 4 * viewport.zoom;
+
+        ctx.save();
+        ctx.font = `600 ${fontSize}px -apple-system, BlinkMacSystemFont, Segoe UI, sans-serif`;
+        const width = ctx.measureText(text).width + padX * 2;
+        const x = align === 'left' ? pos.x : pos.x - width;
+        const y = pos.y - height / 2;
+
+        ctx.fillStyle = style.fill;
+        ctx.strokeStyle = style.border;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        if (ctx.roundRect) {
+            ctx.roundRect(x, y, width, height, 3);
+        } else {
+            ctx.rect(x, y, width, height);
+        }
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.fillStyle = style.text;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, x + padX, pos.y);
+        ctx.restore();
+    }
+}
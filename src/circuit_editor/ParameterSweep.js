@@ -0,0 +1,176 @@
+/**
+ * ParameterSweep - Expands .step-style sweep settings into concrete values
+ *
+ * A sweep targets a component value (by designator), a `.param` name or the
+ * circuit temperature, and lists its points explicitly or as a linear/decade
+ * range. Each point becomes one simulation job whose traces are overlaid in
+ * one plot.
+ */
+
+/** Most points one sweep may have: each is its own job and its own trace */
+export const MAX_SWEEP_POINTS = 50;
+
+// Longest suffixes first so "meg" wins over "m"
+const SPICE_SCALE_SUFFIXES = [
+    { suffix: 'meg', scale: 1e6 },
+    { suffix: 'mil', scale: 25.4e-6 },
+    { suffix: 't', scale: 1e12 },
+    { suffix: 'g', scale: 1e9 },
+    { suffix: 'k', scale: 1e3 },
+    { suffix: 'm', scale: 1e-3 },
+    { suffix: 'u', scale: 1e-6 },
+    { suffix: 'µ', scale: 1e-6 },
+    { suffix: 'n', scale: 1e-9 },
+    { suffix: 'p', scale: 1e-12 },
+    { suffix: 'f', scale: 1e-15 }
+];
+
+const FORMAT_PREFIXES = [
+    { exp: 12, symbol: 'T' },
+    { exp: 9, symbol: 'G' },
+    { exp: 6, symbol: 'Meg' },
+    { exp: 3, symbol: 'k' },
+    { exp: 0, symbol: '' },
+    { exp: -3, symbol: 'm' },
+    { exp: -6, symbol: 'u' },
+    { exp: -9, symbol: 'n' },
+    { exp: -12, symbol: 'p' },
+    { exp: -15, symbol: 'f' }
+];
+
+/**
+ * @typedef {Object} SweepSettings
+ * @property {{kind: 'component', designator: string} | {kind: 'param', name: string} | {kind: 'temp'}} target
+ * @property {'list' | 'lin' | 'dec'} mode
+ * @property {string} [list] - Whitespace/comma separated values (list mode)
+ * @property {string} [start] - First value (lin/dec)
+ * @property {string} [stop] - Last value (lin/dec)
+ * @property {string} [points] - Total points (lin) or points per decade (dec)
+ */
+
+/**
+ * Parse a SPICE number such as "4.7k", "10u" or "1Meg". Trailing units are
+ * ignored the way ngspice ignores them ("10pF" is 10p). Note that "M" is milli,
+ * and that LTspice-style "1k5" is rejected rather than read as 1.5k.
+ * @param {string | number} text
+ * @returns {number} NaN when the text is not a number
+ */
+export function parseSpiceNumber(text) {
+    if (typeof text === 'number') return text;
+    const match = String(text ?? '').trim().match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-zµ]*)$/i);
+    if (!match) return NaN;
+
+    const base = Number(match[1]);
+    const rest = match[2].toLowerCase();
+    const scale = SPICE_SCALE_SUFFIXES.find(entry => rest.startsWith(entry.suffix));
+    return scale ? base * scale.scale : base;
+}
+
+/**
+ * Format a number with a SPICE scale suffix, e.g. 4700 -> "4.7k"
+ * @param {number} value
+ * @param {number} [digits=4] - Significant digits
+ * @returns {string}
+ */
+export function formatSpiceNumber(value, digits = 4) {
+    if (!Number.isFinite(value)) return String(value);
+    if (value === 0) return '0';
+
+    const exp = Math.floor(Math.log10(Math.abs(value)));
+    const prefix = FORMAT_PREFIXES.find(p => exp >= p.exp) ?? FORMAT_PREFIXES[FORMAT_PREFIXES.length - 1];
+    const scaled = value / Math.pow(10, prefix.exp);
+    return `${Number(scaled.toPrecision(digits))}${prefix.symbol}`;
+}
+
+/**
+ * Turn sweep settings into the list of values to simulate
+ * @param {SweepSettings} sweep
+ * @returns {string[]} Values as they should appear in the netlist
+ * @throws {Error} When the settings are incomplete or out of range
+ */
+export function expandSweepValues(sweep) {
+    if (!sweep) return [];
+    let values;
+
+    if (sweep.mode === 'list') {
+        values = String(sweep.list ?? '').split(/[\s,;]+/).filter(Boolean);
+        if (values.length === 0) {
+            throw new Error('Enter at least one sweep value');
+        }
+    } else {
+        const start = parseSpiceNumber(sweep.start);
+        const stop = parseSpiceNumber(sweep.stop);
+        const points = Number(sweep.points);
+        if (!Number.isFinite(start) || !Number.isFinite(stop)) {
+            throw new Error('Sweep start and stop must be numbers (e.g. 1k, 10u)');
+        }
+        if (!Number.isInteger(points) || points < 1) {
+            throw new Error('Sweep points must be a whole number of at least 1');
+        }
+
+        if (sweep.mode === 'lin') {
+            if (points === 1) {
+                values = [start];
+            } else {
+                const step = (stop - start) / (points - 1);
+                values = Array.from({ length: points }, (_, i) => start + step * i);
+            }
+        } else if (sweep.mode === 'dec') {
+            if (start <= 0 || stop <= 0) {
+                throw new Error('Decade sweeps need positive start and stop values');
+            }
+            const decades = Math.log10(stop / start);
+            const count = Math.max(1, Math.floor(Math.abs(decades) * points + 1e-9) + 1);
+            const ratio = Math.pow(10, Math.sign(decades) / points);
+            values = Array.from({ length: count }, (_, i) => start * Math.pow(ratio, i));
+        } else {
+            throw new Error(`Unknown sweep mode "${sweep.mode}"`);
+        }
+        values = values.map(value => formatSpiceNumber(value));
+    }
+
+    if (values.length > MAX_SWEEP_POINTS) {
+        throw new Error(`A sweep can have at most ${MAX_SWEEP_POINTS} points (got ${values.length})`);
+    }
+    return values;
+}
+
+/**
+ * Name of what is being swept, e.g. "R2", "rload" or "Temp"
+ * @param {SweepSettings} sweep
+ * @returns {string}
+ */
+export function getSweepTargetLabel(sweep) {
+    if (!sweep?.target) return '';
+    if (sweep.target.kind === 'temp') return 'Temp';
+    return sweep.target.kind === 'param' ? sweep.target.name : sweep.target.designator;
+}
+
+/**
+ * Label for one sweep point, e.g. "R2 = 4.7k" or "Temp = 85 °C"
+ * @param {SweepSettings} sweep
+ * @param {string} value - One entry from expandSweepValues
+ * @returns {string}
+ */
+export function formatSweepStep(sweep, value) {
+    const unit = sweep?.target?.kind === 'temp' ? ' °C' : '';
+    return `${getSweepTargetLabel(sweep)} = ${value}${unit}`;
+}
+
+/**
+ * One-line summary, e.g. ".step R2 list 1k 2k 5k", ".step param rload dec 1k 100k 5"
+ * or ".step temp list -40 25 85"
+ * @param {SweepSettings} sweep
+ * @returns {string}
+ */
+export function describeSweep(sweep) {
+    if (!sweep?.target) return '';
+    const target = {
+        param: () => `param ${sweep.target.name}`,
+        temp: () => 'temp'
+    }[sweep.target.kind]?.() ?? sweep.target.designator;
+    if (sweep.mode === 'list') {
+        return `.step ${target} list ${String(sweep.list ?? '').split(/[\s,;]+/).filter(Boolean).join(' ')}`;
+    }
+    return `.step ${target} ${sweep.mode} ${sweep.start} ${sweep.stop} ${sweep.points}`;
+}
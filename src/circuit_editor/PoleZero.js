@@ -0,0 +1,65 @@
+/**
+ * PoleZero - Reads .pz results and derives natural frequency and damping
+ *
+ * ngspice stores each root as a one-point complex vector named pole(n) or
+ * zero(n), in rad/s on the s-plane. For a root s = σ + jω the natural
+ * frequency is |s| and the damping ratio is -σ / |s|, so left-half-plane
+ * roots have positive damping and right-half-plane poles are unstable.
+ */
+
+/**
+ * @typedef {Object} PoleZeroRoot
+ * @property {'pole' | 'zero'} kind
+ * @property {number} index - n in pole(n) / zero(n)
+ * @property {number} real - σ, rad/s
+ * @property {number} imag - ω, rad/s
+ * @property {number} naturalFrequency - |s|, rad/s
+ * @property {number} frequencyHz - |s| / 2π
+ * @property {number} damping - ζ; NaN for a root at the origin
+ */
+
+const ROOT_PATTERN = /^(pole|zero)\((\d+)\)$/i;
+
+/**
+ * Collect poles and zeros from the parsed rawfile plots
+ * @param {import('./RawfileParser.js').RawPlot[]} plots
+ * @returns {{poles: PoleZeroRoot[], zeros: PoleZeroRoot[]}}
+ */
+export function extractPoleZero(plots) {
+    const poles = [];
+    const zeros = [];
+
+    for (const plot of plots) {
+        for (const vector of plot.vectors) {
+            const match = vector.name.match(ROOT_PATTERN);
+            if (!match) continue;
+            const real = vector.complex ? vector.real[0] : vector.values[0];
+            const imag = vector.complex ? vector.imag[0] : 0;
+            const root = describeRoot(match[1].toLowerCase(), Number(match[2]), real, imag);
+            (root.kind === 'pole' ? poles : zeros).push(root);
+        }
+    }
+
+    const byIndex = (a, b) => a.index - b.index;
+    return { poles: poles.sort(byIndex), zeros: zeros.sort(byIndex) };
+}
+
+/**
+ * @param {'pole' | 'zero'} kind
+ * @param {number} index
+ * @param {number} real
+ * @param {number} imag
+ * @returns {PoleZeroRoot}
+ */
+export function describeRoot(kind, index, real, imag) {
+    const naturalFrequency = Math.hypot(real, imag);
+    return {
+        kind,
+        index,
+        real,
+        imag,
+        naturalFrequency,
+        frequencyHz: naturalFrequency / (2 * Math.PI),
+        damping: naturalFrequency > 0 ? -real / naturalFrequency : NaN
+    };
+}
@@ -0,0 +1,83 @@
+/**
+ * PowerProbes - Instantaneous and average power of a probed component
+ *
+ * NetlistGenerator describes a power probe as a sum of terms, each the current
+ * into one terminal times that terminal's voltage against a reference terminal
+ * (P = Σ (v(plus) - v(minus)) · i). The vectors are written to the rawfile like
+ * any other probe signal and multiplied here, so power works for every analysis
+ * with a real-valued scale. Positive power is absorbed by the component.
+ */
+
+import { findVector, realValues } from './RawfileParser.js';
+
+/**
+ * @typedef {Object} PowerTerm
+ * @property {string} current - Vector with the current into the terminal, e.g. "@r1[i]" or "i(v1)"
+ * @property {string | null} plus - Terminal voltage vector; null when the terminal is on ground
+ * @property {string | null} minus - Reference terminal voltage vector; null for ground
+ */
+
+/**
+ * Vectors a power probe needs in the rawfile
+ * @param {PowerTerm[]} terms
+ * @returns {string[]}
+ */
+export function powerVectors(terms) {
+    return [...new Set(terms.flatMap(term => [term.current, term.plus, term.minus]).filter(Boolean))];
+}
+
+/**
+ * Instantaneous power at every point of a plot
+ * @param {import('./RawfileParser.js').RawPlot} plot
+ * @param {PowerTerm[]} terms
+ * @returns {Float64Array | null} null when a vector is missing or the plot is complex (AC)
+ */
+export function computePower(plot, terms) {
+    if (plot.complex || terms.length === 0) return null;
+    const read = (name) => (name ? findVector(plot, name) : null);
+    const power = new Float64Array(plot.numPoints);
+
+    for (const term of terms) {
+        const current = read(term.current);
+        const plus = read(term.plus);
+        const minus = read(term.minus);
+        if (!current || (term.plus && !plus) || (term.minus && !minus)) return null;
+
+        const i = realValues(current);
+        const vPlus = plus ? realValues(plus) : null;
+        const vMinus = minus ? realValues(minus) : null;
+        for (let k = 0; k < power.length; k++) {
+            power[k] += ((vPlus?.[k] ?? 0) - (vMinus?.[k] ?? 0)) * (i[k] ?? 0);
+        }
+    }
+    return power;
+}
+
+/**
+ * Average and peak of a power trace. Transient averages weight each sample by
+ * its time step, since ngspice's steps are not uniform.
+ * @param {ArrayLike<number>} scale - Time (or sweep) values
+ * @param {ArrayLike<number>} power
+ * @param {boolean} [timeWeighted=true]
+ * @returns {{average: number, peak: number, peakAt: number}} peak is the value of largest magnitude
+ */
+export function summarizePower(scale, power, timeWeighted = true) {
+    let peakIndex = 0;
+    for (let k = 1; k < power.length; k++) {
+        if (Math.abs(power[k]) > Math.abs(power[peakIndex])) peakIndex = k;
+    }
+
+    let average = NaN;
+    const span = power.length > 1 ? scale[power.length - 1] - scale[0] : 0;
+    if (timeWeighted && span > 0) {
+        let area = 0;
+        for (let k = 1; k < power.length; k++) {
+            area += (power[k] + power[k - 1]) / 2 * (scale[k] - scale[k - 1]);
+        }
+        average = area / span;
+    } else if (power.length > 0) {
+        average = Array.prototype.reduce.call(power, (sum, value) => sum + value, 0) / power.length;
+    }
+
+    return { average, peak: power[peakIndex] ?? NaN, peakAt: scale[peakIndex] ?? NaN };
+}
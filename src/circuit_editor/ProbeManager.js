@@ -2,12 +2,19 @@
  * ProbeManager - Manages voltage probe instances, rendering, and interaction
  * 
  * Probes are distinct from components - they attach to wire nodes to specify
- * which signals should be included in simulation output.
+ * which signals should be included in simulation output. Without a viewport
+ * only the probe model is kept (no drawing or interaction).
  */
 
+/** Probe kinds a user can place; anything else loads as a voltage probe */
+export const PROBE_TYPES = ['voltage', 'current', 'digital', 'power', 'differential', 'device'];
+
+/** Probe kinds that attach to a component rather than a wire */
+const COMPONENT_PROBE_TYPES = ['power', 'device'];
+
 export class ProbeManager {
     /**
-     * @param {import('./CanvasViewport.js').CanvasViewport} viewport
+     * @param {import('./CanvasViewport.js').CanvasViewport | null} viewport - null for headless use
      * @param {import('./WireGraph.js').WireGraph} wireGraph
      * @param {import('./ComponentManager.js').ComponentManager} [componentManager]
      */
@@ -56,13 +63,17 @@ export class ProbeManager {
         // Dragging state
         this.isDragging = false;
         this.dragProbe = null;
+        this.dragReference = false;
         this.dragStartWorld = null;
         this.dragStartPos = null;
         
         // Selected probe for editing
         this.selectedProbeId = null;
+
+        // Differential probe whose - tip is placed by the next click
+        this._pendingReferenceProbeId = null;
         
-        this._setupRendering();
+        if (this.viewport) this._setupRendering();
     }
     
     // ==================== Public API ====================
@@ -92,6 +103,12 @@ export class ProbeManager {
             rotation: rotation,
             nodeId: null, // Will be set when connected to a wire
             connectedSegmentId: null, // Track which segment we snapped to for current probes
+            componentId: null, // Component a power or device-parameter probe measures
+            param: null, // Device parameter, e.g. "ic"; null uses the component type's first one
+            refX: null, // - tip of a differential probe; null measures against ground
+            refY: null,
+            refNodeId: null,
+            refSegmentId: null,
             color: colorSet.stroke,
             fillColor: colorSet.fill,
             labelColor: colorSet.label,
@@ -102,10 +119,48 @@ export class ProbeManager {
         this._connectProbeToNode(probe);
         
         this.probes.push(probe);
-        this.viewport.render();
+        if (probe.type === 'differential') {
+            this._pendingReferenceProbeId = probe.id;
+        }
+        this.viewport?.render();
         return probe;
     }
 
+    /**
+     * Whether a differential probe is waiting for its - tip
+     * @returns {boolean}
+     */
+    hasPendingReference() {
+        return this._pendingReferenceProbeId !== null;
+    }
+
+    /**
+     * Place the - tip of the differential probe added last
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @returns {Probe | null} The completed probe, or null if none was pending
+     */
+    placeReferenceTip(x, y) {
+        const probe = this.probes.find(p => p.id === this._pendingReferenceProbeId);
+        this._pendingReferenceProbeId = null;
+        if (!probe) return null;
+
+        probe.refX = x;
+        probe.refY = y;
+        this._connectReferenceTip(probe);
+        this.viewport?.render();
+        return probe;
+    }
+
+    /**
+     * Stop waiting for a - tip; the probe keeps measuring against ground
+     */
+    cancelPendingReference() {
+        if (this._pendingReferenceProbeId === null) return;
+        this._pendingReferenceProbeId = null;
+        this.viewport?.render();
+    }
+
     getProbeType() {
         return this._probeType;
     }
@@ -121,7 +176,10 @@ export class ProbeManager {
             if (this.selectedProbeId === probeId) {
                 this.selectedProbeId = null;
             }
-            this.viewport.render();
+            if (this._pendingReferenceProbeId === probeId) {
+                this._pendingReferenceProbeId = null;
+            }
+            this.viewport?.render();
         }
     }
     
@@ -189,6 +247,19 @@ export class ProbeManager {
         return null;
     }
     
+    /**
+     * Set the device parameter a device-parameter probe reads
+     * @param {string} probeId
+     * @param {string | null} param - e.g. "ic"
+     */
+    updateProbeParam(probeId, param) {
+        const probe = this.probes.find(p => p.id === probeId);
+        if (probe) {
+            probe.param = param || null;
+            this.viewport?.render();
+        }
+    }
+
     /**
      * Update probe label
      * @param {string} probeId
@@ -198,7 +269,7 @@ export class ProbeManager {
         const probe = this.probes.find(p => p.id === probeId);
         if (probe) {
             probe.label = newLabel;
-            this.viewport.render();
+            this.viewport?.render();
         }
     }
     
@@ -210,19 +281,22 @@ export class ProbeManager {
         const probe = this.probes.find(p => p.id === probeId);
         if (probe) {
             probe.rotation = (probe.rotation + 90) % 360;
-            this.viewport.render();
+            this.viewport?.render();
         }
     }
     
     /**
      * Get all probes with their connected node information
-     * @returns {Array<{id: string, label: string, nodeId: number | null, x: number, y: number}>}
+     * @returns {Array<{id: string, label: string, nodeId: number | null, refNodeId: number | null, componentId: string | null, x: number, y: number}>}
      */
     getProbeData() {
         return this.probes.map(probe => ({
             id: probe.id,
             label: probe.label,
             nodeId: probe.nodeId,
+            refNodeId: probe.refNodeId ?? null,
+            componentId: probe.componentId || null,
+            param: probe.param || null,
             segmentId: probe.connectedSegmentId || null,
             x: probe.x,
             y: probe.y,
@@ -239,7 +313,8 @@ export class ProbeManager {
         this.probes = [];
         this._probeCounter = 1;
         this.selectedProbeId = null;
-        this.viewport.render();
+        this._pendingReferenceProbeId = null;
+        this.viewport?.render();
     }
     
     /**
@@ -249,6 +324,7 @@ export class ProbeManager {
     refreshConnections() {
         for (const probe of this.probes) {
             this._connectProbeToNode(probe);
+            this._connectReferenceTip(probe);
         }
     }
     
@@ -258,7 +334,7 @@ export class ProbeManager {
      */
     setGhostPosition(position) {
         this._ghostPosition = position;
-        this.viewport.render();
+        this.viewport?.render();
     }
     
     /**
@@ -266,7 +342,7 @@ export class ProbeManager {
      */
     rotateGhost() {
         this._ghostRotation = (this._ghostRotation + 90) % 360;
-        this.viewport.render();
+        this.viewport?.render();
     }
     
     /**
@@ -289,6 +365,9 @@ export class ProbeManager {
             label: p.label,
             rotation: p.rotation,
             nodeId: p.nodeId,
+            param: p.param || null,
+            refX: p.refX ?? null,
+            refY: p.refY ?? null,
             color: p.color,
             fillColor: p.fillColor,
             labelColor: p.labelColor,
@@ -302,6 +381,7 @@ export class ProbeManager {
      */
     fromJSON(data) {
         this.probes = [];
+        this._pendingReferenceProbeId = null;
         if (!Array.isArray(data)) return;
         
         let maxCounter = 0;
@@ -334,6 +414,12 @@ export class ProbeManager {
                 label: item.label || 'Probe',
                 rotation: item.rotation || 0,
                 nodeId: item.nodeId || null,
+                componentId: null,
+                param: item.param || null,
+                refX: item.refX ?? null,
+                refY: item.refY ?? null,
+                refNodeId: null,
+                refSegmentId: null,
                 color,
                 fillColor,
                 labelColor,
@@ -342,6 +428,7 @@ export class ProbeManager {
             
             // Re-connect to wire node at current position
             this._connectProbeToNode(probe);
+            this._connectReferenceTip(probe);
             
             this.probes.push(probe);
             
@@ -372,14 +459,17 @@ export class ProbeManager {
         if (event.button !== 0) return false;
         
         const snapped = this.viewport.snapToGrid(worldX, worldY);
-        const hit = this.getProbeAt(snapped.x, snapped.y);
+        // A differential probe's - tip drags on its own
+        const refHit = this._getReferenceTipAt(snapped.x, snapped.y);
+        const hit = refHit || this.getProbeAt(snapped.x, snapped.y);
         
         if (!hit) return false;
         
         this.isDragging = true;
         this.dragProbe = hit;
+        this.dragReference = Boolean(refHit);
         this.dragStartWorld = { x: snapped.x, y: snapped.y };
-        this.dragStartPos = { x: hit.x, y: hit.y };
+        this.dragStartPos = refHit ? { x: hit.refX, y: hit.refY } : { x: hit.x, y: hit.y };
         this.selectedProbeId = hit.id;
         
         return true;
@@ -399,13 +489,21 @@ export class ProbeManager {
         const dx = snapped.x - this.dragStartWorld.x;
         const dy = snapped.y - this.dragStartWorld.y;
         
+        if (this.dragReference) {
+            this.dragProbe.refX = this.dragStartPos.x + dx;
+            this.dragProbe.refY = this.dragStartPos.y + dy;
+            this._connectReferenceTip(this.dragProbe);
+            this.viewport?.render();
+            return true;
+        }
+
         this.dragProbe.x = this.dragStartPos.x + dx;
         this.dragProbe.y = this.dragStartPos.y + dy;
         
         // Re-connect to nearest wire node
         this._connectProbeToNode(this.dragProbe);
         
-        this.viewport.render();
+        this.viewport?.render();
         return true;
     }
     
@@ -421,23 +519,24 @@ export class ProbeManager {
         
         this.isDragging = false;
         this.dragProbe = null;
+        this.dragReference = false;
         this.dragStartWorld = null;
         this.dragStartPos = null;
         
-        this.viewport.render();
+        this.viewport?.render();
         return true;
     }
 
     setProbeType(type) {
-        this._probeType = type === 'current' ? 'current' : 'voltage';
-        this.viewport.render();
+        this._probeType = PROBE_TYPES.includes(type) ? type : 'voltage';
+        this.viewport?.render();
     }
 
     updateProbeType(probeId, type) {
         const probe = this.probes.find(p => p.id === probeId);
         if (!probe) return;
-        probe.type = type === 'current' ? 'current' : 'voltage';
-        this.viewport.render();
+        probe.type = PROBE_TYPES.includes(type) ? type : 'voltage';
+        this.viewport?.render();
     }
 
     updateProbeColor(probeId, color) {
@@ -446,7 +545,7 @@ export class ProbeManager {
         probe.color = color;
         probe.fillColor = this._tintColor(color, 0.82);
         probe.labelColor = this._darkenColor(color, 0.55);
-        this.viewport.render();
+        this.viewport?.render();
     }
 
     isProbeLabelUnique(label, excludeId = null) {
@@ -458,31 +557,104 @@ export class ProbeManager {
     
     /**
      * Connect probe to nearest wire node within tolerance
-     * If not directly on a node, check if on a wire segment and use one of its nodes
+     * If not directly on a node, check if on a wire segment and use one of its nodes.
+     * Power and device-parameter probes attach to the component under the tip (or whose pin it touches) instead.
      * @param {Probe} probe
      */
     _connectProbeToNode(probe) {
         const tipPos = this._getProbeTipPosition(probe);
+        if (COMPONENT_PROBE_TYPES.includes(probe.type)) {
+            this._connectProbeToComponent(probe, tipPos);
+            return;
+        }
         
-        // First try to find a node directly at the tip position
-        const node = this.wireGraph.getNodeAt(tipPos.x, tipPos.y, this.hitTolerance);
-        if (node) {
-            probe.nodeId = node.id;
-            probe.connectedSegmentId = null;
+        const { nodeId, segmentId } = this._findWireAt(tipPos);
+        probe.nodeId = nodeId;
+        probe.connectedSegmentId = segmentId;
+    }
+
+    /**
+     * Connect the - tip of a differential probe the same way as the + tip
+     * @param {Probe} probe
+     */
+    _connectReferenceTip(probe) {
+        if (probe.type !== 'differential' || probe.refX === null || probe.refX === undefined) {
+            probe.refNodeId = null;
+            probe.refSegmentId = null;
             return;
         }
+        const { nodeId, segmentId } = this._findWireAt({ x: probe.refX, y: probe.refY });
+        probe.refNodeId = nodeId;
+        probe.refSegmentId = segmentId;
+    }
+
+    /**
+     * Wire node at a point, or a node of the wire segment under it
+     * @param {{x: number, y: number}} pos
+     * @returns {{nodeId: number | null, segmentId: string | null}}
+     */
+    _findWireAt(pos) {
+        // First try to find a node directly at the position
+        const node = this.wireGraph.getNodeAt(pos.x, pos.y, this.hitTolerance);
+        if (node) {
+            return { nodeId: node.id, segmentId: null };
+        }
         
         // If no direct node, check if on a wire segment
-        const segmentResult = this.wireGraph.getSegmentAt(tipPos.x, tipPos.y, this.hitTolerance);
+        const segmentResult = this.wireGraph.getSegmentAt(pos.x, pos.y, this.hitTolerance);
         if (segmentResult) {
             // Use one of the segment's nodes (they're on the same net)
-            probe.nodeId = segmentResult.segment.nodeId1;
-            probe.connectedSegmentId = segmentResult.segment.id;
-            return;
+            return { nodeId: segmentResult.segment.nodeId1, segmentId: segmentResult.segment.id };
         }
         
+        return { nodeId: null, segmentId: null };
+    }
+
+    /**
+     * Differential probe whose - tip is at a position
+     * @param {number} worldX
+     * @param {number} worldY
+     * @returns {Probe | null}
+     */
+    _getReferenceTipAt(worldX, worldY) {
+        return this.probes.find(probe => (
+            probe.type === 'differential'
+            && probe.refX !== null && probe.refX !== undefined
+            && Math.hypot(worldX - probe.refX, worldY - probe.refY) <= this.hitTolerance
+        )) ?? null;
+    }
+
+    /**
+     * @param {Probe} probe
+     * @param {{x: number, y: number}} tipPos
+     */
+    _connectProbeToComponent(probe, tipPos) {
         probe.nodeId = null;
         probe.connectedSegmentId = null;
+        probe.componentId = null;
+        if (!this.componentManager) return;
+
+        let component = this.componentManager.getComponentAt(tipPos.x, tipPos.y);
+        if (!component) {
+            const node = this.wireGraph.getNodeAt(tipPos.x, tipPos.y, this.hitTolerance);
+            component = node?.isComponentPin
+                ? this.componentManager.components.find(c => c.id === node.componentId)
+                : null;
+        }
+        if (component && !component.meta?.isGround && !component.meta?.isNetLabel) {
+            probe.componentId = component.id;
+        }
+    }
+
+    /**
+     * Designator of the component a power or device-parameter probe measures
+     * @param {Probe} probe
+     * @returns {string | null}
+     */
+    _getProbedDesignator(probe) {
+        if (!probe.componentId || !this.componentManager) return null;
+        const component = this.componentManager.components.find(c => c.id === probe.componentId);
+        return component ? (component.meta?.designatorText || component.name || component.id) : null;
     }
     
     /**
@@ -491,10 +663,19 @@ export class ProbeManager {
      * @returns {boolean}
      */
     _isProbeOnGround(probe) {
-        if (probe.nodeId === null || !this.componentManager) return false;
+        return this._isNodeOnGround(probe.nodeId);
+    }
+
+    /**
+     * Check if a wire node is on the ground net
+     * @param {number | null} nodeId
+     * @returns {boolean}
+     */
+    _isNodeOnGround(nodeId) {
+        if (nodeId === null || nodeId === undefined || !this.componentManager) return false;
         
-        // Get all nodes connected to this probe's node
-        const connectedNodes = this._getConnectedNodeIds(probe.nodeId);
+        // Get all nodes connected to this node
+        const connectedNodes = this._getConnectedNodeIds(nodeId);
         
         // Check if any connected node belongs to a ground component
         for (const nodeId of connectedNodes) {
@@ -621,6 +802,10 @@ export class ProbeManager {
         const stroke = isSelected ? hoverStroke : strokeColor;
         const fill = isSelected ? hoverFill : fillColor;
 
+        if (type === 'differential' && probe.refX !== null && probe.refX !== undefined) {
+            this._renderReferenceTip(ctx, viewport, tipScreen, probe, stroke, fill);
+        }
+
         ctx.translate(tipScreen.x, tipScreen.y);
         ctx.rotate((rotation * Math.PI) / 180);
         ctx.scale(scale, scale);
@@ -658,11 +843,14 @@ export class ProbeManager {
                 break;
         }
 
-        const displayLabel = isOnGround ? `${probe.label} (GND)` : probe.label;
+        const designator = COMPONENT_PROBE_TYPES.includes(type) ? this._getProbedDesignator(probe) : null;
+        let displayLabel = isOnGround ? `${probe.label} (GND)` : probe.label;
+        if (designator && type === 'power') displayLabel = `${probe.label} (P ${designator})`;
+        if (designator && type === 'device') displayLabel = `${probe.label} (${designator}${probe.param ? ` ${probe.param}` : ''})`;
         ctx.fillText(displayLabel, labelX, labelY);
 
         // Connection indicator ring around the contact point
-        if (probe.nodeId !== null) {
+        if (probe.nodeId !== null || probe.componentId) {
             ctx.beginPath();
             ctx.arc(tipScreen.x, tipScreen.y, 6 * viewport.zoom, 0, Math.PI * 2);
             ctx.strokeStyle = isOnGround ? '#f59e0b' : '#3b82f6';
@@ -672,9 +860,65 @@ export class ProbeManager {
 
         ctx.restore();
     }
+
+    /**
+     * Dashed lead from the + tip to a differential probe's - tip, which is
+     * drawn as a small contact marked with a minus sign
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {import('./CanvasViewport.js').CanvasViewport} viewport
+     * @param {{x: number, y: number}} tipScreen - + tip in screen space
+     * @param {{refX: number, refY: number, refNodeId?: number | null}} probe
+     * @param {string} stroke
+     * @param {string} fill
+     */
+    _renderReferenceTip(ctx, viewport, tipScreen, probe, stroke, fill) {
+        const refScreen = viewport.worldToScreen(probe.refX, probe.refY);
+        const radius = 5 * viewport.zoom;
+
+        ctx.save();
+        ctx.strokeStyle = stroke;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([4 * viewport.zoom, 3 * viewport.zoom]);
+        ctx.beginPath();
+        ctx.moveTo(tipScreen.x, tipScreen.y);
+        ctx.lineTo(refScreen.x, refScreen.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.beginPath();
+        ctx.arc(refScreen.x, refScreen.y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = fill;
+        ctx.fill();
+        ctx.strokeStyle = probe.refNodeId !== null && probe.refNodeId !== undefined ? '#3b82f6' : stroke;
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.strokeStyle = stroke;
+        ctx.moveTo(refScreen.x - radius * 0.5, refScreen.y);
+        ctx.lineTo(refScreen.x + radius * 0.5, refScreen.y);
+        ctx.stroke();
+        ctx.restore();
+    }
     
     _renderGhostProbe(ctx, viewport) {
         if (!this._ghostPosition) return;
+
+        // Placing the - tip: preview the lead from the + tip instead of a new probe
+        const pending = this.probes.find(p => p.id === this._pendingReferenceProbeId);
+        if (pending) {
+            const ghostReference = {
+                refX: this._ghostPosition.x,
+                refY: this._ghostPosition.y,
+                refNodeId: this._findWireAt(this._ghostPosition).nodeId
+            };
+            const tip = this._getProbeTipPosition(pending);
+            ctx.save();
+            ctx.globalAlpha = 0.5;
+            this._renderReferenceTip(ctx, viewport, viewport.worldToScreen(tip.x, tip.y), ghostReference,
+                pending.color || '#3b82f6', pending.fillColor || '#dbeafe');
+            ctx.restore();
+            return;
+        }
         
         // Use the next color from palette for ghost preview
         const colorSet = this.colorPalette[this._colorIndex % this.colorPalette.length];
@@ -691,16 +935,8 @@ export class ProbeManager {
             type: this._probeType
         };
         
-        // Check if ghost would connect to a node
-        const tipPos = this._getProbeTipPosition(ghostProbe);
-        const node = this.wireGraph.getNodeAt(tipPos.x, tipPos.y, this.hitTolerance);
-        if (!node) {
-            // Also check wire segments
-            const segmentResult = this.wireGraph.getSegmentAt(tipPos.x, tipPos.y, this.hitTolerance);
-            ghostProbe.nodeId = segmentResult ? segmentResult.segment.nodeId1 : null;
-        } else {
-            ghostProbe.nodeId = node.id;
-        }
+        // Check if ghost would connect to a node (or, for power and device probes, a component)
+        this._connectProbeToNode(ghostProbe);
         
         ctx.save();
         ctx.globalAlpha = 0.5;
@@ -747,6 +983,14 @@ export class ProbeManager {
     _drawProbeIcon(ctx, type, stroke, fill) {
         if (type === 'current') {
             this._drawCurrentProbeIcon(ctx, stroke, fill);
+        } else if (type === 'digital') {
+            this._drawDigitalProbeIcon(ctx, stroke, fill);
+        } else if (type === 'power') {
+            this._drawPowerProbeIcon(ctx, stroke, fill);
+        } else if (type === 'differential') {
+            this._drawDifferentialProbeIcon(ctx, stroke, fill);
+        } else if (type === 'device') {
+            this._drawDeviceProbeIcon(ctx, stroke, fill);
         } else {
             this._drawVoltageProbeIcon(ctx, stroke, fill);
         }
@@ -812,7 +1056,70 @@ export class ProbeManager {
         ctx.fill();
     }
 
-    _drawCurrentProbeIcon(ctx, stroke, fill) {
+    _drawDigitalProbeIcon(ctx, stroke, fill) {
+        this._drawVoltageProbeIcon(ctx, stroke, fill);
+
+        // Square pulse inside the handle
+        ctx.beginPath();
+        ctx.strokeStyle = stroke;
+        ctx.lineWidth = 1.2;
+        ctx.moveTo(8.5, 6);
+        ctx.lineTo(10.5, 6);
+        ctx.lineTo(10.5, 2.5);
+        ctx.lineTo(13.5, 2.5);
+        ctx.lineTo(13.5, 6);
+        ctx.lineTo(15.5, 6);
+        ctx.stroke();
+    }
+
+    _drawDifferentialProbeIcon(ctx, stroke, fill) {
+        this._drawVoltageProbeIcon(ctx, stroke, fill);
+
+        // "±" inside the handle
+        ctx.beginPath();
+        ctx.strokeStyle = stroke;
+        ctx.lineWidth = 1.2;
+        ctx.moveTo(10, 3);
+        ctx.lineTo(14, 3);
+        ctx.moveTo(12, 1);
+        ctx.lineTo(12, 5);
+        ctx.moveTo(10, 6.25);
+        ctx.lineTo(14, 6.25);
+        ctx.stroke();
+    }
+
+    _drawDeviceProbeIcon(ctx, stroke, fill) {
+        this._drawCurrentProbeIcon(ctx, stroke, fill);
+
+        // Ring with a centre dot on the filled handle, like a gauge
+        ctx.beginPath();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1.2;
+        ctx.arc(12, 4, 2.5, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.fillStyle = '#ffffff';
+        ctx.arc(12, 4, 0.8, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    _drawPowerProbeIcon(ctx, stroke, fill) {
+        this._drawCurrentProbeIcon(ctx, stroke, fill);
+
+        // "P" on the filled handle
+        ctx.beginPath();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1.2;
+        ctx.moveTo(10.5, 7);
+        ctx.lineTo(10.5, 1.5);
+        ctx.lineTo(12.5, 1.5);
+        ctx.quadraticCurveTo(14.5, 1.5, 14.5, 3.25);
+        ctx.quadraticCurveTo(14.5, 5, 12.5, 5);
+        ctx.lineTo(10.5, 5);
+        ctx.stroke();
+    }
+
+        _drawCurrentProbeIcon(ctx, stroke, fill) {
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
 
@@ -855,5 +1162,11 @@ export class ProbeManager {
  * @property {string} color - Stroke color for the probe
  * @property {string} fillColor - Fill color for the probe body
  * @property {string} labelColor - Color for the label text
- * @property {string} type - Probe type ('voltage' | 'current')
+ * @property {string} type - Probe type ('voltage' | 'current' | 'digital' | 'power' | 'differential' | 'device'); a digital probe reads the
+ *   logic state of an XSPICE digital net and acts as a voltage probe on an analog one
+ * @property {string | null} [componentId] - Component a power or device-parameter probe measures (found from the tip position)
+ * @property {string | null} [param] - Instance parameter a device-parameter probe reads, e.g. "ic" for @q1[ic]
+ * @property {number | null} [refX] - World X of a differential probe's - tip; null measures against ground
+ * @property {number | null} [refY] - World Y of a differential probe's - tip
+ * @property {number | null} [refNodeId] - Wire node under the - tip
  */
@@ -0,0 +1,295 @@
+/**
+ * RawfileParser - Reads ngspice rawfiles written by the `write` command
+ *
+ * Handles both `set filetype=binary` and `set filetype=ascii` output, and
+ * files holding several plots back to back. Each plot yields named vectors
+ * carrying their ngspice type, a display unit and a complex flag, so callers
+ * can look signals up by name instead of by column position.
+ */
+
+const UNITS_BY_TYPE = {
+    time: 's',
+    frequency: 'Hz',
+    voltage: 'V',
+    current: 'A',
+    temperature: '°C',
+    impedance: 'Ω',
+    admittance: 'S',
+    power: 'W',
+    'voltage-density': 'V/√Hz',
+    'current-density': 'A/√Hz',
+    'sqr-voltage-density': 'V²/Hz',
+    'sqr-current-density': 'A²/Hz',
+    'voltage^2': 'V²',
+    'current^2': 'A²'
+};
+
+/**
+ * @typedef {Object} RawVector
+ * @property {number} index - Column index within the plot (0 is the scale)
+ * @property {string} name - Vector name as written by ngspice, e.g. "v(2)" or "v1#branch"
+ * @property {string} type - ngspice vector type, e.g. "time", "voltage", "current"
+ * @property {string} unit - Display unit derived from the type ('' when unknown)
+ * @property {boolean} complex
+ * @property {Float64Array} [values] - Real data (real vectors)
+ * @property {Float64Array} [real] - Real part (complex vectors)
+ * @property {Float64Array} [imag] - Imaginary part (complex vectors)
+ */
+
+/**
+ * @typedef {Object} RawPlot
+ * @property {string} title
+ * @property {string} date
+ * @property {string} plotname - e.g. "Transient Analysis", "AC Analysis"
+ * @property {string[]} flags
+ * @property {boolean} complex
+ * @property {number} numPoints - Points actually read (may be fewer than announced)
+ * @property {RawVector[]} vectors - vectors[0] is the scale (time, frequency, sweep)
+ */
+
+/**
+ * Parse a rawfile
+ * @param {Uint8Array | ArrayBuffer | string} data
+ * @returns {RawPlot[]}
+ */
+export function parseRawfile(data) {
+    const bytes = toBytes(data);
+    const plots = [];
+    let pos = 0;
+
+    while (pos < bytes.length) {
+        const header = readHeader(bytes, pos);
+        if (!header) break;
+
+        const { plot, numVariables, announcedPoints, format } = header;
+        pos = header.next;
+
+        if (format === 'binary') {
+            pos = readBinaryValues(bytes, pos, plot, numVariables, announcedPoints);
+        } else {
+            pos = readAsciiValues(bytes, pos, plot, numVariables, announcedPoints);
+        }
+        plots.push(plot);
+    }
+
+    if (plots.length === 0) {
+        throw new Error('Not an ngspice rawfile (no plot header found)');
+    }
+    return plots;
+}
+
+/**
+ * Find a vector by the name used in the netlist's write/save command.
+ * Matching is case-insensitive and treats i(src) and src#branch as the same vector,
+ * and v(a,b) as the same as v(a)-v(b), which is how ngspice may name it.
+ * @param {RawPlot} plot
+ * @param {string} name
+ * @returns {RawVector | null}
+ */
+export function findVector(plot, name) {
+    if (!plot || !name) return null;
+    const wanted = normalizeVectorName(name);
+    return plot.vectors.find(vec => normalizeVectorName(vec.name) === wanted) ?? null;
+}
+
+/**
+ * Real-valued view of a vector: the data itself for real vectors, the real part otherwise
+ * @param {RawVector} vector
+ * @returns {Float64Array}
+ */
+export function realValues(vector) {
+    return vector.complex ? vector.real : vector.values;
+}
+
+function normalizeVectorName(name) {
+    const compact = String(name).toLowerCase().replace(/\s+/g, '');
+    const branch = compact.match(/^i\((.+)\)$/);
+    if (branch) return `${branch[1]}#branch`;
+    const difference = compact.match(/^v\(([^,()]+),([^,()]+)\)$/) ?? compact.match(/^v\(([^,()]+)\)-v\(([^,()]+)\)$/);
+    if (difference) return `${difference[1]}-${difference[2]}`;
+    const node = compact.match(/^v\(([^,]+)\)$/);
+    if (node) return node[1];
+    return compact;
+}
+
+function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    if (typeof data === 'string') {
+        const bytes = new Uint8Array(data.length);
+        for (let i = 0; i < data.length; i++) bytes[i] = data.charCodeAt(i) & 0xff;
+        return bytes;
+    }
+    throw new Error('Unsupported rawfile data');
+}
+
+function readLine(bytes, pos) {
+    let end = pos;
+    while (end < bytes.length && bytes[end] !== 10) end++;
+    let text = '';
+    for (let i = pos; i < end; i++) text += String.fromCharCode(bytes[i]);
+    return { text: text.replace(/\r$/, ''), next: Math.min(end + 1, bytes.length) };
+}
+
+/**
+ * Read header lines up to and including "Values:" or "Binary:"
+ */
+function readHeader(bytes, pos) {
+    const plot = { title: '', date: '', plotname: '', flags: [], complex: false, numPoints: 0, vectors: [] };
+    let numVariables = 0;
+    let announcedPoints = 0;
+    let sawTitle = false;
+
+    while (pos < bytes.length) {
+        const { text, next } = readLine(bytes, pos);
+        pos = next;
+        const line = text.trim();
+        if (!line) continue;
+
+        const colon = line.indexOf(':');
+        const key = colon >= 0 ? line.slice(0, colon).trim().toLowerCase() : '';
+        const value = colon >= 0 ? line.slice(colon + 1).trim() : '';
+
+        switch (key) {
+            case 'title':
+                plot.title = value;
+                sawTitle = true;
+                break;
+            case 'date':
+                plot.date = value;
+                break;
+            case 'plotname':
+                plot.plotname = value;
+                break;
+            case 'flags':
+                plot.flags = value.toLowerCase().split(/\s+/).filter(Boolean);
+                plot.complex = plot.flags.includes('complex');
+                break;
+            case 'no. variables':
+                numVariables = parseInt(value, 10) || 0;
+                break;
+            case 'no. points':
+                announcedPoints = parseInt(value, 10) || 0;
+                break;
+            case 'variables':
+                pos = readVariables(bytes, pos, plot, numVariables);
+                break;
+            case 'values':
+                return { plot, numVariables, announcedPoints, format: 'ascii', next: pos };
+            case 'binary':
+                return { plot, numVariables, announcedPoints, format: 'binary', next: pos };
+            default:
+                // Command:, Option: and similar lines carry nothing we need
+                break;
+        }
+    }
+
+    return sawTitle ? { plot, numVariables, announcedPoints, format: 'ascii', next: pos } : null;
+}
+
+function readVariables(bytes, pos, plot, numVariables) {
+    for (let i = 0; i < numVariables && pos < bytes.length; i++) {
+        const { text, next } = readLine(bytes, pos);
+        pos = next;
+        // "<index> <name> <type> [param=value ...]"
+        const [, name = `vec${i}`, type = 'notype'] = text.trim().split(/\s+/);
+        const vecType = type.toLowerCase();
+        plot.vectors.push({
+            index: i,
+            name,
+            type: vecType,
+            unit: UNITS_BY_TYPE[vecType] ?? '',
+            complex: plot.complex
+        });
+    }
+    return pos;
+}
+
+function readBinaryValues(bytes, pos, plot, numVariables, announcedPoints) {
+    const stride = numVariables * (plot.complex ? 2 : 1) * 8;
+    const available = stride > 0 ? Math.floor((bytes.length - pos) / stride) : 0;
+    const numPoints = Math.min(announcedPoints, available);
+    const view = new DataView(bytes.buffer, bytes.byteOffset + pos, numPoints * stride);
+
+    allocateVectors(plot, numPoints);
+
+    let offset = 0;
+    for (let p = 0; p < numPoints; p++) {
+        for (const vec of plot.vectors) {
+            if (plot.complex) {
+                vec.real[p] = view.getFloat64(offset, true);
+                vec.imag[p] = view.getFloat64(offset + 8, true);
+                offset += 16;
+            } else {
+                vec.values[p] = view.getFloat64(offset, true);
+                offset += 8;
+            }
+        }
+    }
+
+    plot.numPoints = numPoints;
+    return pos + numPoints * stride;
+}
+
+function readAsciiValues(bytes, pos, plot, numVariables, announcedPoints) {
+    allocateVectors(plot, announcedPoints);
+
+    // Each point is "<index> <v0>" followed by one line per remaining variable
+    let point = 0;
+    let column = 0;
+    while (pos < bytes.length && point < announcedPoints) {
+        const { text, next } = readLine(bytes, pos);
+        const line = text.trim();
+        if (/^title:/i.test(line)) break;
+        pos = next;
+        if (!line) continue;
+
+        const tokens = line.split(/\s+/);
+        if (column === 0 && tokens.length > 1) tokens.shift(); // point index
+
+        for (const token of tokens) {
+            const vec = plot.vectors[column];
+            if (vec) {
+                const [re, im] = token.split(',').map(Number);
+                if (plot.complex) {
+                    vec.real[point] = re;
+                    vec.imag[point] = im ?? 0;
+                } else {
+                    vec.values[point] = re;
+                }
+            }
+            column++;
+            if (column >= numVariables) {
+                column = 0;
+                point++;
+            }
+        }
+    }
+
+    if (point < announcedPoints) truncateVectors(plot, point);
+    plot.numPoints = point;
+    return pos;
+}
+
+function allocateVectors(plot, numPoints) {
+    plot.vectors.forEach(vec => {
+        if (plot.complex) {
+            vec.real = new Float64Array(numPoints);
+            vec.imag = new Float64Array(numPoints);
+        } else {
+            vec.values = new Float64Array(numPoints);
+        }
+    });
+}
+
+function truncateVectors(plot, numPoints) {
+    plot.vectors.forEach(vec => {
+        if (plot.complex) {
+            vec.real = vec.real.slice(0, numPoints);
+            vec.imag = vec.imag.slice(0, numPoints);
+        } else {
+            vec.values = vec.values.slice(0, numPoints);
+        }
+    });
+}
@@ -0,0 +1,175 @@
+/**
+ * RunHistory - The last few simulation runs, kept for before/after comparison
+ *
+ * A run keeps the netlist of every job, the results of its single analyses
+ * (sweep steps and Monte Carlo runs are left out) and a small snapshot of the
+ * circuit, which is compared with the previous run's to say what changed.
+ * One run can be pinned as the reference: its traces are drawn dashed on
+ * later plots, and it stays in the history after it would have dropped off.
+ */
+
+export const DEFAULT_HISTORY_LIMIT = 10;
+
+/**
+ * @typedef {Object} CircuitSnapshot
+ * @property {Record<string, {designator: string, value: string, model: string, ic: string}>} components - By component id
+ * @property {string} wires - Serialized wire graph; compared as a whole
+ * @property {string[]} probes - Probe labels
+ * @property {string[]} directives - Directive text
+ * @property {string} temperature
+ * @property {string} simulatorOptions - Serialized; compared as a whole
+ * @property {string} initialConditions - Serialized; compared as a whole
+ */
+
+/**
+ * @typedef {Object} HistoryRun
+ * @property {number} id - Run number, counting from 1 for the session
+ * @property {number} timestamp - ms since the epoch, when the run started
+ * @property {Array<{label: string, netlist: string}>} netlists
+ * @property {Array<{label: string, analysisType: string, rawData: Uint8Array, probeInfo: Array}>} results
+ * @property {CircuitSnapshot} snapshot
+ * @property {string[] | null} changes - What differs from the previous run; null for the session's first
+ */
+
+export class RunHistory {
+    /**
+     * @param {number} [limit] - Runs kept, not counting a pinned one that is older
+     */
+    constructor(limit = DEFAULT_HISTORY_LIMIT) {
+        this.limit = limit;
+        /** @type {HistoryRun[]} Newest first */
+        this.runs = [];
+        this.pinnedId = null;
+        this._counter = 1;
+    }
+
+    /**
+     * Record a finished run
+     * @param {Object} run
+     * @param {number} run.timestamp
+     * @param {CircuitSnapshot} run.snapshot
+     * @param {Array<{label: string, netlist: string}>} run.netlists
+     * @param {Array<{label: string, analysisType: string, rawData: Uint8Array, probeInfo: Array}>} run.results
+     * @returns {HistoryRun}
+     */
+    add({ timestamp, snapshot, netlists, results }) {
+        const previous = this.runs[0] ?? null;
+        const entry = {
+            id: this._counter++,
+            timestamp,
+            netlists,
+            results,
+            snapshot,
+            changes: previous ? summarizeChanges(previous.snapshot, snapshot) : null
+        };
+        this.runs.unshift(entry);
+
+        const kept = this.runs.slice(0, this.limit);
+        const pinned = this.getPinned();
+        if (pinned && !kept.includes(pinned)) kept.push(pinned);
+        this.runs = kept;
+        return entry;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {HistoryRun | null}
+     */
+    get(id) {
+        return this.runs.find(run => run.id === id) ?? null;
+    }
+
+    /**
+     * Make a run the reference, or clear it with null
+     * @param {number | null} id
+     */
+    pin(id) {
+        this.pinnedId = id !== null && this.get(id) ? id : null;
+    }
+
+    /**
+     * @returns {HistoryRun | null}
+     */
+    getPinned() {
+        return this.pinnedId !== null ? this.get(this.pinnedId) : null;
+    }
+
+    /**
+     * The pinned run's result to compare a new one with: the same analysis,
+     * or failing that the first of the same type
+     * @param {string} analysisType
+     * @param {string} label - Directive text of the new result
+     * @returns {{runId: number, label: string, analysisType: string, rawData: Uint8Array, probeInfo: Array} | null}
+     */
+    findReference(analysisType, label) {
+        const pinned = this.getPinned();
+        if (!pinned) return null;
+        const sameType = pinned.results.filter(result => result.analysisType === analysisType);
+        const match = sameType.find(result => result.label === label) ?? sameType[0];
+        return match ? { runId: pinned.id, ...match } : null;
+    }
+}
+
+/**
+ * The parts of a saved circuit document that change simulation results
+ * @param {Object} data - Output of the editor's _serialize
+ * @returns {CircuitSnapshot}
+ */
+export function circuitSnapshot(data) {
+    const components = {};
+    (data.components ?? []).forEach(component => {
+        const meta = component.meta ?? {};
+        components[component.id] = {
+            designator: meta.designatorText || component.name || component.id,
+            value: meta.valueText || meta.definition?.defaultValue || '',
+            model: meta.customModelStatement || meta.selectedModelName || '',
+            ic: meta.initialCondition || ''
+        };
+    });
+    const options = data.simulationOptions ?? {};
+    return {
+        components,
+        wires: JSON.stringify(data.wires ?? null),
+        probes: (data.probes ?? []).map(probe => probe.label),
+        directives: (data.simulation ?? []).map(directive => directive.text || directive.type),
+        temperature: String(options.temperature ?? ''),
+        simulatorOptions: JSON.stringify(options.simulatorOptions ?? {}),
+        initialConditions: JSON.stringify(data.initialConditions ?? [])
+    };
+}
+
+/**
+ * Describe what differs between two snapshots, e.g. "R1 1k → 2.2k", "added C3"
+ * @param {CircuitSnapshot} before
+ * @param {CircuitSnapshot} after
+ * @returns {string[]}
+ */
+export function summarizeChanges(before, after) {
+    const changes = [];
+
+    Object.entries(after.components).forEach(([id, part]) => {
+        const old = before.components[id];
+        if (!old) {
+            changes.push(`added ${part.designator}`);
+            return;
+        }
+        const name = part.designator;
+        if (old.designator !== part.designator) changes.push(`${old.designator} renamed ${part.designator}`);
+        if (old.value !== part.value) changes.push(`${name} ${old.value || '(none)'} → ${part.value || '(none)'}`);
+        if (old.model !== part.model) changes.push(`${name} model changed`);
+        if (old.ic !== part.ic) changes.push(`${name} IC=${old.ic || '(none)'} → ${part.ic || '(none)'}`);
+    });
+    Object.entries(before.components).forEach(([id, part]) => {
+        if (!after.components[id]) changes.push(`removed ${part.designator}`);
+    });
+
+    if (before.wires !== after.wires) changes.push('wiring changed');
+    if (before.initialConditions !== after.initialConditions) changes.push('initial conditions changed');
+    if (before.probes.join('\n') !== after.probes.join('\n')) changes.push('probes changed');
+    if (before.directives.join('\n') !== after.directives.join('\n')) changes.push('analyses changed');
+    if (before.temperature !== after.temperature) {
+        changes.push(`temperature ${before.temperature || 'default'} → ${after.temperature || 'default'}`);
+    }
+    if (before.simulatorOptions !== after.simulatorOptions) changes.push('simulator options changed');
+    return changes;
+}
@@ -0,0 +1,278 @@
+/**
+ * SimulationRunner - Dispatches ngspice jobs to a pool of persistent workers
+ *
+ * Each worker loads the WASM runtime and code models once and then serves any
+ * number of jobs. Every job gets a unique jobId that the worker echoes on all
+ * of its messages, so output from one run can never be attributed to another.
+ * A worker whose runtime aborts is discarded and replaced transparently.
+ *
+ * ngspice cannot be interrupted from inside a blocking callMain, so cancelling
+ * or timing out a running job terminates its worker; a fresh one is started
+ * only when more work is queued.
+ */
+
+/**
+ * Rejection reason for jobs stopped by the user or by their timeout
+ */
+export class SimulationAbortError extends Error {
+    /**
+     * @param {'cancelled' | 'timeout'} reason
+     * @param {string} [message]
+     */
+    constructor(reason, message) {
+        super(message ?? (reason === 'timeout' ? 'Simulation timed out' : 'Simulation cancelled'));
+        this.name = 'SimulationAbortError';
+        this.reason = reason;
+    }
+}
+
+export class SimulationRunner {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.workerUrl='/ngspice-worker.js']
+     * @param {number} [options.poolSize=1] - Number of workers running jobs in parallel
+     * @param {string | null} [options.spinit] - spinit text sent to every worker
+     */
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl ?? '/ngspice-worker.js';
+        this.poolSize = Math.max(1, options.poolSize ?? 1);
+        this.spinit = options.spinit ?? null;
+
+        this._slots = [];
+        this._queue = [];
+        this._jobs = new Map(); // jobId -> job record
+        this._jobCounter = 0;
+    }
+
+    /**
+     * Update the spinit text for current and future workers
+     * @param {string | null} spinit
+     */
+    setSpinit(spinit) {
+        this.spinit = spinit ?? null;
+        this._slots.forEach(slot => slot.worker.postMessage({ type: 'init', spinit: this.spinit }));
+    }
+
+    /**
+     * Queue a netlist for simulation
+     * @param {string} netlist
+     * @param {Object} [handlers]
+     * @param {(jobId: string) => void} [handlers.onStart] - Job was handed to a worker
+     * @param {(text: string) => void} [handlers.onStdout]
+     * @param {(text: string) => void} [handlers.onStderr]
+     * @param {(text: string) => void} [handlers.onStatus]
+     * @param {(rawData: Uint8Array) => void} [handlers.onPartial] - Data so far from a streaming transient run
+     * @param {Object} [options]
+     * @param {number} [options.timeout=0] - Milliseconds a job may run once started; 0 disables
+     * @param {(jobId: string) => void} [options.onQueued] - Receives the jobId before the job starts
+     * @returns {Promise<{jobId: string, rawData: Uint8Array | null, vcdData: string | null, stdout: string, stderr: string}>}
+     */
+    run(netlist, handlers = {}, options = {}) {
+        const jobId = `job-${++this._jobCounter}`;
+        options.onQueued?.(jobId);
+        return new Promise((resolve, reject) => {
+            const job = {
+                jobId,
+                netlist,
+                handlers,
+                resolve,
+                reject,
+                slot: null,
+                timeout: Math.max(0, options.timeout ?? 0),
+                timer: null
+            };
+            this._jobs.set(jobId, job);
+            this._queue.push(job);
+            this._ensureSlots();
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Stop a queued or running job. Its promise rejects with a SimulationAbortError.
+     * @param {string} jobId
+     * @returns {boolean} True if the job was still outstanding
+     */
+    cancel(jobId) {
+        const job = this._jobs.get(jobId);
+        if (!job) return false;
+        this._abortJob(job, new SimulationAbortError('cancelled'));
+        return true;
+    }
+
+    /**
+     * Stop several jobs at once, e.g. every directive of one run
+     * @param {string[]} [jobIds] - Defaults to every outstanding job
+     */
+    cancelAll(jobIds = Array.from(this._jobs.keys())) {
+        const jobs = jobIds.map(id => this._jobs.get(id)).filter(Boolean);
+        // Drop queued jobs first so stopping a running one doesn't spawn a replacement worker
+        jobs.filter(job => !job.slot).forEach(job => this.cancel(job.jobId));
+        jobs.filter(job => job.slot).forEach(job => this.cancel(job.jobId));
+    }
+
+    /**
+     * Terminate all workers and reject any outstanding jobs
+     */
+    dispose() {
+        this._slots.forEach(slot => {
+            try { slot.worker.terminate(); } catch (_) {}
+        });
+        this._slots = [];
+        this._queue = [];
+        this._jobs.forEach(job => {
+            clearTimeout(job.timer);
+            job.reject(new Error('Simulation runner disposed'));
+        });
+        this._jobs.clear();
+    }
+
+    // ==================== Internals ====================
+
+    _ensureSlots() {
+        const wanted = Math.min(this.poolSize, this._slots.length + this._queue.length);
+        while (this._slots.length < wanted) {
+            this._slots.push(this._createSlot());
+        }
+    }
+
+    _createSlot() {
+        const worker = new Worker(this.workerUrl);
+        const slot = { worker, ready: false, job: null };
+
+        worker.onmessage = (e) => this._handleMessage(slot, e.data);
+        worker.onerror = (err) => {
+            err.preventDefault?.();
+            this._failSlot(slot, new Error(err.message || 'Worker error'));
+        };
+
+        worker.postMessage({ type: 'init', spinit: this.spinit });
+        return slot;
+    }
+
+    _dispatch() {
+        for (const slot of this._slots) {
+            if (this._queue.length === 0) return;
+            if (!slot.ready || slot.job) continue;
+
+            const job = this._queue.shift();
+            slot.job = job;
+            job.slot = slot;
+            if (job.timeout > 0) {
+                job.timer = setTimeout(() => {
+                    this._abortJob(job, new SimulationAbortError('timeout', `Simulation timed out after ${job.timeout / 1000} s`));
+                }, job.timeout);
+            }
+            job.handlers.onStart?.(job.jobId);
+            slot.worker.postMessage({ type: 'run', jobId: job.jobId, netlist: job.netlist });
+        }
+    }
+
+    _handleMessage(slot, data) {
+        const { type, jobId } = data;
+
+        if (type === 'ready') {
+            slot.ready = true;
+            this._dispatch();
+            return;
+        }
+
+        // Messages without a jobId come from worker startup (e.g. code model loading)
+        const job = jobId ? this._jobs.get(jobId) : null;
+        if (!job) {
+            if (type === 'stderr') console.warn('[ngspice]', data.text);
+            return;
+        }
+
+        switch (type) {
+            case 'stdout':
+                job.handlers.onStdout?.(data.text);
+                break;
+            case 'stderr':
+                job.handlers.onStderr?.(data.text);
+                break;
+            case 'status':
+                job.handlers.onStatus?.(data.text);
+                break;
+            case 'partial':
+                job.handlers.onPartial?.(data.rawData);
+                break;
+            case 'complete':
+                this._finishJob(job);
+                job.resolve({
+                    jobId,
+                    rawData: data.rawData ?? null,
+                    vcdData: data.vcdData ?? null,
+                    stdout: data.stdout ?? '',
+                    stderr: data.stderr ?? ''
+                });
+                break;
+            case 'error': {
+                const error = new Error(data.message || 'Simulation failed');
+                if (data.stack) error.stack = data.stack;
+                if (data.fatal) {
+                    this._failSlot(slot, error);
+                } else {
+                    this._finishJob(job);
+                    job.reject(error);
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    _finishJob(job) {
+        clearTimeout(job.timer);
+        this._jobs.delete(job.jobId);
+        if (job.slot && job.slot.job === job) {
+            job.slot.job = null;
+        }
+        job.slot = null;
+        this._dispatch();
+    }
+
+    /**
+     * Reject a job; a running job takes its worker down with it
+     */
+    _abortJob(job, error) {
+        if (job.slot) {
+            this._failSlot(job.slot, error);
+            return;
+        }
+        this._queue = this._queue.filter(q => q !== job);
+        this._jobs.delete(job.jobId);
+        job.reject(error);
+    }
+
+    /**
+     * Discard a broken worker, reject its job and start a replacement if work remains
+     */
+    _failSlot(slot, error) {
+        try { slot.worker.terminate(); } catch (_) {}
+        this._slots = this._slots.filter(s => s !== slot);
+
+        const job = slot.job;
+        slot.job = null;
+        if (job) {
+            clearTimeout(job.timer);
+            this._jobs.delete(job.jobId);
+            job.slot = null;
+            job.reject(error);
+        }
+
+        // A worker that never became ready will not do better on a retry
+        if (!slot.ready && !this._slots.some(s => s.ready)) {
+            const queued = this._queue.splice(0);
+            queued.forEach(q => {
+                this._jobs.delete(q.jobId);
+                q.reject(error);
+            });
+            return;
+        }
+
+        this._ensureSlots();
+        this._dispatch();
+    }
+}
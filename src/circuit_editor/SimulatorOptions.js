@@ -0,0 +1,66 @@
+/**
+ * SimulatorOptions - Validates and writes the .options card
+ *
+ * The options panel stores values as the text the user typed (SPICE numbers
+ * such as 1e-4 or 10p); a blank field leaves ngspice's default in place. The
+ * circuit temperature is kept separately and written as .temp.
+ */
+
+import { parseSpiceNumber } from './ParameterSweep.js';
+
+/**
+ * @typedef {Object} SimulatorOption
+ * @property {string} name - ngspice option name, lowercase
+ * @property {string} label
+ * @property {'number' | 'integer' | 'choice'} kind
+ * @property {string} defaultText - ngspice's default, shown as a placeholder
+ * @property {number} [max] - Exclusive upper bound for numbers
+ * @property {string[]} [choices]
+ */
+
+/** Options offered by the panel, in display order */
+export const SIMULATOR_OPTIONS = [
+    { name: 'reltol', label: 'RELTOL (relative tolerance)', kind: 'number', defaultText: '0.001', max: 1 },
+    { name: 'abstol', label: 'ABSTOL (current tolerance, A)', kind: 'number', defaultText: '1e-12' },
+    { name: 'vntol', label: 'VNTOL (voltage tolerance, V)', kind: 'number', defaultText: '1e-6' },
+    { name: 'gmin', label: 'GMIN (minimum conductance, S)', kind: 'number', defaultText: '1e-12' },
+    { name: 'itl1', label: 'ITL1 (DC iteration limit)', kind: 'integer', defaultText: '100' },
+    { name: 'itl4', label: 'ITL4 (transient step iteration limit)', kind: 'integer', defaultText: '10' },
+    { name: 'method', label: 'METHOD (integration)', kind: 'choice', defaultText: 'trap', choices: ['trap', 'gear'] }
+];
+
+/**
+ * Check option values before they are stored
+ * @param {Record<string, string>} values - Option name -> text; blank entries are ignored
+ * @returns {string | null} Problem description, or null when every value is usable
+ */
+export function validateSimulatorOptions(values) {
+    for (const option of SIMULATOR_OPTIONS) {
+        const text = String(values?.[option.name] ?? '').trim();
+        if (!text) continue;
+        const name = option.name.toUpperCase();
+
+        if (option.kind === 'choice') {
+            if (!option.choices.includes(text.toLowerCase())) return `${name} must be one of ${option.choices.join(', ')}`;
+            continue;
+        }
+        const value = parseSpiceNumber(text);
+        if (!Number.isFinite(value) || value <= 0) return `${name} must be a positive number`;
+        if (option.kind === 'integer' && !Number.isInteger(value)) return `${name} must be a whole number`;
+        if (option.max !== undefined && value >= option.max) return `${name} must be less than ${option.max}`;
+    }
+    return null;
+}
+
+/**
+ * The .options card for a set of values
+ * @param {Record<string, string> | null} values
+ * @returns {string | null} null when every option is left at its default
+ */
+export function buildOptionsCard(values) {
+    const settings = SIMULATOR_OPTIONS
+        .map(option => [option.name, String(values?.[option.name] ?? '').trim()])
+        .filter(([, text]) => text)
+        .map(([name, text]) => `${name}=${name === 'method' ? text.toLowerCase() : text}`);
+    return settings.length > 0 ? `.options ${settings.join(' ')}` : null;
+}
@@ -23,6 +23,7 @@ export class UndoManager {
         this.undoStack = [];
         this.redoStack = [];
         this.enabled = true;
+        this.onChange = null; // () => void - called when an edit is recorded, undone or redone
     }
 
     /**
@@ -42,6 +43,7 @@ export class UndoManager {
         }
 
         this.undoStack.push({ type, data, timestamp: Date.now() });
+        this.onChange?.();
     }
 
     /**
@@ -72,6 +74,7 @@ export class UndoManager {
 
         if (success) {
             this.redoStack.push(action);
+            this.onChange?.();
             return true;
         } else {
             // Put it back if undo failed
@@ -94,6 +97,7 @@ export class UndoManager {
 
         if (success) {
             this.undoStack.push(action);
+            this.onChange?.();
             return true;
         } else {
             // Put it back if redo failed
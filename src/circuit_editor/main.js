@@ -14,13 +14,60 @@ import { WireGraph } from './WireGraph.js';
 import { WireEditor } from './WireEditor.js';
 import { ComponentManager } from './ComponentManager.js';
 import { SelectionManager } from './SelectionManager.js';
-import { NetlistGenerator } from './NetlistGenerator.js';
+import { NetlistGenerator, netlistBody } from './NetlistGenerator.js';
 import { ProbeManager } from './ProbeManager.js';
+import { InitialConditionManager } from './InitialConditions.js';
+import { RunHistory, circuitSnapshot } from './RunHistory.js';
 import { UndoManager, UNDO_TYPES } from './UndoManager.js';
+import { SimulationRunner, SimulationAbortError } from './SimulationRunner.js';
+import { parseRawfile, findVector, realValues } from './RawfileParser.js';
+import { OperatingPointOverlay, formatEngineering } from './OperatingPointOverlay.js';
+import { parseNgspiceDiagnostics } from './NgspiceDiagnostics.js';
+import { DiagnosticsOverlay } from './DiagnosticsOverlay.js';
+import { parseFourierOutput } from './FourierAnalysis.js';
+import { extractPoleZero } from './PoleZero.js';
+import { parseVcd, findDigitalSignal, logicLevel } from './DigitalWaveforms.js';
+import { computePower, summarizePower, powerVectors } from './PowerProbes.js';
+import { getDeviceParameters } from './DeviceParameters.js';
+import { SIMULATOR_OPTIONS, validateSimulatorOptions, buildOptionsCard } from './SimulatorOptions.js';
+import { detectConvergenceFailure, getRecoveryStrategies } from './ConvergenceRecovery.js';
+import { MEASUREMENT_TYPES, validateMeasurement, buildMeasureStatement, parseMeasureOutput } from './Measurements.js';
+import { expandSweepValues, describeSweep, getSweepTargetLabel, formatSweepStep, parseSpiceNumber } from './ParameterSweep.js';
+import {
+    validateRunCount,
+    createRandom,
+    normalizeTolerance,
+    randomizeValue,
+    measure,
+    summarize
+} from './MonteCarlo.js';
 import { loadLibrary, replaceLibrary } from '../common/storage/library.js';
+import { resultCacheKey, getCachedResult, putCachedResult } from '../common/storage/resultCache.js';
 import { DEFAULT_COMPONENT_LIBRARY } from '../common/defaultComponents.js';
 import { createComponentFromDefinition, Component } from './Component.js';
 
+const DEFAULT_SIM_TIMEOUT_SECONDS = 60;
+/** Quiet time after the last edit before live mode re-runs the simulation */
+const LIVE_SIMULATION_DELAY_MS = 600;
+/** Times a transient run pauses to send the data so far to the plot */
+const TRAN_STREAM_SNAPSHOTS = 20;
+/** Transients with fewer print steps (tstop / tstep) than this finish too quickly to be worth streaming */
+const TRAN_STREAM_MIN_STEPS = 100000;
+/** Vertical spacing of timing diagram lanes; a high level is drawn 1 unit above its lane */
+const DIGITAL_LANE_PITCH = 1.5;
+/** Library parts that are put back when a stored library lacks them */
+const BUILT_IN_COMPONENT_IDS = [
+    'custom_subcircuit',
+    'net_label',
+    'adc_bridge',
+    'dac_bridge',
+    'digital_and',
+    'digital_or',
+    'digital_not',
+    'digital_dff',
+    'digital_counter'
+];
+
 class CircuitEditorApp {
     constructor() {
         this.canvas = document.getElementById('circuit-canvas');
@@ -50,7 +97,12 @@ class CircuitEditorApp {
         this.netlistGenerator = new NetlistGenerator(this.componentManager, this.wireGraph);
         this.probeManager = new ProbeManager(this.viewport, this.wireGraph, this.componentManager);
         this.netlistGenerator.setProbeManager(this.probeManager);
+        this.initialConditions = new InitialConditionManager(this.viewport, this.wireGraph, this.componentManager);
+        this.netlistGenerator.setInitialConditions(this.initialConditions);
+        this.opOverlay = new OperatingPointOverlay(this.viewport, this.wireGraph, this.componentManager);
+        this.diagnosticsOverlay = new DiagnosticsOverlay(this.viewport, this.wireGraph, this.componentManager);
         this.undoManager = new UndoManager();
+        this.runHistory = new RunHistory();
         this._componentCounter = 1;
         this._designatorCounters = new Map();
         this.componentLibrary = {};
@@ -65,11 +117,21 @@ class CircuitEditorApp {
         this._autoSaveInterval = null;
         this._currentTool = 'select'; // Track current tool: 'select', 'wire', 'probe'
         this._plotCounter = 0; // Unique plot IDs
+        this._plotDrawCount = 0; // Bumped whenever a plot container is drawn into
         
         // Simulation directives
         this.simulationDirectives = [];
-        this.spiceWorker = null;
+        this.simulationOptions = { timeoutSeconds: DEFAULT_SIM_TIMEOUT_SECONDS, temperature: null, simulatorOptions: {}, sweep: null, monteCarlo: null, measurements: [], live: false };
+        /** @type {Array<Object>} Measurement tables from the last run, saved with the circuit */
+        this.measurementResults = [];
+        this.simulationRunner = null;
+        this._activeSimRun = null;
+        this._liveTimer = null;
+        this._lastLiveNetlist = null;
         this.spiceRunBtn = null;
+        this.spiceStopBtn = null;
+        this.spiceRerunBtn = null;
+        this.opAnnotateBtn = null;
         this.spiceStatusEl = null;
         this.spiceOutputEl = null;
         this.spicePlotEl = null;
@@ -84,8 +146,12 @@ class CircuitEditorApp {
         // Component drag end callback for auto-connection
         this.componentManager.onComponentDragEnd = (component) => {
             this._autoConnectPinsToWires(component);
+            this._notifyCircuitChanged();
         };
 
+        // Every recorded, undone or redone edit is a candidate for a live re-run
+        this.undoManager.onChange = () => this._notifyCircuitChanged();
+
         // Ghost preview
         this._setupGhostPreview();
 
@@ -168,6 +234,9 @@ class CircuitEditorApp {
                     this.componentManager.components = [];
                     this.componentManager.pinNodeIdsByComponent.clear();
                     this.probeManager.clear();
+                    this.initialConditions.clear();
+                    this._clearOperatingPoint();
+                    this._clearDiagnostics();
                     this._componentCounter = 1;
                     this._designatorCounters.clear();
                     this._saveToLocalStorage();
@@ -240,7 +309,7 @@ class CircuitEditorApp {
             console.error('Failed to load component library', error);
             this.componentLibrary = { ...DEFAULT_COMPONENT_LIBRARY };
         }
-        this._ensureSubcircuitPlaceholder();
+        this._ensureBuiltInComponents();
         this._renderComponentPanel();
         // Start with select tool active and no component selected
         // Need to call _setTool to properly initialize tool state, but without clearing selection
@@ -250,11 +319,15 @@ class CircuitEditorApp {
         this._updateToolButtons('select');
     }
 
-    _ensureSubcircuitPlaceholder() {
-        const id = 'custom_subcircuit';
-        if (this.componentLibrary[id]) return;
-        const fallback = DEFAULT_COMPONENT_LIBRARY[id];
-        if (fallback) {
+    /**
+     * Libraries saved before a built-in part existed (the subcircuit
+     * placeholder, the net label, the digital parts) get it from the defaults
+     */
+    _ensureBuiltInComponents() {
+        for (const id of BUILT_IN_COMPONENT_IDS) {
+            if (this.componentLibrary[id]) continue;
+            const fallback = DEFAULT_COMPONENT_LIBRARY[id];
+            if (!fallback) continue;
             try {
                 this.componentLibrary[id] = JSON.parse(JSON.stringify(fallback));
             } catch (error) {
@@ -290,7 +363,7 @@ class CircuitEditorApp {
 
                 await replaceLibrary(parsed);
 
-                this._ensureSubcircuitPlaceholder();
+                this._ensureBuiltInComponents();
                 this._renderComponentPanel();
                 const firstId = Object.keys(parsed)[0] ?? null;
                 if (firstId) {
@@ -371,6 +444,7 @@ class CircuitEditorApp {
         
         // Clear the current tool to indicate component placement mode
         this._currentTool = null;
+        this.probeManager.cancelPendingReference();
         this.wireEditor.setActive(false);
         this.probeManager.setGhostPosition(null);
         this.canvas.style.cursor = 'crosshair';
@@ -396,6 +470,7 @@ class CircuitEditorApp {
     
     _setTool(toolName) {
         this._currentTool = toolName;
+        this.probeManager.cancelPendingReference();
         switch (toolName) {
             case 'wire':
                 this._clearSelection();
@@ -435,6 +510,7 @@ class CircuitEditorApp {
             if (this._modalOpen) {
                 if (event.key === 'Escape') {
                     this._closeComponentModal();
+                    this._closeInitialConditionModal();
                     this._cancelSubcircuitModal();
                 }
                 return;
@@ -444,6 +520,7 @@ class CircuitEditorApp {
             if (isFormField) return;
             if (event.key === 'Escape') {
                 this.wireEditor.handleKeyDown(event);
+                this.probeManager.cancelPendingReference();
                 this._clearSelection();
                 this._setTool('select');
                 this._updateToolButtons('select');
@@ -451,10 +528,10 @@ class CircuitEditorApp {
                 return;
             }
             
-            // Cmd/Ctrl + Enter to run simulation
+            // Cmd/Ctrl + Enter to run simulation, with Shift to ignore cached results
             if (event.key === 'Enter' && (event.metaKey || event.ctrlKey)) {
                 event.preventDefault();
-                this._runNgspiceSimulation();
+                this._runNgspiceSimulation({ forceRerun: event.shiftKey });
                 return;
             }
             
@@ -528,6 +605,7 @@ class CircuitEditorApp {
                             if (hit) {
                                 hit.rotate();
                                 this.viewport.render();
+                                this._notifyCircuitChanged();
                             } else {
                                 // Check for probe under cursor
                                 const probe = this.probeManager.getProbeAt(mouse.x, mouse.y);
@@ -681,6 +759,27 @@ class CircuitEditorApp {
         probeCloseBtn?.addEventListener('click', () => this._closeProbeModal());
         probeCancelBtn?.addEventListener('click', () => this._closeProbeModal());
         probeSaveBtn?.addEventListener('click', () => this._saveProbeModal());
+        document.getElementById('probe-type-select')?.addEventListener('change', (event) => {
+            if (this._editingProbe) this._fillProbeParamSelect(this._editingProbe, event.target.value);
+        });
+
+        // Initial condition modal, opened by right-clicking a net, capacitor or inductor
+        const icOverlay = document.getElementById('ic-modal');
+        icOverlay?.addEventListener('click', (event) => {
+            if (event.target === icOverlay) this._closeInitialConditionModal();
+        });
+        document.querySelector('#ic-modal .modal-close')?.addEventListener('click', () => this._closeInitialConditionModal());
+        document.getElementById('ic-modal-cancel')?.addEventListener('click', () => this._closeInitialConditionModal());
+        document.getElementById('ic-modal-save')?.addEventListener('click', () => this._saveInitialConditionModal());
+        document.getElementById('ic-modal-remove')?.addEventListener('click', () => this._removeInitialCondition());
+        document.getElementById('ic-value-input')?.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this._saveInitialConditionModal();
+        });
+
+        this.viewport.onContextMenu = (worldX, worldY) => {
+            if (this._modalOpen || this.wireEditor.isActive) return;
+            this._openInitialConditionModal(worldX, worldY);
+        };
 
         this.canvas.addEventListener('dblclick', (event) => {
             if (this._modalOpen) return;
@@ -719,6 +818,7 @@ class CircuitEditorApp {
         input.value = probe.label;
         typeSelect.value = probe.type || 'voltage';
         colorInput.value = probe.color || '#3b82f6';
+        this._fillProbeParamSelect(probe, typeSelect.value);
         
         modal.classList.add('is-open');
         modal.setAttribute('aria-hidden', 'false');
@@ -740,6 +840,39 @@ class CircuitEditorApp {
         input.addEventListener('keydown', handleEnter);
     }
     
+    /**
+     * Offer the parameters of the component under a device-parameter probe;
+     * the field is hidden for other probe types
+     * @param {Object} probe
+     * @param {string} type - Type chosen in the dialog
+     */
+    _fillProbeParamSelect(probe, type) {
+        const field = document.getElementById('probe-param-field');
+        const select = document.getElementById('probe-param-select');
+        if (!field || !select) return;
+        field.style.display = type === 'device' ? '' : 'none';
+        if (type !== 'device') return;
+
+        // A probe switched to this type in the dialog is not attached to its component yet
+        const component = this.componentManager.components.find(c => c.id === probe.componentId)
+            ?? this.componentManager.getComponentAt(probe.x, probe.y);
+        const params = component ? getDeviceParameters(this.netlistGenerator.getSpiceType(component)) : [];
+        select.innerHTML = '';
+        params.forEach(param => {
+            const option = document.createElement('option');
+            option.value = param.name;
+            option.textContent = `${param.name} - ${param.label} (${param.unit})`;
+            select.appendChild(option);
+        });
+        if (params.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = component ? 'No parameters for this part' : 'Place the probe on a component';
+            select.appendChild(option);
+        }
+        select.value = params.some(param => param.name === probe.param) ? probe.param : (params[0]?.name ?? '');
+    }
+
     _closeProbeModal() {
         const modal = document.getElementById('probe-modal');
         if (modal) {
@@ -777,8 +910,110 @@ class CircuitEditorApp {
         this.probeManager.updateProbeLabel(this._editingProbe.id, newLabel);
         this.probeManager.updateProbeType(this._editingProbe.id, newType);
         this.probeManager.updateProbeColor(this._editingProbe.id, newColor);
+        if (newType === 'device') {
+            this.probeManager.updateProbeParam(this._editingProbe.id, document.getElementById('probe-param-select')?.value);
+        }
         this._saveToLocalStorage();
         this._closeProbeModal();
+        this._notifyCircuitChanged();
+    }
+
+    /**
+     * Edit the initial condition at a point: a capacitor's voltage or an
+     * inductor's current (IC= on its line), otherwise the .ic/.nodeset of the
+     * net under the pointer
+     * @param {number} worldX
+     * @param {number} worldY
+     */
+    _openInitialConditionModal(worldX, worldY) {
+        const modal = document.getElementById('ic-modal');
+        const kindField = document.getElementById('ic-kind-field');
+        const kindSelect = document.getElementById('ic-kind-select');
+        const valueLabel = document.getElementById('ic-value-label');
+        const valueInput = document.getElementById('ic-value-input');
+        const removeBtn = document.getElementById('ic-modal-remove');
+        if (!modal || !kindField || !kindSelect || !valueLabel || !valueInput || !removeBtn) return;
+
+        const entry = this.initialConditions.getAt(worldX, worldY);
+        const component = entry ? null : this.componentManager.getComponentAt(worldX, worldY);
+        const spiceType = component ? this.netlistGenerator.getSpiceType(component) : null;
+
+        let target;
+        if (entry) {
+            target = { entry };
+        } else if (spiceType === 'capacitor' || spiceType === 'inductor') {
+            target = { component, spiceType };
+        } else if (!component && this.initialConditions.getNodeIdAt(worldX, worldY) !== null) {
+            target = { x: worldX, y: worldY };
+        } else {
+            return;
+        }
+        this._editingInitialCondition = target;
+
+        const designator = component?.meta?.designatorText || component?.name;
+        document.getElementById('ic-modal-title').textContent = component ? `Initial Condition - ${designator}` : 'Net Initial Condition';
+        kindField.style.display = component ? 'none' : '';
+        kindSelect.value = entry?.kind ?? 'ic';
+        valueLabel.textContent = spiceType === 'inductor' ? 'Initial Current (A)' : 'Initial Voltage (V)';
+        valueInput.value = component ? (component.meta?.initialCondition ?? '') : (entry?.value ?? '');
+        removeBtn.style.display = (entry || component?.meta?.initialCondition) ? '' : 'none';
+
+        modal.classList.add('is-open');
+        modal.setAttribute('aria-hidden', 'false');
+        this._modalOpen = true;
+        setTimeout(() => {
+            valueInput.focus();
+            valueInput.select();
+        }, 100);
+    }
+
+    _closeInitialConditionModal() {
+        const modal = document.getElementById('ic-modal');
+        if (!modal?.classList.contains('is-open')) return;
+        modal.classList.remove('is-open');
+        modal.setAttribute('aria-hidden', 'true');
+        this._modalOpen = false;
+        this._editingInitialCondition = null;
+    }
+
+    _saveInitialConditionModal() {
+        const target = this._editingInitialCondition;
+        if (!target) return;
+        const value = document.getElementById('ic-value-input')?.value.trim() ?? '';
+        if (!value) {
+            this._removeInitialCondition();
+            return;
+        }
+        if (!Number.isFinite(parseSpiceNumber(value))) {
+            alert(`"${value}" is not a number. Use SPICE notation, e.g. 2.5 or 500m.`);
+            return;
+        }
+
+        if (target.component) {
+            target.component.meta.initialCondition = value;
+        } else {
+            const kind = document.getElementById('ic-kind-select')?.value ?? 'ic';
+            const { x, y } = target.entry ?? target;
+            this.initialConditions.set(x, y, value, kind);
+        }
+        this._closeInitialConditionModal();
+        this._saveToLocalStorage();
+        this._notifyCircuitChanged();
+        this.viewport.render();
+    }
+
+    _removeInitialCondition() {
+        const target = this._editingInitialCondition;
+        if (!target) return;
+        if (target.component) {
+            delete target.component.meta.initialCondition;
+        } else if (target.entry) {
+            this.initialConditions.remove(target.entry.id);
+        }
+        this._closeInitialConditionModal();
+        this._saveToLocalStorage();
+        this._notifyCircuitChanged();
+        this.viewport.render();
     }
 
     _normalizeDefinitionModels(definition) {
@@ -1187,6 +1422,7 @@ class CircuitEditorApp {
 
         const definition = component.meta?.definition;
         const isSubcircuit = definition?.componentType === 'subcircuit';
+        const isNetLabel = Boolean(component.meta?.isNetLabel);
         const models = this._normalizeDefinitionModels(definition);
         const defaultValue = definition?.defaultValue;
         const hasValue =
@@ -1195,8 +1431,10 @@ class CircuitEditorApp {
             (defaultValue !== null && defaultValue !== undefined);
 
         labelInput.value = component.meta?.designatorText ?? component.name ?? component.id ?? '';
+        const labelCaption = overlay.querySelector('label[for="component-label-input"]');
+        if (labelCaption) labelCaption.textContent = isNetLabel ? 'Net name' : 'Label';
 
-        if (isSubcircuit) {
+        if (isSubcircuit || isNetLabel) {
             modelField.style.display = 'none';
             modelSelect.innerHTML = '';
             if (customModelField) customModelField.style.display = 'none';
@@ -1222,7 +1460,7 @@ class CircuitEditorApp {
             if (customModelField) customModelField.style.display = 'flex';
         }
 
-        if (!isSubcircuit && customModelField) {
+        if (!isSubcircuit && !isNetLabel && customModelField) {
             customModelField.style.display = 'flex';
         }
 
@@ -1242,6 +1480,15 @@ class CircuitEditorApp {
             valueInput.value = '';
         }
 
+        const toleranceField = document.getElementById('component-tolerance-field');
+        if (toleranceField) {
+            const canVary = !isSubcircuit && hasValue && this._isSweepableComponent(component);
+            const tolerance = normalizeTolerance(component.meta?.tolerance);
+            toleranceField.style.display = canVary ? '' : 'none';
+            document.getElementById('component-tolerance-input').value = tolerance ? tolerance.percent : '';
+            document.getElementById('component-tolerance-distribution').value = tolerance?.distribution ?? 'uniform';
+        }
+
         if (isSubcircuit) {
             const parsed = this._parseSubcircuitHeader(definition?.subcircuit?.definition || '');
             const args = parsed.params;
@@ -1334,6 +1581,18 @@ class CircuitEditorApp {
         const customModel = customModelInput.value.trim();
         const isSubcircuit = this._editingComponent.meta?.definition?.componentType === 'subcircuit';
 
+        const toleranceField = document.getElementById('component-tolerance-field');
+        const toleranceText = document.getElementById('component-tolerance-input')?.value.trim() ?? '';
+        const tolerancePercent = Number(toleranceText);
+        if (toleranceText && (!Number.isFinite(tolerancePercent) || tolerancePercent < 0 || tolerancePercent >= 100)) {
+            alert('Tolerance must be a percentage between 0 and 100');
+            return;
+        }
+        if (this._editingComponent.meta?.isNetLabel && !/^[A-Za-z0-9_]+$/.test(label)) {
+            alert('Net name must be letters, digits and underscores');
+            return;
+        }
+
         const models = this._normalizeDefinitionModels(this._editingComponent.meta?.definition);
         if (models.length > 0 && modelField.style.display !== 'none') {
             const selectedName = modelSelect.value || models[0]?.name || null;
@@ -1353,6 +1612,13 @@ class CircuitEditorApp {
         this._editingComponent.meta.customModelStatement = customModelStatement || null;
         this._editingComponent.meta.spiceModel = null;
 
+        if (toleranceField && toleranceField.style.display !== 'none') {
+            this._editingComponent.meta.tolerance = normalizeTolerance({
+                percent: tolerancePercent,
+                distribution: document.getElementById('component-tolerance-distribution')?.value
+            });
+        }
+
         if (subcktArgsContainer && isSubcircuit) {
             const entries = Array.from(subcktArgsContainer.querySelectorAll('input[data-arg-name]'));
             const argMap = {};
@@ -1395,6 +1661,7 @@ class CircuitEditorApp {
 
         this.viewport.render();
         this._closeComponentModal();
+        this._notifyCircuitChanged();
     }
 
     _setupPlacement() {
@@ -1423,12 +1690,19 @@ class CircuitEditorApp {
             if (this._currentTool === 'probe') {
                 // Check if clicking on existing probe
                 const existingProbe = this.probeManager.getProbeAt(snapped.x, snapped.y);
-                if (existingProbe) {
+                if (this.probeManager.hasPendingReference()) {
+                    // Second click of a differential probe places its - tip
+                    this.probeManager.placeReferenceTip(snapped.x, snapped.y);
+                    this._notifyCircuitChanged();
+                } else if (existingProbe) {
                     this.probeManager.selectedProbeId = existingProbe.id;
                     this.viewport.render();
                 } else {
                     // Place new probe
-                    this.probeManager.addProbe(snapped.x, snapped.y, null, this.probeManager.getGhostRotation());
+                    const probe = this.probeManager.addProbe(snapped.x, snapped.y, null, this.probeManager.getGhostRotation());
+                    this._notifyCircuitChanged();
+                    // A device-parameter probe is only useful once its quantity is picked
+                    if (probe.type === 'device' && probe.componentId) this._openProbeModal(probe);
                 }
                 originalOnClick?.(worldX, worldY, event);
                 return;
@@ -1477,6 +1751,8 @@ class CircuitEditorApp {
                 event.__probeHandled = true;
             }
             originalOnMouseUp?.(worldX, worldY, event);
+            // Wire edits and probe drags are not recorded for undo; the netlist comparison filters out plain clicks
+            this._notifyCircuitChanged();
         };
 
         // Hook into mouse move for probe dragging
@@ -1606,6 +1882,11 @@ class CircuitEditorApp {
         if (lastAction) {
             lastAction.data.stateAfter = this._serialize();
         }
+
+        // A net label is only useful once it has a name
+        if (component.meta.isNetLabel) {
+            this._openComponentModal(component);
+        }
     }
 
     _nextDesignator(designator) {
@@ -1714,13 +1995,23 @@ class CircuitEditorApp {
         downloadBtn?.addEventListener('click', () => this._downloadNetlist());
     }
     
-    _showNetlistModal() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.text] - Netlist to show instead of the current circuit's (a past run's)
+     * @param {string} [options.title]
+     */
+    _showNetlistModal({ text = null, title = 'Ngspice Netlist' } = {}) {
         const modal = document.getElementById('netlist-modal');
         const content = document.getElementById('netlist-content');
         if (!modal || !content) return;
+        const titleEl = document.getElementById('netlist-modal-title');
+        if (titleEl) titleEl.textContent = title;
         
         try {
-            const netlist = this.netlistGenerator.generate(this.simulationDirectives);
+            const netlist = text ?? this.netlistGenerator.generate(this.simulationDirectives, {
+                temperature: this.simulationOptions.temperature,
+                simulatorOptions: this.simulationOptions.simulatorOptions
+            });
             content.textContent = netlist;
             modal.classList.add('is-open');
             modal.setAttribute('aria-hidden', 'false');
@@ -1825,7 +2116,87 @@ class CircuitEditorApp {
         document.getElementById('add-ac-btn')?.addEventListener('click', () => this._addAcDirective());
         document.getElementById('add-tran-btn')?.addEventListener('click', () => this._addTranDirective());
         document.getElementById('add-op-btn')?.addEventListener('click', () => this._addOpDirective());
+        document.getElementById('add-noise-btn')?.addEventListener('click', () => this._addNoiseDirective());
+        document.getElementById('add-pz-btn')?.addEventListener('click', () => this._addPoleZeroDirective());
+        document.getElementById('tran-fourier-enable')?.addEventListener('change', (e) => {
+            document.getElementById('tran-fourier-fields').style.display = e.target.checked ? '' : 'none';
+        });
         document.getElementById('add-custom-btn')?.addEventListener('click', () => this._addCustomDirective());
+
+        // Parameter sweep
+        document.getElementById('sweep-target')?.addEventListener('change', () => this._updateSweepFields());
+        document.getElementById('sweep-mode')?.addEventListener('change', () => this._updateSweepFields());
+        document.getElementById('set-sweep-btn')?.addEventListener('click', () => this._setParameterSweep());
+
+        // Measurements
+        const measType = document.getElementById('meas-type');
+        MEASUREMENT_TYPES.forEach(entry => measType?.add(new Option(entry.label, entry.value)));
+        measType?.addEventListener('change', () => this._updateMeasureFields());
+        document.getElementById('meas-analysis')?.addEventListener('change', () => this._updateMeasureFields());
+        document.getElementById('add-meas-btn')?.addEventListener('click', () => this._addMeasurement());
+        this._updateMeasureFields();
+
+        // Monte Carlo
+        document.getElementById('mc-measure-type')?.addEventListener('change', () => this._updateMonteCarloFields());
+        document.getElementById('run-mc-btn')?.addEventListener('click', () => this._runMonteCarloFromModal());
+
+        // Run options
+        document.getElementById('sim-timeout')?.addEventListener('change', (e) => {
+            const seconds = Number(e.target.value);
+            if (!Number.isFinite(seconds) || seconds < 0) {
+                alert('Timeout must be a number of seconds (0 disables it)');
+                e.target.value = this.simulationOptions.timeoutSeconds;
+                return;
+            }
+            this.simulationOptions.timeoutSeconds = seconds;
+        });
+        document.getElementById('sim-temperature')?.addEventListener('change', (e) => {
+            const text = e.target.value.trim();
+            if (text && !Number.isFinite(parseSpiceNumber(text))) {
+                alert('Temperature must be a number of degrees Celsius');
+                e.target.value = this.simulationOptions.temperature ?? '';
+                return;
+            }
+            this.simulationOptions.temperature = text || null;
+            this._updateSimulationPreview();
+        });
+
+        // .options panel: each field is checked and stored as soon as it changes
+        SIMULATOR_OPTIONS.forEach(option => {
+            document.getElementById(`opt-${option.name}`)?.addEventListener('change', (e) => {
+                const text = e.target.value.trim();
+                const error = validateSimulatorOptions({ [option.name]: text });
+                const stored = { ...(this.simulationOptions.simulatorOptions ?? {}) };
+                if (error) {
+                    alert(error);
+                    e.target.value = stored[option.name] ?? '';
+                    return;
+                }
+                if (text) stored[option.name] = text;
+                else delete stored[option.name];
+                this.simulationOptions.simulatorOptions = stored;
+                this._updateSimulationPreview();
+            });
+        });
+        document.getElementById('reset-options-btn')?.addEventListener('click', () => {
+            this.simulationOptions.simulatorOptions = {};
+            this.simulationOptions.temperature = null;
+            this._populateOptionsForm();
+            this._updateSimulationPreview();
+        });
+    }
+
+    /**
+     * Show the saved .options values and temperature in the options tab
+     */
+    _populateOptionsForm() {
+        const values = this.simulationOptions.simulatorOptions ?? {};
+        SIMULATOR_OPTIONS.forEach(option => {
+            const input = document.getElementById(`opt-${option.name}`);
+            if (input) input.value = values[option.name] ?? '';
+        });
+        const temperatureInput = document.getElementById('sim-temperature');
+        if (temperatureInput) temperatureInput.value = this.simulationOptions.temperature ?? '';
     }
     
     _showSimulationModal() {
@@ -1834,6 +2205,16 @@ class CircuitEditorApp {
         
         this._updateDirectivesList();
         this._updateSimulationPreview();
+
+        const timeoutInput = document.getElementById('sim-timeout');
+        if (timeoutInput) timeoutInput.value = this.simulationOptions.timeoutSeconds;
+        this._populateOptionsForm();
+        this._populateFourierForm();
+        this._populateNoiseForm();
+        this._populatePoleZeroForm();
+        this._populateMeasureForm();
+        this._populateSweepForm();
+        this._populateMonteCarloForm();
         
         modal.classList.add('is-open');
         modal.setAttribute('aria-hidden', 'false');
@@ -1848,6 +2229,7 @@ class CircuitEditorApp {
         }
         this._modalOpen = false;
         this._updateSimulationBadge();
+        this._notifyCircuitChanged();
     }
     
     _switchSimTab(tabName) {
@@ -1928,14 +2310,33 @@ class CircuitEditorApp {
             return;
         }
         
+        const uic = document.getElementById('tran-uic').checked;
+
         let text = `.tran ${tstep} ${tstop}`;
         if (tstart) text += ` ${tstart}`;
         if (tmax) text += ` ${tmax}`;
+        if (uic) text += ' uic';
+
+        let fourier = null;
+        if (document.getElementById('tran-fourier-enable').checked) {
+            const fundamental = document.getElementById('tran-fourier-freq').value.trim();
+            const harmonics = Number(document.getElementById('tran-fourier-harmonics').value);
+            const probe = document.getElementById('tran-fourier-probe').value;
+            if (!fundamental || !probe) {
+                alert('Fourier analysis needs a fundamental frequency and a probe');
+                return;
+            }
+            if (!Number.isInteger(harmonics) || harmonics < 2 || harmonics > 100) {
+                alert('Harmonics must be a whole number between 2 and 100');
+                return;
+            }
+            fourier = { fundamental, harmonics, probe };
+        }
         
         const directive = {
             type: 'tran',
             text,
-            params: { tstep, tstop, tstart, tmax }
+            params: { tstep, tstop, tstart, tmax, uic, fourier }
         };
         
         this.simulationDirectives.push(directive);
@@ -1948,6 +2349,45 @@ class CircuitEditorApp {
         document.getElementById('tran-tstart').value = '';
         document.getElementById('tran-tmax').value = '';
     }
+
+    /**
+     * List probes for the transient tab's Fourier option
+     */
+    _populateFourierForm() {
+        const select = document.getElementById('tran-fourier-probe');
+        if (select) this._fillSelect(select, this._getSignalProbeLabels());
+    }
+
+    /**
+     * Replace a select's options, keeping the current choice when it still exists
+     * @param {HTMLSelectElement} select
+     * @param {string[]} entries - Option values, also used as their text
+     * @param {string | null} [emptyLabel] - Text for a leading '' option (e.g. "Ground")
+     */
+    _fillSelect(select, entries, emptyLabel = null) {
+        const previous = select.value;
+        select.innerHTML = '';
+        if (emptyLabel) select.add(new Option(emptyLabel, ''));
+        entries.forEach(entry => select.add(new Option(entry, entry)));
+        if (Array.from(select.options).some(option => option.value === previous)) select.value = previous;
+    }
+
+    /**
+     * Probes that read a single ngspice vector (voltage, differential, current and
+     * device-parameter probes); digital and power probes cannot feed .meas, .four or Monte Carlo measures
+     * @returns {string[]}
+     */
+    _getSignalProbeLabels() {
+        return (this.probeManager?.probes ?? [])
+            .filter(probe => ['voltage', 'differential', 'current', 'device'].includes(probe.type || 'voltage'))
+            .map(probe => probe.label);
+    }
+
+    _getVoltageProbeLabels() {
+        return (this.probeManager?.probes ?? [])
+            .filter(probe => (probe.type || 'voltage') === 'voltage')
+            .map(probe => probe.label);
+    }
     
     _addOpDirective() {
         const directive = {
@@ -1961,6 +2401,111 @@ class CircuitEditorApp {
         this._updateSimulationPreview();
     }
     
+    /**
+     * Fill the noise tab's probe and source pickers from the circuit
+     */
+    _populateNoiseForm() {
+        const outputSelect = document.getElementById('noise-output');
+        const refSelect = document.getElementById('noise-ref');
+        const sourceSelect = document.getElementById('noise-source');
+        if (!outputSelect || !refSelect || !sourceSelect) return;
+
+        const probeLabels = this._getVoltageProbeLabels();
+        const sources = this.componentManager.components
+            .filter(component => ['voltage', 'current'].includes(this.netlistGenerator.getSpiceType(component)))
+            .map(component => component.meta?.designatorText || component.name || component.id);
+
+        this._fillSelect(outputSelect, probeLabels);
+        this._fillSelect(refSelect, probeLabels, 'Ground');
+        this._fillSelect(sourceSelect, sources);
+    }
+
+    _addNoiseDirective() {
+        const outputProbe = document.getElementById('noise-output').value;
+        const refProbe = document.getElementById('noise-ref').value;
+        const source = document.getElementById('noise-source').value;
+        const variation = document.getElementById('noise-type').value;
+        const points = document.getElementById('noise-points').value.trim();
+        const fstart = document.getElementById('noise-fstart').value.trim();
+        const fstop = document.getElementById('noise-fstop').value.trim();
+        const summary = document.getElementById('noise-summary').checked;
+
+        if (!outputProbe || !source) {
+            alert('Noise analysis needs a voltage probe on the output and an input source');
+            return;
+        }
+        if (refProbe === outputProbe) {
+            alert('Reference must differ from the output probe');
+            return;
+        }
+        if (!points || !fstart || !fstop) {
+            alert('Please fill in all noise sweep parameters');
+            return;
+        }
+
+        // Shown in the directive list; the netlist resolves the probes to nets when generated
+        const output = refProbe ? `v(${outputProbe},${refProbe})` : `v(${outputProbe})`;
+        const directive = {
+            type: 'noise',
+            text: `.noise ${output} ${source} ${variation} ${points} ${fstart} ${fstop}${summary ? ' 1' : ''}`,
+            params: { outputProbe, refProbe, source, variation, points, fstart, fstop, summary }
+        };
+
+        this.simulationDirectives.push(directive);
+        this._updateDirectivesList();
+        this._updateSimulationPreview();
+
+        // Clear inputs
+        document.getElementById('noise-points').value = '';
+        document.getElementById('noise-fstart').value = '';
+        document.getElementById('noise-fstop').value = '';
+    }
+
+    /**
+     * Fill the pole-zero node pickers; each node pair defaults to probe vs ground
+     */
+    _populatePoleZeroForm() {
+        const probeLabels = this._getVoltageProbeLabels();
+        ['pz-in-pos', 'pz-out-pos'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) this._fillSelect(select, probeLabels);
+        });
+        ['pz-in-neg', 'pz-out-neg'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) this._fillSelect(select, probeLabels, 'Ground');
+        });
+    }
+
+    _addPoleZeroDirective() {
+        const inputPos = document.getElementById('pz-in-pos').value;
+        const inputNeg = document.getElementById('pz-in-neg').value;
+        const outputPos = document.getElementById('pz-out-pos').value;
+        const outputNeg = document.getElementById('pz-out-neg').value;
+        const transfer = document.getElementById('pz-transfer').value;
+        const kind = document.getElementById('pz-kind').value;
+
+        if (!inputPos || !outputPos) {
+            alert('Pole-zero analysis needs voltage probes on the input and output nodes');
+            return;
+        }
+        if (inputPos === inputNeg || outputPos === outputNeg) {
+            alert('Each node pair needs two different nodes');
+            return;
+        }
+
+        // Shown in the directive list; the netlist resolves the probes to nets when generated
+        const node = (label) => label || '0';
+        const directive = {
+            type: 'pz',
+            text: `.pz ${node(inputPos)} ${node(inputNeg)} ${node(outputPos)} ${node(outputNeg)} ${transfer} ${kind}`,
+            params: { inputPos, inputNeg, outputPos, outputNeg, transfer, kind }
+        };
+
+        this.simulationDirectives.push(directive);
+        this._updateDirectivesList();
+        this._updateSimulationPreview();
+    }
+    
     _addCustomDirective() {
         const text = document.getElementById('custom-directive').value.trim();
         
@@ -1983,96 +2528,561 @@ class CircuitEditorApp {
         document.getElementById('custom-directive').value = '';
     }
     
-    _clearAllDirectives() {
-        if (this.simulationDirectives.length === 0) return;
-        
-        if (confirm('Clear all simulation directives?')) {
-            this.simulationDirectives = [];
-            this._updateDirectivesList();
-            this._updateSimulationPreview();
-            this._updateSimulationBadge();
-        }
-    }
-    
-    _removeDirective(index) {
-        this.simulationDirectives.splice(index, 1);
-        this._updateDirectivesList();
-        this._updateSimulationPreview();
-        this._updateSimulationBadge();
+    /**
+     * Components whose value text can be swept (passives and independent sources)
+     * @returns {Array<import('./Component.js').Component>}
+     */
+    _getSweepableComponents() {
+        return this.componentManager.components.filter(component => this._isSweepableComponent(component));
     }
-    
-    _updateDirectivesList() {
-        const container = document.getElementById('active-directives');
-        if (!container) return;
-        
-        if (this.simulationDirectives.length === 0) {
-            container.innerHTML = '<div style=\"color: #94a3b8; font-size: 12px; padding: 12px; text-align: center;\">No directives added yet</div>';
-            return;
-        }
-        
-        container.innerHTML = this.simulationDirectives.map((dir, idx) => `
-            <div class="directive-item">
-                <span>${dir.text}</span>
-                <div class="directive-item-actions">
-                    <button onclick="window.circuitEditor._removeDirective(${idx})">Remove</button>
-                </div>
-            </div>
-        `).join('');
+
+    /**
+     * @param {import('./Component.js').Component} component
+     * @returns {boolean}
+     */
+    _isSweepableComponent(component) {
+        const sweepable = ['resistor', 'capacitor', 'inductor', 'voltage', 'current'];
+        return !component.meta?.isGround && sweepable.includes(this.netlistGenerator.getSpiceType(component));
     }
-    
-    _updateSimulationPreview() {
-        const preview = document.getElementById('sim-preview');
-        if (!preview) return;
-        
-        if (this.simulationDirectives.length === 0) {
-            preview.textContent = '* No directives';
-            return;
+
+    /**
+     * Fill the sweep tab from the current circuit and saved sweep settings
+     */
+    _populateSweepForm() {
+        const targetSelect = document.getElementById('sweep-target');
+        if (!targetSelect) return;
+        const sweep = this.simulationOptions.sweep;
+
+        targetSelect.innerHTML = '';
+        this._getSweepableComponents().forEach(component => {
+            const designator = component.meta?.designatorText || component.name || component.id;
+            const option = document.createElement('option');
+            option.value = `component:${designator}`;
+            option.textContent = component.meta?.valueText ? `${designator} (${component.meta.valueText})` : designator;
+            targetSelect.appendChild(option);
+        });
+        const paramOption = document.createElement('option');
+        paramOption.value = 'param';
+        paramOption.textContent = 'Parameter (.param)';
+        targetSelect.appendChild(paramOption);
+        const tempOption = document.createElement('option');
+        tempOption.value = 'temp';
+        tempOption.textContent = 'Temperature (°C)';
+        targetSelect.appendChild(tempOption);
+
+        if (sweep) {
+            targetSelect.value = sweep.target.kind === 'component' ? `component:${sweep.target.designator}` : sweep.target.kind;
+            document.getElementById('sweep-param-name').value = sweep.target.kind === 'param' ? sweep.target.name : '';
+            document.getElementById('sweep-mode').value = sweep.mode;
+            document.getElementById('sweep-list').value = sweep.list || '';
+            document.getElementById('sweep-start').value = sweep.start || '';
+            document.getElementById('sweep-stop').value = sweep.stop || '';
+            document.getElementById('sweep-points').value = sweep.points || '';
         }
-        
-        const lines = this.simulationDirectives.map(dir => dir.text);
-        preview.textContent = lines.join('\n');
+        // A swept component that has since been deleted leaves nothing selected
+        if (targetSelect.selectedIndex < 0) targetSelect.selectedIndex = 0;
+
+        this._updateSweepFields();
     }
-    
-    _updateSimulationBadge() {
-        const badge = document.getElementById('simulation-badge');
-        const badgeText = document.getElementById('simulation-badge-text');
-        if (!badge || !badgeText) return;
-        
-        if (this.simulationDirectives.length === 0) {
-            badge.classList.remove('active');
-            badgeText.textContent = 'No Sim';
-        } else {
-            badge.classList.add('active');
-            const types = [...new Set(this.simulationDirectives.map(d => d.type.toUpperCase()))];
-            badgeText.textContent = types.join(', ');
-        }
+
+    /**
+     * Show the inputs that apply to the selected sweep target and mode
+     */
+    _updateSweepFields() {
+        const target = document.getElementById('sweep-target')?.value;
+        const mode = document.getElementById('sweep-mode')?.value || 'list';
+
+        const paramField = document.getElementById('sweep-param-field');
+        if (paramField) paramField.style.display = target === 'param' ? '' : 'none';
+
+        document.querySelectorAll('[data-sweep-mode]').forEach(el => {
+            el.style.display = el.dataset.sweepMode.split(' ').includes(mode) ? '' : 'none';
+        });
+
+        const pointsLabel = document.getElementById('sweep-points-label');
+        if (pointsLabel) pointsLabel.textContent = mode === 'dec' ? 'Points per Decade' : 'Points';
     }
 
-    // ==================== Ngspice Runner ====================
+    _setParameterSweep() {
+        const targetValue = document.getElementById('sweep-target').value;
+        const paramName = document.getElementById('sweep-param-name').value.trim();
 
-    _setupSimulationRunner() {
-        this.spiceRunBtn = document.getElementById('sim-run-btn');
-        this.spiceStatusEl = document.getElementById('sim-status');
-        this.spiceOutputEl = document.getElementById('sim-log');
-        this.spicePlotsEl = document.getElementById('results-plots');
-        
-        // Console toggle
-        const consoleToggle = document.getElementById('console-toggle');
-        const consolePanel = document.getElementById('console-panel');
-        if (consoleToggle && consolePanel) {
-            consoleToggle.addEventListener('click', () => {
-                consolePanel.classList.toggle('collapsed');
-            });
+        let target;
+        if (targetValue === 'param') {
+            if (!/^[a-z_][\w]*$/i.test(paramName)) {
+                alert('Please enter a parameter name (letters, digits and underscores)');
+                return;
+            }
+            target = { kind: 'param', name: paramName };
+        } else if (targetValue === 'temp') {
+            target = { kind: 'temp' };
+        } else if (targetValue?.startsWith('component:')) {
+            target = { kind: 'component', designator: targetValue.slice('component:'.length) };
+        } else {
+            alert('Please choose a component or parameter to sweep');
+            return;
         }
 
-        // Console copy button - handled in constructor
+        const sweep = {
+            target,
+            mode: document.getElementById('sweep-mode').value,
+            list: document.getElementById('sweep-list').value.trim(),
+            start: document.getElementById('sweep-start').value.trim(),
+            stop: document.getElementById('sweep-stop').value.trim(),
+            points: document.getElementById('sweep-points').value.trim()
+        };
 
-        if (this.spiceRunBtn) {
-            this.spiceRunBtn.addEventListener('click', () => this._runNgspiceSimulation());
+        try {
+            expandSweepValues(sweep);
+        } catch (error) {
+            alert(error.message);
+            return;
         }
 
-        // Show initial status
-        this._setRunStatus('ready', 'Ready');
+        this.simulationOptions.sweep = sweep;
+        this._updateDirectivesList();
+        this._updateSimulationPreview();
+        this._updateSimulationBadge();
+    }
+
+    _clearParameterSweep() {
+        this.simulationOptions.sweep = null;
+        this._updateDirectivesList();
+        this._updateSimulationPreview();
+        this._updateSimulationBadge();
+    }
+
+    _populateMeasureForm() {
+        const probeLabels = this._getSignalProbeLabels();
+        ['meas-probe', 'meas-probe2'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) this._fillSelect(select, probeLabels);
+        });
+    }
+
+    /**
+     * Show the fields the selected measurement type uses
+     */
+    _updateMeasureFields() {
+        const type = document.getElementById('meas-type')?.value;
+        const analysis = document.getElementById('meas-analysis')?.value;
+
+        document.querySelectorAll('[data-meas-types]').forEach(el => {
+            el.style.display = el.dataset.measTypes.split(' ').includes(type) ? '' : 'none';
+        });
+        document.querySelectorAll('[data-meas-analysis]').forEach(el => {
+            el.style.display = el.dataset.measAnalysis === analysis ? '' : 'none';
+        });
+
+        const probeLabel = document.getElementById('meas-probe-label');
+        if (probeLabel) probeLabel.textContent = type === 'trig_targ' ? 'Trigger Signal' : 'Signal';
+        const probe2Label = document.getElementById('meas-probe2-label');
+        if (probe2Label) probe2Label.textContent = type === 'find_when' ? 'When Signal' : 'Target Signal';
+    }
+
+    _addMeasurement() {
+        const value = (id) => document.getElementById(id).value.trim();
+        const analysis = value('meas-analysis');
+        const measurement = {
+            name: value('meas-name'),
+            analysis,
+            type: value('meas-type'),
+            probe: value('meas-probe'),
+            quantity: analysis === 'ac' ? value('meas-quantity') : undefined,
+            val: value('meas-val'),
+            edge: value('meas-edge'),
+            edgeCount: value('meas-edge-count'),
+            probe2: value('meas-probe2'),
+            val2: value('meas-val2'),
+            edge2: value('meas-edge2'),
+            edgeCount2: value('meas-edge-count2'),
+            at: value('meas-at'),
+            from: value('meas-from'),
+            to: value('meas-to')
+        };
+
+        const measurements = this.simulationOptions.measurements ?? [];
+        const problem = validateMeasurement(measurement, measurements.map(m => m.name));
+        if (problem) {
+            alert(problem);
+            return;
+        }
+
+        this.simulationOptions.measurements = [...measurements, measurement];
+        this._updateDirectivesList();
+        this._updateSimulationPreview();
+
+        // Clear inputs
+        ['meas-name', 'meas-val', 'meas-val2', 'meas-at', 'meas-from', 'meas-to'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+    }
+
+    _removeMeasurement(index) {
+        this.simulationOptions.measurements.splice(index, 1);
+        this._updateDirectivesList();
+        this._updateSimulationPreview();
+        this._updateSimulationBadge();
+    }
+
+    /**
+     * .meas card with probes shown by label, for the directive list and preview
+     * @param {import('./Measurements.js').Measurement} measurement
+     * @returns {string}
+     */
+    _describeMeasurement(measurement) {
+        const probes = this.probeManager?.probes ?? [];
+        return buildMeasureStatement(measurement, label => {
+            const type = probes.find(p => p.label === label)?.type || 'voltage';
+            if (type === 'device') return label;
+            return type === 'current' ? `i(${label})` : `v(${label})`;
+        });
+    }
+    
+    /**
+     * Fill the Monte Carlo tab from the directives, probes and saved settings
+     */
+    _populateMonteCarloForm() {
+        const directiveSelect = document.getElementById('mc-directive');
+        const probeSelect = document.getElementById('mc-measure-probe');
+        if (!directiveSelect || !probeSelect) return;
+        const settings = this.simulationOptions.monteCarlo;
+
+        directiveSelect.innerHTML = '';
+        this.simulationDirectives
+            .filter(dir => ['dc', 'ac', 'tran', 'op'].includes(dir.type))
+            .forEach(dir => {
+                const option = document.createElement('option');
+                option.value = dir.text;
+                option.textContent = dir.text;
+                directiveSelect.appendChild(option);
+            });
+
+        probeSelect.innerHTML = '';
+        this._getSignalProbeLabels().forEach(label => {
+            const option = document.createElement('option');
+            option.value = label;
+            option.textContent = label;
+            probeSelect.appendChild(option);
+        });
+
+        if (settings) {
+            directiveSelect.value = settings.directive;
+            probeSelect.value = settings.measurement.probe;
+            document.getElementById('mc-runs').value = settings.runs;
+            document.getElementById('mc-seed').value = settings.seed ?? '';
+            document.getElementById('mc-measure-type').value = settings.measurement.type;
+            document.getElementById('mc-measure-at').value = settings.measurement.at ?? '';
+        }
+        // Saved directive or probe may have been removed since
+        if (directiveSelect.selectedIndex < 0) directiveSelect.selectedIndex = 0;
+        if (probeSelect.selectedIndex < 0) probeSelect.selectedIndex = 0;
+
+        const summary = document.getElementById('mc-tolerance-summary');
+        if (summary) {
+            const toleranced = this._getTolerancedComponents();
+            summary.textContent = toleranced.length > 0
+                ? `Varied: ${toleranced.map(({ designator, tolerance }) => `${designator} ±${tolerance.percent}% ${tolerance.distribution}`).join(', ')}`
+                : 'No components have a tolerance yet.';
+        }
+
+        this._updateMonteCarloFields();
+    }
+
+    _updateMonteCarloFields() {
+        const type = document.getElementById('mc-measure-type')?.value;
+        const atField = document.getElementById('mc-measure-at-field');
+        if (atField) atField.style.display = type === 'at' ? '' : 'none';
+    }
+
+    /**
+     * Components that Monte Carlo runs vary, with their normalised tolerance
+     * @returns {Array<{component: import('./Component.js').Component, designator: string, tolerance: import('./MonteCarlo.js').Tolerance}>}
+     */
+    _getTolerancedComponents() {
+        return this._getSweepableComponents()
+            .map(component => ({
+                component,
+                designator: component.meta?.designatorText || component.name || component.id,
+                tolerance: normalizeTolerance(component.meta?.tolerance)
+            }))
+            .filter(entry => entry.tolerance);
+    }
+
+    _runMonteCarloFromModal() {
+        const directive = document.getElementById('mc-directive').value;
+        const runs = Number(document.getElementById('mc-runs').value);
+        const seedText = document.getElementById('mc-seed').value.trim();
+        const measurement = {
+            type: document.getElementById('mc-measure-type').value,
+            probe: document.getElementById('mc-measure-probe').value,
+            at: document.getElementById('mc-measure-at').value.trim()
+        };
+
+        if (!directive) {
+            alert('Add a DC, AC, transient or operating point analysis first');
+            return;
+        }
+        const runsProblem = validateRunCount(runs);
+        if (runsProblem) {
+            alert(runsProblem);
+            return;
+        }
+        if (seedText && !/^\d+$/.test(seedText)) {
+            alert('Seed must be a whole number');
+            return;
+        }
+        if (measurement.type === 'at' && !measurement.at && !directive.toLowerCase().startsWith('.op')) {
+            alert('Enter where to take the value (e.g. 1m for a transient, 1k for AC)');
+            return;
+        }
+        if (this._getTolerancedComponents().length === 0) {
+            alert('No components have a tolerance. Set one in the component editor (double-click a part).');
+            return;
+        }
+
+        this.simulationOptions.monteCarlo = { directive, runs, seed: seedText || null, measurement };
+        this._closeSimulationModal();
+        this._runMonteCarlo(this.simulationOptions.monteCarlo);
+    }
+
+    /**
+     * Run the nominal circuit plus N randomised copies of one analysis
+     * @param {{directive: string, runs: number, seed: string | null, measurement: import('./MonteCarlo.js').Measurement}} settings
+     */
+    _runMonteCarlo(settings) {
+        if (!this._canStartSimulation()) return;
+
+        const directive = this.simulationDirectives.find(dir => dir.text === settings.directive);
+        if (!directive) {
+            this._setRunStatus('error', 'Monte Carlo analysis not found');
+            this._appendRunOutput(`[error] ${settings.directive} is no longer in the simulation directives`);
+            return;
+        }
+
+        const seed = settings.seed !== null ? Number(settings.seed) : Math.floor(Math.random() * 2 ** 32);
+        const random = createRandom(seed);
+        const toleranced = this._getTolerancedComponents();
+        const notes = [`[note] Monte Carlo: ${settings.runs} runs of ${directive.text}, seed ${seed}`];
+        const group = {
+            kind: 'montecarlo',
+            idx: 0,
+            label: directive.text,
+            analysisType: directive.type,
+            measurement: settings.measurement,
+            seed,
+            jobIndexes: []
+        };
+        const jobs = [];
+
+        try {
+            // Run 0 is the nominal circuit; it is drawn on top of the random runs
+            for (let run = 0; run <= settings.runs; run++) {
+                const valueOverrides = new Map();
+                if (run > 0) {
+                    toleranced.forEach(({ component, designator, tolerance }) => {
+                        const nominal = component.meta?.valueText ?? component.meta?.definition?.defaultValue;
+                        const value = randomizeValue(nominal, tolerance, random);
+                        if (value !== null) {
+                            valueOverrides.set(component.id, value);
+                        } else if (run === 1) {
+                            notes.push(`[note] ${designator}: value "${nominal}" is not a plain number; tolerance ignored`);
+                        }
+                    });
+                }
+                group.jobIndexes.push(jobs.length);
+                jobs.push({
+                    idx: 0,
+                    label: run === 0 ? `${directive.text} [nominal]` : `${directive.text} [run ${run}]`,
+                    mcRun: run,
+                    group,
+                    ...this._generateJobNetlist(directive, { valueOverrides })
+                });
+            }
+        } catch (error) {
+            this._setRunStatus('error', 'Failed to generate netlist');
+            this._appendRunOutput(`[error] ${error.message}`);
+            return;
+        }
+
+        this._startSimulationJobs(jobs, [group], notes);
+    }
+
+    _clearAllDirectives() {
+        const measurementCount = this.simulationOptions.measurements?.length ?? 0;
+        if (this.simulationDirectives.length === 0 && !this.simulationOptions.sweep && measurementCount === 0) return;
+        
+        if (confirm('Clear all simulation directives?')) {
+            this.simulationDirectives = [];
+            this.simulationOptions.sweep = null;
+            this.simulationOptions.measurements = [];
+            this._updateDirectivesList();
+            this._updateSimulationPreview();
+            this._updateSimulationBadge();
+        }
+    }
+    
+    _removeDirective(index) {
+        this.simulationDirectives.splice(index, 1);
+        this._updateDirectivesList();
+        this._updateSimulationPreview();
+        this._updateSimulationBadge();
+    }
+    
+    _updateDirectivesList() {
+        const container = document.getElementById('active-directives');
+        if (!container) return;
+        
+        const sweep = this.simulationOptions.sweep;
+        const measurements = this.simulationOptions.measurements ?? [];
+        if (this.simulationDirectives.length === 0 && !sweep && measurements.length === 0) {
+            container.innerHTML = '<div style=\"color: #94a3b8; font-size: 12px; padding: 12px; text-align: center;\">No directives added yet</div>';
+            return;
+        }
+        
+        container.innerHTML = this.simulationDirectives.map((dir, idx) => `
+            <div class="directive-item">
+                <span>${this._describeDirective(dir).join(' · ')}</span>
+                <div class="directive-item-actions">
+                    <button onclick="window.circuitEditor._removeDirective(${idx})">Remove</button>
+                </div>
+            </div>
+        `).join('');
+
+        if (sweep) {
+            const item = document.createElement('div');
+            item.className = 'directive-item directive-item-sweep';
+            item.innerHTML = `
+                <span></span>
+                <div class="directive-item-actions">
+                    <button onclick="window.circuitEditor._clearParameterSweep()">Remove</button>
+                </div>
+            `;
+            item.querySelector('span').textContent = describeSweep(sweep);
+            container.appendChild(item);
+        }
+
+        measurements.forEach((measurement, idx) => {
+            const item = document.createElement('div');
+            item.className = 'directive-item directive-item-meas';
+            item.innerHTML = `
+                <span></span>
+                <div class="directive-item-actions">
+                    <button onclick="window.circuitEditor._removeMeasurement(${idx})">Remove</button>
+                </div>
+            `;
+            item.querySelector('span').textContent = this._describeMeasurement(measurement);
+            container.appendChild(item);
+        });
+    }
+    
+    _updateSimulationPreview() {
+        const preview = document.getElementById('sim-preview');
+        if (!preview) return;
+        
+        if (this.simulationDirectives.length === 0) {
+            preview.textContent = '* No directives';
+            return;
+        }
+        
+        const lines = this.simulationDirectives.flatMap(dir => this._describeDirective(dir));
+        if (this.simulationOptions.sweep) {
+            // Not a netlist line: each step is a separate run
+            lines.unshift(`* ${describeSweep(this.simulationOptions.sweep)}`);
+        }
+        if (this.simulationOptions.temperature) lines.unshift(`.temp ${this.simulationOptions.temperature}`);
+        const optionsCard = buildOptionsCard(this.simulationOptions.simulatorOptions);
+        if (optionsCard) lines.unshift(optionsCard);
+        (this.simulationOptions.measurements ?? []).forEach(m => lines.push(this._describeMeasurement(m)));
+        preview.textContent = lines.join('\n');
+    }
+    
+    /**
+     * Directive text plus the cards its options add, e.g. ".four 1k v(Probe1)".
+     * Probes are shown by label; the netlist resolves them to nets.
+     * @param {Object} dir
+     * @returns {string[]}
+     */
+    _describeDirective(dir) {
+        const fourier = dir.params?.fourier;
+        if (dir.type === 'tran' && fourier) {
+            return [dir.text, `.four ${fourier.fundamental} ${fourier.probe} (${fourier.harmonics} harmonics)`];
+        }
+        return [dir.text];
+    }
+    
+    _updateSimulationBadge() {
+        const badge = document.getElementById('simulation-badge');
+        const badgeText = document.getElementById('simulation-badge-text');
+        if (!badge || !badgeText) return;
+        
+        if (this.simulationDirectives.length === 0) {
+            badge.classList.remove('active');
+            badgeText.textContent = 'No Sim';
+        } else {
+            badge.classList.add('active');
+            const types = [...new Set(this.simulationDirectives.map(d => d.type.toUpperCase()))];
+            if (this.simulationOptions.sweep) types.push('STEP');
+            if (this.simulationOptions.measurements?.length) types.push('MEAS');
+            badgeText.textContent = types.join(', ');
+        }
+    }
+
+    // ==================== Ngspice Runner ====================
+
+    _setupSimulationRunner() {
+        this.spiceRunBtn = document.getElementById('sim-run-btn');
+        this.spiceStopBtn = document.getElementById('sim-stop-btn');
+        this.spiceRerunBtn = document.getElementById('sim-rerun-btn');
+        this.liveBtn = document.getElementById('sim-live-btn');
+        this.opAnnotateBtn = document.getElementById('op-annotate-btn');
+        this.spiceStatusEl = document.getElementById('sim-status');
+        this.spiceOutputEl = document.getElementById('sim-log');
+        this.spicePlotsEl = document.getElementById('results-plots');
+        
+        // Console toggle
+        const consoleToggle = document.getElementById('console-toggle');
+        const consolePanel = document.getElementById('console-panel');
+        if (consoleToggle && consolePanel) {
+            consoleToggle.addEventListener('click', () => {
+                consolePanel.classList.toggle('collapsed');
+            });
+        }
+
+        // Console copy button - handled in constructor
+
+        if (this.spiceRunBtn) {
+            this.spiceRunBtn.addEventListener('click', () => this._runNgspiceSimulation());
+        }
+        if (this.spiceRerunBtn) {
+            this.spiceRerunBtn.addEventListener('click', () => this._runNgspiceSimulation({ forceRerun: true }));
+        }
+        document.getElementById('sim-history-btn')?.addEventListener('click', (event) => {
+            const pane = document.getElementById('history-panel');
+            if (!pane) return;
+            pane.hidden = !pane.hidden;
+            event.currentTarget.classList.toggle('active', !pane.hidden);
+            event.currentTarget.setAttribute('aria-pressed', String(!pane.hidden));
+            this._renderRunHistory();
+        });
+        if (this.spiceStopBtn) {
+            this.spiceStopBtn.addEventListener('click', () => this._stopNgspiceSimulation());
+        }
+        if (this.liveBtn) {
+            this.liveBtn.addEventListener('click', () => this._setLiveMode(!this.simulationOptions.live));
+            this._updateLiveButton();
+        }
+        if (this.opAnnotateBtn) {
+            this.opAnnotateBtn.addEventListener('click', () => {
+                this.opOverlay.setVisible(!this.opOverlay.visible);
+                this._updateOpAnnotateButton();
+                this.viewport.render();
+            });
+            this._updateOpAnnotateButton();
+        }
+
+        // Show initial status
+        this._setRunStatus('ready', 'Ready');
 
         this._loadSpinitFile();
     }
@@ -2082,42 +3092,56 @@ class CircuitEditorApp {
             const res = await fetch('/spinit');
             if (!res.ok) throw new Error(`HTTP ${res.status}`);
             this.spinitContent = await res.text();
+            this.simulationRunner?.setSpinit(this.spinitContent);
             console.log('Loaded spinit');
         } catch (error) {
             console.warn('Could not load spinit:', error.message || error);
         }
     }
 
-    _runNgspiceSimulation() {
-        if (!this.spiceRunBtn || !this.spiceStatusEl || !this.spiceOutputEl) return;
-
-        const probeCount = this.probeManager?.probes?.length ?? 0;
-        if (probeCount === 0) {
-            const message = 'Place at least one probe before running the simulation.';
-            this._setRunStatus('error', message);
-            this._appendRunOutput(`[note] ${message}`);
-            alert(message);
-            return;
-        }
+    /**
+     * Run every directive; unchanged jobs are answered from the result cache
+     * @param {Object} [options]
+     * @param {boolean} [options.forceRerun=false] - Simulate everything again, refreshing the cache
+     */
+    _runNgspiceSimulation({ forceRerun = false } = {}) {
+        if (!this._canStartSimulation()) return;
 
         const directives = (this.simulationDirectives && this.simulationDirectives.length > 0)
             ? this.simulationDirectives
             : [{ type: 'op', text: '.op', params: {} }];
 
-        // Build one netlist per directive so we can render a plot for each
-        let jobs;
+        // Build one netlist per directive (and per sweep step) so we can render a plot for each
+        const jobs = [];
+        const groups = [];
+        const notes = [];
         try {
-            jobs = directives.map((dir, idx) => {
-                const { netlist, probeInfo, analysisType } = this.netlistGenerator.generateWithMetadata([dir], {
-                    includeControlBlock: true
+            const sweep = this._resolveParameterSweep();
+            directives.forEach((dir, idx) => {
+                const label = dir.text || dir.type || `Directive ${idx + 1}`;
+                if (!sweep || !['dc', 'ac', 'tran'].includes(dir.type)) {
+                    if (sweep) notes.push(`[note] Parameter sweep applies to DC, AC and transient analyses; ${label} runs once`);
+                    const netlistOptions = { streamSnapshots: this._streamSnapshotsFor(dir) };
+                    jobs.push({ idx, label, directive: dir, netlistOptions, ...this._generateJobNetlist(dir, netlistOptions) });
+                    return;
+                }
+
+                const group = { kind: 'sweep', idx, label, analysisType: dir.type, targetLabel: sweep.targetLabel, jobIndexes: [] };
+                sweep.values.forEach(value => {
+                    const stepLabel = sweep.stepLabel(value);
+                    const netlistOptions = sweep.netlistOptions(value);
+                    group.jobIndexes.push(jobs.length);
+                    jobs.push({
+                        idx,
+                        label: `${label} [${stepLabel}]`,
+                        stepLabel,
+                        group,
+                        directive: dir,
+                        netlistOptions,
+                        ...this._generateJobNetlist(dir, netlistOptions)
+                    });
                 });
-                return {
-                    idx,
-                    label: dir.text || dir.type || `Directive ${idx + 1}`,
-                    netlist,
-                    probeInfo,
-                    analysisType
-                };
+                groups.push(group);
             });
         } catch (error) {
             this._setRunStatus('error', 'Failed to generate netlist');
@@ -2125,144 +3149,1554 @@ class CircuitEditorApp {
             return;
         }
 
-        this.spiceOutputEl.textContent = '';
-        this._clearPlot();
-        this._appendRunOutput('* --- Starting simulations ---');
+        this._startSimulationJobs(jobs, groups, notes, { forceRerun });
+    }
 
-        this._setRunStatus('running', 'Running simulation...');
-        this.spiceRunBtn.disabled = true;
+    /**
+     * Snapshots a directive's run should stream: only long transients get any
+     * @param {{type: string, text?: string}} directive
+     * @returns {number}
+     */
+    _streamSnapshotsFor(directive) {
+        if (directive.type !== 'tran') return 0;
+        // ".tran tstep tstop ..."
+        const [, tstep, tstop] = (directive.text || '').trim().split(/\s+/);
+        const steps = parseSpiceNumber(tstop) / parseSpiceNumber(tstep);
+        return steps >= TRAN_STREAM_MIN_STEPS ? TRAN_STREAM_SNAPSHOTS : 0;
+    }
 
-        if (this.spiceWorker) {
-            this.spiceWorker.terminate();
-            this.spiceWorker = null;
+    /**
+     * Answer a job from the result cache when its netlist has been simulated
+     * before; otherwise run it and cache what it produced
+     * @param {Object} job
+     * @param {string[]} jobLog - Receives the cached stdout so diagnostics still work
+     * @param {(netlist: string) => Promise<Object>} runAttempt
+     * @param {boolean} forceRerun - Skip the lookup (the fresh result still replaces the cached one)
+     * @returns {Promise<Object>} As _runWithConvergenceRecovery, plus `cached`
+     */
+    async _runCachedJob(job, jobLog, runAttempt, forceRerun) {
+        // The timestamp line differs on every generation; leave it out of the key
+        const key = await resultCacheKey(netlistBody(job.netlist), this.spinitContent).catch(() => null);
+        if (key && !forceRerun) {
+            const cached = await getCachedResult(key).catch((error) => {
+                console.warn('Result cache lookup failed:', error);
+                return null;
+            });
+            if (cached) {
+                this._appendRunOutput(`* [cached] ${job.label}: netlist unchanged, results loaded from cache`);
+                if (cached.stdout) {
+                    jobLog.push(cached.stdout);
+                    this._appendRunOutput(cached.stdout);
+                }
+                return { ...cached, cached: true };
+            }
         }
 
-        this._pendingSimJobs = jobs;
-        this._simResults = [];
-
-        let currentJobIndex = -1;
+        const result = await this._runWithConvergenceRecovery(job, jobLog, runAttempt);
+        if (key && result.rawData) {
+            const { netlist, rawData, vcdData, stdout, stderr, recovery } = result;
+            putCachedResult(key, { netlist, rawData, vcdData, stdout, stderr, recovery })
+                .catch((error) => console.warn('Could not cache simulation result:', error));
+        }
+        return { ...result, cached: false };
+    }
 
-        const startWorkerForJob = (index) => {
-            // Always start a fresh worker to fully reinitialize ngspice between jobs
-            if (this.spiceWorker) {
-                try { this.spiceWorker.terminate(); } catch (_) {}
-                this.spiceWorker = null;
+    /**
+     * Run a job and, if ngspice reports a convergence failure, rerun it with each
+     * recovery strategy in turn until one produces results
+     * @param {Object} job - Needs `directive` and `netlistOptions` to be retried
+     * @param {string[]} jobLog - Console lines of the current attempt; emptied before each retry
+     * @param {(netlist: string) => Promise<Object>} runAttempt
+     * @returns {Promise<Object>} The runner's result plus the `netlist` that produced it and
+     *   the `recovery` strategy label when a retry succeeded
+     */
+    async _runWithConvergenceRecovery(job, jobLog, runAttempt) {
+        const result = await runAttempt(job.netlist);
+        const failure = detectConvergenceFailure(jobLog.join('\n'));
+        const strategies = job.directive && failure ? getRecoveryStrategies(job.analysisType) : [];
+        if (strategies.length === 0) return { ...result, netlist: job.netlist, recovery: null };
+
+        this._appendRunOutput(`[note] ${job.label}: ${failure === 'timestep' ? 'timestep too small' : 'no convergence'}; retrying with convergence aids`);
+        let last = { ...result, netlist: job.netlist, recovery: null };
+        for (const strategy of strategies) {
+            this._appendRunOutput(`[note] ${job.label}: trying ${strategy.label}`);
+            const { netlist } = this._generateJobNetlist(job.directive, { ...job.netlistOptions, extraCards: strategy.cards });
+            jobLog.length = 0;
+            last = { ...(await runAttempt(netlist)), netlist, recovery: null };
+            if (last.rawData && !detectConvergenceFailure(jobLog.join('\n'))) {
+                this._appendRunOutput(`[note] ${job.label}: converged with ${strategy.label}`);
+                return { ...last, recovery: strategy.label };
             }
+        }
+        this._appendRunOutput(`[note] ${job.label}: no recovery strategy converged (tried ${strategies.map(s => s.label).join('; ')})`);
+        return last;
+    }
 
-            const job = jobs[index];
-            const worker = new Worker('/ngspice-worker.js');
-            this.spiceWorker = worker;
-
-            const sendRun = () => {
-                this._appendRunOutput(`* [${index + 1}/${jobs.length}] ${job.label}`);
-                this._appendRunOutput('* --- Netlist sent to ngspice ---');
-                this._appendRunOutput(job.netlist);
-                this._appendRunOutput('* --------------------------------');
-                worker.postMessage({
-                    type: 'run',
-                    netlist: job.netlist,
-                    spinit: this.spinitContent
-                });
-            };
+    /**
+     * Check that nothing is running and the circuit has something to plot
+     * @returns {boolean}
+     */
+    _canStartSimulation() {
+        if (!this.spiceRunBtn || !this.spiceStatusEl || !this.spiceOutputEl) return false;
+        if (this._activeSimRun) return false;
 
-            worker.onmessage = (e) => {
-                const { type, text, message, outputData, stdout, stderr, stack } = e.data;
-                switch (type) {
-                    case 'ready': {
-                        currentJobIndex = index;
-                        sendRun();
-                        break;
-                    }
-                    case 'status': {
-                        this._appendRunOutput(`[status] ${text}`);
-                        break;
-                    }
-                    case 'stdout': {
-                        this._appendRunOutput(text);
-                        break;
-                    }
-                    case 'stderr': {
-                        this._appendRunOutput(`[stderr] ${text}`);
-                        break;
-                    }
-                    case 'complete': {
-                        const jobDone = jobs[currentJobIndex];
-                        this._simResults.push({
-                            ...jobDone,
-                            outputData,
-                            stdout,
-                            stderr
-                        });
+        const probeCount = this.probeManager?.probes?.length ?? 0;
+        if (probeCount === 0) {
+            const message = 'Place at least one probe before running the simulation.';
+            this._setRunStatus('error', message);
+            this._appendRunOutput(`[note] ${message}`);
+            alert(message);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Run prepared jobs on the worker pool and render results as they arrive
+     * @param {Array<Object>} jobs - Netlist plus metadata from _generateJobNetlist; jobs that keep
+     *   their `directive` and `netlistOptions` are retried when they fail to converge
+     * @param {Array<Object>} [groups] - Sweep/Monte Carlo families, drawn together once all their jobs settle
+     * @param {string[]} [notes] - Lines for the run console before the first job
+     * @param {Object} [options]
+     * @param {boolean} [options.forceRerun=false] - Ignore cached results
+     */
+    _startSimulationJobs(jobs, groups = [], notes = [], { forceRerun = false } = {}) {
+        this.spiceOutputEl.textContent = '';
+        this._clearPlot();
+        // A full run replaces the live plots, so the next edit has to run again
+        this._lastLiveNetlist = null;
+        this._clearOperatingPoint();
+        this._clearDiagnostics();
+        this.measurementResults = [];
+        this._appendRunOutput('* --- Starting simulations ---');
+        notes.forEach(note => this._appendRunOutput(note));
 
-                        try { worker.terminate(); } catch (_) {}
-                        this.spiceWorker = null;
+        this._setRunStatus('running', 'Running simulation...');
+        this._setRunControlsBusy(true);
 
-                        const nextIndex = currentJobIndex + 1;
-                        if (nextIndex < jobs.length) {
-                            startWorkerForJob(nextIndex);
-                        } else {
-                            finishAll();
-                        }
-                        break;
-                    }
-                    case 'error': {
-                        this._setRunStatus('error', 'Simulation failed');
-                        this.spiceRunBtn.disabled = false;
-                        this._appendRunOutput(`[error] ${message}`);
-                        if (stack) this._appendRunOutput(stack);
-                        this._showErrorPlaceholder(message);
-                        try { worker.terminate(); } catch (_) {}
-                        this.spiceWorker = null;
-                        break;
+        const runner = this._getSimulationRunner();
+        const timeoutMs = Math.max(0, Number(this.simulationOptions?.timeoutSeconds) || 0) * 1000;
+        const activeRun = { jobIds: [] };
+        const outcome = { failed: 0, cancelled: 0, timedOut: 0, cached: 0 };
+        this._activeSimRun = activeRun;
+        this._pendingSimJobs = jobs;
+        this._simResults = [];
+        const runStarted = { timestamp: Date.now(), snapshot: circuitSnapshot(this._serialize()) };
+
+        const runs = jobs.map((job, index) => {
+            // Console lines for this job only, scanned for diagnostics once it ends
+            const jobLog = [];
+            // Streamed snapshots and the final plot share one container, replaced in place
+            const streamPlotId = job.stream && !job.group ? `tran-${job.idx + 1}-${Date.now()}-stream` : undefined;
+            const runAttempt = (netlist) => runner.run(netlist, {
+                onStart: (jobId) => {
+                    this._appendRunOutput(`* [${index + 1}/${jobs.length}] ${job.label} (${jobId})`);
+                    this._appendRunOutput('* --- Netlist sent to ngspice ---');
+                    this._appendRunOutput(netlist);
+                    this._appendRunOutput('* --------------------------------');
+                },
+                onStatus: (text) => this._appendRunOutput(`[status] ${text}`),
+                onStdout: (text) => {
+                    jobLog.push(text);
+                    this._appendRunOutput(text);
+                },
+                onStderr: (text) => {
+                    jobLog.push(text);
+                    this._appendRunOutput(`[stderr] ${text}`);
+                },
+                onPartial: streamPlotId ? (rawData) => this._showPartialResult(job, rawData, streamPlotId) : undefined
+            }, {
+                timeout: timeoutMs,
+                onQueued: (jobId) => activeRun.jobIds.push(jobId)
+            });
+            return this._runCachedJob(job, jobLog, runAttempt, forceRerun).then(({ netlist, rawData, vcdData, stdout, stderr, recovery, cached }) => {
+                this._reportDiagnostics(job, jobLog);
+                if (!rawData) {
+                    // ngspice exits normally after rejecting a netlist; there is just nothing to plot
+                    outcome.failed++;
+                    this._appendRunOutput(`[error] ${job.label}: ngspice did not write any results`);
+                    return;
+                }
+                const result = { ...job, netlist, rawData, vcdData, stdout, stderr, recovery, cached };
+                if (recovery) this._appendPlotNotice(`${job.label} only converged with ${recovery}`);
+                if (cached) outcome.cached++;
+                if (cached && !job.group) this._appendPlotNotice(`${job.label}: cached result (netlist unchanged) - use Rerun to simulate again`);
+                if (job.measurements?.length) {
+                    result.measurementResults = parseMeasureOutput(stdout, job.measurements.map(m => m.name));
+                }
+                this._simResults[index] = result;
+                // Plot as soon as each job lands so a later Stop keeps it;
+                // sweep steps and Monte Carlo runs wait for the rest of their family
+                if (!job.group) {
+                    this._renderSimulationResult(result, streamPlotId);
+                    this._showMeasurementResults(result.label, [result]);
+                }
+            }).catch((error) => {
+                if (error instanceof SimulationAbortError) {
+                    if (error.reason === 'timeout') {
+                        outcome.timedOut++;
+                        this._appendRunOutput(`[timeout] ${job.label}: ${error.message}`);
+                        this._reportDiagnostics(job, jobLog);
+                    } else {
+                        outcome.cancelled++;
+                        this._appendRunOutput(`[cancelled] ${job.label}`);
                     }
-                    default:
-                        break;
+                    return;
                 }
-            };
+                outcome.failed++;
+                this._appendRunOutput(`[error] ${job.label}: ${error.message}`);
+                this._reportDiagnostics(job, jobLog);
+                console.error('Simulation job failed:', error);
+            });
+        });
+
+        // Overlay each family once all of its jobs have finished, failed or been stopped
+        const groupRenders = groups.map(group =>
+            Promise.all(group.jobIndexes.map(i => runs[i])).then(() => {
+                const results = group.jobIndexes.map(i => this._simResults[i]).filter(Boolean);
+                const cachedRuns = results.filter(result => result.cached).length;
+                if (cachedRuns > 0) this._appendPlotNotice(`${group.label}: ${cachedRuns} of ${group.jobIndexes.length} runs from cache - use Rerun to simulate again`);
+                if (group.kind === 'montecarlo') {
+                    this._renderMonteCarloResults(group, results);
+                } else {
+                    this._renderSweepResults(group, results);
+                }
+                this._showMeasurementResults(group.label, results, group.kind === 'montecarlo');
+            })
+        );
+
+        Promise.all([...runs, ...groupRenders]).then(() => {
+            if (this._activeSimRun === activeRun) this._activeSimRun = null;
+            this._setRunControlsBusy(false);
+
+            const finished = this._simResults.filter(Boolean).length;
+            if (finished > 0) this._recordRun(runStarted, jobs, this._simResults);
+            const progress = `${finished}/${jobs.length} finished`;
+
+            if (outcome.cancelled > 0) {
+                this._setRunStatus('cancelled', finished > 0 ? `Cancelled (${progress})` : 'Cancelled');
+            } else if (outcome.timedOut > 0) {
+                this._setRunStatus('timeout', finished > 0 ? `Timed out (${progress})` : 'Timed out');
+            } else if (outcome.failed > 0) {
+                this._setRunStatus('error', 'Simulation failed');
+            } else {
+                this._setRunStatus('ready', outcome.cached > 0 ? `Simulation complete (${outcome.cached}/${jobs.length} cached)` : 'Simulation complete');
+                return;
+            }
+
+            if (finished === 0) {
+                if (this.diagnosticsOverlay.hasDiagnostics()) {
+                    // Keep the diagnostics list; it explains the failure better than a placeholder
+                    this._appendPlotNotice('No results - see diagnostics above');
+                } else if (outcome.failed > 0) {
+                    this._showErrorPlaceholder('Simulation failed - see console output');
+                } else {
+                    this._showStoppedPlaceholder(outcome.cancelled > 0 ? 'cancelled' : 'timeout', timeoutMs);
+                }
+            } else {
+                const skipped = outcome.failed + outcome.cancelled + outcome.timedOut;
+                this._appendPlotNotice(`${skipped} of ${jobs.length} analyses did not finish - see console output`);
+            }
+        });
+    }
+
+    /**
+     * Add a finished run to the history. Sweep steps and Monte Carlo runs keep
+     * their netlists but not their results, which are only ever overlaid as a family.
+     * @param {{timestamp: number, snapshot: Object}} started - Taken when the run began, before any further edits
+     * @param {Array<Object>} jobs
+     * @param {Array<Object>} results - Indexed like jobs; missing where a job failed
+     */
+    _recordRun(started, jobs, results) {
+        this.runHistory.add({
+            ...started,
+            netlists: jobs.map((job, index) => ({ label: job.label, netlist: results[index]?.netlist ?? job.netlist })),
+            results: results
+                .filter(result => result && !result.group)
+                .map(({ label, analysisType, rawData, probeInfo }) => ({ label, analysisType, rawData, probeInfo }))
+        });
+        this._renderRunHistory();
+    }
+
+    /**
+     * Fill the history pane, newest run first
+     */
+    _renderRunHistory() {
+        const list = document.getElementById('history-list');
+        const toggle = document.getElementById('sim-history-btn');
+        if (toggle) toggle.classList.toggle('has-reference', this.runHistory.pinnedId !== null);
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (this.runHistory.runs.length === 0) {
+            list.innerHTML = '<div class="history-empty">Runs appear here once they finish</div>';
+            return;
+        }
+
+        this.runHistory.runs.forEach(run => {
+            const pinned = run.id === this.runHistory.pinnedId;
+            const entry = document.createElement('div');
+            entry.className = `history-entry${pinned ? ' pinned' : ''}`;
+
+            const header = document.createElement('div');
+            header.className = 'history-entry-header';
+            const title = document.createElement('span');
+            title.className = 'history-entry-title';
+            const analyses = [...new Set(run.netlists.map(n => n.label.replace(/ \[.*\]$/, '')))].join(', ');
+            title.textContent = `#${run.id} · ${new Date(run.timestamp).toLocaleTimeString()} · ${analyses}`;
+            header.appendChild(title);
+
+            const pinBtn = document.createElement('button');
+            pinBtn.className = 'history-action';
+            pinBtn.title = pinned ? 'Stop comparing with this run' : 'Pin as reference: later plots show its traces dashed';
+            pinBtn.innerHTML = `<span class="material-symbols-outlined">${pinned ? 'keep_off' : 'keep'}</span>`;
+            pinBtn.addEventListener('click', () => {
+                this.runHistory.pin(pinned ? null : run.id);
+                this._renderRunHistory();
+            });
+            header.appendChild(pinBtn);
+
+            const netlistBtn = document.createElement('button');
+            netlistBtn.className = 'history-action';
+            netlistBtn.title = 'Show the netlists of this run';
+            netlistBtn.innerHTML = '<span class="material-symbols-outlined">code</span>';
+            netlistBtn.addEventListener('click', () => this._showNetlistModal({
+                text: run.netlists.map(n => `* ===== ${n.label} =====\n${n.netlist}`).join('\n\n'),
+                title: `Netlists of run #${run.id}`
+            }));
+            header.appendChild(netlistBtn);
+            entry.appendChild(header);
+
+            const summary = document.createElement('div');
+            summary.className = 'history-entry-changes';
+            if (run.changes === null) summary.textContent = 'First run';
+            else summary.textContent = run.changes.length > 0 ? run.changes.join('; ') : 'No changes since the previous run';
+            entry.appendChild(summary);
+
+            if (pinned) {
+                const badge = document.createElement('div');
+                badge.className = 'history-entry-badge';
+                badge.textContent = 'Reference - drawn dashed on new plots';
+                entry.appendChild(badge);
+            }
+            list.appendChild(entry);
+        });
+    }
 
-            worker.onerror = (err) => {
-                this._setRunStatus('error', 'Worker error');
-                this.spiceRunBtn.disabled = false;
-                this._appendRunOutput(`[worker] ${err.message}`);
-                this._showErrorPlaceholder(err.message);
-                try { worker.terminate(); } catch (_) {}
-                this.spiceWorker = null;
+    /**
+     * Netlist and metadata for one simulation job
+     * @param {Object} directive
+     * @param {Object} [options] - Extra NetlistGenerator options (sweep overrides, streaming)
+     */
+    _generateJobNetlist(directive, options = {}) {
+        const { netlist, netMap, probeInfo, deviceCurrents, analysisType, fourier, measurements, stream } = this.netlistGenerator.generateWithMetadata([directive], {
+            includeControlBlock: true,
+            measurements: this.simulationOptions.measurements ?? [],
+            temperature: this.simulationOptions.temperature,
+            simulatorOptions: this.simulationOptions.simulatorOptions,
+            ...options
+        });
+        return { netlist, netMap, probeInfo, deviceCurrents, analysisType, fourier, measurements, stream };
+    }
+
+    /**
+     * Expand the saved parameter sweep against the current circuit
+     * @returns {{values: string[], targetLabel: string, stepLabel: (value: string) => string, netlistOptions: (value: string) => Object} | null}
+     * @throws {Error} When the sweep settings are invalid or the swept component is gone
+     */
+    _resolveParameterSweep() {
+        const sweep = this.simulationOptions.sweep;
+        if (!sweep) return null;
+
+        const values = expandSweepValues(sweep);
+        const targetLabel = getSweepTargetLabel(sweep);
+        const stepLabel = (value) => formatSweepStep(sweep, value);
+
+        if (sweep.target.kind === 'param') {
+            return {
+                values,
+                targetLabel,
+                stepLabel,
+                netlistOptions: (value) => ({ params: [{ name: sweep.target.name, value }] })
+            };
+        }
+        if (sweep.target.kind === 'temp') {
+            return {
+                values,
+                targetLabel,
+                stepLabel,
+                netlistOptions: (value) => ({ temperature: value })
             };
+        }
+
+        const designator = sweep.target.designator.toLowerCase();
+        const component = this.componentManager.components.find(c =>
+            (c.meta?.designatorText || c.name || c.id).toLowerCase() === designator
+        );
+        if (!component) {
+            throw new Error(`Swept component ${sweep.target.designator} is not in the circuit`);
+        }
+        return {
+            values,
+            targetLabel,
+            stepLabel,
+            netlistOptions: (value) => ({ valueOverrides: new Map([[component.id, value]]) })
         };
+    }
+
+    /**
+     * Stop every job of the simulation currently in flight. Plots from jobs
+     * that already finished stay in the results panel.
+     */
+    _stopNgspiceSimulation() {
+        const activeRun = this._activeSimRun;
+        if (!activeRun || !this.simulationRunner) return;
+        this._appendRunOutput('[note] Stopping simulation...');
+        this.simulationRunner.cancelAll(activeRun.jobIds);
+    }
+
+    /**
+     * Turn live mode on or off. Switching it on runs the analyses straight away.
+     * @param {boolean} enabled
+     */
+    _setLiveMode(enabled) {
+        this.simulationOptions.live = enabled;
+        this._updateLiveButton();
+        clearTimeout(this._liveTimer);
+        this._liveTimer = null;
+        this._lastLiveNetlist = null;
+        if (enabled) this._runLiveSimulation();
+    }
+
+    _updateLiveButton() {
+        if (!this.liveBtn) return;
+        const live = Boolean(this.simulationOptions.live);
+        this.liveBtn.classList.toggle('active', live);
+        this.liveBtn.setAttribute('aria-pressed', String(live));
+    }
 
-        const finishAll = () => {
-            this._setRunStatus('ready', 'Simulation complete');
-            this.spiceRunBtn.disabled = false;
-
-            // Render plots for each completed job
-            this._simResults.forEach((result) => {
-                if (result.outputData) {
-                    this._appendRunOutput(`--- output (${result.label}) ---`);
-                    this._appendRunOutput(result.outputData);
-                    const plotId = `${result.analysisType || 'plot'}-${result.idx + 1}-${Date.now()}-${Math.random().toString(16).slice(2, 6)}`;
-                    this._plotResults(result.outputData, result.probeInfo, result.analysisType, plotId);
-                } else if (result.stdout) {
-                    this._appendRunOutput(`[note] No output.txt for ${result.label}`);
-                    this._appendRunOutput(result.stdout);
-                    const plotId = `${result.analysisType || 'plot'}-${result.idx + 1}-${Date.now()}-${Math.random().toString(16).slice(2, 6)}`;
-                    this._tryParsePrintOutput(result.stdout, result.probeInfo, result.analysisType, plotId);
-                } else if (result.stderr) {
-                    this._appendRunOutput(result.stderr);
+    /**
+     * Called after any edit that may change the netlist; schedules a live re-run
+     */
+    _notifyCircuitChanged() {
+        if (!this.simulationOptions.live) return;
+        clearTimeout(this._liveTimer);
+        this._liveTimer = setTimeout(() => this._runLiveSimulation(), LIVE_SIMULATION_DELAY_MS);
+    }
+
+    /**
+     * Re-run every directive and replace their plots in place. Sweeps and
+     * Monte Carlo are left to the Run button; netlists identical to the last
+     * live run are not simulated again.
+     */
+    _runLiveSimulation() {
+        this._liveTimer = null;
+        if (!this.simulationOptions.live || !this.spiceStatusEl || !this.spiceOutputEl) return;
+        if (this._activeSimRun) {
+            // Try again once the current run is out of the way
+            this._notifyCircuitChanged();
+            return;
+        }
+        if ((this.probeManager?.probes?.length ?? 0) === 0) return;
+
+        const directives = (this.simulationDirectives && this.simulationDirectives.length > 0)
+            ? this.simulationDirectives
+            : [{ type: 'op', text: '.op', params: {} }];
+        let jobs;
+        try {
+            jobs = directives.map((directive, idx) => ({
+                idx,
+                label: directive.text || directive.type || `Directive ${idx + 1}`,
+                ...this._generateJobNetlist(directive)
+            }));
+        } catch (error) {
+            // Half-finished edits often leave the circuit unsimulatable; keep the last plots up
+            this._setRunStatus('error', 'Live: failed to generate netlist');
+            this._appendRunOutput(`[error] ${error.message}`);
+            return;
+        }
+
+        // The header carries a timestamp, which would make every netlist look new
+        const comparable = jobs.map(job => netlistBody(job.netlist)).join('\n');
+        if (comparable === this._lastLiveNetlist) return;
+        this._lastLiveNetlist = comparable;
+
+        this.spiceOutputEl.textContent = '';
+        this._clearDiagnostics();
+        this.spicePlotsEl?.querySelectorAll('.diagnostics-panel').forEach(panel => panel.remove());
+        this._setRunStatus('running', 'Live: running...');
+        this._setRunControlsBusy(true);
+
+        const runner = this._getSimulationRunner();
+        const activeRun = { jobIds: [] };
+        this._activeSimRun = activeRun;
+        const outcome = { failed: 0, cancelled: 0, timedOut: 0 };
+        const timeoutMs = Math.max(0, Number(this.simulationOptions?.timeoutSeconds) || 0) * 1000;
+
+        const runs = jobs.map(job => {
+            const jobLog = [];
+            return runner.run(job.netlist, {
+                onStart: () => {
+                    this._appendRunOutput(`* --- Live update: ${job.label} ---`);
+                    this._appendRunOutput(job.netlist);
+                },
+                onStdout: (text) => {
+                    jobLog.push(text);
+                    this._appendRunOutput(text);
+                },
+                onStderr: (text) => {
+                    jobLog.push(text);
+                    this._appendRunOutput(`[stderr] ${text}`);
+                }
+            }, {
+                timeout: timeoutMs,
+                onQueued: (jobId) => activeRun.jobIds.push(jobId)
+            }).then(({ rawData, vcdData, stdout, stderr }) => {
+                this._reportDiagnostics(job, jobLog);
+                if (!rawData) {
+                    outcome.failed++;
+                    this._appendRunOutput(`[error] ${job.label}: ngspice did not write any results`);
+                    return null;
                 }
+                const result = { ...job, rawData, vcdData, stdout, stderr };
+                if (job.measurements?.length) {
+                    result.measurementResults = parseMeasureOutput(stdout, job.measurements.map(m => m.name));
+                }
+                return result;
+            }).catch((error) => {
+                if (error instanceof SimulationAbortError) {
+                    if (error.reason === 'timeout') outcome.timedOut++;
+                    else outcome.cancelled++;
+                } else {
+                    outcome.failed++;
+                    this._appendRunOutput(`[error] ${job.label}: ${error.message}`);
+                }
+                this._reportDiagnostics(job, jobLog);
+                return null;
+            });
+        });
+
+        Promise.all(runs).then((results) => {
+            const finished = results.filter(Boolean);
+            // Anything that this run does not redraw (an earlier full run, a plot
+            // whose directive changed type or was removed) would be stale next to the new results
+            const previous = [...this.spicePlotsEl.querySelectorAll('.plot-container')];
+            const drawnBefore = this._plotDrawCount;
+            if (finished.length > 0) {
+                if (!finished.some(result => result.analysisType === 'op')) this._clearOperatingPoint();
+                this.measurementResults = [];
+            }
+            finished.forEach(result => {
+                this._renderSimulationResult(result, `live-${result.idx + 1}`);
+                this._showMeasurementResults(result.label, [result], false, `live-meas-${result.idx + 1}`);
+            });
+
+            if (finished.length === jobs.length) {
+                previous.filter(el => el.isConnected && el._drawCount <= drawnBefore).forEach(el => {
+                    const plotArea = el.querySelector('.plot-area');
+                    if (plotArea && window.Plotly) {
+                        try { window.Plotly.purge(plotArea); } catch (_) {}
+                    }
+                    el.remove();
+                });
+                this._setRunStatus('ready', `Live: updated ${new Date().toLocaleTimeString()}`);
+                return;
+            }
+
+            // Let the same netlists run again on the next edit instead of leaving stale plots
+            this._lastLiveNetlist = null;
+            if (outcome.cancelled > 0) {
+                this._setRunStatus('cancelled', 'Live: cancelled');
+            } else if (outcome.timedOut > 0) {
+                this._setRunStatus('timeout', 'Live: timed out');
+            } else {
+                this._setRunStatus('error', finished.length > 0
+                    ? `Live: ${outcome.failed} of ${jobs.length} analyses failed`
+                    : 'Live: simulation failed');
+            }
+        }).finally(() => {
+            if (this._activeSimRun === activeRun) this._activeSimRun = null;
+            this._setRunControlsBusy(false);
+        });
+    }
+
+    /**
+     * Plot (or log) the output of one finished job
+     * @param {Object} result - Job metadata plus rawData/stdout/stderr
+     * @param {string} [plotId] - Reuse this id to replace an earlier plot in place
+     */
+    _renderSimulationResult(result, plotId = `${result.analysisType || 'plot'}-${result.idx + 1}-${Date.now()}-${Math.random().toString(16).slice(2, 6)}`) {
+        if (result.rawData && result.analysisType === 'op') {
+            this._showOperatingPoint(result, plotId);
+            if (result.probeInfo?.some(p => p.type === 'power')) this._showPowerResults(result, `${plotId}-power`);
+        } else if (result.rawData && result.analysisType === 'noise') {
+            this._showNoiseResults(result, plotId);
+        } else if (result.rawData && result.analysisType === 'pz') {
+            this._showPoleZeroResults(result, plotId);
+        } else if (result.rawData) {
+            const probes = result.probeInfo ?? [];
+            if (this._hasSignalPlot(probes)) {
+                const reference = this.runHistory.findReference(result.analysisType, result.label);
+                this._plotResults(result.rawData, result.probeInfo, result.analysisType, plotId, reference);
+            }
+            if (probes.some(p => p.type === 'power')) this._showPowerResults(result, `${plotId}-power`);
+            if (probes.some(p => p.type === 'digital')) this._showDigitalResults(result, `${plotId}-digital`);
+            if (result.fourier) this._showFourierResults(result, `${plotId}-fourier`);
+        } else {
+            this._appendRunOutput(`[note] No rawfile written for ${result.label}`);
+        }
+    }
+
+    /**
+     * Whether the standard plot has anything to draw: digital and power probes
+     * get their own plots, and the vectors behind power probes are not shown
+     * @param {Array} probeInfo
+     * @returns {boolean}
+     */
+    _hasSignalPlot(probeInfo) {
+        return probeInfo.length === 0 || probeInfo.some(p => p.type !== 'digital' && p.type !== 'power');
+    }
+
+    /**
+     * Draw the transient data a streaming job has written so far and show how
+     * far through 0..tstop the run has got
+     * @param {Object} job - Job metadata with `stream.tstop`
+     * @param {Uint8Array} rawData - Partial rawfile
+     * @param {string} plotId - Container the final result will replace
+     */
+    _showPartialResult(job, rawData, plotId) {
+        let plot;
+        try {
+            const plots = parseRawfile(rawData);
+            plot = plots[plots.length - 1];
+        } catch (_) {
+            return;
+        }
+        const time = plot?.vectors[0] ? realValues(plot.vectors[0]) : [];
+        if (time.length === 0) return;
+
+        const percent = Math.round(Math.min(1, Math.max(0, time[time.length - 1] / job.stream.tstop)) * 100);
+        this._setRunStatus('running', `Running ${job.label}: ${percent}%`);
+        if (!this._hasSignalPlot(job.probeInfo)) return;
+        this._plotResults(rawData, job.probeInfo, job.analysisType, plotId, this.runHistory.findReference(job.analysisType, job.label));
+        const title = document.getElementById(`plot-${plotId}`)?.querySelector('.plot-title');
+        if (title) title.textContent = `Transient Analysis · ${percent}%`;
+    }
+
+    /**
+     * Plot V×I of each power probe's component with average and peak readouts.
+     * Operating points are a single sample, so they only get the readout.
+     * @param {Object} result - Finished job with probeInfo and rawData
+     * @param {string} plotId
+     */
+    _showPowerResults(result, plotId) {
+        let plot;
+        try {
+            const plots = parseRawfile(result.rawData);
+            plot = plots[plots.length - 1];
+        } catch (error) {
+            this._appendRunOutput(`[note] Could not read rawfile: ${error.message}`);
+            return;
+        }
+        if (plot.complex) {
+            this._appendRunOutput(`[note] ${result.label}: power probes need a transient, DC or operating point analysis`);
+            return;
+        }
+
+        const scale = Array.from(realValues(plot.vectors[0]));
+        const timeWeighted = result.analysisType === 'tran';
+        const traces = [];
+        result.probeInfo.filter(p => p.type === 'power').forEach(probe => {
+            const power = computePower(plot, probe.terms);
+            if (!power) {
+                this._appendRunOutput(`[note] No data for power probe ${probe.label} (${probe.designator})`);
+                return;
+            }
+            if (result.analysisType === 'op') {
+                this._appendRunOutput(`[note] ${probe.label}: P(${probe.designator}) = ${formatEngineering(power[0], 'W')}`);
+                return;
+            }
+            const { average, peak, peakAt } = summarizePower(scale, power, timeWeighted);
+            const readout = `avg ${formatEngineering(average, 'W')}, peak ${formatEngineering(peak, 'W')}`;
+            this._appendRunOutput(`[note] ${probe.label}: P(${probe.designator}) ${readout} at ${formatEngineering(peakAt, plot.vectors[0].unit)}`);
+            traces.push({
+                x: scale,
+                y: Array.from(power),
+                type: 'scatter',
+                mode: 'lines',
+                name: `${probe.label} · ${probe.designator} (${readout})`,
+                line: { color: probe.color, width: 2 }
+            });
+        });
+        if (traces.length === 0 || !window.Plotly) return;
+
+        const plotArea = this._createPlotContainer(result.analysisType, plotId, { title: 'Power Dissipation', xyMode: false });
+        if (!plotArea) return;
+
+        const layout = {
+            paper_bgcolor: '#0d1b2a',
+            plot_bgcolor: '#0d1b2a',
+            font: { color: '#e2e8f0', size: 10 },
+            uirevision: 'power',
+            xaxis: {
+                title: { text: this._scaleAxisTitle(plot.vectors[0]), font: { size: 11 } },
+                gridcolor: '#334155',
+                zerolinecolor: '#334155',
+                linecolor: '#475569',
+                linewidth: 1,
+                mirror: true,
+                tickfont: { size: 9 }
+            },
+            yaxis: {
+                title: { text: 'Power (W)', font: { size: 11 } },
+                gridcolor: '#334155',
+                zerolinecolor: '#334155',
+                linecolor: '#475569',
+                linewidth: 1,
+                mirror: true,
+                tickfont: { size: 9 }
+            },
+            margin: { t: 20, r: 20, b: 45, l: 55 },
+            legend: {
+                x: 1,
+                xanchor: 'right',
+                y: 1,
+                bgcolor: 'rgba(15, 23, 42, 0.85)',
+                font: { size: 10 }
+            }
+        };
+
+        requestAnimationFrame(() => {
+            const rect = plotArea.getBoundingClientRect();
+            layout.width = rect.width || 340;
+            layout.height = rect.height || 260;
+            window.Plotly.react(plotArea, traces, layout, {
+                responsive: true,
+                modeBarButtonsToRemove: ['pan2d', 'zoomIn2d', 'zoomOut2d', 'autoScale2d']
             });
+        });
+    }
+
+    /**
+     * Draw the digital probes of a transient run as a logic-analyzer style
+     * timing diagram: one lane per probe, top to bottom in probe order
+     * @param {Object} result - Finished job with probeInfo, rawData and vcdData
+     * @param {string} plotId
+     */
+    _showDigitalResults(result, plotId) {
+        if (!window.Plotly) return;
+        if (!result.vcdData) {
+            this._appendRunOutput(`[note] ${result.label}: digital probes are only drawn for transient analyses`);
+            return;
+        }
+
+        let vcd;
+        try {
+            vcd = parseVcd(result.vcdData);
+        } catch (error) {
+            this._appendRunOutput(`[note] Could not read digital results: ${error.message}`);
+            return;
+        }
+
+        const lanes = [];
+        result.probeInfo.filter(p => p.type === 'digital').forEach(probe => {
+            const signal = findDigitalSignal(vcd.signals, probe.node);
+            if (!signal || signal.changes.length === 0) {
+                this._appendRunOutput(`[note] No data for digital probe ${probe.label} (${probe.node})`);
+                return;
+            }
+            lanes.push({ probe, signal });
+        });
+        if (lanes.length === 0) return;
+
+        // Events stop at the last transition; hold every lane to the end of the run
+        let endTime = vcd.endTime;
+        try {
+            const plots = parseRawfile(result.rawData);
+            const time = realValues(plots[plots.length - 1].vectors[0]);
+            endTime = Math.max(endTime, time[time.length - 1] ?? 0);
+        } catch (_) {}
+
+        const traces = lanes.map(({ probe, signal }, i) => {
+            const base = (lanes.length - 1 - i) * DIGITAL_LANE_PITCH;
+            const states = [...signal.changes.map(c => c.value), signal.changes[signal.changes.length - 1].value];
+            return {
+                x: [...signal.changes.map(c => c.time), endTime],
+                y: states.map(value => base + logicLevel(value)),
+                text: states,
+                type: 'scatter',
+                mode: 'lines',
+                name: probe.label,
+                line: { shape: 'hv', color: probe.color, width: 2 },
+                hovertemplate: `${probe.label}: %{text}<extra></extra>`
+            };
+        });
+
+        const plotArea = this._createPlotContainer('tran', plotId, { title: 'Digital Timing', xyMode: false });
+        if (!plotArea) return;
+
+        const layout = {
+            paper_bgcolor: '#0d1b2a',
+            plot_bgcolor: '#0d1b2a',
+            font: { color: '#e2e8f0', size: 10 },
+            uirevision: 'digital',
+            xaxis: {
+                title: { text: 'Time (s)', font: { size: 11 } },
+                range: [0, endTime],
+                gridcolor: '#334155',
+                zerolinecolor: '#334155',
+                linecolor: '#475569',
+                linewidth: 1,
+                mirror: true,
+                tickfont: { size: 9 }
+            },
+            yaxis: {
+                // Lanes are labelled with their probe instead of a level scale
+                tickvals: lanes.map((_, i) => (lanes.length - 1 - i) * DIGITAL_LANE_PITCH + 0.5),
+                ticktext: lanes.map(({ probe }) => probe.label),
+                range: [-0.25, (lanes.length - 1) * DIGITAL_LANE_PITCH + 1.25],
+                showgrid: false,
+                zeroline: false,
+                fixedrange: true,
+                linecolor: '#475569',
+                linewidth: 1,
+                mirror: true,
+                tickfont: { size: 10 }
+            },
+            margin: { t: 20, r: 20, b: 45, l: 70 },
+            showlegend: false
+        };
+
+        requestAnimationFrame(() => {
+            const rect = plotArea.getBoundingClientRect();
+            layout.width = rect.width || 340;
+            layout.height = rect.height || 260;
+            window.Plotly.react(plotArea, traces, layout, {
+                responsive: true,
+                modeBarButtonsToRemove: ['pan2d', 'zoomIn2d', 'zoomOut2d', 'autoScale2d']
+            });
+        });
+    }
+
+    /**
+     * Back-annotate an operating point result on the canvas and list it in a table
+     * @param {Object} result - Finished op job (rawData, netMap, probeInfo, deviceCurrents)
+     * @param {string} plotId
+     */
+    _showOperatingPoint(result, plotId) {
+        let plot;
+        try {
+            const plots = parseRawfile(result.rawData);
+            plot = plots[plots.length - 1];
+        } catch (error) {
+            this._appendRunOutput(`[note] Could not read rawfile: ${error.message}`);
+            return;
+        }
+
+        const nodeVoltages = new Map();
+        new Set(result.netMap.values()).forEach(net => {
+            if (net === '0') return;
+            const vector = findVector(plot, `v(${net})`);
+            if (vector) nodeVoltages.set(net, realValues(vector)[0]);
+        });
+
+        const componentCurrents = (result.deviceCurrents || [])
+            .map(device => {
+                const vector = findVector(plot, device.vector);
+                return vector ? { ...device, value: realValues(vector)[0] } : null;
+            })
+            .filter(Boolean);
+
+        this.opOverlay.setResults({
+            netMap: result.netMap,
+            nodeVoltages,
+            componentCurrents,
+            probeInfo: result.probeInfo
+        });
+        this._updateOpAnnotateButton();
+        this.viewport.render();
+
+        const plotArea = this._createPlotContainer('op', plotId);
+        if (!plotArea) return;
+        this._renderOperatingPointTable(plotArea, this.opOverlay.getRows());
+    }
+
+    /**
+     * Tabulate .meas results for one run or one sweep/Monte Carlo family
+     * @param {string} label - Analysis the results belong to
+     * @param {Array<Object>} results - Finished jobs with `measurements` and `measurementResults`
+     * @param {boolean} [statistics=false] - Summarise Monte Carlo runs instead of one column per run
+     * @param {string} [plotId] - Reuse this id to replace an earlier table in place
+     */
+    _showMeasurementResults(label, results, statistics = false, plotId = undefined) {
+        const measured = results.filter(result => result.measurementResults);
+        if (measured.length === 0) return;
+
+        const definitions = measured[0].measurements;
+        const cell = (entry) => ({ value: entry.value, failed: entry.failed, detail: entry.detail });
+        let columns;
+        let rows;
+
+        if (statistics) {
+            // Monte Carlo families can be hundreds of runs wide
+            const nominal = measured.find(result => result.mcRun === 0);
+            columns = ['Nominal', 'Mean', 'Std dev', 'Min', 'Max'];
+            rows = definitions.map((definition, i) => {
+                const stats = summarize(measured.filter(result => result.mcRun !== 0).map(result => result.measurementResults[i].value));
+                const nominalEntry = nominal?.measurementResults[i];
+                return {
+                    name: definition.name,
+                    unit: definition.unit,
+                    cells: [
+                        nominalEntry ? cell(nominalEntry) : { value: NaN, failed: true, detail: 'nominal run missing' },
+                        ...[stats.mean, stats.std, stats.min, stats.max].map(value => ({
+                            value,
+                            failed: !Number.isFinite(value),
+                            detail: `${stats.count} of ${measured.length - (nominal ? 1 : 0)} runs measured`
+                        }))
+                    ]
+                };
+            });
+        } else {
+            columns = measured.length === 1 ? ['Value'] : measured.map(result => result.stepLabel || result.label);
+            rows = definitions.map((definition, i) => ({
+                name: definition.name,
+                unit: definition.unit,
+                cells: measured.map(result => cell(result.measurementResults[i]))
+            }));
+        }
+
+        const table = { title: `Measurements · ${label}`, columns, rows };
+        this.measurementResults.push(table);
+        this._renderMeasurementTable(table, plotId);
+
+        rows.forEach(row => {
+            const failed = row.cells.filter(c => c.failed).length;
+            if (failed > 0) this._appendRunOutput(`[note] Measurement ${row.name} failed in ${failed} of ${row.cells.length} column(s)`);
+        });
+    }
+
+    /**
+     * @param {{title: string, columns: string[], rows: Array<{name: string, unit: string, cells: Array<{value: number, failed: boolean, detail: string}>}>}} table
+     * @param {string} [plotId]
+     */
+    _renderMeasurementTable(table, plotId = `meas-${++this._plotCounter}-${Date.now()}`) {
+        const plotArea = this._createPlotContainer('meas', plotId, {
+            title: table.title,
+            xyMode: false
+        });
+        if (!plotArea) return;
+        plotArea.classList.add('op-table-area');
+
+        // CSV export reuses the operating point format: one value per line
+        plotArea.closest('.plot-container')._tableRows = table.rows.flatMap(row => row.cells.map((c, i) => ({
+            name: table.columns.length > 1 ? `${row.name} [${table.columns[i]}]` : row.name,
+            kind: 'measurement',
+            value: c.value,
+            unit: row.unit
+        })));
+
+        const element = document.createElement('table');
+        element.className = 'op-table meas-table';
+        const headRow = element.createTHead().insertRow();
+        ['Measurement', ...table.columns].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headRow.appendChild(th);
+        });
+
+        const body = element.createTBody();
+        table.rows.forEach(row => {
+            const tr = body.insertRow();
+            tr.insertCell().textContent = row.name;
+            row.cells.forEach(c => {
+                const td = tr.insertCell();
+                td.textContent = c.failed ? 'failed' : formatEngineering(c.value, row.unit, 4);
+                td.title = c.detail || `${c.value} ${row.unit}`;
+                if (c.failed) td.classList.add('meas-failed');
+            });
+        });
+        plotArea.replaceChildren(element);
+    }
+
+    /**
+     * Plot poles and zeros on the s-plane with a table of natural frequency and damping
+     * @param {Object} result - Finished .pz job
+     * @param {string} plotId
+     */
+    _showPoleZeroResults(result, plotId) {
+        let roots;
+        try {
+            roots = extractPoleZero(parseRawfile(result.rawData));
+        } catch (error) {
+            this._appendRunOutput(`[note] Could not read rawfile: ${error.message}`);
+            return;
+        }
+
+        const { poles, zeros } = roots;
+        if (poles.length === 0 && zeros.length === 0) {
+            this._appendRunOutput('[note] ngspice found no poles or zeros for this transfer function');
+            return;
+        }
+        this._appendRunOutput(`[note] Pole-zero: ${poles.length} pole(s), ${zeros.length} zero(s)`);
+        poles.filter(pole => pole.real > 0).forEach(pole => {
+            this._appendRunOutput(`[note] pole(${pole.index}) is in the right half-plane - the circuit is unstable`);
+        });
+
+        const plotArea = this._createPlotContainer('pz', plotId);
+        if (!plotArea) return;
+
+        const describe = (root) => [
+            `${root.kind}(${root.index})`,
+            `s = ${formatEngineering(root.real, '', 4)} ${root.imag < 0 ? '−' : '+'} j${formatEngineering(Math.abs(root.imag), '', 4)} rad/s`,
+            `fn = ${formatEngineering(root.frequencyHz, 'Hz', 4)}`,
+            `ζ = ${Number.isFinite(root.damping) ? root.damping.toFixed(3) : 'n/a'}`
+        ].join('<br>');
+        const traces = [
+            { roots: poles, name: 'Poles', symbol: 'x', color: '#ef4444' },
+            { roots: zeros, name: 'Zeros', symbol: 'circle-open', color: '#3b82f6' }
+        ].filter(entry => entry.roots.length > 0).map(entry => ({
+            x: entry.roots.map(root => root.real),
+            y: entry.roots.map(root => root.imag),
+            type: 'scatter',
+            mode: 'markers',
+            name: entry.name,
+            marker: { symbol: entry.symbol, size: 11, color: entry.color, line: { width: 2, color: entry.color } },
+            text: entry.roots.map(describe),
+            hovertemplate: '%{text}<extra></extra>'
+        }));
+
+        const axis = (title) => ({
+            title: { text: title, font: { size: 11 } },
+            exponentformat: 'SI',
+            gridcolor: '#334155',
+            zeroline: true,
+            zerolinecolor: '#64748b',
+            zerolinewidth: 1.5,
+            linecolor: '#475569',
+            linewidth: 1,
+            mirror: true,
+            tickfont: { size: 9 }
+        });
+        const layout = {
+            paper_bgcolor: '#0d1b2a',
+            plot_bgcolor: '#0d1b2a',
+            font: { color: '#e2e8f0', size: 10 },
+            uirevision: 'pz',
+            xaxis: axis('σ (rad/s)'),
+            yaxis: axis('jω (rad/s)'),
+            margin: { t: 20, r: 20, b: 45, l: 55 },
+            legend: {
+                x: 1,
+                xanchor: 'right',
+                y: 1,
+                bgcolor: 'rgba(15, 23, 42, 0.85)',
+                font: { size: 10 }
+            }
+        };
+
+        requestAnimationFrame(() => {
+            const rect = plotArea.getBoundingClientRect();
+            layout.width = rect.width || 340;
+            layout.height = rect.height || 260;
+            window.Plotly?.react(plotArea, traces, layout, {
+                responsive: true,
+                modeBarButtonsToRemove: ['pan2d', 'zoomIn2d', 'zoomOut2d', 'autoScale2d']
+            });
+        });
+
+        this._renderPoleZeroTable(plotArea.closest('.plot-container'), [...poles, ...zeros]);
+    }
+
+    /**
+     * Table of roots under the s-plane plot
+     * @param {HTMLElement} container - Plot container to append to
+     * @param {import('./PoleZero.js').PoleZeroRoot[]} roots
+     */
+    _renderPoleZeroTable(container, roots) {
+        const table = document.createElement('table');
+        table.className = 'op-table pz-table';
+        const headRow = table.createTHead().insertRow();
+        ['Root', 'Real (σ)', 'Imag (ω)', 'fn', 'ζ'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        roots.forEach(root => {
+            const tr = body.insertRow();
+            tr.className = `pz-row-${root.kind}${root.kind === 'pole' && root.real > 0 ? ' pz-row-unstable' : ''}`;
+            tr.insertCell().textContent = `${root.kind}(${root.index})`;
+            tr.insertCell().textContent = formatEngineering(root.real, 'rad/s', 4);
+            tr.insertCell().textContent = formatEngineering(root.imag, 'rad/s', 4);
+            tr.insertCell().textContent = formatEngineering(root.frequencyHz, 'Hz', 4);
+            tr.insertCell().textContent = Number.isFinite(root.damping) ? root.damping.toFixed(3) : '—';
+        });
+
+        container.querySelector('.pz-table-area')?.remove();
+        const area = document.createElement('div');
+        area.className = 'pz-table-area';
+        area.appendChild(table);
+        container.appendChild(area);
+    }
+
+    /**
+     * Show THD and a harmonic bar chart from the Fourier table ngspice printed
+     * @param {Object} result - Finished transient job with `fourier` settings and stdout
+     * @param {string} plotId
+     */
+    _showFourierResults(result, plotId) {
+        if (!window.Plotly) return;
+
+        const tables = parseFourierOutput(result.stdout);
+        const wanted = result.fourier.vector.toLowerCase();
+        const table = tables.find(t => t.vector.toLowerCase() === wanted) ?? tables[0];
+        if (!table) {
+            this._appendRunOutput(`[note] ngspice printed no Fourier table for ${result.fourier.probe}`);
+            return;
+        }
+
+        const unit = /^i\(/i.test(table.vector) ? 'A' : 'V';
+        const harmonics = table.harmonics.filter(h => h.index >= 1);
+        const fundamental = harmonics.find(h => h.index === 1);
+        const thdText = `THD ${Number.isFinite(table.thd) ? `${Number(table.thd.toPrecision(4))} %` : 'n/a'}`;
+        this._appendRunOutput(
+            `[note] ${result.fourier.probe}: ${thdText} over ${harmonics.length - 1} harmonics of ${formatEngineering(fundamental?.frequency ?? NaN, 'Hz')}`
+        );
+
+        // Harmonics relative to the fundamental in dBc, drawn up from a floor below the smallest
+        const dbc = harmonics.map(h => 20 * Math.log10(Math.max(Math.abs(h.normMagnitude), 1e-12)));
+        const floor = Math.floor(Math.min(...dbc) / 10) * 10 - 10;
+        const trace = {
+            x: harmonics.map(h => `H${h.index}`),
+            y: dbc.map(v => v - floor),
+            base: floor,
+            customdata: dbc,
+            type: 'bar',
+            marker: { color: harmonics.map(h => (h.index === 1 ? '#3b82f6' : '#f59e0b')) },
+            text: harmonics.map(h => `${formatEngineering(h.frequency, 'Hz')}<br>${formatEngineering(h.magnitude, unit)}`),
+            textposition: 'none',
+            hovertemplate: '%{x}: %{customdata:.1f} dBc<br>%{text}<extra></extra>'
+        };
+
+        const plotArea = this._createPlotContainer('tran', plotId, {
+            title: `Fourier Analysis · ${result.fourier.probe} (${thdText})`,
+            xyMode: false
+        });
+        if (!plotArea) return;
+
+        const layout = {
+            paper_bgcolor: '#0d1b2a',
+            plot_bgcolor: '#0d1b2a',
+            font: { color: '#e2e8f0', size: 10 },
+            uirevision: 'fourier',
+            xaxis: {
+                title: { text: 'Harmonic', font: { size: 11 } },
+                gridcolor: '#334155',
+                linecolor: '#475569',
+                linewidth: 1,
+                mirror: true,
+                tickfont: { size: 9 }
+            },
+            yaxis: {
+                title: { text: 'Magnitude (dBc)', font: { size: 11 } },
+                gridcolor: '#334155',
+                zerolinecolor: '#334155',
+                linecolor: '#475569',
+                linewidth: 1,
+                mirror: true,
+                tickfont: { size: 9 }
+            },
+            margin: { t: 20, r: 20, b: 45, l: 55 },
+            showlegend: false
+        };
+
+        requestAnimationFrame(() => {
+            const rect = plotArea.getBoundingClientRect();
+            layout.width = rect.width || 340;
+            layout.height = rect.height || 260;
+            window.Plotly.react(plotArea, [trace], layout, {
+                responsive: true,
+                modeBarButtonsToRemove: ['pan2d', 'zoomIn2d', 'zoomOut2d', 'autoScale2d']
+            });
+        });
+    }
+
+    /**
+     * Plot output and input-referred noise density with integrated totals, and
+     * the per-device contributions when ngspice kept them
+     * @param {Object} result - Finished noise job
+     * @param {string} plotId
+     */
+    _showNoiseResults(result, plotId) {
+        if (!window.Plotly) {
+            this._appendRunOutput('[note] Plotly not loaded; cannot plot results');
+            return;
+        }
+
+        let plots;
+        try {
+            plots = parseRawfile(result.rawData);
+        } catch (error) {
+            this._appendRunOutput(`[note] Could not read rawfile: ${error.message}`);
+            return;
+        }
+
+        // The control block writes the integrated plot first, then the spectra
+        const spectrum = plots.find(plot => findVector(plot, 'onoise_spectrum'));
+        const totals = plots.find(plot => findVector(plot, 'onoise_total'));
+        if (!spectrum || spectrum.numPoints === 0) {
+            this._appendRunOutput('[note] No noise spectrum found in the results');
+            return;
+        }
+
+        const freq = Array.from(realValues(spectrum.vectors[0]));
+        const total = (name) => {
+            const vector = totals && findVector(totals, name);
+            return vector ? realValues(vector)[0] : NaN;
+        };
+        const outputTotal = total('onoise_total');
+        const inputTotal = total('inoise_total');
+        const inputUnit = findVector(totals, 'inoise_total')?.unit || 'V';
+
+        const outputVector = findVector(spectrum, 'onoise_spectrum');
+        const inputVector = findVector(spectrum, 'inoise_spectrum');
+        const traces = [
+            { vector: outputVector, name: 'Output noise', color: '#3b82f6' },
+            { vector: inputVector, name: 'Input-referred noise', color: '#f59e0b' }
+        ].filter(entry => entry.vector).map(entry => ({
+            x: freq,
+            y: Array.from(realValues(entry.vector)),
+            type: 'scatter',
+            mode: 'lines',
+            name: `${entry.name} (${entry.vector.unit || 'V/√Hz'})`,
+            line: { color: entry.color, width: 2 }
+        }));
+
+        const summaryParts = [];
+        if (Number.isFinite(outputTotal)) summaryParts.push(`Output ${formatEngineering(outputTotal, 'V', 4)} rms`);
+        if (Number.isFinite(inputTotal)) summaryParts.push(`Input-referred ${formatEngineering(inputTotal, inputUnit, 4)} rms`);
+        const summaryText = summaryParts.length > 0
+            ? `Integrated ${formatEngineering(freq[0], 'Hz')}–${formatEngineering(freq[freq.length - 1], 'Hz')}: ${summaryParts.join(', ')}`
+            : '';
+        if (summaryText) this._appendRunOutput(`[note] ${summaryText}`);
+
+        const plotArea = this._createPlotContainer('noise', plotId);
+        if (!plotArea) return;
+        this._renderLogLogPlot(plotArea, traces, 'Noise density', summaryText);
+
+        // Per-device spectra are named onoise_<device>[_<generator>]. ngspice may
+        // report them squared (V²/Hz); plot them in V/√Hz like the totals above
+        const contributions = spectrum.vectors
+            .filter(vector => /^onoise_/i.test(vector.name) && !/^onoise_(spectrum|total)/i.test(vector.name))
+            .map(vector => {
+                const device = vector.name.slice('onoise_'.length);
+                const squared = vector.unit.includes('²');
+                const values = Array.from(realValues(vector), v => squared ? Math.sqrt(Math.abs(v)) : v);
+                const deviceTotal = total(`onoise_total_${device}`);
+                return { device, values, total: squared ? Math.sqrt(Math.abs(deviceTotal)) : deviceTotal };
+            });
+        if (contributions.length === 0) return;
+
+        // Largest contributors first; fall back to peak density when totals are missing
+        const rank = (entry) => Number.isFinite(entry.total) ? entry.total : entry.values.reduce((max, v) => Math.max(max, v), 0);
+        contributions.sort((a, b) => rank(b) - rank(a));
+        const shown = contributions.slice(0, 10);
+        if (contributions.length > shown.length) {
+            this._appendRunOutput(`[note] Showing the ${shown.length} largest of ${contributions.length} noise contributors`);
+        }
+
+        const colors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
+        const contributionTraces = shown.map((entry, i) => ({
+            x: freq,
+            y: entry.values,
+            type: 'scatter',
+            mode: 'lines',
+            name: Number.isFinite(entry.total)
+                ? `${entry.device.toUpperCase()} · ${formatEngineering(entry.total, 'V', 3)} rms`
+                : entry.device.toUpperCase(),
+            line: { color: colors[i % colors.length], width: 1.5, dash: i < colors.length ? 'solid' : 'dash' }
+        }));
+        const contributionArea = this._createPlotContainer('noise', `${plotId}-devices`, {
+            title: 'Noise Contributions (output-referred)'
+        });
+        if (!contributionArea) return;
+        this._renderLogLogPlot(contributionArea, contributionTraces, 'Noise density');
+    }
+
+    /**
+     * Render density-style traces on log-log axes
+     * @param {HTMLElement} plotArea
+     * @param {Array<Object>} traces - Plotly traces over frequency
+     * @param {string} yTitle
+     * @param {string} [note] - Line of text above the plot
+     */
+    _renderLogLogPlot(plotArea, traces, yTitle, note = '') {
+        const layout = {
+            paper_bgcolor: '#0d1b2a',
+            plot_bgcolor: '#0d1b2a',
+            font: { color: '#e2e8f0', size: 10 },
+            uirevision: 'noise',
+            xaxis: {
+                title: { text: 'Frequency (Hz)', font: { size: 11 } },
+                type: 'log',
+                gridcolor: '#334155',
+                zerolinecolor: '#334155',
+                linecolor: '#475569',
+                linewidth: 1,
+                mirror: true,
+                tickfont: { size: 9 }
+            },
+            yaxis: {
+                title: { text: yTitle, font: { size: 11 } },
+                type: 'log',
+                exponentformat: 'SI',
+                gridcolor: '#334155',
+                zerolinecolor: '#334155',
+                linecolor: '#475569',
+                linewidth: 1,
+                mirror: true,
+                tickfont: { size: 9 }
+            },
+            margin: { t: note ? 30 : 20, r: 20, b: 45, l: 55 },
+            legend: {
+                x: 1,
+                xanchor: 'right',
+                y: 1,
+                bgcolor: 'rgba(15, 23, 42, 0.85)',
+                font: { size: 10 }
+            }
+        };
+        if (note) {
+            layout.annotations = [{
+                text: note,
+                xref: 'paper',
+                yref: 'paper',
+                x: 0,
+                y: 1.08,
+                xanchor: 'left',
+                showarrow: false,
+                font: { size: 10, color: '#94a3b8' }
+            }];
+        }
+
+        // Use requestAnimationFrame to ensure DOM is ready and get actual dimensions
+        requestAnimationFrame(() => {
+            const rect = plotArea.getBoundingClientRect();
+            layout.width = rect.width || 340;
+            layout.height = rect.height || 260;
+            window.Plotly.react(plotArea, traces, layout, {
+                responsive: true,
+                modeBarButtonsToRemove: ['pan2d', 'zoomIn2d', 'zoomOut2d', 'autoScale2d']
+            });
+        });
+    }
+
+    /**
+     * Render operating point rows as a table sortable by clicking its headers
+     * @param {HTMLElement} plotArea
+     * @param {Array<{name: string, kind: string, value: number, unit: string}>} rows
+     */
+    _renderOperatingPointTable(plotArea, rows) {
+        const plotContainer = plotArea.closest('.plot-container');
+        plotContainer._tableRows = rows;
+        plotArea.classList.add('op-table-area');
+
+        const columns = [
+            { key: 'name', label: 'Signal' },
+            { key: 'kind', label: 'Type' },
+            { key: 'value', label: 'Value' }
+        ];
+        let sortKey = 'name';
+        let sortDir = 1;
+
+        const render = () => {
+            const sorted = rows.slice().sort((a, b) => {
+                const av = a[sortKey];
+                const bv = b[sortKey];
+                const cmp = typeof av === 'number' ? av - bv : String(av).localeCompare(String(bv), undefined, { numeric: true });
+                return cmp * sortDir;
+            });
+
+            const table = document.createElement('table');
+            table.className = 'op-table';
+            const headRow = table.createTHead().insertRow();
+            columns.forEach(col => {
+                const th = document.createElement('th');
+                th.textContent = col.label + (col.key === sortKey ? (sortDir > 0 ? ' ▲' : ' ▼') : '');
+                th.addEventListener('click', () => {
+                    sortDir = col.key === sortKey ? -sortDir : 1;
+                    sortKey = col.key;
+                    render();
+                });
+                headRow.appendChild(th);
+            });
+
+            const body = table.createTBody();
+            sorted.forEach(row => {
+                const tr = body.insertRow();
+                tr.className = `op-row-${row.kind}`;
+                tr.insertCell().textContent = row.name;
+                tr.insertCell().textContent = row.kind === 'voltage' ? 'Node voltage' : 'Branch current';
+                const valueCell = tr.insertCell();
+                valueCell.textContent = formatEngineering(row.value, row.unit, 4);
+                valueCell.title = `${row.value} ${row.unit}`;
+            });
+
+            plotArea.replaceChildren(table);
+        };
+
+        if (rows.length === 0) {
+            plotArea.textContent = 'No operating point data';
+            return;
+        }
+        render();
+    }
+
+    /**
+     * Parse one job's ngspice output for errors/warnings, highlight the
+     * culprits on the canvas and list them in the results panel
+     * @param {Object} job - Job with label and netMap
+     * @param {string[]} logLines - Console lines the job produced
+     */
+    _reportDiagnostics(job, logLines) {
+        let diagnostics = parseNgspiceDiagnostics(logLines.join('\n'));
+        if (job.group) {
+            // Steps of one sweep/Monte Carlo family tend to fail the same way; list each problem once
+            const seen = job.group.reportedDiagnostics ??= new Set();
+            diagnostics = diagnostics.filter(diag => {
+                const key = `${diag.severity}|${diag.message}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+        if (diagnostics.length === 0) return;
+
+        const resolved = this.diagnosticsOverlay.addDiagnostics(diagnostics, job.netMap);
+        this.viewport.render();
+        this._renderDiagnosticsList(job.label, resolved);
+    }
+
+    /**
+     * @param {string} label - Directive the diagnostics belong to
+     * @param {Array<Object>} diagnostics - Resolved diagnostics from DiagnosticsOverlay
+     */
+    _renderDiagnosticsList(label, diagnostics) {
+        if (!this.spicePlotsEl) return;
+        this.spicePlotsEl.querySelector('.plot-placeholder')?.remove();
+
+        const panel = document.createElement('div');
+        panel.className = 'diagnostics-panel';
+        const header = document.createElement('div');
+        header.className = 'diagnostics-header';
+        header.innerHTML = '<span class="material-symbols-outlined">report</span>';
+        header.appendChild(document.createTextNode(`Diagnostics · ${label}`));
+        panel.appendChild(header);
+
+        const list = document.createElement('ul');
+        list.className = 'diagnostics-list';
+        diagnostics.forEach(diag => {
+            const hasTarget = diag.targets.componentIds.length > 0 || diag.targets.nodeIds.length > 0;
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `diagnostic-item ${diag.severity}`;
+            button.disabled = !hasTarget;
+            button.title = diag.card ? `Netlist line: ${diag.card}` : diag.message;
+
+            const icon = document.createElement('span');
+            icon.className = 'material-symbols-outlined';
+            icon.textContent = diag.severity === 'warning' ? 'warning' : 'error';
+            const message = document.createElement('span');
+            message.className = 'diagnostic-message';
+            message.textContent = diag.message;
+            button.append(icon, message);
+
+            if (diag.targetLabels.length > 0) {
+                const target = document.createElement('span');
+                target.className = 'diagnostic-target';
+                target.textContent = diag.targetLabels.join(', ');
+                button.appendChild(target);
+            }
+
+            button.addEventListener('click', () => this._focusDiagnostic(diag));
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        panel.appendChild(list);
+
+        this.spicePlotsEl.appendChild(panel);
+    }
+
+    /**
+     * Zoom the canvas to the components/wires a diagnostic refers to
+     * @param {Object} diagnostic
+     */
+    _focusDiagnostic(diagnostic) {
+        const bounds = this.diagnosticsOverlay.getFocusBounds(diagnostic);
+        if (!bounds) return;
+
+        const margin = 120;
+        const zoom = Math.min(
+            this.viewport.width / (bounds.width + margin),
+            this.viewport.height / (bounds.height + margin),
+            2
+        );
+        this.diagnosticsOverlay.activeDiagnostic = diagnostic;
+        this.viewport.setZoom(zoom);
+        this.viewport.centerOn(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+    }
+
+    _clearDiagnostics() {
+        if (!this.diagnosticsOverlay) return;
+        this.diagnosticsOverlay.clear();
+        this.viewport.render();
+    }
+
+    _clearOperatingPoint() {
+        if (!this.opOverlay) return;
+        this.opOverlay.clear();
+        this._updateOpAnnotateButton();
+        this.viewport.render();
+    }
 
-            worker.terminate();
-            this.spiceWorker = null;
-        };
+    _updateOpAnnotateButton() {
+        if (!this.opAnnotateBtn) return;
+        this.opAnnotateBtn.disabled = !this.opOverlay.hasResults();
+        this.opAnnotateBtn.classList.toggle('active', this.opOverlay.visible && this.opOverlay.hasResults());
+    }
+
+    /**
+     * Toggle Run/Stop while a simulation is in flight
+     * @param {boolean} busy
+     */
+    _setRunControlsBusy(busy) {
+        if (this.spiceRunBtn) this.spiceRunBtn.disabled = busy;
+        if (this.spiceRerunBtn) this.spiceRerunBtn.disabled = busy;
+        if (this.spiceStopBtn) this.spiceStopBtn.disabled = !busy;
+    }
 
-        // Kick off the first job
-        startWorkerForJob(0);
+    /**
+     * Lazily create the shared worker pool; ngspice stays loaded between runs
+     * @returns {SimulationRunner}
+     */
+    _getSimulationRunner() {
+        if (!this.simulationRunner) {
+            this.simulationRunner = new SimulationRunner({
+                workerUrl: '/ngspice-worker.js',
+                poolSize: 1,
+                spinit: this.spinitContent
+            });
+        }
+        return this.simulationRunner;
     }
 
     _setRunStatus(state, text) {
         if (!this.spiceStatusEl) return;
         this.spiceStatusEl.textContent = text;
-        this.spiceStatusEl.classList.remove('run-ready', 'run-running', 'run-error');
+        this.spiceStatusEl.classList.remove('run-ready', 'run-running', 'run-error', 'run-cancelled', 'run-timeout');
         switch (state) {
             case 'running':
                 this.spiceStatusEl.classList.add('run-running');
@@ -2270,6 +4704,12 @@ class CircuitEditorApp {
             case 'error':
                 this.spiceStatusEl.classList.add('run-error');
                 break;
+            case 'cancelled':
+                this.spiceStatusEl.classList.add('run-cancelled');
+                break;
+            case 'timeout':
+                this.spiceStatusEl.classList.add('run-timeout');
+                break;
             default:
                 this.spiceStatusEl.classList.add('run-ready');
         }
@@ -2330,29 +4770,79 @@ class CircuitEditorApp {
         if (consolePanel) consolePanel.classList.remove('collapsed');
     }
     
+    /**
+     * Replace the results with a notice that the run was stopped before any plot was produced
+     * @param {'cancelled' | 'timeout'} reason
+     * @param {number} [timeoutMs]
+     */
+    _showStoppedPlaceholder(reason, timeoutMs = 0) {
+        if (!this.spicePlotsEl) return;
+        const detail = reason === 'timeout'
+            ? `Timed out after ${timeoutMs / 1000} s<br/><small>Raise the timeout in Simulation Settings or check the time step</small>`
+            : 'Simulation cancelled';
+        this.spicePlotsEl.innerHTML = `
+            <div class="plot-placeholder ${reason}">
+                <span class="material-symbols-outlined">${reason === 'timeout' ? 'timer_off' : 'stop_circle'}</span>
+                <span>${detail}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Add a one-line notice below existing plots
+     * @param {string} text
+     */
+    _appendPlotNotice(text) {
+        if (!this.spicePlotsEl) return;
+        const notice = document.createElement('div');
+        notice.className = 'plot-notice';
+        notice.innerHTML = '<span class="material-symbols-outlined">info</span>';
+        notice.appendChild(document.createTextNode(text));
+        this.spicePlotsEl.appendChild(notice);
+    }
+
     /**
      * Create a new plot container for a specific analysis
      * @param {string} analysisType - Type of analysis for the title
      * @param {string} id - Unique ID for this plot
-     * @returns {HTMLElement} The plot area element to render into
+     * @param {Object} [options]
+     * @param {string} [options.title] - Title to show instead of the analysis name
+     * @param {boolean} [options.xyMode=true] - Offer the X-Y toggle for transient/DC plots
+     * @returns {HTMLElement} The plot area element to render into; an existing one when the id is already shown
      */
-    _createPlotContainer(analysisType, id) {
+    _createPlotContainer(analysisType, id, options = {}) {
+        const { title = null, xyMode = true } = options;
         if (!this.spicePlotsEl) return null;
         
         // Remove placeholder if present
         const placeholder = this.spicePlotsEl.querySelector('.plot-placeholder');
         if (placeholder) placeholder.remove();
         
-        const container = document.createElement('div');
-        container.className = 'plot-container';
-        container.id = `plot-${id}`;
-        
-        const titleText = {
+        const titleText = title || {
             'ac': 'AC Analysis (Frequency Response)',
             'tran': 'Transient Analysis',
             'dc': 'DC Sweep',
-            'op': 'Operating Point'
+            'op': 'Operating Point',
+            'noise': 'Noise Analysis',
+            'pz': 'Pole-Zero Analysis',
+            'meas': 'Measurements'
         }[analysisType] || 'Simulation Results';
+
+        // Live runs reuse their ids: draw into the plot already there, so its zoom,
+        // X-Y picks and dB/V/Phase choice survive the redraw
+        const kind = `${analysisType}|${xyMode}`;
+        const existing = document.getElementById(`plot-${id}`);
+        if (existing && this.spicePlotsEl.contains(existing) && existing._plotKind === kind) {
+            existing.querySelector('.plot-title').textContent = titleText;
+            existing._drawCount = ++this._plotDrawCount;
+            return existing.querySelector('.plot-area');
+        }
+
+        const container = document.createElement('div');
+        container.className = 'plot-container';
+        container.id = `plot-${id}`;
+        container._plotKind = kind;
+        container._drawCount = ++this._plotDrawCount;
         
         // Add scale toggle for AC analysis
         const scaleToggle = analysisType === 'ac' ? `
@@ -2364,7 +4854,7 @@ class CircuitEditorApp {
         ` : '';
         
         // Add X-Y plot mode toggle for transient and DC analyses
-        const showXYMode = (analysisType === 'tran' || analysisType === 'dc');
+        const showXYMode = xyMode && (analysisType === 'tran' || analysisType === 'dc');
         const xyModeToggle = showXYMode ? `
             <div class="plot-mode-toggle">
                 <button class="mode-btn active" data-mode="standard">Standard</button>
@@ -2391,7 +4881,7 @@ class CircuitEditorApp {
                 <div class="plot-actions">
                     ${scaleToggle}
                     ${xyModeToggle}
-                    <button class="plot-export-btn" title="Download as PNG">
+                    <button class="plot-export-btn" title="${['op', 'meas'].includes(analysisType) ? 'Download as CSV' : 'Download as PNG'}">
                         <span class="material-symbols-outlined">download</span>
                     </button>
                 </div>
@@ -2403,6 +4893,11 @@ class CircuitEditorApp {
         // Setup export button
         const exportBtn = container.querySelector('.plot-export-btn');
         exportBtn?.addEventListener('click', () => {
+            // Operating point and measurement results are tables, not Plotly figures
+            if (container._tableRows) {
+                this._downloadTableCsv(container._tableRows, `spicepad-${analysisType}-${Date.now()}.csv`);
+                return;
+            }
             const plotAreaEl = container.querySelector('.plot-area');
             if (plotAreaEl && window.Plotly) {
                 window.Plotly.downloadImage(plotAreaEl, {
@@ -2454,124 +4949,561 @@ class CircuitEditorApp {
             });
         }
         
-        this.spicePlotsEl.appendChild(container);
+        // A reused id whose plot changed kind (say tran to ac) is swapped out where it stands
+        if (existing && this.spicePlotsEl.contains(existing)) {
+            const oldPlotArea = existing.querySelector('.plot-area');
+            if (oldPlotArea && window.Plotly) {
+                try { window.Plotly.purge(oldPlotArea); } catch (_) {}
+            }
+            existing.replaceWith(container);
+        } else {
+            this.spicePlotsEl.appendChild(container);
+        }
         return container.querySelector('.plot-area');
     }
 
-    _tryParsePrintOutput(stdout, probeInfo = [], analysisType = 'tran', plotId = null) {
-        if (!stdout) return;
-        const lines = stdout.split('\n');
-        const dataLines = lines.filter(line => {
-            const trimmed = line.trim();
-            return /^\d/.test(trimmed) || /^-?\d*\.\d+/.test(trimmed);
-        });
-        if (dataLines.length > 0) {
-            this._plotResults(dataLines.join('\n'), probeInfo, analysisType, plotId);
-        }
+    /**
+     * Download result rows as CSV
+     * @param {Array<{name: string, kind: string, value: number, unit: string}>} rows
+     * @param {string} filename
+     */
+    _downloadTableCsv(rows, filename) {
+        const quote = (text) => `"${String(text).replace(/"/g, '""')}"`;
+        const lines = ['signal,type,value,unit', ...rows.map(r => [quote(r.name), r.kind, r.value, r.unit].join(','))];
+        const blob = new Blob([lines.join('\n')], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
     }
 
     /**
-     * Plot simulation results with support for different analysis types
-     * @param {string} data - Raw output data
-     * @param {Array<{label: string, node: string}>} probeInfo - Probe metadata
+     * Plot simulation results from an ngspice rawfile
+     * @param {Uint8Array} rawData - Rawfile written by the netlist's control block
+     * @param {Array<{label: string, vector: string | null, color: string, isGround?: boolean}>} probeInfo - Probe metadata
      * @param {string} analysisType - Type of analysis ('ac', 'tran', 'dc', 'op')
+     * @param {string | number | null} [plotId]
+     * @param {Object | null} [reference] - Pinned run's result (RunHistory.findReference); its traces are drawn dashed
      */
-    _plotResults(data, probeInfo = [], analysisType = 'tran', plotId = null) {
+    _plotResults(rawData, probeInfo = [], analysisType = 'tran', plotId = null, reference = null) {
         if (!this.spicePlotsEl) return;
-        if (!data || !data.trim()) return;
+        if (!rawData || rawData.length === 0) return;
         if (!window.Plotly) {
             this._appendRunOutput('[note] Plotly not loaded; cannot plot results');
             return;
         }
 
-        const lines = data.trim().split('\n').filter(l => {
-            if (!l) return false;
-            if (l.startsWith('#') || l.startsWith('N')) return false;
-            if (l.includes('Index') || l.toLowerCase().includes('time')) return false;
-            return true;
-        });
+        let plot;
+        try {
+            const plots = parseRawfile(rawData);
+            plot = plots[plots.length - 1];
+        } catch (error) {
+            this._appendRunOutput(`[note] Could not read rawfile: ${error.message}`);
+            return;
+        }
 
-        if (lines.length === 0) {
+        const scale = plot.vectors[0];
+        const series = this._collectPlotSeries(plot, probeInfo);
+        if (!scale || plot.numPoints === 0 || series.length === 0) {
             this._appendRunOutput('[note] No plottable data found');
             return;
         }
 
-        // Create a plot container for this analysis
-        const plotArea = this._createPlotContainer(analysisType, plotId || ++this._plotCounter);
-        console.log('[_plotResults] created plotArea:', plotArea);
+        // Complex data is frequency-domain regardless of how the directive was written
+        const plotType = plot.complex ? 'ac' : analysisType;
+        const plotArea = this._createPlotContainer(plotType, plotId || ++this._plotCounter);
         if (!plotArea) return;
 
-        // Parse based on analysis type
-        if (analysisType === 'ac') {
-            this._plotAcResults(lines, probeInfo, plotArea);
+        const referenceSeries = this._referenceSeries(reference, plot.complex, series);
+        if (plot.complex) {
+            this._plotAcResults(scale, series, plotArea, referenceSeries);
         } else {
-            this._plotTimeDomainResults(lines, probeInfo, analysisType, plotArea);
+            this._plotTimeDomainResults(scale, series, plotType, plotArea, referenceSeries);
         }
     }
 
     /**
-     * Plot AC analysis results (frequency domain with complex numbers)
-     * wrdata format for AC: freq v(1)_real v(1)_imag freq v(2)_real v(2)_imag ...
-     * @param {Array<string>} lines - Data lines
-     * @param {Array} probeInfo - Probe metadata
-     * @param {HTMLElement} plotArea - The element to render the plot into
+     * Series of a pinned run that match the probes being plotted
+     * @param {Object | null} reference - From RunHistory.findReference
+     * @param {boolean} complex - Whether the new plot is frequency-domain
+     * @param {Array} series - The new plot's series; references are matched by label
+     * @returns {Array<{label: string, name: string, scale: import('./RawfileParser.js').RawVector, vector: import('./RawfileParser.js').RawVector}>}
      */
-    _plotAcResults(lines, probeInfo, plotArea) {
-        const colsPerSignal = 3; // freq, real, imag
-        
-        // Infer number of signals from data columns (more reliable than probeInfo.length)
-        const firstLine = lines.find(l => l.trim().length > 0);
-        if (!firstLine) {
-            this._appendRunOutput('[note] No AC data to plot');
+    _referenceSeries(reference, complex, series) {
+        if (!reference) return [];
+        let plot;
+        try {
+            const plots = parseRawfile(reference.rawData);
+            plot = plots[plots.length - 1];
+        } catch (_) {
+            return [];
+        }
+        if (!plot?.vectors[0] || plot.complex !== complex) return [];
+
+        const labels = new Set(series.map(s => s.label));
+        return this._collectPlotSeries(plot, reference.probeInfo)
+            .filter(s => s.vector && labels.has(s.label))
+            .map(s => ({ label: s.label, name: `${s.label} (ref #${reference.runId})`, scale: plot.vectors[0], vector: s.vector }));
+    }
+
+    /**
+     * Pair probes with rawfile vectors by name. Vectors that no probe asked
+     * for (explicit control signals) are plotted under their own name.
+     * @param {import('./RawfileParser.js').RawPlot} plot
+     * @param {Array} probeInfo - Probe metadata from NetlistGenerator
+     * @returns {Array<{label: string, type: string, unit: string, color?: string, vector: import('./RawfileParser.js').RawVector | null}>}
+     */
+    _collectPlotSeries(plot, probeInfo = []) {
+        const seriesType = (vector) => (vector.type === 'current' ? 'current' : 'voltage');
+        const used = new Set([plot.vectors[0]]);
+        const series = [];
+
+        probeInfo.forEach(probe => {
+            // Digital nets are drawn in their own timing diagram
+            if (probe.type === 'digital') return;
+            if (probe.type === 'power') {
+                // Power has its own plot; keep the vectors it is computed from out of this one
+                powerVectors(probe.terms).forEach(name => {
+                    const vector = findVector(plot, name);
+                    if (vector) used.add(vector);
+                });
+                return;
+            }
+            if (probe.isGround) {
+                // Ground is never written; show it as a flat 0 V trace
+                series.push({ label: probe.label, type: 'voltage', unit: 'V', color: probe.color, vector: null });
+                return;
+            }
+            if (!probe.vector) {
+                // Only a differential probe with its + tip on ground has no vector
+                this._appendRunOutput(`[note] Probe ${probe.label} has its + tip on ground; swap its tips to plot it`);
+                return;
+            }
+            const vector = findVector(plot, probe.vector);
+            if (!vector) {
+                this._appendRunOutput(`[note] No data for probe ${probe.label} (${probe.vector})`);
+                return;
+            }
+            used.add(vector);
+            if (probe.type === 'device') {
+                // ngspice does not type instance parameters; amperes share the current axis
+                const type = probe.unit === 'A' ? 'current' : 'voltage';
+                series.push({ label: probe.label, type, unit: probe.unit, color: probe.color, vector });
+                return;
+            }
+            // Name voltage traces after the net as it is now, so renames and rewiring show up
+            const label = probe.type === 'voltage' && probe.node && probe.node !== probe.label
+                ? `${probe.label} · ${probe.node}`
+                : probe.label;
+            series.push({ label, type: seriesType(vector), unit: vector.unit, color: probe.color, vector });
+        });
+
+        plot.vectors.forEach(vector => {
+            if (used.has(vector)) return;
+            series.push({ label: vector.name, type: seriesType(vector), unit: vector.unit, vector });
+        });
+
+        return series;
+    }
+
+    /**
+     * Axis title for a rawfile scale vector, e.g. "Time (s)" or "Voltage (V)"
+     * @param {import('./RawfileParser.js').RawVector} scale
+     * @returns {string}
+     */
+    _scaleAxisTitle(scale) {
+        if (!scale || scale.type === 'notype') return scale?.name ?? '';
+        const name = scale.type.charAt(0).toUpperCase() + scale.type.slice(1);
+        return scale.unit ? `${name} (${scale.unit})` : name;
+    }
+
+    /**
+     * Overlay every finished step of a parameter sweep in one plot, coloured
+     * by step value with one legend group per step
+     * @param {Object} group - Sweep group built in _runNgspiceSimulation
+     * @param {Array<Object>} results - Finished step results, in sweep order
+     */
+    _renderSweepResults(group, results) {
+        if (!this.spicePlotsEl || results.length === 0) return;
+        if (!window.Plotly) {
+            this._appendRunOutput('[note] Plotly not loaded; cannot plot results');
             return;
         }
-        const firstParts = firstLine.trim().split(/\s+/);
-        const numSignals = Math.floor(firstParts.length / colsPerSignal);
-        
-        if (numSignals === 0) {
-            this._appendRunOutput('[note] Invalid AC data format');
+
+        const steps = [];
+        results.forEach(result => {
+            try {
+                const plots = parseRawfile(result.rawData);
+                const plot = plots[plots.length - 1];
+                const series = this._collectPlotSeries(plot, result.probeInfo);
+                if (plot.numPoints > 0 && series.length > 0) {
+                    steps.push({ stepLabel: result.stepLabel, plot, series });
+                }
+            } catch (error) {
+                this._appendRunOutput(`[note] Could not read rawfile for ${result.label}: ${error.message}`);
+            }
+        });
+        if (steps.length === 0) {
+            this._appendRunOutput(`[note] No plottable data found for ${group.label}`);
             return;
         }
-        
-        // Default colors for signals without probe colors
-        const defaultColors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
-        
-        const signals = [];
-        for (let i = 0; i < numSignals; i++) {
-            signals.push({
-                label: probeInfo[i]?.label || `Signal ${i + 1}`,
-                color: probeInfo[i]?.color || defaultColors[i % defaultColors.length],
-                freq: [],
-                magnitude: [],
-                phase: []
+
+        const complex = steps[0].plot.complex;
+        const plotType = complex ? 'ac' : group.analysisType;
+        const baseTitle = {
+            'ac': 'AC Analysis',
+            'tran': 'Transient Analysis',
+            'dc': 'DC Sweep'
+        }[plotType] || 'Simulation Results';
+        const plotId = `sweep-${group.idx + 1}-${Date.now()}`;
+        const plotArea = this._createPlotContainer(plotType, plotId, {
+            title: `${baseTitle} · ${group.targetLabel} sweep (${steps.length} steps)`,
+            xyMode: false
+        });
+        if (!plotArea) return;
+
+        // Colour follows the step so each family reads as one curve; dash tells probes apart
+        const dashes = ['solid', 'dash', 'dot', 'dashdot', 'longdash'];
+        const stepColor = (i) => this._sweepColor(steps.length > 1 ? i / (steps.length - 1) : 0);
+
+        if (complex) {
+            const signals = [];
+            steps.forEach((step, stepIndex) => {
+                const freq = Array.from(realValues(step.plot.vectors[0]));
+                step.series.filter(s => s.vector).forEach((s, seriesIndex) => {
+                    signals.push({
+                        label: s.label,
+                        color: stepColor(stepIndex),
+                        dash: dashes[seriesIndex % dashes.length],
+                        traceProps: this._legendGroupProps(step.stepLabel),
+                        freq,
+                        ...this._magnitudePhase(s.vector)
+                    });
+                });
             });
+            this._showAcSignals(signals, plotArea);
+            return;
         }
 
-        lines.forEach((line) => {
-            const parts = line.trim().split(/\s+/).map(Number);
-            if (parts.length < colsPerSignal) return;
-            
-            // Parse each signal's data (freq, real, imag triplets)
-            for (let i = 0; i < numSignals; i++) {
-                const baseIdx = i * colsPerSignal;
-                if (baseIdx + 2 >= parts.length) break;
-                
-                const freq = parts[baseIdx];
-                const real = parts[baseIdx + 1];
-                const imag = parts[baseIdx + 2];
-                
-                if (!Number.isFinite(freq) || !Number.isFinite(real) || !Number.isFinite(imag)) continue;
-                
-                // Calculate magnitude and phase
-                const magnitude = Math.sqrt(real * real + imag * imag);
-                const phase = Math.atan2(imag, real) * (180 / Math.PI);
-                
-                signals[i].freq.push(freq);
-                signals[i].magnitude.push(magnitude);
-                signals[i].phase.push(phase);
+        const signalData = {
+            xValues: Array.from(realValues(steps[0].plot.vectors[0])),
+            xAxisTitle: this._scaleAxisTitle(steps[0].plot.vectors[0]),
+            signals: {},
+            signalX: {},
+            signalMeta: [],
+            signalColors: {},
+            defaultColors: []
+        };
+        steps.forEach((step, stepIndex) => {
+            const xValues = Array.from(realValues(step.plot.vectors[0]));
+            step.series.forEach((s, seriesIndex) => {
+                // Keys must be unique across steps; the legend shows the probe name under its step
+                const key = `${s.label} · ${step.stepLabel}`;
+                signalData.signals[key] = s.vector
+                    ? Array.from(realValues(s.vector))
+                    : new Array(xValues.length).fill(0);
+                signalData.signalX[key] = xValues;
+                signalData.signalColors[key] = stepColor(stepIndex);
+                signalData.signalMeta.push({
+                    label: key,
+                    name: s.label,
+                    type: s.type,
+                    unit: s.unit,
+                    traceProps: this._legendGroupProps(step.stepLabel),
+                    dash: dashes[seriesIndex % dashes.length]
+                });
+            });
+        });
+        this._renderStandardPlot(plotArea, signalData, plotType);
+    }
+
+    /**
+     * Overlay every Monte Carlo run (nominal on top) and histogram the chosen measurement
+     * @param {Object} group - Monte Carlo group built in _runMonteCarlo
+     * @param {Array<Object>} results - Finished runs, nominal first when it finished
+     */
+    _renderMonteCarloResults(group, results) {
+        if (!this.spicePlotsEl || results.length === 0) return;
+        if (!window.Plotly) {
+            this._appendRunOutput('[note] Plotly not loaded; cannot plot results');
+            return;
+        }
+
+        const runs = [];
+        results.forEach(result => {
+            try {
+                const plots = parseRawfile(result.rawData);
+                const plot = plots[plots.length - 1];
+                runs.push({ nominal: result.mcRun === 0, plot, series: this._collectPlotSeries(plot, result.probeInfo), probeInfo: result.probeInfo });
+            } catch (error) {
+                this._appendRunOutput(`[note] Could not read rawfile for ${result.label}: ${error.message}`);
+            }
+        });
+        if (runs.length === 0) return;
+
+        const randomRuns = runs.filter(run => !run.nominal).length;
+        const complex = runs[0].plot.complex;
+        const plotType = complex ? 'ac' : group.analysisType;
+
+        if (plotType !== 'op') {
+            const baseTitle = {
+                'ac': 'AC Analysis',
+                'tran': 'Transient Analysis',
+                'dc': 'DC Sweep'
+            }[plotType] || 'Simulation Results';
+            const plotArea = this._createPlotContainer(plotType, `mc-${Date.now()}`, {
+                title: `${baseTitle} · Monte Carlo (${randomRuns} runs)`,
+                xyMode: false
+            });
+            if (!plotArea) return;
+
+            // Draw random runs first, faint, so the nominal trace stays readable on top
+            const ordered = [...runs.filter(run => !run.nominal), ...runs.filter(run => run.nominal)];
+            const legendShown = new Set();
+            const traceStyle = (run, s) => {
+                const first = !legendShown.has(s.label);
+                legendShown.add(s.label);
+                return {
+                    width: run.nominal ? 2.5 : 1,
+                    traceProps: { legendgroup: s.label, showlegend: first, opacity: run.nominal ? 1 : 0.3 }
+                };
+            };
+
+            if (complex) {
+                const signals = [];
+                ordered.forEach(run => {
+                    const freq = Array.from(realValues(run.plot.vectors[0]));
+                    run.series.filter(s => s.vector).forEach(s => {
+                        signals.push({ label: s.label, color: s.color, freq, ...this._magnitudePhase(s.vector), ...traceStyle(run, s) });
+                    });
+                });
+                this._showAcSignals(signals, plotArea);
+            } else {
+                const signalData = {
+                    xValues: Array.from(realValues(runs[0].plot.vectors[0])),
+                    xAxisTitle: this._scaleAxisTitle(runs[0].plot.vectors[0]),
+                    signals: {},
+                    signalX: {},
+                    signalMeta: [],
+                    signalColors: {},
+                    defaultColors: ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899']
+                };
+                ordered.forEach((run, runIndex) => {
+                    const xValues = Array.from(realValues(run.plot.vectors[0]));
+                    run.series.forEach(s => {
+                        const key = `${s.label} · ${runIndex}`;
+                        signalData.signals[key] = s.vector
+                            ? Array.from(realValues(s.vector))
+                            : new Array(xValues.length).fill(0);
+                        signalData.signalX[key] = xValues;
+                        if (s.color) signalData.signalColors[key] = s.color;
+                        signalData.signalMeta.push({ label: key, name: s.label, type: s.type, unit: s.unit, ...traceStyle(run, s) });
+                    });
+                });
+                this._renderStandardPlot(plotArea, signalData, plotType);
             }
+        }
+
+        this._renderMonteCarloHistogram(group, runs);
+    }
+
+    /**
+     * Histogram of one measurement across the random runs, with the nominal value marked
+     * @param {Object} group
+     * @param {Array<{nominal: boolean, plot: Object, probeInfo: Array}>} runs
+     */
+    _renderMonteCarloHistogram(group, runs) {
+        const { measurement } = group;
+        const valueOf = (run) => {
+            const probe = run.probeInfo.find(p => p.label === measurement.probe);
+            return probe ? measure(run.plot, probe.vector, measurement) : NaN;
+        };
+
+        const values = runs.filter(run => !run.nominal).map(valueOf);
+        const nominalRun = runs.find(run => run.nominal);
+        const nominal = nominalRun ? valueOf(nominalRun) : NaN;
+        const stats = summarize(values);
+        if (stats.count === 0) {
+            this._appendRunOutput(`[note] Monte Carlo: could not measure ${measurement.probe} in any run`);
+            return;
+        }
+
+        const unit = measurement.type === 'cutoff'
+            ? 'Hz'
+            : (runs[0].probeInfo.find(p => p.label === measurement.probe)?.type === 'current' ? 'A' : 'V');
+        const describe = {
+            at: `${measurement.probe} at ${measurement.at || 'operating point'}`,
+            max: `max ${measurement.probe}`,
+            min: `min ${measurement.probe}`,
+            pp: `peak-to-peak ${measurement.probe}`,
+            cutoff: `-3 dB cutoff of ${measurement.probe}`
+        }[measurement.type] || measurement.probe;
+        const fmt = (v) => formatEngineering(v, unit, 4);
+        const statsText = `n = ${stats.count}, mean ${fmt(stats.mean)}, σ ${fmt(stats.std)}, min ${fmt(stats.min)}, max ${fmt(stats.max)}`;
+        this._appendRunOutput(`[note] Monte Carlo ${describe}: ${statsText}`);
+        if (stats.count < values.length) {
+            this._appendRunOutput(`[note] ${values.length - stats.count} runs had no value for ${describe}`);
+        }
+
+        const plotArea = this._createPlotContainer('mc-histogram', `mc-hist-${Date.now()}`, {
+            title: `Monte Carlo · ${describe}`
+        });
+        if (!plotArea) return;
+
+        const traces = [{
+            x: values.filter(Number.isFinite),
+            type: 'histogram',
+            name: 'Runs',
+            marker: { color: 'rgba(59, 130, 246, 0.7)', line: { color: '#3b82f6', width: 1 } },
+            nbinsx: Math.max(5, Math.ceil(Math.sqrt(stats.count)))
+        }];
+
+        const layout = {
+            paper_bgcolor: '#0d1b2a',
+            plot_bgcolor: '#0d1b2a',
+            font: { color: '#e2e8f0', size: 10 },
+            xaxis: {
+                title: { text: `${describe} (${unit})`, font: { size: 11 } },
+                gridcolor: '#334155',
+                zerolinecolor: '#334155',
+                linecolor: '#475569',
+                linewidth: 1,
+                mirror: true,
+                tickfont: { size: 9 }
+            },
+            yaxis: {
+                title: { text: 'Runs', font: { size: 11 } },
+                gridcolor: '#334155',
+                zerolinecolor: '#334155',
+                linecolor: '#475569',
+                linewidth: 1,
+                mirror: true,
+                tickfont: { size: 9 }
+            },
+            margin: { t: 30, r: 20, b: 45, l: 50 },
+            bargap: 0.05,
+            showlegend: false,
+            annotations: [{
+                text: statsText,
+                xref: 'paper',
+                yref: 'paper',
+                x: 0,
+                y: 1.08,
+                xanchor: 'left',
+                showarrow: false,
+                font: { size: 10, color: '#94a3b8' }
+            }]
+        };
+
+        if (Number.isFinite(nominal)) {
+            layout.shapes = [{
+                type: 'line',
+                xref: 'x',
+                yref: 'paper',
+                x0: nominal,
+                x1: nominal,
+                y0: 0,
+                y1: 1,
+                line: { color: '#f59e0b', width: 2, dash: 'dash' }
+            }];
+        }
+
+        // Use requestAnimationFrame to ensure DOM is ready and get actual dimensions
+        requestAnimationFrame(() => {
+            const rect = plotArea.getBoundingClientRect();
+            layout.width = rect.width || 340;
+            layout.height = rect.height || 260;
+            window.Plotly.newPlot(plotArea, traces, layout, {
+                responsive: true,
+                modeBarButtonsToRemove: ['pan2d', 'zoomIn2d', 'zoomOut2d', 'autoScale2d']
+            });
+        });
+    }
+
+    /**
+     * Plotly legend grouping for traces that belong to one sweep step
+     * @param {string} group
+     * @returns {Object}
+     */
+    _legendGroupProps(group) {
+        return { legendgroup: group, legendgrouptitle: { text: group } };
+    }
+
+    /**
+     * Colour along a blue -> green -> amber -> red ramp
+     * @param {number} t - Position on the ramp, 0..1
+     * @returns {string}
+     */
+    _sweepColor(t) {
+        const stops = [[59, 130, 246], [16, 185, 129], [245, 158, 11], [239, 68, 68]];
+        const scaled = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+        const i = Math.min(Math.floor(scaled), stops.length - 2);
+        const f = scaled - i;
+        const [r, g, b] = stops[i].map((c, k) => Math.round(c + (stops[i + 1][k] - c) * f));
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
+    /**
+     * Plot AC analysis results (frequency domain with complex numbers)
+     * @param {import('./RawfileParser.js').RawVector} scale - Frequency vector
+     * @param {Array} series - Output of _collectPlotSeries
+     * @param {HTMLElement} plotArea - The element to render the plot into
+     * @param {Array} [referenceSeries] - Output of _referenceSeries, drawn dashed in the colour of their probe
+     */
+    _plotAcResults(scale, series, plotArea, referenceSeries = []) {
+        // Default colors for signals without probe colors
+        const defaultColors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
+        const freq = Array.from(realValues(scale));
+
+        const signals = series
+            .filter(s => s.vector)
+            .map((s, i) => ({
+                label: s.label,
+                color: s.color || defaultColors[i % defaultColors.length],
+                freq,
+                ...this._magnitudePhase(s.vector)
+            }));
+        referenceSeries.forEach(ref => {
+            const live = signals.find(signal => signal.label === ref.label);
+            signals.push({
+                label: ref.name,
+                color: live?.color,
+                dash: 'dash',
+                width: 1.5,
+                freq: Array.from(realValues(ref.scale)),
+                ...this._magnitudePhase(ref.vector)
+            });
         });
 
+        this._showAcSignals(signals, plotArea);
+    }
+
+    /**
+     * Magnitude and phase (degrees) of a rawfile vector
+     * @param {import('./RawfileParser.js').RawVector} vector
+     * @returns {{magnitude: number[], phase: number[]}}
+     */
+    _magnitudePhase(vector) {
+        const re = realValues(vector);
+        const im = vector.complex ? vector.imag : null;
+        const magnitude = [];
+        const phase = [];
+        for (let k = 0; k < re.length; k++) {
+            const imag = im ? im[k] : 0;
+            magnitude.push(Math.sqrt(re[k] * re[k] + imag * imag));
+            phase.push(Math.atan2(imag, re[k]) * (180 / Math.PI));
+        }
+        return { magnitude, phase };
+    }
+
+    /**
+     * Render frequency-domain signals and wire up the dB/V/Phase toggle
+     * @param {Array<{label: string, color: string, freq: number[], magnitude: number[], phase: number[], dash?: string, width?: number, traceProps?: Object}>} signals
+     * @param {HTMLElement} plotArea
+     */
+    _showAcSignals(signals, plotArea) {
         // Filter out signals with no data
         const validSignals = signals.filter(s => s.freq.length > 0);
         
@@ -2587,18 +5519,22 @@ class CircuitEditorApp {
         plotContainer._acSignalData = validSignals;
         plotContainer._acProbeColors = colors;
         
-        // Setup scale toggle buttons
+        // Setup scale toggle buttons, once: live runs redraw into the same container
         const scaleButtons = plotContainer.querySelectorAll('.scale-btn');
-        scaleButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                scaleButtons.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                this._renderAcPlot(plotArea, plotContainer._acSignalData, plotContainer._acProbeColors, btn.dataset.scale);
+        if (!plotContainer._scaleToggleBound) {
+            plotContainer._scaleToggleBound = true;
+            scaleButtons.forEach(btn => {
+                btn.addEventListener('click', () => {
+                    scaleButtons.forEach(b => b.classList.remove('active'));
+                    btn.classList.add('active');
+                    this._renderAcPlot(plotArea, plotContainer._acSignalData, plotContainer._acProbeColors, btn.dataset.scale);
+                });
             });
-        });
+        }
         
-        // Initial render in dB
-        this._renderAcPlot(plotArea, validSignals, colors, 'db');
+        // Render in the scale picked, dB for a new plot
+        const activeScale = plotContainer.querySelector('.scale-btn.active')?.dataset.scale ?? 'db';
+        this._renderAcPlot(plotArea, validSignals, colors, activeScale);
     }
     
     /**
@@ -2629,7 +5565,9 @@ class CircuitEditorApp {
             type: 'scatter',
             mode: 'lines',
             name: `${sig.label} (${traceSuffix})`,
-            line: { color: sig.color || colors[i % colors.length], width: 2 }
+            line: { color: sig.color || colors[i % colors.length], width: sig.width || 2, dash: sig.dash || 'solid' },
+            // Sweep and Monte Carlo plots group traces in the legend
+            ...sig.traceProps
         }));
 
         const layout = {
@@ -2646,6 +5584,8 @@ class CircuitEditorApp {
                 mirror: true,
                 tickfont: { size: 9 }
             },
+            // Zoom is kept across redraws of one scale, not carried to another
+            uirevision: scale,
             yaxis: {
                 title: { text: yLabel, font: { size: 11 } },
                 gridcolor: '#334155',
@@ -2672,97 +5612,61 @@ class CircuitEditorApp {
             layout.height = rect.height || 260;
             
             try {
-                window.Plotly.newPlot(plotArea, traces, layout, { 
+                window.Plotly.react(plotArea, traces, layout, { 
                     responsive: true,
                     modeBarButtonsToRemove: ['pan2d', 'zoomIn2d', 'zoomOut2d', 'autoScale2d']
                 });
             } catch (err) {
-                console.error('[AC Plot] Plotly.newPlot error:', err);
+                console.error('[AC Plot] Plotly.react error:', err);
             }
         });
     }
 
     /**
-     * Plot time-domain results (transient, DC sweep)
-     * @param {Array<string>} lines - Data lines
-     * @param {Array} probeInfo - Probe metadata
+     * Plot time-domain results (transient, DC sweep, operating point)
+     * @param {import('./RawfileParser.js').RawVector} scale - Time or sweep vector
+     * @param {Array} series - Output of _collectPlotSeries
      * @param {string} analysisType - Type of analysis
      * @param {HTMLElement} plotArea - The element to render the plot into
+     * @param {Array} [referenceSeries] - Output of _referenceSeries, drawn dashed in the colour of their probe
      */
-    _plotTimeDomainResults(lines, probeInfo, analysisType, plotArea) {
-        const xValues = [];
+    _plotTimeDomainResults(scale, series, analysisType, plotArea, referenceSeries = []) {
+        const xValues = Array.from(realValues(scale));
         const signals = {};
         const signalMeta = [];
         const signalColors = {};
 
-        const firstLine = lines.find(l => l.trim().length > 0);
-        if (!firstLine) {
-            this._appendRunOutput('[note] Unable to parse data for plotting');
-            return;
-        }
-
-        const firstParts = firstLine.trim().split(/\s+/).map(Number);
-        if (firstParts.length < 2 || !Number.isFinite(firstParts[0])) {
-            this._appendRunOutput('[note] Unable to parse data for plotting');
-            return;
-        }
-
-        // Detect whether wrdata produced paired time/value columns (time, v1, time, v2, ...)
-        const evenIndexedTimes = [];
-        for (let i = 0; i < firstParts.length; i += 2) {
-            evenIndexedTimes.push(firstParts[i]);
-        }
-        const timesConsistent = evenIndexedTimes.every(t => Number.isFinite(t) && Math.abs(t - evenIndexedTimes[0]) <= 1e-12);
-        const usePairedFormat = (firstParts.length % 2 === 0) && timesConsistent;
-
-        const inferredSignalCount = usePairedFormat ? Math.floor(firstParts.length / 2) : (firstParts.length - 1);
-        const signalCount = probeInfo?.length > 0 ? Math.max(probeInfo.length, inferredSignalCount) : inferredSignalCount;
-
-        for (let i = 0; i < signalCount; i++) {
-            const label = probeInfo?.[i]?.label || `Signal ${i + 1}`;
-            const type = probeInfo?.[i]?.type || 'voltage';
-            const color = probeInfo?.[i]?.color;
-            signalMeta.push({ label, type, color });
-            if (color) {
-                signalColors[label] = color;
-            }
-        }
-
-        lines.forEach((line) => {
-            const parts = line.trim().split(/\s+/).map(Number);
-            if (parts.length < 2 || !Number.isFinite(parts[0])) return;
-
-            const availableSignals = usePairedFormat ? Math.floor(parts.length / 2) : (parts.length - 1);
-            const lineSignalCount = Math.min(signalCount, availableSignals);
-
-            const timeValue = parts[0];
-            if (!Number.isFinite(timeValue)) return;
-            xValues.push(timeValue);
-
-            for (let i = 0; i < lineSignalCount; i++) {
-                const valIdx = usePairedFormat ? (i * 2) + 1 : i + 1;
-                if (valIdx >= parts.length) continue;
-                const val = parts[valIdx];
-                if (!Number.isFinite(val)) continue;
-
-                const sigName = signalMeta[i]?.label || `Signal ${i + 1}`;
-                if (!signals[sigName]) signals[sigName] = [];
-                signals[sigName].push(val);
+        series.forEach(s => {
+            signals[s.label] = s.vector
+                ? Array.from(realValues(s.vector))
+                : new Array(xValues.length).fill(0);
+            signalMeta.push({ label: s.label, type: s.type, unit: s.unit, color: s.color });
+            if (s.color) {
+                signalColors[s.label] = s.color;
             }
         });
 
-        if (xValues.length === 0 || Object.keys(signals).length === 0) {
-            this._appendRunOutput('[note] Unable to parse data for plotting');
-            return;
-        }
-
         const defaultColors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
+
+        // Pinned-run traces go last so X-Y mode, which indexes signalMeta, only offers this run's
+        const liveCount = signalMeta.length;
+        const signalX = {};
+        referenceSeries.forEach(ref => {
+            const index = signalMeta.findIndex(meta => meta.label === ref.label);
+            const live = signalMeta[index];
+            signals[ref.name] = Array.from(realValues(ref.vector));
+            signalX[ref.name] = Array.from(realValues(ref.scale));
+            signalColors[ref.name] = signalColors[ref.label] || defaultColors[index % defaultColors.length];
+            signalMeta.push({ label: ref.name, type: live.type, unit: live.unit, dash: 'dash', width: 1.5 });
+        });
         
         // Store parsed signal data on the container for X-Y mode switching
         const plotContainer = plotArea.closest('.plot-container');
         plotContainer._signalData = {
             xValues,
+            xAxisTitle: this._scaleAxisTitle(scale),
             signals,
+            signalX,
             signalMeta,
             signalColors,
             defaultColors
@@ -2770,9 +5674,13 @@ class CircuitEditorApp {
         plotContainer._analysisType = analysisType;
         
         // Populate X-Y selector dropdowns if they exist
-        this._populateXYSelectors(plotContainer, signalMeta);
+        this._populateXYSelectors(plotContainer, signalMeta.slice(0, liveCount));
         
-        // Render in standard mode by default
+        // Render in standard mode unless a redrawn live plot was left in X-Y mode
+        if (plotContainer.querySelector('.mode-btn.active')?.dataset.mode === 'xy') {
+            this._updateXYPlot(plotContainer);
+            return;
+        }
         this._renderStandardPlot(plotArea, plotContainer._signalData, analysisType);
     }
     
@@ -2797,19 +5705,26 @@ class CircuitEditorApp {
             hasCurrent = hasCurrent || isCurrent;
             hasVoltage = hasVoltage || !isCurrent;
             traces.push({
-                x: xValues,
+                // Sweep steps each carry their own time base
+                x: signalData.signalX?.[meta.label] || xValues,
                 y: values,
                 type: 'scatter',
                 mode: 'lines',
-                name: meta.label,
+                name: meta.name || meta.label,
                 yaxis: isCurrent ? 'y2' : 'y',
-                line: { color: signalColors[meta.label] || defaultColors[i % defaultColors.length], width: 2 }
+                line: {
+                    color: signalColors[meta.label] || defaultColors[i % defaultColors.length],
+                    width: meta.width || 2,
+                    dash: meta.dash || 'solid'
+                },
+                // Sweep and Monte Carlo plots group traces in the legend
+                ...meta.traceProps
             });
         });
 
-        // Determine axis labels based on analysis type
-        let xAxisTitle = 'Time (s)';
-        if (analysisType === 'dc') {
+        // Axis label comes from the rawfile scale vector when known
+        let xAxisTitle = signalData.xAxisTitle || 'Time (s)';
+        if (!signalData.xAxisTitle && analysisType === 'dc') {
             xAxisTitle = 'Voltage (V)';
         }
 
@@ -2823,6 +5738,8 @@ class CircuitEditorApp {
             paper_bgcolor: '#0d1b2a',
             plot_bgcolor: '#0d1b2a',
             font: { color: '#e2e8f0', size: 10 },
+            // Same value on every redraw, so a reused live plot keeps its zoom and pan
+            uirevision: 'standard',
             xaxis: {
                 title: { text: xAxisTitle, font: { size: 11 } },
                 gridcolor: '#334155',
@@ -2873,7 +5790,7 @@ class CircuitEditorApp {
             const rect = plotArea.getBoundingClientRect();
             layout.width = rect.width || 340;
             layout.height = rect.height || 260;
-            window.Plotly.newPlot(plotArea, traces, layout, { 
+            window.Plotly.react(plotArea, traces, layout, { 
                 responsive: true,
                 modeBarButtonsToRemove: ['pan2d', 'zoomIn2d', 'zoomOut2d', 'autoScale2d']
             });
@@ -2890,6 +5807,11 @@ class CircuitEditorApp {
         const ySelect = plotContainer.querySelector('.xy-axis-select[data-axis="y"]');
         
         if (!xSelect || !ySelect || signalMeta.length < 2) return;
+
+        // A redrawn live plot keeps its picks while those signals are still there
+        const picked = (select) => (select.value !== '' ? select.options[select.selectedIndex]?.textContent : null);
+        const previousX = picked(xSelect);
+        const previousY = picked(ySelect);
         
         // Clear existing options except the first placeholder
         xSelect.innerHTML = '<option value="">Select X...</option>';
@@ -2908,11 +5830,13 @@ class CircuitEditorApp {
             ySelect.appendChild(yOption);
         });
         
-        // Auto-select first two signals as defaults
-        if (signalMeta.length >= 2) {
-            xSelect.value = '0';
-            ySelect.value = '1';
-        }
+        // Otherwise select the first two signals
+        const indexOf = (label, fallback) => {
+            const index = signalMeta.findIndex(meta => meta.label === label);
+            return String(index >= 0 ? index : fallback);
+        };
+        xSelect.value = indexOf(previousX, 0);
+        ySelect.value = indexOf(previousY, 1);
     }
     
     /**
@@ -2931,12 +5855,14 @@ class CircuitEditorApp {
         
         if (!Number.isFinite(xIndex) || !Number.isFinite(yIndex)) {
             // Show message if selections are incomplete
+            window.Plotly?.purge(plotArea);
             plotArea.innerHTML = '<div style=\"display: flex; align-items: center; justify-content: center; height: 100%; color: #94a3b8; font-size: 12px;\">Select X and Y signals to plot</div>';
             return;
         }
         
         if (xIndex === yIndex) {
             // Show warning if same signal selected for both axes
+            window.Plotly?.purge(plotArea);
             plotArea.innerHTML = '<div style=\"display: flex; align-items: center; justify-content: center; height: 100%; color: #f59e0b; font-size: 12px;\">Please select different signals for X and Y axes</div>';
             return;
         }
@@ -3008,7 +5934,8 @@ class CircuitEditorApp {
                 tickfont: { size: 9 }
             },
             margin: { t: 20, r: 20, b: 45, l: 50 },
-            showlegend: false
+            showlegend: false,
+            uirevision: `${yMeta.label} vs ${xMeta.label}`
         };
         
         // Use requestAnimationFrame to ensure DOM is ready and get actual dimensions
@@ -3018,12 +5945,12 @@ class CircuitEditorApp {
             layout.height = rect.height || 260;
             
             try {
-                window.Plotly.newPlot(plotArea, [trace], layout, { 
+                window.Plotly.react(plotArea, [trace], layout, { 
                     responsive: true,
                     modeBarButtonsToRemove: ['pan2d', 'zoomIn2d', 'zoomOut2d', 'autoScale2d']
                 });
             } catch (err) {
-                console.error('[X-Y Plot] Plotly.newPlot error:', err);
+                console.error('[X-Y Plot] Plotly.react error:', err);
             }
         });
     }
@@ -3056,7 +5983,10 @@ class CircuitEditorApp {
             })),
             wires: this.wireGraph.toJSON(),
             probes: this.probeManager.toJSON(),
+            initialConditions: this.initialConditions.toJSON(),
             simulation: this.simulationDirectives,
+            simulationOptions: this.simulationOptions,
+            measurementResults: this.measurementResults,
             counters: {
                 component: this._componentCounter,
                 designators: Array.from(this._designatorCounters.entries())
@@ -3070,6 +6000,9 @@ class CircuitEditorApp {
         this.componentManager.pinNodeIdsByComponent.clear();
         this.wireGraph.clear();
         this.probeManager.clear();
+        this.initialConditions.clear();
+        this._clearOperatingPoint();
+        this._clearDiagnostics();
         this.simulationDirectives = [];
         
         // Restore wires first
@@ -3100,6 +6033,7 @@ class CircuitEditorApp {
         if (data.probes) {
             this.probeManager.fromJSON(data.probes);
         }
+        this.initialConditions.fromJSON(data.initialConditions);
         
         // Restore counters
         if (data.counters) {
@@ -3112,6 +6046,24 @@ class CircuitEditorApp {
             this.simulationDirectives = data.simulation;
             this._updateSimulationBadge();
         }
+        this.simulationOptions = {
+            timeoutSeconds: DEFAULT_SIM_TIMEOUT_SECONDS,
+            temperature: null,
+            simulatorOptions: {},
+            sweep: null,
+            monteCarlo: null,
+            measurements: [],
+            live: false,
+            ...(data.simulationOptions || {})
+        };
+        this._updateSimulationBadge();
+        this._updateLiveButton();
+
+        this.measurementResults = Array.isArray(data.measurementResults) ? data.measurementResults : [];
+        if (this.measurementResults.length > 0) {
+            this._clearPlot();
+            this.measurementResults.forEach(table => this._renderMeasurementTable({ ...table, title: `${table.title} (saved)` }));
+        }
         
         this.viewport.render();
     }
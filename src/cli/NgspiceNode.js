@@ -0,0 +1,164 @@
+/**
+ * NgspiceNode - Runs the bundled ngspice WASM build inside Node.js
+ *
+ * The headless counterpart of public/ngspice-worker.js: the Emscripten glue
+ * in ngspice.js is evaluated once in this process, code models and spinit are
+ * copied into its in-memory filesystem, and every run() is one blocking
+ * callMain on a scratch netlist whose control block writes /output.raw.
+ */
+
+import { access, readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import vm from 'node:vm';
+
+const CODE_MODEL_DIR = '/usr/local/lib/ngspice';
+const CODE_MODEL_FILES = [
+    'analog.cm',
+    'digital.cm',
+    'spice2poly.cm',
+    'table.cm',
+    'tlines.cm',
+    'xtradev.cm',
+    'xtraevt.cm'
+];
+
+// Files a job may leave behind; removed before every run
+const SCRATCH_FILES = ['/circuit.cir', '/output.raw', '/partial.raw', '/digital.vcd'];
+
+export class NgspiceNode {
+    /**
+     * Load ngspice from a directory holding ngspice.js, ngspice.wasm, spinit
+     * and the code models (the app's public/ directory)
+     * @param {string} assetDir
+     * @param {Object} [options]
+     * @param {string} [options.wasmPath] - ngspice.wasm to use instead of the one in assetDir
+     * @returns {Promise<NgspiceNode>}
+     */
+    static async load(assetDir, options = {}) {
+        const instance = new NgspiceNode(assetDir, options);
+        await instance._init();
+        return instance;
+    }
+
+    /**
+     * @param {string} assetDir
+     * @param {{wasmPath?: string}} [options]
+     */
+    constructor(assetDir, { wasmPath } = {}) {
+        this.assetDir = path.resolve(assetDir);
+        this.wasmPath = wasmPath ? path.resolve(wasmPath) : path.join(this.assetDir, 'ngspice.wasm');
+        this._stdout = '';
+        this._stderr = '';
+        this._spinit = null;
+        this._completedRuns = 0;
+        this._runtime = null;
+    }
+
+    /**
+     * Simulate one netlist. ngspice runs synchronously, so this blocks until it quits.
+     * @param {string} netlist - Netlist with a control block that writes output.raw
+     * @returns {{rawData: Uint8Array | null, vcdData: string | null, stdout: string, stderr: string}}
+     */
+    run(netlist) {
+        const { FS, callMain } = this._runtime;
+        this._resetWorkspace();
+        this._writeSpinit();
+        FS.writeFile('/circuit.cir', netlist);
+
+        callMain(['-b', '/circuit.cir']);
+        this._completedRuns++;
+
+        let rawData = null;
+        try {
+            rawData = FS.readFile('/output.raw');
+        } catch (_) {
+            // No rawfile: ngspice rejected the netlist; stdout/stderr say why
+        }
+        let vcdData = null;
+        try {
+            vcdData = FS.readFile('/digital.vcd', { encoding: 'utf8' });
+        } catch (_) {
+            // Only transient runs with digital probes dump one
+        }
+        const result = { rawData, vcdData, stdout: this._stdout, stderr: this._stderr };
+        this._resetWorkspace();
+        return result;
+    }
+
+    // ==================== Internals ====================
+
+    async _init() {
+        const scriptPath = path.join(this.assetDir, 'ngspice.js');
+        try {
+            await access(scriptPath);
+        } catch (_) {
+            throw new Error(`ngspice.js not found in ${this.assetDir} (pass --ngspice-dir)`);
+        }
+        try {
+            await access(this.wasmPath);
+        } catch (_) {
+            // The WASM binary is built separately and not kept in the repository
+            throw new Error(`${this.wasmPath} not found (pass --wasm, or copy ngspice.wasm next to ngspice.js)`);
+        }
+        const source = await readFile(scriptPath, 'utf8');
+
+        await new Promise((resolve, reject) => {
+            globalThis.Module = {
+                noInitialRun: true,
+                locateFile: (file) => (file === 'ngspice.wasm' ? this.wasmPath : path.join(this.assetDir, file)),
+                print: (text) => { this._stdout += text + '\n'; },
+                printErr: (text) => { this._stderr += text + '\n'; },
+                onRuntimeInitialized: resolve,
+                onAbort: (reason) => reject(new Error(`ngspice failed to start: ${reason}`))
+            };
+            // The Emscripten glue expects CommonJS globals when it detects Node
+            globalThis.require ??= createRequire(scriptPath);
+            globalThis.__dirname ??= this.assetDir;
+            vm.runInThisContext(source, { filename: scriptPath });
+        });
+
+        // A non-modular Emscripten build declares its runtime as script globals
+        this._runtime = { FS: globalThis.FS, callMain: globalThis.callMain };
+        await this._loadCodeModels();
+        try {
+            this._spinit = await readFile(path.join(this.assetDir, 'spinit'), 'utf8');
+        } catch (_) {
+            this._spinit = null;
+        }
+    }
+
+    async _loadCodeModels() {
+        const { FS } = this._runtime;
+        FS.createPath('/', CODE_MODEL_DIR.slice(1), true, true);
+        await Promise.all(CODE_MODEL_FILES.map(async (file) => {
+            try {
+                FS.writeFile(`${CODE_MODEL_DIR}/${file}`, await readFile(path.join(this.assetDir, file)));
+            } catch (error) {
+                this._stderr += `Failed to load code model ${file}: ${error.message}\n`;
+            }
+        }));
+    }
+
+    /**
+     * Code models register their devices globally, so only the first run loads them
+     */
+    _writeSpinit() {
+        if (!this._spinit) return;
+        const { FS } = this._runtime;
+        const text = this._completedRuns > 0
+            ? this._spinit.split('\n').filter(line => !/^\s*codemodel\b/i.test(line)).join('\n')
+            : this._spinit;
+        FS.createPath('/', 'usr/local/share/ngspice/scripts', true, true);
+        FS.writeFile('/usr/local/share/ngspice/scripts/spinit', text);
+        FS.writeFile('/spinit', text);
+    }
+
+    _resetWorkspace() {
+        this._stdout = '';
+        this._stderr = '';
+        for (const file of SCRATCH_FILES) {
+            try { this._runtime.FS.unlink(file); } catch (_) {}
+        }
+    }
+}
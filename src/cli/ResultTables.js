@@ -0,0 +1,127 @@
+/**
+ * ResultTables - Turns rawfile plots into named columns for CSV/JSON export
+ *
+ * Probes are looked up the same way the results panel does it: by the vector
+ * NetlistGenerator recorded for them. Complex (AC) vectors are split into
+ * magnitude and phase columns; power probes become one column of V×I.
+ */
+
+import { findVector, realValues } from '../circuit_editor/RawfileParser.js';
+import { findDigitalSignal } from '../circuit_editor/DigitalWaveforms.js';
+import { computePower } from '../circuit_editor/PowerProbes.js';
+
+/**
+ * @typedef {Object} ResultColumn
+ * @property {string} name - Probe label or vector name
+ * @property {string} unit
+ * @property {number[]} values
+ */
+
+/**
+ * Columns for one plot: the scale first, then one (or two) per probe
+ * @param {import('../circuit_editor/RawfileParser.js').RawPlot} plot
+ * @param {Array<Object> | null} probeInfo - Probe metadata from NetlistGenerator; null exports every vector
+ * @returns {{columns: ResultColumn[], missing: string[]}} `missing` lists probes the plot has no data for
+ */
+export function collectColumns(plot, probeInfo = null) {
+    const scale = plot.vectors[0];
+    // AC plots store frequency as a complex vector; only its real part means anything
+    const columns = scale ? [{ name: scale.name, unit: scale.unit, values: Array.from(realValues(scale)) }] : [];
+    const missing = [];
+
+    if (!probeInfo) {
+        plot.vectors.slice(1).forEach(vector => columns.push(...vectorColumns(vector.name, vector)));
+        return { columns, missing };
+    }
+
+    probeInfo.forEach(probe => {
+        // Digital probes are not in the rawfile; see collectDigitalColumns
+        if (probe.type === 'digital') return;
+        if (probe.type === 'power') {
+            const power = computePower(plot, probe.terms);
+            if (power) columns.push({ name: probe.label, unit: 'W', values: Array.from(power) });
+            else missing.push(probe.label);
+            return;
+        }
+        if (probe.isGround) {
+            columns.push({ name: probe.label, unit: 'V', values: new Array(plot.numPoints).fill(0) });
+            return;
+        }
+        const vector = findVector(plot, probe.vector);
+        if (!vector) {
+            missing.push(probe.label);
+            return;
+        }
+        // ngspice leaves instance parameters (@q1[gm]) untyped; device probes know their unit
+        columns.push(...vectorColumns(probe.label, vector, probe.unit ?? vector.unit));
+    });
+    return { columns, missing };
+}
+
+/**
+ * Logic states of the digital probes: one row per time any of them changes
+ * @param {{signals: import('../circuit_editor/DigitalWaveforms.js').DigitalSignal[]}} vcd - Output of parseVcd
+ * @param {Array<Object>} probeInfo - Probe metadata from NetlistGenerator
+ * @returns {{columns: Array<{name: string, unit: string, values: Array<number | string>}>, missing: string[]}}
+ */
+export function collectDigitalColumns(vcd, probeInfo) {
+    const missing = [];
+    const lanes = [];
+    probeInfo.filter(probe => probe.type === 'digital').forEach(probe => {
+        const signal = findDigitalSignal(vcd.signals, probe.node);
+        if (signal) lanes.push({ name: probe.label, signal });
+        else missing.push(probe.label);
+    });
+
+    const times = [...new Set(lanes.flatMap(lane => lane.signal.changes.map(change => change.time)))].sort((a, b) => a - b);
+    const columns = [{ name: 'time', unit: 's', values: times }];
+    lanes.forEach(({ name, signal }) => {
+        let next = 0;
+        let value = 'x';
+        columns.push({
+            name,
+            unit: '',
+            values: times.map(time => {
+                while (next < signal.changes.length && signal.changes[next].time <= time) value = signal.changes[next++].value;
+                return value;
+            })
+        });
+    });
+    return { columns, missing };
+}
+
+/**
+ * CSV with a header row of "name (unit)" cells. Comment lines go first, prefixed with #.
+ * @param {ResultColumn[]} columns
+ * @param {string[]} [comments]
+ * @returns {string}
+ */
+export function formatCsv(columns, comments = []) {
+    const lines = comments.map(comment => `# ${comment}`);
+    lines.push(columns.map(column => csvCell(column.unit ? `${column.name} (${column.unit})` : column.name)).join(','));
+    const rows = Math.max(0, ...columns.map(column => column.values.length));
+    for (let i = 0; i < rows; i++) {
+        lines.push(columns.map(column => column.values[i] ?? '').join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function vectorColumns(name, vector, unit = vector.unit) {
+    if (!vector.complex) {
+        return [{ name, unit, values: Array.from(vector.values) }];
+    }
+    const magnitude = [];
+    const phase = [];
+    for (let i = 0; i < vector.real.length; i++) {
+        magnitude.push(Math.hypot(vector.real[i], vector.imag[i]));
+        phase.push(Math.atan2(vector.imag[i], vector.real[i]) * (180 / Math.PI));
+    }
+    return [
+        { name: `${name} mag`, unit, values: magnitude },
+        { name: `${name} phase`, unit: '°', values: phase }
+    ];
+}
+
+function csvCell(text) {
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
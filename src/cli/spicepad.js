@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * spicepad - Netlist and simulate saved .spicepad circuits from the command line
+ *
+ * Loads the JSON written by the editor's Save button into the model classes
+ * (no canvas), generates one netlist per saved analysis with NetlistGenerator,
+ * runs it on the bundled ngspice WASM and prints probe results as CSV or JSON.
+ *
+ *   node src/cli/spicepad.js circuit.spicepad [--format csv|json] [--out file]
+ *
+ * ngspice.wasm is not part of the repository; it has to sit next to
+ * public/ngspice.js or be given with --wasm.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { WireGraph } from '../circuit_editor/WireGraph.js';
+import { ComponentManager } from '../circuit_editor/ComponentManager.js';
+import { ProbeManager } from '../circuit_editor/ProbeManager.js';
+import { InitialConditionManager } from '../circuit_editor/InitialConditions.js';
+import { Component } from '../circuit_editor/Component.js';
+import { NetlistGenerator } from '../circuit_editor/NetlistGenerator.js';
+import { parseRawfile } from '../circuit_editor/RawfileParser.js';
+import { parseMeasureOutput } from '../circuit_editor/Measurements.js';
+import { parseFourierOutput } from '../circuit_editor/FourierAnalysis.js';
+import { parseVcd } from '../circuit_editor/DigitalWaveforms.js';
+import { NgspiceNode } from './NgspiceNode.js';
+import { collectColumns, collectDigitalColumns, formatCsv } from './ResultTables.js';
+
+const DEFAULT_ASSET_DIR = fileURLToPath(new URL('../../public/', import.meta.url));
+
+const USAGE = `Usage: spicepad <circuit.spicepad> [options]
+
+Options:
+  --format <csv|json>   Result format (default: csv)
+  --out <file>          Write results to a file instead of stdout; CSV with
+                        several tables adds -1, -2, ... before the extension
+  --analysis <n>        Only run the n-th saved analysis (1-based)
+  --netlist             Print the generated netlists and exit without simulating
+  --ngspice-dir <dir>   Directory with ngspice.js, ngspice.wasm, spinit and code
+                        models (default: the app's public/ directory)
+  --wasm <file>         ngspice.wasm to load instead of the one in --ngspice-dir;
+                        it must come from the same build as ngspice.js
+  -h, --help            Show this help`;
+
+/**
+ * Rebuild the editor's model classes from a saved document, without a viewport
+ * @param {Object} data - Parsed .spicepad JSON
+ * @returns {NetlistGenerator}
+ */
+export function loadCircuit(data) {
+    const wireGraph = new WireGraph();
+    const componentManager = new ComponentManager(null, wireGraph);
+    const probeManager = new ProbeManager(null, wireGraph, componentManager);
+    const initialConditions = new InitialConditionManager(null, wireGraph);
+
+    // Wires first, as the editor does: component pins join the nodes already there
+    if (data.wires) wireGraph.fromJSON(data.wires);
+    componentManager.fromJSON(data.components ?? [], Component);
+    probeManager.fromJSON(data.probes ?? []);
+    initialConditions.fromJSON(data.initialConditions);
+
+    return new NetlistGenerator(componentManager, wireGraph, probeManager, initialConditions);
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'csv' },
+            out: { type: 'string' },
+            analysis: { type: 'string' },
+            netlist: { type: 'boolean', default: false },
+            'ngspice-dir': { type: 'string', default: DEFAULT_ASSET_DIR },
+            wasm: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 1) {
+        console.error(USAGE);
+        return 2;
+    }
+    if (!['csv', 'json'].includes(values.format)) {
+        throw new Error(`Unknown format "${values.format}" (use csv or json)`);
+    }
+
+    const data = JSON.parse(await readFile(positionals[0], 'utf8'));
+    const generator = loadCircuit(data);
+    const options = data.simulationOptions ?? {};
+    if (options.sweep || options.monteCarlo) {
+        console.error('[note] Parameter sweeps and Monte Carlo settings are ignored; each analysis runs once');
+    }
+
+    let directives = Array.isArray(data.simulation) && data.simulation.length > 0
+        ? data.simulation
+        : [{ type: 'op', text: '.op', params: {} }];
+    if (values.analysis !== undefined) {
+        const index = Number(values.analysis);
+        if (!Number.isInteger(index) || index < 1 || index > directives.length) {
+            throw new Error(`--analysis must be between 1 and ${directives.length}`);
+        }
+        directives = [directives[index - 1]];
+    }
+
+    const jobs = directives.map(directive => ({
+        directive,
+        ...generator.generateWithMetadata([directive], {
+            includeControlBlock: true,
+            measurements: options.measurements ?? [],
+            temperature: options.temperature ?? null,
+            simulatorOptions: options.simulatorOptions ?? null
+        })
+    }));
+
+    if (values.netlist) {
+        process.stdout.write(jobs.map(job => job.netlist).join('\n\n') + '\n');
+        return 0;
+    }
+
+    const ngspice = await NgspiceNode.load(values['ngspice-dir'], { wasmPath: values.wasm });
+    let failed = 0;
+    const results = jobs.map((job, index) => {
+        const label = job.directive.text || job.directive.type;
+        console.error(`[${index + 1}/${jobs.length}] ${label}`);
+        const { rawData, vcdData, stdout, stderr } = ngspice.run(job.netlist);
+        if (!rawData) {
+            failed++;
+            console.error(`[error] ${label}: ngspice did not write any results`);
+            if (stderr.trim()) console.error(stderr.trimEnd());
+            return null;
+        }
+        return summarizeRun(job, label, rawData, vcdData, stdout);
+    }).filter(Boolean);
+
+    if (results.length > 0) await writeResults(results, values.format, values.out);
+    return failed > 0 ? 1 : 0;
+}
+
+/**
+ * Columns, measurements and Fourier tables of one finished analysis
+ */
+function summarizeRun(job, label, rawData, vcdData, stdout) {
+    const plots = parseRawfile(rawData);
+    // Noise and pole-zero results are named vectors rather than probe signals
+    const byProbe = !['noise', 'pz'].includes(job.analysisType);
+    const tables = (byProbe ? plots.slice(-1) : plots).map(plot => {
+        const { columns, missing } = collectColumns(plot, byProbe ? job.probeInfo : null);
+        missing.forEach(probe => console.error(`[note] No data for probe ${probe} in ${label}`));
+        return { plot: plot.plotname, columns };
+    });
+    if (vcdData) {
+        // Digital probes come from eprvcd rather than the rawfile
+        const { columns, missing } = collectDigitalColumns(parseVcd(vcdData), job.probeInfo);
+        missing.forEach(probe => console.error(`[note] No data for digital probe ${probe} in ${label}`));
+        if (columns.length > 1) tables.push({ plot: 'Digital', columns });
+    }
+
+    const measurements = job.measurements.length > 0
+        ? parseMeasureOutput(stdout, job.measurements.map(m => m.name)).map((entry, i) => ({ ...entry, unit: job.measurements[i].unit }))
+        : [];
+    return {
+        analysis: label,
+        analysisType: job.analysisType,
+        tables,
+        measurements,
+        fourier: job.fourier ? parseFourierOutput(stdout) : []
+    };
+}
+
+async function writeResults(results, format, outPath) {
+    if (format === 'json') {
+        const text = JSON.stringify(results.length === 1 ? results[0] : results, null, 2) + '\n';
+        if (outPath) await writeFile(outPath, text);
+        else process.stdout.write(text);
+        return;
+    }
+
+    const files = results.flatMap(result => result.tables.map(table => formatCsv(table.columns, [
+        `${result.analysis}${result.tables.length > 1 ? ` (${table.plot})` : ''}`,
+        ...result.measurements.map(m => `${m.name} = ${m.failed ? 'failed' : `${m.value}${m.unit ? ` ${m.unit}` : ''}`}`),
+        ...result.fourier.map(f => `THD ${f.vector} = ${f.thd} %`)
+    ])));
+
+    if (!outPath) {
+        process.stdout.write(files.join('\n'));
+        return;
+    }
+    const { dir, name, ext } = path.parse(outPath);
+    await Promise.all(files.map((text, i) => writeFile(
+        files.length === 1 ? outPath : path.join(dir, `${name}-${i + 1}${ext}`),
+        text
+    )));
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2)).then(
+        code => { process.exitCode = code; },
+        error => {
+            console.error(`spicepad: ${error.message}`);
+            process.exitCode = 1;
+        }
+    );
+}
@@ -628,6 +628,55 @@ export function getDefaultComponents() {
 			"models": [],
 			"componentType": "primitive"
 		},
+		"net_label": {
+			"name": "Net Label",
+			"description": "Names the net it is wired to; labels with the same name are connected",
+			"defaultValue": null,
+			"designator": {
+				"prefix": "NET",
+				"autoIncrement": true
+			},
+			"size": {
+				"width": 40,
+				"height": 20
+			},
+			"pins": [
+				{
+					"id": "1",
+					"name": "1",
+					"position": {
+						"x": 0,
+						"y": 10
+					}
+				}
+			],
+			"labels": {
+				"designator": [
+					{
+						"x": 26,
+						"y": 10
+					},
+					{
+						"x": 44,
+						"y": 10
+					}
+				],
+				"value": [
+					{
+						"x": 26,
+						"y": 26
+					},
+					{
+						"x": 44,
+						"y": 20
+					}
+				]
+			},
+			"svg": "<svg xmlns=\"http://www.w3.org/2000/svg\" viewBox=\"0 0 60 30\" data-generated-by=\"symbol-editor\" data-comp-width=\"40\" data-comp-height=\"20\" data-offset-x=\"10\" data-offset-y=\"5\"><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 10 15 L 17 15\"/><polygon points=\"17,15 23,9 49,9 49,21 23,21\" fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linejoin=\"round\"/></svg>",
+			"isNetLabel": true,
+			"models": [],
+			"componentType": "primitive"
+		},
 		"led": {
 			"name": "LED",
 			"description": "",
@@ -965,6 +1014,661 @@ export function getDefaultComponents() {
 				"definition": ".subckt XFMR_CENTER_TAP"
 			}
 		},
+		"adc_bridge": {
+			"name": "ADC Bridge",
+			"description": "Analog-to-digital bridge (XSPICE adc_bridge)",
+			"defaultValue": "",
+			"designator": {
+				"prefix": "A",
+				"autoIncrement": true
+			},
+			"size": {
+				"width": 60,
+				"height": 40
+			},
+			"models": [
+				{
+					"name": "ADC_TTL",
+					"model": ".model ADC_TTL adc_bridge(in_low=0.8 in_high=2.0 rise_delay=1n fall_delay=1n)"
+				},
+				{
+					"name": "ADC_CMOS33",
+					"model": ".model ADC_CMOS33 adc_bridge(in_low=1.0 in_high=2.3 rise_delay=1n fall_delay=1n)"
+				}
+			],
+			"pins": [
+				{
+					"id": "1",
+					"name": "IN",
+					"position": {
+						"x": 0,
+						"y": 20
+					},
+					"labelPosition": {
+						"x": 12,
+						"y": 20
+					}
+				},
+				{
+					"id": "2",
+					"name": "OUT",
+					"position": {
+						"x": 60,
+						"y": 20
+					},
+					"labelPosition": {
+						"x": 48,
+						"y": 20
+					},
+					"digital": true
+				}
+			],
+			"labels": {
+				"designator": [
+					{
+						"x": 30,
+						"y": -6
+					},
+					{
+						"x": 30,
+						"y": -6
+					}
+				],
+				"value": [
+					{
+						"x": 30,
+						"y": 48
+					},
+					{
+						"x": 30,
+						"y": 48
+					}
+				]
+			},
+			"svg": "<svg xmlns=\"http://www.w3.org/2000/svg\" viewBox=\"0 0 80 60\" data-generated-by=\"symbol-editor\" data-comp-width=\"60\" data-comp-height=\"40\" data-offset-x=\"10\" data-offset-y=\"10\"><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 10 30 L 20 30\"/><rect x=\"20\" y=\"16\" width=\"40\" height=\"28\" rx=\"2\" ry=\"2\" fill=\"#ffffff\" stroke=\"#000000\" stroke-width=\"1.2\"/><text x=\"40\" y=\"33\" text-anchor=\"middle\" font-size=\"9\" font-family=\"Helvetica, Arial, sans-serif\" fill=\"#000000\">A/D</text><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 60 30 L 70 30\"/></svg>",
+			"componentType": "primitive",
+			"spiceType": "xspice",
+			"xspice": {
+				"ports": [
+					[
+						"1"
+					],
+					[
+						"2"
+					]
+				]
+			}
+		},
+		"dac_bridge": {
+			"name": "DAC Bridge",
+			"description": "Digital-to-analog bridge (XSPICE dac_bridge)",
+			"defaultValue": "",
+			"designator": {
+				"prefix": "A",
+				"autoIncrement": true
+			},
+			"size": {
+				"width": 60,
+				"height": 40
+			},
+			"models": [
+				{
+					"name": "DAC_5V",
+					"model": ".model DAC_5V dac_bridge(out_low=0 out_high=5 out_undef=2.5 input_load=1p t_rise=1n t_fall=1n)"
+				},
+				{
+					"name": "DAC_3V3",
+					"model": ".model DAC_3V3 dac_bridge(out_low=0 out_high=3.3 out_undef=1.65 input_load=1p t_rise=1n t_fall=1n)"
+				}
+			],
+			"pins": [
+				{
+					"id": "1",
+					"name": "IN",
+					"position": {
+						"x": 0,
+						"y": 20
+					},
+					"labelPosition": {
+						"x": 12,
+						"y": 20
+					},
+					"digital": true
+				},
+				{
+					"id": "2",
+					"name": "OUT",
+					"position": {
+						"x": 60,
+						"y": 20
+					},
+					"labelPosition": {
+						"x": 48,
+						"y": 20
+					}
+				}
+			],
+			"labels": {
+				"designator": [
+					{
+						"x": 30,
+						"y": -6
+					},
+					{
+						"x": 30,
+						"y": -6
+					}
+				],
+				"value": [
+					{
+						"x": 30,
+						"y": 48
+					},
+					{
+						"x": 30,
+						"y": 48
+					}
+				]
+			},
+			"svg": "<svg xmlns=\"http://www.w3.org/2000/svg\" viewBox=\"0 0 80 60\" data-generated-by=\"symbol-editor\" data-comp-width=\"60\" data-comp-height=\"40\" data-offset-x=\"10\" data-offset-y=\"10\"><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 10 30 L 20 30\"/><rect x=\"20\" y=\"16\" width=\"40\" height=\"28\" rx=\"2\" ry=\"2\" fill=\"#ffffff\" stroke=\"#000000\" stroke-width=\"1.2\"/><text x=\"40\" y=\"33\" text-anchor=\"middle\" font-size=\"9\" font-family=\"Helvetica, Arial, sans-serif\" fill=\"#000000\">D/A</text><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 60 30 L 70 30\"/></svg>",
+			"componentType": "primitive",
+			"spiceType": "xspice",
+			"xspice": {
+				"ports": [
+					[
+						"1"
+					],
+					[
+						"2"
+					]
+				]
+			}
+		},
+		"digital_and": {
+			"name": "AND Gate",
+			"description": "2-input digital AND (XSPICE d_and)",
+			"defaultValue": "",
+			"designator": {
+				"prefix": "A",
+				"autoIncrement": true
+			},
+			"size": {
+				"width": 60,
+				"height": 40
+			},
+			"models": [
+				{
+					"name": "D_AND2",
+					"model": ".model D_AND2 d_and(rise_delay=1n fall_delay=1n input_load=1p)"
+				}
+			],
+			"pins": [
+				{
+					"id": "1",
+					"name": "A",
+					"position": {
+						"x": 0,
+						"y": 10
+					},
+					"labelPosition": {
+						"x": 12,
+						"y": 10
+					},
+					"digital": true
+				},
+				{
+					"id": "2",
+					"name": "B",
+					"position": {
+						"x": 0,
+						"y": 30
+					},
+					"labelPosition": {
+						"x": 12,
+						"y": 30
+					},
+					"digital": true
+				},
+				{
+					"id": "3",
+					"name": "Y",
+					"position": {
+						"x": 60,
+						"y": 20
+					},
+					"labelPosition": {
+						"x": 48,
+						"y": 20
+					},
+					"digital": true
+				}
+			],
+			"labels": {
+				"designator": [
+					{
+						"x": 30,
+						"y": -6
+					},
+					{
+						"x": 30,
+						"y": -6
+					}
+				],
+				"value": [
+					{
+						"x": 30,
+						"y": 48
+					},
+					{
+						"x": 30,
+						"y": 48
+					}
+				]
+			},
+			"svg": "<svg xmlns=\"http://www.w3.org/2000/svg\" viewBox=\"0 0 80 60\" data-generated-by=\"symbol-editor\" data-comp-width=\"60\" data-comp-height=\"40\" data-offset-x=\"10\" data-offset-y=\"10\"><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 10 20 L 22 20\"/><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 10 40 L 22 40\"/><path fill=\"#ffffff\" stroke=\"#000000\" stroke-width=\"1.2\" stroke-linejoin=\"round\" d=\"M 22 14 L 40 14 A 16 16 0 0 1 40 46 L 22 46 Z\"/><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 56 30 L 70 30\"/></svg>",
+			"componentType": "primitive",
+			"spiceType": "xspice",
+			"xspice": {
+				"ports": [
+					[
+						"1",
+						"2"
+					],
+					"3"
+				]
+			}
+		},
+		"digital_counter": {
+			"name": "4-bit Counter",
+			"description": "4-bit binary ripple counter, counts on rising clock edges (XSPICE d_tff stages)",
+			"defaultValue": "",
+			"designator": {
+				"prefix": "X",
+				"autoIncrement": true
+			},
+			"size": {
+				"width": 60,
+				"height": 80
+			},
+			"models": [],
+			"pins": [
+				{
+					"id": "1",
+					"name": "CLK",
+					"position": {
+						"x": 0,
+						"y": 40
+					},
+					"labelPosition": {
+						"x": 12,
+						"y": 40
+					},
+					"digital": true
+				},
+				{
+					"id": "2",
+					"name": "Q0",
+					"position": {
+						"x": 60,
+						"y": 10
+					},
+					"labelPosition": {
+						"x": 48,
+						"y": 10
+					},
+					"digital": true
+				},
+				{
+					"id": "3",
+					"name": "Q1",
+					"position": {
+						"x": 60,
+						"y": 30
+					},
+					"labelPosition": {
+						"x": 48,
+						"y": 30
+					},
+					"digital": true
+				},
+				{
+					"id": "4",
+					"name": "Q2",
+					"position": {
+						"x": 60,
+						"y": 50
+					},
+					"labelPosition": {
+						"x": 48,
+						"y": 50
+					},
+					"digital": true
+				},
+				{
+					"id": "5",
+					"name": "Q3",
+					"position": {
+						"x": 60,
+						"y": 70
+					},
+					"labelPosition": {
+						"x": 48,
+						"y": 70
+					},
+					"digital": true
+				}
+			],
+			"labels": {
+				"designator": [
+					{
+						"x": 30,
+						"y": -6
+					},
+					{
+						"x": 30,
+						"y": -6
+					}
+				],
+				"value": [
+					{
+						"x": 30,
+						"y": 88
+					},
+					{
+						"x": 30,
+						"y": 88
+					}
+				]
+			},
+			"svg": "<svg xmlns=\"http://www.w3.org/2000/svg\" viewBox=\"0 0 80 100\" data-generated-by=\"symbol-editor\" data-comp-width=\"60\" data-comp-height=\"80\" data-offset-x=\"10\" data-offset-y=\"10\"><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 10 50 L 20 50\"/><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 60 20 L 70 20\"/><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 60 40 L 70 40\"/><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 60 60 L 70 60\"/><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 60 80 L 70 80\"/><rect x=\"20\" y=\"12\" width=\"40\" height=\"76\" rx=\"2\" ry=\"2\" fill=\"#ffffff\" stroke=\"#000000\" stroke-width=\"1.2\"/><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 20 45 L 26 50 L 20 55\"/><text x=\"40\" y=\"35\" text-anchor=\"middle\" font-size=\"9\" font-family=\"Helvetica, Arial, sans-serif\" fill=\"#000000\">CTR4</text><text x=\"56\" y=\"23\" text-anchor=\"end\" font-size=\"8\" font-family=\"Helvetica, Arial, sans-serif\" fill=\"#000000\">Q0</text><text x=\"56\" y=\"43\" text-anchor=\"end\" font-size=\"8\" font-family=\"Helvetica, Arial, sans-serif\" fill=\"#000000\">Q1</text><text x=\"56\" y=\"63\" text-anchor=\"end\" font-size=\"8\" font-family=\"Helvetica, Arial, sans-serif\" fill=\"#000000\">Q2</text><text x=\"56\" y=\"83\" text-anchor=\"end\" font-size=\"8\" font-family=\"Helvetica, Arial, sans-serif\" fill=\"#000000\">Q3</text></svg>",
+			"componentType": "subcircuit",
+			"subcircuit": {
+				"name": "DCOUNT4",
+				"definition": ".subckt DCOUNT4 clk q0 q1 q2 q3\n* 4-bit ripple up-counter: each toggle stage is clocked by the previous stage's /Q\nA_HI hi DCOUNT4_HI\nA0 hi clk NULL NULL q0 n0 DCOUNT4_TFF\nA1 hi n0 NULL NULL q1 n1 DCOUNT4_TFF\nA2 hi n1 NULL NULL q2 n2 DCOUNT4_TFF\nA3 hi n2 NULL NULL q3 n3 DCOUNT4_TFF\n.model DCOUNT4_HI d_pullup(load=1p)\n.model DCOUNT4_TFF d_tff(clk_delay=1n set_delay=1n reset_delay=1n rise_delay=1n fall_delay=1n)\n.ends DCOUNT4"
+			}
+		},
+		"digital_dff": {
+			"name": "D Flip-Flop",
+			"description": "Rising-edge D flip-flop (XSPICE d_dff)",
+			"defaultValue": "",
+			"designator": {
+				"prefix": "A",
+				"autoIncrement": true
+			},
+			"size": {
+				"width": 60,
+				"height": 60
+			},
+			"models": [
+				{
+					"name": "D_DFF",
+					"model": ".model D_DFF d_dff(clk_delay=1n set_delay=1n reset_delay=1n rise_delay=1n fall_delay=1n)"
+				}
+			],
+			"pins": [
+				{
+					"id": "1",
+					"name": "D",
+					"position": {
+						"x": 0,
+						"y": 10
+					},
+					"labelPosition": {
+						"x": 12,
+						"y": 10
+					},
+					"digital": true
+				},
+				{
+					"id": "2",
+					"name": "CLK",
+					"position": {
+						"x": 0,
+						"y": 50
+					},
+					"labelPosition": {
+						"x": 12,
+						"y": 50
+					},
+					"digital": true
+				},
+				{
+					"id": "3",
+					"name": "Q",
+					"position": {
+						"x": 60,
+						"y": 10
+					},
+					"labelPosition": {
+						"x": 48,
+						"y": 10
+					},
+					"digital": true,
+					"optional": true
+				},
+				{
+					"id": "4",
+					"name": "/Q",
+					"position": {
+						"x": 60,
+						"y": 50
+					},
+					"labelPosition": {
+						"x": 48,
+						"y": 50
+					},
+					"digital": true,
+					"optional": true
+				}
+			],
+			"labels": {
+				"designator": [
+					{
+						"x": 30,
+						"y": -6
+					},
+					{
+						"x": 30,
+						"y": -6
+					}
+				],
+				"value": [
+					{
+						"x": 30,
+						"y": 68
+					},
+					{
+						"x": 30,
+						"y": 68
+					}
+				]
+			},
+			"svg": "<svg xmlns=\"http://www.w3.org/2000/svg\" viewBox=\"0 0 80 80\" data-generated-by=\"symbol-editor\" data-comp-width=\"60\" data-comp-height=\"60\" data-offset-x=\"10\" data-offset-y=\"10\"><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 10 20 L 20 20\"/><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 10 60 L 20 60\"/><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 60 20 L 70 20\"/><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 60 60 L 70 60\"/><rect x=\"20\" y=\"12\" width=\"40\" height=\"56\" rx=\"2\" ry=\"2\" fill=\"#ffffff\" stroke=\"#000000\" stroke-width=\"1.2\"/><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 20 55 L 26 60 L 20 65\"/><text x=\"24\" y=\"23\" text-anchor=\"start\" font-size=\"8\" font-family=\"Helvetica, Arial, sans-serif\" fill=\"#000000\">D</text><text x=\"56\" y=\"23\" text-anchor=\"end\" font-size=\"8\" font-family=\"Helvetica, Arial, sans-serif\" fill=\"#000000\">Q</text><text x=\"56\" y=\"63\" text-anchor=\"end\" font-size=\"8\" font-family=\"Helvetica, Arial, sans-serif\" fill=\"#000000\">/Q</text></svg>",
+			"componentType": "primitive",
+			"spiceType": "xspice",
+			"xspice": {
+				"ports": [
+					"1",
+					"2",
+					null,
+					null,
+					"3",
+					"4"
+				]
+			}
+		},
+		"digital_not": {
+			"name": "NOT Gate",
+			"description": "Digital inverter (XSPICE d_inverter)",
+			"defaultValue": "",
+			"designator": {
+				"prefix": "A",
+				"autoIncrement": true
+			},
+			"size": {
+				"width": 60,
+				"height": 40
+			},
+			"models": [
+				{
+					"name": "D_INV",
+					"model": ".model D_INV d_inverter(rise_delay=1n fall_delay=1n input_load=1p)"
+				}
+			],
+			"pins": [
+				{
+					"id": "1",
+					"name": "A",
+					"position": {
+						"x": 0,
+						"y": 20
+					},
+					"labelPosition": {
+						"x": 12,
+						"y": 20
+					},
+					"digital": true
+				},
+				{
+					"id": "2",
+					"name": "Y",
+					"position": {
+						"x": 60,
+						"y": 20
+					},
+					"labelPosition": {
+						"x": 48,
+						"y": 20
+					},
+					"digital": true
+				}
+			],
+			"labels": {
+				"designator": [
+					{
+						"x": 30,
+						"y": -6
+					},
+					{
+						"x": 30,
+						"y": -6
+					}
+				],
+				"value": [
+					{
+						"x": 30,
+						"y": 48
+					},
+					{
+						"x": 30,
+						"y": 48
+					}
+				]
+			},
+			"svg": "<svg xmlns=\"http://www.w3.org/2000/svg\" viewBox=\"0 0 80 60\" data-generated-by=\"symbol-editor\" data-comp-width=\"60\" data-comp-height=\"40\" data-offset-x=\"10\" data-offset-y=\"10\"><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 10 30 L 24 30\"/><path fill=\"#ffffff\" stroke=\"#000000\" stroke-width=\"1.2\" stroke-linejoin=\"round\" d=\"M 24 16 L 24 44 L 50 30 Z\"/><circle cx=\"53\" cy=\"30\" r=\"3\" fill=\"#ffffff\" stroke=\"#000000\" stroke-width=\"1.2\"/><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 56 30 L 70 30\"/></svg>",
+			"componentType": "primitive",
+			"spiceType": "xspice",
+			"xspice": {
+				"ports": [
+					"1",
+					"2"
+				]
+			}
+		},
+		"digital_or": {
+			"name": "OR Gate",
+			"description": "2-input digital OR (XSPICE d_or)",
+			"defaultValue": "",
+			"designator": {
+				"prefix": "A",
+				"autoIncrement": true
+			},
+			"size": {
+				"width": 60,
+				"height": 40
+			},
+			"models": [
+				{
+					"name": "D_OR2",
+					"model": ".model D_OR2 d_or(rise_delay=1n fall_delay=1n input_load=1p)"
+				}
+			],
+			"pins": [
+				{
+					"id": "1",
+					"name": "A",
+					"position": {
+						"x": 0,
+						"y": 10
+					},
+					"labelPosition": {
+						"x": 12,
+						"y": 10
+					},
+					"digital": true
+				},
+				{
+					"id": "2",
+					"name": "B",
+					"position": {
+						"x": 0,
+						"y": 30
+					},
+					"labelPosition": {
+						"x": 12,
+						"y": 30
+					},
+					"digital": true
+				},
+				{
+					"id": "3",
+					"name": "Y",
+					"position": {
+						"x": 60,
+						"y": 20
+					},
+					"labelPosition": {
+						"x": 48,
+						"y": 20
+					},
+					"digital": true
+				}
+			],
+			"labels": {
+				"designator": [
+					{
+						"x": 30,
+						"y": -6
+					},
+					{
+						"x": 30,
+						"y": -6
+					}
+				],
+				"value": [
+					{
+						"x": 30,
+						"y": 48
+					},
+					{
+						"x": 30,
+						"y": 48
+					}
+				]
+			},
+			"svg": "<svg xmlns=\"http://www.w3.org/2000/svg\" viewBox=\"0 0 80 60\" data-generated-by=\"symbol-editor\" data-comp-width=\"60\" data-comp-height=\"40\" data-offset-x=\"10\" data-offset-y=\"10\"><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 10 20 L 24 20\"/><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 10 40 L 24 40\"/><path fill=\"#ffffff\" stroke=\"#000000\" stroke-width=\"1.2\" stroke-linejoin=\"round\" d=\"M 20 14 Q 29 30 20 46 Q 44 46 56 30 Q 44 14 20 14 Z\"/><path fill=\"none\" stroke=\"#000000\" stroke-width=\"1\" stroke-linecap=\"round\" stroke-linejoin=\"round\" d=\"M 56 30 L 70 30\"/></svg>",
+			"componentType": "primitive",
+			"spiceType": "xspice",
+			"xspice": {
+				"ports": [
+					[
+						"1",
+						"2"
+					],
+					"3"
+				]
+			}
+		},
 		"custom_subcircuit": {
 			"name": "Subcircuit",
 			"description": "Place a custom .subckt definition",
@@ -0,0 +1,65 @@
+import { createStore, delMany as idbDelMany, get as idbGet, set as idbSet, update as idbUpdate } from 'idb-keyval';
+
+// A database of its own: idb-keyval creates one object store per database
+const DB_NAME = 'spicepad-results';
+const STORE_NAME = 'results';
+const INDEX_KEY = '__index';
+const MAX_ENTRIES = 50;
+
+// Bump when ngspice.wasm or the code models are rebuilt, so results from the old engine are not reused
+export const RESULT_CACHE_VERSION = 1;
+
+let store;
+
+function ensureStore() {
+    if (!store) {
+        store = createStore(DB_NAME, STORE_NAME);
+    }
+    return store;
+}
+
+/**
+ * Cache key for a netlist run under a given spinit
+ * @param {string} netlist - Without its timestamp line (see netlistBody), or no two runs match
+ * @param {string | null} spinit - Also decides which code models are loaded
+ * @returns {Promise<string | null>} SHA-256 hex digest; null where Web Crypto is unavailable (insecure origins)
+ */
+export async function resultCacheKey(netlist, spinit) {
+    if (!globalThis.crypto?.subtle) return null;
+    const text = `${RESULT_CACHE_VERSION}\n${spinit ?? ''}\n${netlist}`;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<Object | undefined>} What putCachedResult stored, or undefined
+ */
+export async function getCachedResult(key) {
+    const result = await idbGet(key, ensureStore());
+    if (result) await touch(key);
+    return result;
+}
+
+/**
+ * Store a run's results, evicting the least recently used once there are more than MAX_ENTRIES
+ * @param {string} key
+ * @param {Object} result - Structured-cloneable: rawfile bytes, stdout, ...
+ */
+export async function putCachedResult(key, result) {
+    await idbSet(key, result, ensureStore());
+    const evicted = await touch(key);
+    if (evicted.length > 0) await idbDelMany(evicted, ensureStore());
+}
+
+// Move a key to the end of the recency list; returns the keys pushed off its front
+async function touch(key) {
+    let evicted = [];
+    await idbUpdate(INDEX_KEY, (keys = []) => {
+        const next = keys.filter(entry => entry !== key);
+        next.push(key);
+        evicted = next.splice(0, Math.max(0, next.length - MAX_ENTRIES));
+        return next;
+    }, ensureStore());
+    return evicted;
+}
@@ -249,6 +249,9 @@ export async function updateComponent() {
     if (currentComp?.isGround) {
         comp.isGround = true;
     }
+    if (currentComp?.isNetLabel) {
+        comp.isNetLabel = true;
+    }
 
     // If ID changed, remove old and add new
     const currentId = getCurrentComponentId();
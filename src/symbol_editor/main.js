@@ -2943,6 +2943,9 @@ import { getDefaultComponents } from '../common/defaultComponents.js';
             if (components[currentComponentId]?.isGround) {
                 comp.isGround = true;
             }
+            if (components[currentComponentId]?.isNetLabel) {
+                comp.isNetLabel = true;
+            }
 
             // If ID changed, remove old and add new
             if (currentComponentId && currentComponentId !== id) {
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectConvergenceFailure, getRecoveryStrategies } from '../src/circuit_editor/ConvergenceRecovery.js';
+
+test('detects the failures ngspice stops on', () => {
+    assert.equal(detectConvergenceFailure('doAnalyses: TRAN:  Timestep too small; time = 1.0005e-06, timestep = 1.25e-21: trouble with node "out"'), 'timestep');
+    assert.equal(detectConvergenceFailure('Error: no convergence in DC operating point\nop simulation(s) aborted'), 'convergence');
+    assert.equal(detectConvergenceFailure('Warning: iteration limit reached'), 'convergence');
+});
+
+test('does not treat recovered gmin stepping as a failure', () => {
+    const output = [
+        'Warning: Dynamic gmin stepping failed',
+        'Note: Starting true gmin stepping',
+        'Note: True gmin stepping completed'
+    ].join('\n');
+    assert.equal(detectConvergenceFailure(output), null);
+    assert.equal(detectConvergenceFailure(''), null);
+    assert.equal(detectConvergenceFailure(undefined), null);
+});
+
+test('tries transient strategies in order, keeping the accuracy changes', () => {
+    const strategies = getRecoveryStrategies('tran');
+
+    assert.deepEqual(strategies.map(s => s.id), ['gmin', 'source', 'gear', 'reltol', 'nodeset']);
+    assert.deepEqual(strategies.map(s => s.label), [
+        'gmin stepping',
+        'source stepping',
+        'METHOD=GEAR',
+        'METHOD=GEAR + relaxed RELTOL',
+        'METHOD=GEAR + relaxed RELTOL + .nodeset all=0'
+    ]);
+    assert.deepEqual(strategies[1].cards, ['.options noopiter gminsteps=0 srcsteps=100']);
+    assert.deepEqual(strategies[4].cards, [
+        '.options method=gear',
+        '.options reltol=0.01 itl1=500 itl4=100',
+        '.nodeset all=0'
+    ]);
+});
+
+test('skips GEAR for operating points and retries nothing else', () => {
+    assert.deepEqual(getRecoveryStrategies('op').map(s => s.label), [
+        'gmin stepping',
+        'source stepping',
+        'relaxed RELTOL',
+        'relaxed RELTOL + .nodeset all=0'
+    ]);
+    assert.deepEqual(getRecoveryStrategies('ac'), []);
+    assert.deepEqual(getRecoveryStrategies('dc'), []);
+});
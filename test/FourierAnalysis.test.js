@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFourierOutput, computeThd } from '../src/circuit_editor/FourierAnalysis.js';
+
+// Batch-mode stdout of a 1 kHz sine into a soft clipper with `.four 1k v(out) v(in)`
+const CLIPPER_OUTPUT = `
+No. of Data Rows : 1053
+
+Fourier analysis for v(out):
+  No. Harmonics: 5, THD: 4.0427 %, Gridsize: 200, Interpolation Degree: 1
+
+Harmonic Frequency   Magnitude   Phase       Norm. Mag   Norm. Phase
+-------- ---------   ---------   -----       ---------   -----------
+ 0       0           -1.52e-05   0           -1.52e-05   0
+ 1       1000        0.98765     -0.36072    1           0
+ 2       2000        0.0012345   89.617      0.00125     89.978
+ 3       3000        0.039876    -1.0794     0.040375    -0.71868
+ 4       4000        0.00081234  88.902      0.00082249  89.263
+
+Fourier analysis for v(in):
+  No. Harmonics: 5, THD: 3.1623e-05 %, Gridsize: 200, Interpolation Degree: 1
+
+Harmonic Frequency   Magnitude   Phase       Norm. Mag   Norm. Phase
+-------- ---------   ---------   -----       ---------   -----------
+ 0       0           2.0833e-09  0           2.0833e-09  0
+ 1       1000        1           -1.2e-05    1           0
+ 2       2000        3.1623e-07  -90.001     3.1623e-07  -90.001
+
+Total analysis time (seconds) = 0.021
+`;
+
+test('reads each Fourier table with its THD', () => {
+    const [out, input] = parseFourierOutput(CLIPPER_OUTPUT);
+
+    assert.equal(out.vector, 'v(out)');
+    assert.equal(out.thd, 4.0427);
+    assert.equal(out.harmonics.length, 5);
+    assert.deepEqual(out.harmonics[1], {
+        index: 1, frequency: 1000, magnitude: 0.98765, phase: -0.36072, normMagnitude: 1, normPhase: 0
+    });
+    assert.equal(out.harmonics[0].magnitude, -1.52e-05);
+
+    assert.equal(input.vector, 'v(in)');
+    assert.equal(input.thd, 3.1623e-05);
+    assert.deepEqual(input.harmonics.map(h => h.frequency), [0, 1000, 2000]);
+});
+
+test('computes THD when the summary line is missing', () => {
+    const output = CLIPPER_OUTPUT.replace(/^.*THD:.*\n/gm, '');
+    const [out] = parseFourierOutput(output);
+
+    assert.ok(Math.abs(out.thd - computeThd(out.harmonics)) < 1e-12);
+    assert.ok(Math.abs(out.thd - 4.0427) < 0.01, `thd ${out.thd}`);
+});
+
+test('ignores rows outside a Fourier table', () => {
+    const output = ' 1       1000        1           0           1           0\n' + CLIPPER_OUTPUT;
+    assert.equal(parseFourierOutput(output).length, 2);
+    assert.deepEqual(parseFourierOutput('No. of Data Rows : 1053\n'), []);
+    assert.deepEqual(parseFourierOutput(''), []);
+});
+
+test('has no THD without a fundamental', () => {
+    assert.ok(Number.isNaN(computeThd([{ index: 0, magnitude: 1 }])));
+    assert.ok(Number.isNaN(computeThd([{ index: 1, magnitude: 0 }, { index: 2, magnitude: 0.1 }])));
+    assert.equal(computeThd([{ index: 1, magnitude: 2 }, { index: 2, magnitude: 0.06 }, { index: 3, magnitude: 0.08 }]), 5);
+});
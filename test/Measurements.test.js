@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateMeasurement, buildMeasureStatement, parseMeasureOutput } from '../src/circuit_editor/Measurements.js';
+
+// Batch-mode stdout of an RC step response with four .meas cards, one of which
+// asks for a level the output never reaches
+const RC_MEAS_OUTPUT = `
+No. of Data Rows : 213
+
+  Measurements for Transient Analysis
+
+tdelay              =  6.931472e-04 targ=  1.693147e-03 trig=  1.000000e-03
+vmax                =  4.999773e+00 at=  6.000000e-03
+vmax2               =  2.500000e+00 at=  1.693147e-03
+Error: measure  trise  : TARG  out of interval
+ meas tran trise trig v(out) val=0.5 rise=1 targ v(out) val=9 rise=1 failed!
+
+`;
+
+test('reads values and detail from .meas result lines', () => {
+    const [tdelay, vmax] = parseMeasureOutput(RC_MEAS_OUTPUT, ['tdelay', 'vmax']);
+
+    assert.deepEqual(tdelay, {
+        name: 'tdelay', value: 6.931472e-04, failed: false, detail: 'targ=  1.693147e-03 trig=  1.000000e-03'
+    });
+    assert.equal(vmax.value, 4.999773);
+    assert.equal(vmax.detail, 'at=  6.000000e-03');
+});
+
+test('matches names without case and not by prefix', () => {
+    const [upper, second] = parseMeasureOutput(RC_MEAS_OUTPUT, ['TDelay', 'vmax2']);
+
+    assert.equal(upper.name, 'TDelay');
+    assert.equal(upper.value, 6.931472e-04);
+    assert.equal(second.value, 2.5);
+});
+
+test('reports failed and missing measurements', () => {
+    const [trise, missing] = parseMeasureOutput(RC_MEAS_OUTPUT, ['trise', 'tfall']);
+
+    assert.equal(trise.failed, true);
+    assert.ok(Number.isNaN(trise.value));
+    assert.equal(trise.detail, 'meas tran trise trig v(out) val=0.5 rise=1 targ v(out) val=9 rise=1 failed!');
+    assert.deepEqual(missing, { name: 'tfall', value: NaN, failed: true, detail: 'not reported' });
+    assert.equal(parseMeasureOutput(null, ['vmax'])[0].failed, true);
+});
+
+test('builds .meas cards from probes', () => {
+    const resolve = label => ({ OUT: 'v(out)', IN: 'v(in)' })[label];
+
+    assert.equal(buildMeasureStatement({
+        name: 'tdelay', analysis: 'tran', type: 'trig_targ',
+        probe: 'IN', val: '2.5', edge: 'rise', probe2: 'OUT', val2: '2.5'
+    }, resolve), '.meas tran tdelay TRIG v(in) VAL=2.5 RISE=1 TARG v(out) VAL=2.5 CROSS=1');
+    assert.equal(buildMeasureStatement({
+        name: 'gain', analysis: 'ac', type: 'max', probe: 'OUT', quantity: 'db', from: '10', to: '1k'
+    }, resolve), '.meas ac gain MAX vdb(out) FROM=10 TO=1k');
+    assert.equal(buildMeasureStatement({
+        name: 'v1ms', analysis: 'tran', type: 'find_at', probe: 'OUT', at: '1m'
+    }, resolve), '.meas tran v1ms FIND v(out) AT=1m');
+});
+
+test('rejects unusable measurements', () => {
+    const valid = { name: 'vmax', analysis: 'tran', type: 'max', probe: 'OUT' };
+
+    assert.equal(validateMeasurement(valid), null);
+    assert.match(validateMeasurement({ ...valid, name: '1st' }), /start with a letter/);
+    assert.match(validateMeasurement(valid, ['VMAX']), /already exists/);
+    assert.match(validateMeasurement({ ...valid, analysis: 'op' }), /Unknown analysis/);
+    assert.match(validateMeasurement({ ...valid, type: 'find_at' }), /point to measure at/);
+    assert.match(validateMeasurement({ ...valid, type: 'trig_targ', val: '1' }), /second probe/);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_MONTE_CARLO_RUNS,
+    validateRunCount,
+    createRandom,
+    normalizeTolerance,
+    randomizeValue,
+    measure,
+    summarize
+} from '../src/circuit_editor/MonteCarlo.js';
+import { parseSpiceNumber } from '../src/circuit_editor/ParameterSweep.js';
+
+function draw(valueText, tolerance, count, seed = 1) {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () => parseSpiceNumber(randomizeValue(valueText, tolerance, random)));
+}
+
+function realVector(name, values) {
+    return { name, type: 'voltage', unit: 'V', complex: false, values: Float64Array.from(values) };
+}
+
+test(`allows between 1 and ${MAX_MONTE_CARLO_RUNS} runs`, () => {
+    assert.equal(MAX_MONTE_CARLO_RUNS, 500);
+    assert.equal(validateRunCount(1), null);
+    assert.equal(validateRunCount(500), null);
+    assert.match(validateRunCount(501), /between 1 and 500/);
+    assert.match(validateRunCount(0), /between 1 and 500/);
+    assert.match(validateRunCount(2.5), /whole number/);
+    assert.match(validateRunCount(NaN), /whole number/);
+});
+
+test('a seed reproduces the same draws', () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+    const other = createRandom(43);
+    const a = Array.from({ length: 5 }, first);
+    const b = Array.from({ length: 5 }, second);
+
+    assert.deepEqual(a, b);
+    assert.notDeepEqual(a, Array.from({ length: 5 }, other));
+    assert.ok(a.every(x => x >= 0 && x < 1));
+});
+
+test('normalizes tolerance entries', () => {
+    assert.deepEqual(normalizeTolerance({ percent: 5, distribution: 'gaussian' }), { percent: 5, distribution: 'gaussian' });
+    assert.deepEqual(normalizeTolerance({ percent: '1' }), { percent: 1, distribution: 'uniform' });
+    assert.deepEqual(normalizeTolerance({ percent: 10, distribution: 'triangle' }), { percent: 10, distribution: 'uniform' });
+    assert.equal(normalizeTolerance({ percent: 0 }), null);
+    assert.equal(normalizeTolerance({ percent: -5 }), null);
+    assert.equal(normalizeTolerance(undefined), null);
+});
+
+test('uniform tolerance stays within the percentage and covers it', () => {
+    const values = draw('1k', { percent: 5, distribution: 'uniform' }, 2000);
+    const { min, max, mean } = summarize(values);
+
+    assert.ok(min >= 950 && max <= 1050, `${min}..${max}`);
+    assert.ok(min < 955 && max > 1045, `${min}..${max}`);
+    assert.ok(Math.abs(mean - 1000) < 5, `mean ${mean}`);
+});
+
+test('gaussian tolerance reads the percentage as 3 sigma', () => {
+    const values = draw('1k', { percent: 3, distribution: 'gaussian' }, 2000);
+    const { mean, std } = summarize(values);
+
+    // sigma = 1 % of 1k
+    assert.ok(Math.abs(mean - 1000) < 1.5, `mean ${mean}`);
+    assert.ok(Math.abs(std - 10) < 1, `std ${std}`);
+});
+
+test('randomizes plain numbers and DC source values only', () => {
+    const tolerance = { percent: 10, distribution: 'uniform' };
+    const random = createRandom(7);
+
+    assert.match(randomizeValue('DC 5', tolerance, random), /^DC \S+$/);
+    assert.match(randomizeValue('dc 5', tolerance, random), /^dc \S+$/);
+    assert.equal(randomizeValue('SIN(0 1 1k)', tolerance, random), null);
+    assert.equal(randomizeValue('{rload}', tolerance, random), null);
+    assert.equal(randomizeValue('', tolerance, random), null);
+});
+
+test('measures a probe at a point and over the run', () => {
+    const plot = {
+        numPoints: 3,
+        vectors: [realVector('time', [0, 1e-3, 2e-3]), realVector('v(out)', [0, 2, 1])]
+    };
+
+    assert.equal(measure(plot, 'v(out)', { type: 'at', at: '500u' }), 1);
+    assert.equal(measure(plot, 'v(out)', { type: 'max' }), 2);
+    assert.equal(measure(plot, 'v(out)', { type: 'min' }), 0);
+    assert.equal(measure(plot, 'v(out)', { type: 'pp' }), 2);
+    assert.ok(Number.isNaN(measure(plot, 'v(out)', { type: 'at', at: '5m' })));
+    assert.ok(Number.isNaN(measure(plot, 'v(missing)', { type: 'max' })));
+    assert.equal(measure(plot, null, { type: 'max' }), 0);
+});
+
+test('finds the -3 dB frequency of an AC magnitude', () => {
+    const plot = {
+        numPoints: 3,
+        vectors: [
+            realVector('frequency', [10, 100, 1000]),
+            { name: 'v(out)', type: 'voltage', unit: 'V', complex: true, real: Float64Array.from([1, 0.8, 0.1]), imag: Float64Array.from([0, 0, 0]) }
+        ]
+    };
+    const cutoff = measure(plot, 'v(out)', { type: 'cutoff' });
+
+    assert.ok(cutoff > 100 && cutoff < 1000, `cutoff ${cutoff}`);
+});
+
+test('summarizes only finite values', () => {
+    const summary = summarize([1, 2, 3, NaN]);
+    assert.equal(summary.count, 3);
+    assert.equal(summary.mean, 2);
+    assert.equal(summary.std, 1);
+    assert.equal(summary.min, 1);
+    assert.equal(summary.max, 3);
+    assert.equal(summarize([]).count, 0);
+});
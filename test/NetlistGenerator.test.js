@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NetlistGenerator } from '../src/circuit_editor/NetlistGenerator.js';
+
+const resistor = (id, designatorText) => ({
+    id,
+    name: id,
+    pins: [{ id: '1', name: 'A' }, { id: '2', name: 'B' }],
+    meta: { designatorText, valueText: '1k', definition: { spiceType: 'resistor' } }
+});
+const source = (id, designatorText) => ({
+    id,
+    name: id,
+    pins: [{ id: '1', name: '1' }, { id: '2', name: '2' }],
+    meta: { designatorText, valueText: '5', definition: { spiceType: 'voltage' } }
+});
+const label = (id, text) => ({ id, name: id, pins: [{ id: '1', name: '1' }], meta: { designatorText: text, isNetLabel: true } });
+const ground = id => ({ id, name: id, pins: [{ id: '1', name: '1' }], meta: { isGround: true } });
+
+/**
+ * Net map of a circuit given as parts, the wire node each pin sits on, and wire segments
+ * @param {Array<[Object, number[]]>} parts - Component and the node ID of each of its pins
+ * @param {Array<[number, number]>} segments
+ * @param {number[]} [wireNodes] - Extra nodes that only wires touch
+ */
+function netMapOf(parts, segments, wireNodes = []) {
+    const componentManager = {
+        components: parts.map(([component]) => component),
+        pinNodeIdsByComponent: new Map(parts.map(([component, nodes]) => [
+            component.id,
+            new Map(component.pins.map((pin, index) => [pin.id, nodes[index]]))
+        ]))
+    };
+    const nodeIds = new Set([...parts.flatMap(([, nodes]) => nodes), ...wireNodes]);
+    const wireGraph = {
+        getAllNodes: () => Array.from(nodeIds, id => ({ id })),
+        getSegmentsForNode: id => segments
+            .filter(segment => segment.includes(id))
+            .map(([nodeId1, nodeId2]) => ({ nodeId1, nodeId2 }))
+    };
+    return new NetlistGenerator(componentManager, wireGraph).generateWithMetadata().netMap;
+}
+
+test('names an unlabelled net after its first component pin', () => {
+    const netMap = netMapOf(
+        [[source('v1', 'V1'), [1, 2]], [resistor('r1', 'R1'), [3, 4]], [resistor('r2', 'R2'), [5, 6]], [ground('gnd'), [7]]],
+        [[1, 3], [4, 5], [2, 7], [6, 7]]
+    );
+
+    assert.equal(netMap.get(1), 'R1_A');
+    assert.equal(netMap.get(4), 'R1_B');
+    assert.equal(netMap.get(5), 'R1_B');
+    assert.equal(netMap.get(6), '0');
+});
+
+test('names a labelled net after its label', () => {
+    const netMap = netMapOf(
+        [[resistor('r1', 'R1'), [1, 2]], [label('l1', 'VOUT'), [3]], [ground('gnd'), [4]]],
+        [[2, 3], [1, 4]]
+    );
+
+    assert.equal(netMap.get(2), 'VOUT');
+    assert.equal(netMap.get(1), '0');
+});
+
+test('joins nets whose labels differ only in case', () => {
+    const netMap = netMapOf(
+        [[resistor('r1', 'R1'), [1, 2]], [resistor('r2', 'R2'), [3, 4]], [label('l1', 'Vout'), [5]], [label('l2', 'VOUT'), [6]]],
+        [[2, 5], [3, 6]]
+    );
+
+    assert.equal(netMap.get(2).toLowerCase(), 'vout');
+    assert.equal(netMap.get(3), netMap.get(2));
+});
+
+test('joins every net that shares any label with another', () => {
+    // One net carries A and B, another only B, a third only b
+    const netMap = netMapOf(
+        [
+            [resistor('r1', 'R1'), [1, 2]], [label('la', 'A'), [3]], [label('lb1', 'B'), [4]],
+            [resistor('r2', 'R2'), [5, 6]], [label('lb2', 'B'), [7]],
+            [resistor('r3', 'R3'), [8, 9]], [label('lb3', 'b'), [10]]
+        ],
+        [[2, 3], [2, 4], [5, 7], [8, 10]]
+    );
+
+    assert.equal(netMap.get(2), 'A');
+    assert.equal(netMap.get(5), 'A');
+    assert.equal(netMap.get(8), 'A');
+});
+
+test('treats a gnd label as ground', () => {
+    const netMap = netMapOf([[resistor('r1', 'R1'), [1, 2]], [label('l1', 'Gnd'), [3]]], [[2, 3]]);
+    assert.equal(netMap.get(2), '0');
+});
+
+test('names a wire-only net after its lowest node', () => {
+    const netMap = netMapOf([[resistor('r1', 'R1'), [1, 2]]], [[12, 11]], [12, 11]);
+    assert.equal(netMap.get(11), 'N11');
+    assert.equal(netMap.get(12), 'N11');
+});
+
+test('keeps a derived name from taking a label', () => {
+    const netMap = netMapOf(
+        [[resistor('r1', 'R1'), [1, 2]], [resistor('r2', 'R2'), [3, 4]], [label('l1', 'r1_a'), [5]]],
+        [[3, 5]]
+    );
+
+    assert.equal(netMap.get(3), 'r1_a');
+    assert.equal(netMap.get(1), 'R1_A_1');
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNgspiceDiagnostics } from '../src/circuit_editor/NgspiceDiagnostics.js';
+
+test('reports both causes of a transient timestep failure', () => {
+    const output = 'doAnalyses: TRAN:  Timestep too small; time = 1.0005e-06, timestep = 1.25e-21: trouble with node "out"\n'
+        + 'tran simulation(s) aborted\n';
+    const diagnostics = parseNgspiceDiagnostics(output);
+
+    assert.deepEqual(diagnostics.map(d => d.message), [
+        'Convergence trouble at node out',
+        'Timestep too small - the transient analysis could not converge'
+    ]);
+    assert.deepEqual(diagnostics[0].nets, ['out']);
+    assert.ok(diagnostics.every(d => d.severity === 'error'));
+});
+
+test('takes the offending card and its designator from "Error on line"', () => {
+    const output = [
+        'Error on line 3 or its substitute:',
+        '  m1 d g 0 0 nmos_missing w=1u l=1u',
+        'could not find a valid modelname',
+        'Simulation interrupted due to error!'
+    ].join('\n');
+    const [diagnostic] = parseNgspiceDiagnostics(output);
+
+    assert.equal(diagnostic.message, 'Missing or invalid model name');
+    assert.equal(diagnostic.card, 'm1 d g 0 0 nmos_missing w=1u l=1u');
+    assert.deepEqual(diagnostic.designators, ['m1']);
+});
+
+test('uses an unknown reason after "Error on line" as the message', () => {
+    const output = [
+        'Error on line 4 or its substitute:',
+        '  r1 in out',
+        'Error: resistor r1 has no value',
+    ].join('\n');
+    const [diagnostic] = parseNgspiceDiagnostics(output);
+
+    assert.equal(diagnostic.message, 'Error: resistor r1 has no value');
+    assert.equal(diagnostic.card, 'r1 in out');
+    assert.deepEqual(diagnostic.designators, ['r1']);
+});
+
+test('recognises common ngspice messages', () => {
+    const output = [
+        '[stderr] Error: unknown subckt: x1 in out opamp_missing',
+        'Warning: singular matrix:  check nodes n1 and n2',
+        'Trouble with diode-instance d1',
+        'Warning: Dynamic gmin stepping failed',
+        'Error: no such vector i(vsense)',
+        'Warning: v1: no DC value, transient time 0 value used'
+    ].join('\n');
+    const diagnostics = parseNgspiceDiagnostics(output);
+
+    assert.deepEqual(diagnostics.map(d => [d.severity, d.message, d.designators, d.nets]), [
+        ['error', 'Unknown subcircuit for x1', ['x1'], []],
+        ['error', 'Singular matrix at nodes n1 and n2 (floating node or loop of voltage sources/inductors?)', [], ['n1', 'n2']],
+        ['error', 'Convergence trouble in diode d1', ['d1'], []],
+        ['warning', 'Gmin stepping failed while solving the operating point', [], []],
+        ['error', 'No such vector i(vsense)', ['vsense'], []],
+        ['warning', 'v1: no DC value, transient time 0 value used', ['v1'], []]
+    ]);
+});
+
+test('does not treat words in a message as designators', () => {
+    const [diagnostic] = parseNgspiceDiagnostics('Error: c1 r1 and v1 are mentioned in passing');
+    assert.deepEqual(diagnostic.designators, []);
+});
+
+test('skips notes, comments and repeated messages', () => {
+    const output = [
+        'Note: No compatibility mode selected!',
+        "Warning: can't find the initialization file spinit.",
+        '* error in a comment line',
+        'Warning: singular matrix:  check node out',
+        'Warning: singular matrix:  check node out'
+    ].join('\n');
+    const diagnostics = parseNgspiceDiagnostics(output);
+
+    assert.equal(diagnostics.length, 1);
+    assert.deepEqual(diagnostics[0].nets, ['out']);
+    assert.deepEqual(parseNgspiceDiagnostics(''), []);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_SWEEP_POINTS,
+    parseSpiceNumber,
+    formatSpiceNumber,
+    expandSweepValues,
+    describeSweep,
+    formatSweepStep
+} from '../src/circuit_editor/ParameterSweep.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * 1e-12, `${actual} != ${expected}`);
+
+test('parses SPICE scale suffixes', () => {
+    close(parseSpiceNumber('4.7k'), 4700);
+    close(parseSpiceNumber('10u'), 10e-6);
+    close(parseSpiceNumber('10µ'), 10e-6);
+    close(parseSpiceNumber('1Meg'), 1e6);
+    close(parseSpiceNumber('1MEG'), 1e6);
+    close(parseSpiceNumber('2mil'), 50.8e-6);
+    close(parseSpiceNumber('1e-3'), 1e-3);
+    close(parseSpiceNumber('-2.5'), -2.5);
+    close(parseSpiceNumber('.5n'), 0.5e-9);
+    assert.equal(parseSpiceNumber(12), 12);
+});
+
+test('reads M as milli and meg as mega', () => {
+    close(parseSpiceNumber('1M'), 1e-3);
+    close(parseSpiceNumber('1m'), 1e-3);
+    close(parseSpiceNumber('1meg'), 1e6);
+});
+
+test('ignores trailing units', () => {
+    close(parseSpiceNumber('10pF'), 10e-12);
+    close(parseSpiceNumber('5V'), 5);
+    close(parseSpiceNumber('100mA'), 0.1);
+});
+
+test('rejects text that is not a SPICE number', () => {
+    assert.ok(Number.isNaN(parseSpiceNumber('1k5')));
+    assert.ok(Number.isNaN(parseSpiceNumber('abc')));
+    assert.ok(Number.isNaN(parseSpiceNumber('')));
+    assert.ok(Number.isNaN(parseSpiceNumber(null)));
+});
+
+test('formats numbers with a scale suffix', () => {
+    assert.equal(formatSpiceNumber(4700), '4.7k');
+    assert.equal(formatSpiceNumber(1e6), '1Meg');
+    assert.equal(formatSpiceNumber(2.2e-9), '2.2n');
+    assert.equal(formatSpiceNumber(-0.015), '-15m');
+    assert.equal(formatSpiceNumber(0), '0');
+    assert.equal(formatSpiceNumber(1 / 3), '333.3m');
+    assert.equal(formatSpiceNumber(1 / 3, 6), '333.333m');
+    assert.equal(parseSpiceNumber(formatSpiceNumber(1e6)), 1e6);
+});
+
+test('expands list, linear and decade sweeps', () => {
+    assert.deepEqual(expandSweepValues({ mode: 'list', list: '1k, 2.2k;4.7k  10k' }), ['1k', '2.2k', '4.7k', '10k']);
+    assert.deepEqual(expandSweepValues({ mode: 'lin', start: '0', stop: '1', points: '5' }), ['0', '250m', '500m', '750m', '1']);
+    assert.deepEqual(expandSweepValues({ mode: 'lin', start: '1k', stop: '2k', points: '1' }), ['1k']);
+    assert.deepEqual(expandSweepValues({ mode: 'dec', start: '1k', stop: '100k', points: '1' }), ['1k', '10k', '100k']);
+    assert.deepEqual(expandSweepValues({ mode: 'dec', start: '100', stop: '1', points: '1' }), ['100', '10', '1']);
+    assert.deepEqual(expandSweepValues(null), []);
+});
+
+test('rejects incomplete sweep settings', () => {
+    assert.throws(() => expandSweepValues({ mode: 'list', list: ' ' }), /at least one sweep value/);
+    assert.throws(() => expandSweepValues({ mode: 'lin', start: 'x', stop: '1', points: '2' }), /start and stop must be numbers/);
+    assert.throws(() => expandSweepValues({ mode: 'lin', start: '0', stop: '1', points: '2.5' }), /whole number/);
+    assert.throws(() => expandSweepValues({ mode: 'dec', start: '0', stop: '1k', points: '5' }), /positive start and stop/);
+    assert.throws(() => expandSweepValues({ mode: 'oct', start: '1', stop: '2', points: '5' }), /Unknown sweep mode/);
+});
+
+test(`allows at most ${MAX_SWEEP_POINTS} points`, () => {
+    assert.equal(MAX_SWEEP_POINTS, 50);
+    assert.equal(expandSweepValues({ mode: 'lin', start: '1', stop: '50', points: '50' }).length, 50);
+    assert.throws(() => expandSweepValues({ mode: 'lin', start: '1', stop: '51', points: '51' }), /at most 50 points \(got 51\)/);
+    const list = Array.from({ length: 51 }, (_, i) => String(i + 1)).join(' ');
+    assert.throws(() => expandSweepValues({ mode: 'list', list }), /at most 50 points/);
+});
+
+test('describes sweeps and their steps', () => {
+    const component = { target: { kind: 'component', designator: 'R2' }, mode: 'list', list: '1k,2k' };
+    const param = { target: { kind: 'param', name: 'rload' }, mode: 'dec', start: '1k', stop: '100k', points: '5' };
+    const temp = { target: { kind: 'temp' }, mode: 'list', list: '-40 25 85' };
+
+    assert.equal(describeSweep(component), '.step R2 list 1k 2k');
+    assert.equal(describeSweep(param), '.step param rload dec 1k 100k 5');
+    assert.equal(describeSweep(temp), '.step temp list -40 25 85');
+    assert.equal(formatSweepStep(component, '4.7k'), 'R2 = 4.7k');
+    assert.equal(formatSweepStep(temp, '85'), 'Temp = 85 °C');
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRawfile } from '../src/circuit_editor/RawfileParser.js';
+import { extractPoleZero, describeRoot } from '../src/circuit_editor/PoleZero.js';
+
+// ASCII rawfile from `.pz in 0 out 0 vol pz` on a series RLC band-pass
+// (R = 10, L = 1m, C = 10u: ω0 = 10k rad/s, ζ = 0.5)
+const RLC_PZ_RAWFILE = [
+    'Title: * SpicePad Circuit',
+    'Date: Sat Oct 17 10:00:00  2026',
+    'Plotname: Pole-Zero Analysis',
+    'Flags: complex',
+    'No. Variables: 3',
+    'No. Points: 1',
+    'Variables:',
+    '\t0\tpole(1)\tnotype',
+    '\t1\tpole(2)\tnotype',
+    '\t2\tzero(1)\tnotype',
+    'Values:',
+    ' 0\t-5.000000000000000e+03,8.660254037844386e+03',
+    '\t-5.000000000000000e+03,-8.660254037844386e+03',
+    '\t0.000000000000000e+00,0.000000000000000e+00',
+    ''
+].join('\n');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${actual} != ${expected}`);
+
+test('reads poles and zeros from a pole-zero plot', () => {
+    const { poles, zeros } = extractPoleZero(parseRawfile(RLC_PZ_RAWFILE));
+
+    assert.deepEqual(poles.map(p => [p.kind, p.index, p.real, p.imag]), [
+        ['pole', 1, -5000, 8660.254037844386],
+        ['pole', 2, -5000, -8660.254037844386]
+    ]);
+    close(poles[0].naturalFrequency, 10000);
+    close(poles[0].frequencyHz, 10000 / (2 * Math.PI));
+    close(poles[0].damping, 0.5);
+
+    assert.equal(zeros.length, 1);
+    assert.equal(zeros[0].naturalFrequency, 0);
+    assert.ok(Number.isNaN(zeros[0].damping));
+});
+
+test('orders roots by index and skips other vectors', () => {
+    const root = (name, real) => ({ name, type: 'notype', unit: '', complex: true, real: [real], imag: [0] });
+    const plots = [
+        { plotname: 'Pole-Zero Analysis', vectors: [root('pole(2)', -2), root('POLE(1)', -1), root('zero(3)', -3)] },
+        { plotname: 'Operating Point', vectors: [{ name: 'v(out)', complex: false, values: [1] }] }
+    ];
+    const { poles, zeros } = extractPoleZero(plots);
+
+    assert.deepEqual(poles.map(p => p.index), [1, 2]);
+    assert.deepEqual(zeros.map(z => z.index), [3]);
+    assert.deepEqual(extractPoleZero([]), { poles: [], zeros: [] });
+});
+
+test('gives right-half-plane roots negative damping', () => {
+    const root = describeRoot('pole', 1, 100, 0);
+    assert.equal(root.damping, -1);
+    assert.equal(describeRoot('pole', 1, -100, 0).damping, 1);
+    assert.equal(Math.abs(describeRoot('pole', 1, 0, 100).damping), 0);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRawfile, findVector, realValues } from '../src/circuit_editor/RawfileParser.js';
+
+function header({ plotname, flags, variables, points, format }) {
+    return [
+        'Title: * SpicePad Circuit',
+        'Date: Sat Oct 17 10:00:00  2026',
+        `Plotname: ${plotname}`,
+        `Flags: ${flags}`,
+        `No. Variables: ${variables.length}`,
+        `No. Points: ${points}`,
+        'Variables:',
+        ...variables.map(([name, type], index) => `\t${index}\t${name}\t${type}`),
+        format === 'binary' ? 'Binary:' : 'Values:'
+    ].join('\n') + '\n';
+}
+
+// Header text followed by little-endian doubles, as `write` does with filetype=binary
+function binaryRawfile(options, numbers) {
+    const text = new TextEncoder().encode(header({ ...options, format: 'binary' }));
+    const bytes = new Uint8Array(text.length + numbers.length * 8);
+    bytes.set(text);
+    const view = new DataView(bytes.buffer, text.length);
+    numbers.forEach((value, index) => view.setFloat64(index * 8, value, true));
+    return bytes;
+}
+
+const TRAN_VARIABLES = [['time', 'time'], ['v(out)', 'voltage'], ['v1#branch', 'current']];
+
+test('reads a binary transient plot', () => {
+    const data = binaryRawfile(
+        { plotname: 'Transient Analysis', flags: 'real', variables: TRAN_VARIABLES, points: 2 },
+        [0, 1, -1e-3, 1e-6, 0.5, -0.5e-3]
+    );
+    const [plot] = parseRawfile(data);
+
+    assert.equal(plot.plotname, 'Transient Analysis');
+    assert.equal(plot.complex, false);
+    assert.equal(plot.numPoints, 2);
+    assert.deepEqual(plot.vectors.map(vec => [vec.name, vec.type, vec.unit]), [
+        ['time', 'time', 's'],
+        ['v(out)', 'voltage', 'V'],
+        ['v1#branch', 'current', 'A']
+    ]);
+    assert.deepEqual(Array.from(plot.vectors[1].values), [1, 0.5]);
+    assert.deepEqual(Array.from(plot.vectors[2].values), [-1e-3, -0.5e-3]);
+});
+
+test('keeps the points a cut-short binary file holds', () => {
+    const data = binaryRawfile(
+        { plotname: 'Transient Analysis', flags: 'real', variables: TRAN_VARIABLES, points: 5 },
+        [0, 1, -1e-3, 1e-6, 0.5]
+    );
+    const [plot] = parseRawfile(data);
+
+    assert.equal(plot.numPoints, 1);
+    assert.deepEqual(Array.from(plot.vectors[1].values), [1]);
+});
+
+test('reads complex binary data as real and imaginary parts', () => {
+    const data = binaryRawfile(
+        { plotname: 'AC Analysis', flags: 'complex', variables: [['frequency', 'frequency'], ['v(out)', 'voltage']], points: 2 },
+        [10, 0, 0.9, -0.1, 100, 0, 0.5, -0.5]
+    );
+    const [plot] = parseRawfile(data);
+    const out = findVector(plot, 'v(out)');
+
+    assert.equal(plot.complex, true);
+    assert.equal(out.complex, true);
+    assert.equal(out.unit, 'V');
+    assert.deepEqual(Array.from(out.real), [0.9, 0.5]);
+    assert.deepEqual(Array.from(out.imag), [-0.1, -0.5]);
+    assert.deepEqual(Array.from(realValues(plot.vectors[0])), [10, 100]);
+});
+
+test('reads ASCII values, real and complex', () => {
+    const real = header({ plotname: 'DC transfer characteristic', flags: 'real', variables: [['v-sweep', 'voltage'], ['v(out)', 'voltage']], points: 2, format: 'ascii' })
+        + ' 0\t0.000000000000000e+00\n\t0.000000000000000e+00\n\n'
+        + ' 1\t1.000000000000000e+00\n\t5.000000000000000e-01\n\n';
+    const [dc] = parseRawfile(real);
+    assert.equal(dc.numPoints, 2);
+    assert.deepEqual(Array.from(findVector(dc, 'v(out)').values), [0, 0.5]);
+
+    const complex = header({ plotname: 'AC Analysis', flags: 'complex', variables: [['frequency', 'frequency'], ['v(out)', 'voltage']], points: 1, format: 'ascii' })
+        + ' 0\t1.000000000000000e+03,0.000000000000000e+00\n\t7.071067811865476e-01,-7.071067811865476e-01\n\n';
+    const [ac] = parseRawfile(complex);
+    const out = findVector(ac, 'v(out)');
+    assert.deepEqual(Array.from(out.real), [0.7071067811865476]);
+    assert.deepEqual(Array.from(out.imag), [-0.7071067811865476]);
+});
+
+test('reads several plots written back to back', () => {
+    const op = header({ plotname: 'Operating Point', flags: 'real', variables: [['v(out)', 'voltage']], points: 1, format: 'ascii' })
+        + ' 0\t2.500000000000000e+00\n\n';
+    const tran = header({ plotname: 'Transient Analysis', flags: 'real', variables: [['time', 'time'], ['v(out)', 'voltage']], points: 1, format: 'ascii' })
+        + ' 0\t0.000000000000000e+00\n\t2.500000000000000e+00\n\n';
+    const plots = parseRawfile(op + tran);
+
+    assert.deepEqual(plots.map(plot => plot.plotname), ['Operating Point', 'Transient Analysis']);
+});
+
+test('rejects data without a plot header', () => {
+    assert.throws(() => parseRawfile('Circuit: * not a rawfile\n'), /Not an ngspice rawfile/);
+});
+
+test('finds vectors by the names the netlist asked for', () => {
+    const variables = [['time', 'time'], ['v(out)', 'voltage'], ['V1#branch', 'current'], ['v(a)-v(b)', 'voltage'], ['@m1[id]', 'current']];
+    const data = binaryRawfile(
+        { plotname: 'Transient Analysis', flags: 'real', variables, points: 1 },
+        [0, 1, 2, 3, 4]
+    );
+    const [plot] = parseRawfile(data);
+
+    assert.equal(findVector(plot, 'V(OUT)').name, 'v(out)');
+    assert.equal(findVector(plot, 'out').name, 'v(out)');
+    assert.equal(findVector(plot, 'i(v1)').name, 'V1#branch');
+    assert.equal(findVector(plot, 'v(a,b)').name, 'v(a)-v(b)');
+    assert.equal(findVector(plot, 'v(a, b)').name, 'v(a)-v(b)');
+    assert.equal(findVector(plot, '@M1[id]').name, '@m1[id]');
+    assert.equal(findVector(plot, 'v(missing)'), null);
+    assert.equal(findVector(null, 'v(out)'), null);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RunHistory, circuitSnapshot, summarizeChanges } from '../src/circuit_editor/RunHistory.js';
+
+function snapshot({ r1 = '1k', extra = false, wires = [[1, 2]], temperature } = {}) {
+    const components = [
+        { id: 'r1', name: 'r1', meta: { designatorText: 'R1', valueText: r1 } },
+        { id: 'c1', name: 'c1', meta: { designatorText: 'C1', valueText: '100n', initialCondition: '0' } }
+    ];
+    if (extra) components.push({ id: 'c3', name: 'c3', meta: { designatorText: 'C3', valueText: '1u' } });
+    return circuitSnapshot({
+        components,
+        wires,
+        probes: [{ label: 'OUT' }],
+        simulation: [{ text: '.tran 1u 1m' }],
+        simulationOptions: temperature === undefined ? {} : { temperature }
+    });
+}
+
+function addRun(history, options) {
+    return history.add({
+        timestamp: 0,
+        snapshot: snapshot(options),
+        netlists: [],
+        results: [
+            { label: '.tran 1u 1m', analysisType: 'tran', rawData: new Uint8Array(), probeInfo: [] },
+            { label: '.ac dec 10 1 1meg', analysisType: 'ac', rawData: new Uint8Array(), probeInfo: [] }
+        ]
+    });
+}
+
+test('keeps the newest runs up to the limit', () => {
+    const history = new RunHistory(3);
+    for (let i = 0; i < 5; i++) addRun(history);
+
+    assert.deepEqual(history.runs.map(run => run.id), [5, 4, 3]);
+    assert.equal(history.get(1), null);
+});
+
+test('keeps a pinned run after it would have dropped off', () => {
+    const history = new RunHistory(2);
+    addRun(history);
+    history.pin(1);
+    for (let i = 0; i < 4; i++) addRun(history);
+
+    assert.deepEqual(history.runs.map(run => run.id), [5, 4, 1]);
+    assert.equal(history.getPinned().id, 1);
+
+    history.pin(null);
+    addRun(history);
+    assert.deepEqual(history.runs.map(run => run.id), [6, 5]);
+});
+
+test('does not pin a run that is not in the history', () => {
+    const history = new RunHistory();
+    addRun(history);
+    history.pin(7);
+    assert.equal(history.getPinned(), null);
+});
+
+test('finds the reference result for the same analysis', () => {
+    const history = new RunHistory();
+    assert.equal(history.findReference('tran', '.tran 1u 1m'), null);
+
+    addRun(history);
+    history.pin(1);
+    assert.equal(history.findReference('ac', '.ac dec 10 1 1meg').label, '.ac dec 10 1 1meg');
+    assert.equal(history.findReference('tran', '.tran 1u 5m').label, '.tran 1u 1m');
+    assert.equal(history.findReference('tran', '.tran 1u 1m').runId, 1);
+    assert.equal(history.findReference('dc', '.dc v1 0 5 0.1'), null);
+});
+
+test('records what changed since the previous run', () => {
+    const history = new RunHistory();
+    assert.equal(addRun(history).changes, null);
+    assert.deepEqual(addRun(history).changes, []);
+    assert.deepEqual(addRun(history, { r1: '2.2k', extra: true }).changes, ['R1 1k → 2.2k', 'added C3']);
+});
+
+test('describes each kind of change', () => {
+    const before = snapshot();
+    const after = snapshot({ wires: [[1, 3]], temperature: 85 });
+    after.components.r1 = { ...after.components.r1, designator: 'R10', model: 'RMOD' };
+    delete after.components.c1;
+    after.probes = ['OUT', 'IN'];
+    after.directives = ['.ac dec 10 1 1meg'];
+    after.simulatorOptions = '{"reltol":"1e-4"}';
+    after.initialConditions = '[{"net":"out","value":"1"}]';
+
+    assert.deepEqual(summarizeChanges(before, after), [
+        'R1 renamed R10',
+        'R10 model changed',
+        'removed C1',
+        'wiring changed',
+        'initial conditions changed',
+        'probes changed',
+        'analyses changed',
+        'temperature default → 85',
+        'simulator options changed'
+    ]);
+});
+
+test('shows cleared values and initial conditions as (none)', () => {
+    const before = snapshot();
+    const after = snapshot({ r1: '' });
+    after.components.c1 = { ...after.components.c1, ic: '' };
+
+    assert.deepEqual(summarizeChanges(before, after), ['R1 1k → (none)', 'C1 IC=0 → (none)']);
+});
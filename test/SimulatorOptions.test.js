@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSimulatorOptions, buildOptionsCard } from '../src/circuit_editor/SimulatorOptions.js';
+
+test('accepts SPICE numbers and blank fields', () => {
+    assert.equal(validateSimulatorOptions({ reltol: '1e-4', abstol: '10p', vntol: '1u', itl1: '500', method: 'GEAR' }), null);
+    assert.equal(validateSimulatorOptions({ reltol: ' ', gmin: '' }), null);
+    assert.equal(validateSimulatorOptions({}), null);
+    assert.equal(validateSimulatorOptions(null), null);
+});
+
+test('rejects values ngspice would not use', () => {
+    assert.equal(validateSimulatorOptions({ abstol: 'tiny' }), 'ABSTOL must be a positive number');
+    assert.equal(validateSimulatorOptions({ gmin: '0' }), 'GMIN must be a positive number');
+    assert.equal(validateSimulatorOptions({ vntol: '-1u' }), 'VNTOL must be a positive number');
+    assert.equal(validateSimulatorOptions({ itl4: '10.5' }), 'ITL4 must be a whole number');
+    assert.equal(validateSimulatorOptions({ reltol: '1' }), 'RELTOL must be less than 1');
+    assert.equal(validateSimulatorOptions({ method: 'euler' }), 'METHOD must be one of trap, gear');
+});
+
+test('reports the first problem in display order', () => {
+    assert.equal(validateSimulatorOptions({ method: 'euler', reltol: '2' }), 'RELTOL must be less than 1');
+});
+
+test('writes only the options that were set', () => {
+    assert.equal(buildOptionsCard({ method: 'Gear', reltol: '1e-4', itl4: ' 50 ' }), '.options reltol=1e-4 itl4=50 method=gear');
+    assert.equal(buildOptionsCard({ reltol: '' }), null);
+    assert.equal(buildOptionsCard(null), null);
+});
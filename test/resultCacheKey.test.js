@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { NetlistGenerator, netlistBody } from '../src/circuit_editor/NetlistGenerator.js';
+import { resultCacheKey } from '../src/common/storage/resultCache.js';
+
+// V1 driving R1 to ground
+function divider(resistance) {
+    const component = (id, designatorText, spiceType, valueText) => ({
+        id,
+        name: id,
+        pins: [{ id: '1', name: '1' }, { id: '2', name: '2' }],
+        meta: { designatorText, valueText, definition: { spiceType } }
+    });
+    const ground = { id: 'gnd', name: 'gnd', pins: [{ id: '1', name: '1' }], meta: { isGround: true } };
+    const componentManager = {
+        components: [component('v1', 'V1', 'voltage', '5'), component('r1', 'R1', 'resistor', resistance), ground],
+        pinNodeIdsByComponent: new Map([
+            ['v1', new Map([['1', 1], ['2', 2]])],
+            ['r1', new Map([['1', 3], ['2', 4]])],
+            ['gnd', new Map([['1', 5]])]
+        ])
+    };
+    const segments = [[1, 3], [2, 5], [4, 5]];
+    const wireGraph = {
+        getAllNodes: () => [1, 2, 3, 4, 5].map(id => ({ id })),
+        getSegmentsForNode: id => segments
+            .filter(segment => segment.includes(id))
+            .map(([nodeId1, nodeId2]) => ({ nodeId1, nodeId2 }))
+    };
+    return new NetlistGenerator(componentManager, wireGraph);
+}
+
+test('an unchanged circuit gets the same result cache key', async () => {
+    const generator = divider('1k');
+    const first = generator.generate();
+    await delay(5);
+    const second = generator.generate();
+
+    assert.notEqual(first, second, 'the timestamp line should differ');
+    assert.equal(
+        await resultCacheKey(netlistBody(first), null),
+        await resultCacheKey(netlistBody(second), null)
+    );
+});
+
+test('a changed value gets a different result cache key', async () => {
+    const before = netlistBody(divider('1k').generate());
+    const after = netlistBody(divider('2k').generate());
+
+    assert.notEqual(await resultCacheKey(before, null), await resultCacheKey(after, null));
+});